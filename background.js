@@ -1,21 +1,87 @@
 /**
  * Background script for GitHub Mentions+ extension
  * Handles CORS-restricted API calls like LGTM random image fetching
+ * and user directory refreshes across the configured sources
+ * command pack imports, the opt-in chrome.storage.sync mirror
+ * the editable-field context menu and the mention picker shortcut
  */
 
 if (typeof globalThis.GitHubMentionsLGTM === 'undefined' && typeof importScripts === 'function') {
   importScripts('utils/lgtm.js');
 }
 
+if (typeof globalThis.GitHubMentionsSettings === 'undefined' && typeof importScripts === 'function') {
+  importScripts('utils/settings.js');
+}
+
+if (typeof globalThis.GitHubMentionsUserSources === 'undefined' && typeof importScripts === 'function') {
+  importScripts('utils/user-sources.js');
+}
+
+if (typeof globalThis.GitHubMentionsTemplates === 'undefined' && typeof importScripts === 'function') {
+  importScripts('utils/templates.js');
+}
+
+if (typeof globalThis.GitHubMentionsCommandPacks === 'undefined' && typeof importScripts === 'function') {
+  importScripts('utils/command-packs.js');
+}
+
+if (typeof globalThis.GitHubMentionsSettingsSync === 'undefined' && typeof importScripts === 'function') {
+  importScripts('utils/settings-sync.js');
+}
+
+if (typeof globalThis.GitHubMentionsUserCache === 'undefined' && typeof importScripts === 'function') {
+  importScripts('utils/user-cache.js');
+}
+
 const sharedLgtm = globalThis.GitHubMentionsLGTM
   || (typeof module !== 'undefined' && module.exports ? require('./utils/lgtm.js') : null);
+const sharedSettings = globalThis.GitHubMentionsSettings
+  || (typeof module !== 'undefined' && module.exports ? require('./utils/settings.js') : null);
+const sharedUserSources = globalThis.GitHubMentionsUserSources
+  || (typeof module !== 'undefined' && module.exports ? require('./utils/user-sources.js') : null);
+const sharedCommandPacks = globalThis.GitHubMentionsCommandPacks
+  || (typeof module !== 'undefined' && module.exports ? require('./utils/command-packs.js') : null);
+const sharedSettingsSync = globalThis.GitHubMentionsSettingsSync
+  || (typeof module !== 'undefined' && module.exports ? require('./utils/settings-sync.js') : null);
+const sharedUserCache = globalThis.GitHubMentionsUserCache
+  || (typeof module !== 'undefined' && module.exports ? require('./utils/user-cache.js') : null);
 
 const REQUEST_TIMEOUT = 10000;
 const LGTM_RELOADED_URL = 'https://us-central1-lgtm-reloaded.cloudfunctions.net/lgtm';
 const FALLBACK_LGTM_GIF = 'https://media.giphy.com/media/3o7abKhOpu0NwenH3O/giphy.gif';
 const CURATED_LGTM_GIFS = sharedLgtm?.CURATED_LGTM_GIFS || [];
 
+// Mirrors STORAGE_KEYS and CACHE_DURATION in utils/storage.js
+const SETTINGS_KEY = 'githubMentions_settings';
+const CACHE_TIMESTAMP_KEY = 'githubMentions_cacheTimestamp';
+const SOURCE_CACHE_KEY = 'githubMentions_sourceCache';
+const SOURCE_STATS_KEY = 'githubMentions_sourceStats';
+const LGTM_HISTORY_KEY = 'githubMentions_lgtmHistory';
+const SYNC_STATE_KEY = 'githubMentions_syncState';
+const SYNC_CONFLICTS_KEY = 'githubMentions_syncConflicts';
+const USER_CACHE_DURATION = 60 * 60 * 1000;
+const ENDPOINT_RETRY_DELAY = 60 * 1000;
+const DIRECTORY_SETTING_FIELDS = ['dataSource', 'directJsonData', 'endpointUrl', 'userSources', 'sourcePrecedence'];
+const ENDPOINT_REFRESH_ALARM = 'githubMentions_endpointRefresh';
+const CUSTOM_HOST_SCRIPT_ID = 'githubMentions_customHosts';
+const CONTENT_SCRIPT_FILES = ['content.bundle.js'];
+const CONTEXT_MENU_MENTION_ID = 'githubMentions_mention';
+const CONTEXT_MENU_COMMAND_ID = 'githubMentions_command';
+// Native menus get unusable long before large directories run out; the rest
+// stay reachable through the in-page picker.
+const CONTEXT_MENU_MAX_USERS = 50;
+const OPEN_MENTION_PICKER_COMMAND = 'open-mention-picker';
+const GITHUB_DOCUMENT_PATTERNS = ['*://*.github.com/*'];
+const COMMAND_PACK_SYNC_ALARM = 'githubMentions_commandPackSync';
+const COMMAND_PACK_CHECK_MINUTES = 60;
+
 let lastDeliveredLgtmUrl = null;
+let settingsSyncQueue = Promise.resolve();
+let userDirectoryQueue = Promise.resolve();
+let customHostScriptsQueue = Promise.resolve();
+let contextMenusQueue = Promise.resolve();
+const lastEndpointAttempts = new Map();
 
 async function fetchWithTimeout(url, options = {}) {
   const controller = new AbortController();
@@ -50,9 +116,17 @@ function normalizeLgtmResult(result) {
   };
 }
 
-async function fetchRandomLGTMFromReloaded(fetchImpl = fetchWithTimeout, options = {}) {
+/**
+ * Fetches one image URL from a JSON endpoint, reading it at `imagePath`.
+ */
+async function fetchRandomLGTMFromEndpoint(provider, fetchImpl = fetchWithTimeout, options = {}) {
+  const source = provider.source || 'endpoint';
   try {
-    const response = await fetchImpl(LGTM_RELOADED_URL, {
+    if (!sharedSettings?.isValidEndpointUrl(provider.url)) {
+      throw new Error('LGTM endpoint URL must be an http(s) URL');
+    }
+
+    const response = await fetchImpl(provider.url, {
       method: 'GET',
       headers: {
         Accept: 'application/json',
@@ -64,15 +138,15 @@ async function fetchRandomLGTMFromReloaded(fetchImpl = fetchWithTimeout, options
       throw new Error(`LGTM API request failed: ${response.status} ${response.statusText}`);
     }
 
-    const data = await response.json();
-    if (!data || typeof data.imageUrl !== 'string' || !data.imageUrl.trim()) {
-      throw new Error('Invalid response format from LGTM API');
+    const imageUrl = sharedLgtm?.readResponseField(await response.json(), provider.imagePath);
+    if (typeof imageUrl !== 'string' || !imageUrl.trim()) {
+      throw new Error(`Invalid response format from LGTM API: no image URL at "${provider.imagePath}"`);
     }
 
     return normalizeLgtmResult({
       success: true,
-      imageUrl: data.imageUrl,
-      source: 'lgtm-reloaded'
+      imageUrl,
+      source
     });
   } catch (error) {
     if (!options.silent) {
@@ -80,55 +154,132 @@ async function fetchRandomLGTMFromReloaded(fetchImpl = fetchWithTimeout, options
     }
     return normalizeLgtmResult({
       success: false,
-      source: 'lgtm-reloaded',
+      source,
       message: `Failed to fetch LGTM image: ${error.message}`
     });
   }
 }
 
+async function fetchRandomLGTMFromReloaded(fetchImpl = fetchWithTimeout, options = {}) {
+  return fetchRandomLGTMFromEndpoint({
+    url: LGTM_RELOADED_URL,
+    imagePath: 'imageUrl',
+    source: 'lgtm-reloaded'
+  }, fetchImpl, options);
+}
+
 function getCuratedLgtmPool() {
   return sharedLgtm?.getCuratedLgtmPool?.() || [];
 }
 
-function pickRandomCuratedLgtm(excludedUrl = null, randomFn = Math.random) {
-  const imageUrl = sharedLgtm?.pickRandomLgtmGif?.(excludedUrl, randomFn) || null;
+const EMPTY_LGTM_POOL_MESSAGES = {
+  curated: 'No curated LGTM GIFs available',
+  'custom-list': 'No LGTM GIFs in the custom list',
+  favorites: 'No favorite LGTM images yet'
+};
+
+function pickRandomLgtmFromPool(pool, source, excludedUrl = null, randomFn = Math.random, bannedUrls = []) {
+  const allowedPool = pool.filter((url) => !bannedUrls.includes(url));
+  const imageUrl = allowedPool.length > 0 ? sharedLgtm?.pickRandomLgtmGif?.(excludedUrl, randomFn, allowedPool) || null : null;
   if (!imageUrl) {
     return normalizeLgtmResult({
       success: false,
-      source: 'curated',
-      message: 'No curated LGTM GIFs available'
+      source,
+      message: EMPTY_LGTM_POOL_MESSAGES[source] || 'No LGTM GIFs available'
     });
   }
 
   return normalizeLgtmResult({
     success: true,
     imageUrl,
-    source: 'curated'
+    source
   });
 }
 
-function shouldBypassReloadedResult(result) {
+function pickRandomCuratedLgtm(excludedUrl = null, randomFn = Math.random, bannedUrls = []) {
+  return pickRandomLgtmFromPool(getCuratedLgtmPool(), 'curated', excludedUrl, randomFn, bannedUrls);
+}
+
+function shouldBypassReloadedResult(result, bannedUrls = []) {
   if (!result?.success || !result.imageUrl) {
     return true;
   }
 
-  return result.imageUrl === lastDeliveredLgtmUrl;
+  return result.imageUrl === lastDeliveredLgtmUrl || bannedUrls.includes(result.imageUrl);
 }
 
-async function fetchRandomLGTM(options = {}) {
+function resolveLgtmProvider(provider, options, bannedUrls) {
   const fetchImpl = options.fetchImpl || fetchWithTimeout;
   const randomFn = options.randomFn || Math.random;
 
-  const primaryResult = await fetchRandomLGTMFromReloaded(fetchImpl, options);
-  if (!shouldBypassReloadedResult(primaryResult)) {
-    lastDeliveredLgtmUrl = primaryResult.imageUrl;
-    return primaryResult;
+  if (provider.type === 'reloaded') {
+    return fetchRandomLGTMFromReloaded(fetchImpl, options);
+  }
+  if (provider.type === 'endpoint') {
+    return fetchRandomLGTMFromEndpoint(provider, fetchImpl, options);
+  }
+  if (provider.type === 'list') {
+    return pickRandomLgtmFromPool(provider.urls, 'custom-list', lastDeliveredLgtmUrl, randomFn, bannedUrls);
+  }
+  return pickRandomCuratedLgtm(lastDeliveredLgtmUrl, randomFn, bannedUrls);
+}
+
+async function loadLgtmState(storage) {
+  try {
+    const stored = await (storage || getLocalStorage()).get([SETTINGS_KEY, LGTM_HISTORY_KEY]);
+    return {
+      providers: sharedSettings.normalizeSettings(stored[SETTINGS_KEY]).lgtmProviders,
+      history: sharedLgtm.normalizeLgtmHistory(stored[LGTM_HISTORY_KEY])
+    };
+  } catch (error) {
+    return { providers: sharedSettings.normalizeLgtmProviders(null), history: [] };
   }
+}
 
-  const curatedResult = pickRandomCuratedLgtm(lastDeliveredLgtmUrl, randomFn);
-  if (curatedResult.success) {
-    lastDeliveredLgtmUrl = curatedResult.imageUrl;
-    return curatedResult;
+/**
+ * Adds a delivered image to the LGTM history. The history is re-read so
+ * favorites or bans set in the popup meanwhile are kept.
+ */
+async function recordLgtmDelivery(result, options = {}) {
+  try {
+    const storage = options.storage || getLocalStorage();
+    const stored = await storage.get(LGTM_HISTORY_KEY);
+    await storage.set({
+      [LGTM_HISTORY_KEY]: sharedLgtm.recordLgtmHistory(stored[LGTM_HISTORY_KEY], {
+        url: result.imageUrl,
+        repo: typeof options.repo === 'string' ? options.repo : '',
+        timestamp: options.now || Date.now()
+      })
+    });
+  } catch (error) {
+    // History is best effort; the image is delivered either way
+  }
+  return result;
+}
+
+/**
+ * Walks the configured provider chain until one returns an image other than
+ * the last one delivered. Banned images are always skipped. A repeated image
+ * is only used when every provider failed or repeated; the bundled fallback
+ * GIF is the last resort.
+ */
+async function fetchRandomLGTM(options = {}) {
+  const state = await loadLgtmState(options.storage);
+  const providers = options.providers ? sharedSettings.normalizeLgtmProviders(options.providers) : state.providers;
+  const bannedUrls = sharedLgtm.getBannedLgtmUrls(state.history);
+  let repeatedResult = null;
+
+  for (const provider of providers) {
+    const result = await resolveLgtmProvider(provider, options, bannedUrls);
+    if (!shouldBypassReloadedResult(result, bannedUrls)) {
+      lastDeliveredLgtmUrl = result.imageUrl;
+      return recordLgtmDelivery(result, options);
+    }
+    repeatedResult = repeatedResult || (result.success && !bannedUrls.includes(result.imageUrl) ? result : null);
+  }
+
+  if (repeatedResult) {
+    return recordLgtmDelivery(repeatedResult, options);
   }
 
   lastDeliveredLgtmUrl = FALLBACK_LGTM_GIF;
@@ -139,9 +290,778 @@ async function fetchRandomLGTM(options = {}) {
   });
 }
 
+/**
+ * Picks one of the favorited history images for the lgtmfav command.
+ */
+async function pickFavoriteLGTM(options = {}) {
+  const { history } = await loadLgtmState(options.storage);
+  const result = pickRandomLgtmFromPool(
+    sharedLgtm.getFavoriteLgtmUrls(history),
+    'favorites',
+    lastDeliveredLgtmUrl,
+    options.randomFn || Math.random
+  );
+  if (!result.success) {
+    return result;
+  }
+
+  lastDeliveredLgtmUrl = result.imageUrl;
+  return recordLgtmDelivery(result, options);
+}
+
+async function fetchEndpointUsers(url, fetchImpl = fetchWithTimeout) {
+  if (!sharedSettings?.isValidEndpointUrl(url)) {
+    return {
+      success: false,
+      users: [],
+      message: 'Endpoint URL must be an http(s) URL'
+    };
+  }
+
+  try {
+    const response = await fetchImpl(url.trim(), {
+      method: 'GET',
+      headers: {
+        Accept: 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Endpoint request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data)) {
+      throw new Error('Endpoint must return a JSON array of users');
+    }
+
+    const users = sharedSettings.normalizeUsersForCache(data);
+    if (users.length === 0) {
+      throw new Error('Endpoint returned no valid users');
+    }
+
+    return {
+      success: true,
+      users,
+      message: `Fetched ${users.length} users from endpoint`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      users: [],
+      message: error.message || 'Failed to fetch endpoint users'
+    };
+  }
+}
+
+async function fetchCommandPack(url, fetchImpl = fetchWithTimeout) {
+  if (!sharedSettings?.isValidEndpointUrl(url)) {
+    return {
+      success: false,
+      pack: null,
+      message: 'Command pack URL must be an http(s) URL'
+    };
+  }
+
+  try {
+    const response = await fetchImpl(url.trim(), {
+      method: 'GET',
+      headers: {
+        Accept: 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Command pack request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const { pack, error } = sharedCommandPacks.parseCommandPack(await response.json());
+    if (error) {
+      throw new Error(error);
+    }
+
+    return {
+      success: true,
+      pack,
+      message: `Fetched ${Object.keys(pack.commands).length} commands from "${pack.name}"`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      pack: null,
+      message: error.message || 'Failed to fetch command pack'
+    };
+  }
+}
+
+function getLocalStorage() {
+  return chrome.storage.local;
+}
+
+function isUserCacheExpired(timestamp, now = Date.now()) {
+  return !timestamp || now - timestamp > USER_CACHE_DURATION;
+}
+
+async function resolveEndpointSource(source, cachedEntry, options) {
+  const { now } = options;
+  const cachedUsers = cachedEntry?.url === source.url && Array.isArray(cachedEntry.users)
+    ? cachedEntry.users
+    : [];
+
+  if (!options.force && cachedUsers.length > 0 && !isUserCacheExpired(cachedEntry.timestamp, now)) {
+    return { users: cachedUsers, error: null, cacheEntry: cachedEntry };
+  }
+
+  const lastAttempt = lastEndpointAttempts.get(source.url);
+  if (!options.force && lastAttempt !== undefined && now - lastAttempt < ENDPOINT_RETRY_DELAY) {
+    return { users: cachedUsers, error: null, cacheEntry: cachedEntry };
+  }
+
+  lastEndpointAttempts.set(source.url, now);
+  const result = await fetchEndpointUsers(source.url, options.fetchImpl || fetchWithTimeout);
+  if (!result.success) {
+    if (!options.silent) {
+      console.error(`[GitHub Mentions+] Background: Refreshing source "${source.name}" failed:`, result.message);
+    }
+    return { users: cachedUsers, error: result.message, cacheEntry: cachedEntry };
+  }
+
+  return {
+    users: result.users,
+    error: null,
+    cacheEntry: { url: source.url, users: result.users, timestamp: now }
+  };
+}
+
+/**
+ * Rebuilds the merged user cache from every configured source. Endpoint sources
+ * are fetched only when their own cache entry has expired, unless forced.
+ */
+async function refreshUserDirectory(options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const now = options.now || Date.now();
+  const stored = await storage.get([SETTINGS_KEY, SOURCE_CACHE_KEY]);
+  const settings = sharedSettings.normalizeSettings(stored[SETTINGS_KEY]);
+  const sourceCache = stored[SOURCE_CACHE_KEY] && typeof stored[SOURCE_CACHE_KEY] === 'object'
+    ? stored[SOURCE_CACHE_KEY]
+    : {};
+  const sources = sharedUserSources.getConfiguredSources(settings);
+  const nextSourceCache = {};
+  const sourceResults = [];
+
+  for (const source of sources) {
+    if (source.type === 'endpoint') {
+      if (!source.url) {
+        sourceResults.push({ source, users: [], error: 'No endpoint URL configured' });
+        continue;
+      }
+
+      const resolved = await resolveEndpointSource(source, sourceCache[source.id], { ...options, now });
+      if (resolved.cacheEntry) {
+        nextSourceCache[source.id] = resolved.cacheEntry;
+      }
+      sourceResults.push({ source, users: resolved.users, error: resolved.error });
+      continue;
+    }
+
+    const parsed = sharedUserSources.parseSourceUsers(source);
+    sourceResults.push({ source, users: parsed.users, error: parsed.error });
+  }
+
+  const merged = sharedUserSources.mergeSourceUsers(sourceResults, settings.sourcePrecedence);
+  const written = await sharedUserCache.writeUserCache(storage, merged.users, {
+    now,
+    extraItems: {
+      [CACHE_TIMESTAMP_KEY]: now,
+      [SOURCE_CACHE_KEY]: nextSourceCache,
+      [SOURCE_STATS_KEY]: merged.stats
+    }
+  });
+  if (!written.success) {
+    return {
+      success: false,
+      message: written.error,
+      userCount: 0,
+      sources: merged.stats
+    };
+  }
+
+  const failedSources = merged.stats.filter((stat) => stat.error);
+  if (merged.users.length === 0) {
+    return {
+      success: false,
+      message: failedSources[0]?.error || 'No valid users found in configured sources',
+      userCount: 0,
+      sources: merged.stats
+    };
+  }
+
+  return {
+    success: true,
+    message: failedSources.length > 0
+      ? `Loaded ${merged.users.length} users; ${failedSources.length} source(s) failed`
+      : `Successfully loaded ${merged.users.length} users from ${sources.length} source(s)`,
+    userCount: merged.users.length,
+    sources: merged.stats
+  };
+}
+
+/**
+ * Runs directory refreshes one at a time, so a save from the popup and the
+ * storage listener never interleave their chunked cache writes.
+ */
+function queueUserDirectoryRefresh(options = {}) {
+  const run = userDirectoryQueue.then(() => refreshUserDirectory(options));
+  userDirectoryQueue = run.catch(() => {});
+  return run;
+}
+
+function haveDirectorySettingsChanged(previousSettings, nextSettings) {
+  const previous = sharedSettings.normalizeSettings(previousSettings);
+  const next = sharedSettings.normalizeSettings(nextSettings);
+  return DIRECTORY_SETTING_FIELDS.some((field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field]));
+}
+
+/**
+ * Re-syncs auto-sync command packs that are due. Added and changed commands
+ * are applied; conflicts with local edits are left alone and reported.
+ */
+async function syncCommandPacks(options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const now = options.now || Date.now();
+  const stored = await storage.get(SETTINGS_KEY);
+  const settings = sharedSettings.normalizeSettings(stored[SETTINGS_KEY]);
+  const results = [];
+  let customCommands = settings.customCommands;
+  let changed = false;
+
+  const commandPacks = [];
+  for (const subscription of settings.commandPacks) {
+    if (!subscription.url || (!options.force && !sharedCommandPacks.isCommandPackSyncDue(subscription, now))) {
+      commandPacks.push(subscription);
+      continue;
+    }
+
+    const fetched = await fetchCommandPack(subscription.url, options.fetchImpl || fetchWithTimeout);
+    if (!fetched.success) {
+      if (!options.silent) {
+        console.error(`[GitHub Mentions+] Background: Syncing command pack "${subscription.name}" failed:`, fetched.message);
+      }
+      results.push({ id: subscription.id, name: subscription.name, error: fetched.message });
+      commandPacks.push(subscription);
+      continue;
+    }
+
+    const applied = sharedCommandPacks.applyCommandPack(customCommands, fetched.pack, { subscription, now });
+    customCommands = applied.customCommands;
+    commandPacks.push(applied.subscription);
+    results.push({ id: subscription.id, name: applied.subscription.name, diff: applied.diff, error: null });
+    changed = true;
+  }
+
+  if (changed) {
+    await storage.set({
+      [SETTINGS_KEY]: sharedSettings.normalizeSettings({ ...settings, customCommands, commandPacks })
+    });
+  }
+
+  return {
+    success: results.every((result) => !result.error),
+    packs: results
+  };
+}
+
+function getSyncStorage() {
+  return chrome.storage.sync;
+}
+
+function createDeviceId() {
+  return `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function readSettingsSyncState(storage) {
+  const stored = await storage.get([SETTINGS_KEY, SYNC_STATE_KEY, SYNC_CONFLICTS_KEY]);
+  return {
+    settings: sharedSettings.normalizeSettings(stored[SETTINGS_KEY]),
+    state: stored[SYNC_STATE_KEY] && typeof stored[SYNC_STATE_KEY] === 'object' ? stored[SYNC_STATE_KEY] : { enabled: false },
+    conflicts: Array.isArray(stored[SYNC_CONFLICTS_KEY]) ? stored[SYNC_CONFLICTS_KEY] : []
+  };
+}
+
+/**
+ * Mirrors settings between chrome.storage.local and chrome.storage.sync.
+ * Local storage stays the source every reader uses; sync only carries the
+ * chunked settings snapshot, never fetched endpoint data or the user cache.
+ * When both sides changed since the last sync, the newer write wins and the
+ * loser is logged.
+ */
+async function runSettingsSync(options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const syncStorage = options.syncStorage || getSyncStorage();
+  const now = options.now || Date.now();
+  const { settings, state, conflicts } = await readSettingsSyncState(storage);
+  if (!state.enabled) {
+    return { success: true, action: 'disabled', conflict: false };
+  }
+
+  const syncItems = await syncStorage.get(null);
+  const remote = sharedSettingsSync.readSyncItems(syncItems);
+  if (!remote && syncItems[sharedSettingsSync.SYNC_META_KEY]) {
+    return { success: false, action: 'none', conflict: false, message: 'Synced settings are incomplete; try again shortly' };
+  }
+
+  const hash = sharedSettingsSync.hashSettings(settings);
+  const localChanged = hash !== state.hash;
+  const localChangedAt = localChanged ? state.localChangedAt || options.localChangedAt || now : 0;
+  const { action, conflict } = sharedSettingsSync.resolveSyncDirection({
+    localChanged,
+    localUpdatedAt: localChangedAt,
+    syncedAt: state.syncedAt || 0,
+    remoteUpdatedAt: remote ? remote.meta.updatedAt : null
+  });
+
+  // Kept until pushed, so a failed push still competes with its edit time
+  let nextState = { ...state, localChangedAt };
+  const nextValues = {};
+  if (action === 'push') {
+    // Never older than the snapshot it replaces, so other browsers pull it
+    const updatedAt = Math.max(localChangedAt || now, (remote?.meta.updatedAt || 0) + 1);
+    const { items, error } = sharedSettingsSync.buildSyncItems(settings, { updatedAt, deviceId: state.deviceId });
+    if (error) {
+      await storage.set({ [SYNC_STATE_KEY]: nextState });
+      return { success: false, action: 'none', conflict: false, message: error };
+    }
+
+    await syncStorage.set(items);
+    const staleKeys = sharedSettingsSync.getStaleSyncChunkKeys(syncItems, items[sharedSettingsSync.SYNC_META_KEY].chunkCount);
+    if (staleKeys.length > 0) {
+      await syncStorage.remove(staleKeys);
+    }
+    nextState = { ...nextState, hash, syncedAt: updatedAt, localChangedAt: 0 };
+  } else if (action === 'pull') {
+    const migrated = sharedSettings.migrateSettings(remote.settings);
+    if (migrated.error) {
+      await storage.set({ [SYNC_STATE_KEY]: nextState });
+      return { success: false, action: 'none', conflict: false, message: `Synced settings were not applied: ${migrated.error}` };
+    }
+
+    const pulledSettings = migrated.settings;
+    nextValues[SETTINGS_KEY] = pulledSettings;
+    nextState = {
+      ...nextState,
+      hash: sharedSettingsSync.hashSettings(pulledSettings),
+      syncedAt: remote.meta.updatedAt,
+      localChangedAt: 0
+    };
+  }
+
+  if (conflict) {
+    nextValues[SYNC_CONFLICTS_KEY] = sharedSettingsSync.appendSyncConflict(conflicts, {
+      timestamp: now,
+      winner: action === 'push' ? 'local' : 'remote',
+      localChangedAt,
+      remoteUpdatedAt: remote.meta.updatedAt,
+      remoteDeviceId: remote.meta.deviceId || ''
+    });
+  }
+
+  await storage.set({ ...nextValues, [SYNC_STATE_KEY]: nextState });
+  return { success: true, action, conflict };
+}
+
+function syncSettings(options = {}) {
+  const run = settingsSyncQueue.then(() => runSettingsSync(options));
+  settingsSyncQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Turns sync on or off. A newly enabled browser treats its current settings
+ * as already synced, so existing synced settings are pulled rather than
+ * overwritten; with nothing synced yet, the local settings are pushed.
+ */
+async function setSettingsSyncEnabled(enabled, options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const { settings, state } = await readSettingsSyncState(storage);
+  const nextState = enabled
+    ? {
+        ...state,
+        enabled: true,
+        deviceId: state.deviceId || createDeviceId(),
+        hash: state.enabled ? state.hash : sharedSettingsSync.hashSettings(settings),
+        syncedAt: state.enabled ? state.syncedAt : 0,
+        localChangedAt: state.enabled ? state.localChangedAt : 0
+      }
+    : { ...state, enabled: false };
+
+  await storage.set({ [SYNC_STATE_KEY]: nextState });
+  return enabled ? syncSettings(options) : { success: true, action: 'disabled', conflict: false };
+}
+
+async function getSettingsSyncStatus(options = {}) {
+  const { state, conflicts } = await readSettingsSyncState(options.storage || getLocalStorage());
+  return {
+    success: true,
+    enabled: state.enabled === true,
+    syncedAt: state.syncedAt || 0,
+    deviceId: state.deviceId || '',
+    conflicts
+  };
+}
+
+function scheduleEndpointRefresh() {
+  if (!chrome.alarms?.create) {
+    return;
+  }
+
+  chrome.alarms.create(ENDPOINT_REFRESH_ALARM, {
+    periodInMinutes: USER_CACHE_DURATION / 60000
+  });
+}
+
+/**
+ * Writes stored settings back at the current schema version after an update,
+ * so older data is migrated once instead of on every read.
+ * @returns {Promise<{migrated: boolean, fromVersion: number, applied: number[], error: string|null}>}
+ */
+async function migrateStoredSettings(options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const stored = (await storage.get(SETTINGS_KEY))[SETTINGS_KEY];
+  if (!stored) {
+    return { migrated: false, fromVersion: sharedSettings.SETTINGS_SCHEMA_VERSION, applied: [], error: null };
+  }
+
+  const { settings, fromVersion, applied, error } = sharedSettings.migrateSettings(stored);
+  if (error || applied.length === 0) {
+    return { migrated: false, fromVersion, applied, error };
+  }
+
+  await storage.set({ [SETTINGS_KEY]: settings });
+  return { migrated: true, fromVersion, applied, error: null };
+}
+
+/**
+ * Registers the content script on every custom GitHub Enterprise host whose
+ * optional permission has been granted, replacing any earlier registration.
+ * Hosts without permission are skipped until the user grants it.
+ * @returns {Promise<{hosts: string[]}>} Hosts the content script now runs on
+ */
+async function registerCustomHostScripts(options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const scripting = options.scripting || chrome.scripting;
+  const permissions = options.permissions || chrome.permissions;
+  if (!scripting?.registerContentScripts) {
+    return { hosts: [] };
+  }
+
+  const stored = await storage.get(SETTINGS_KEY);
+  const hosts = [];
+  for (const host of sharedSettings.normalizeSettings(stored[SETTINGS_KEY]).customHosts) {
+    if (!permissions?.contains || await permissions.contains({ origins: sharedSettings.getCustomHostOrigins(host) })) {
+      hosts.push(host);
+    }
+  }
+
+  const registered = await scripting.getRegisteredContentScripts({ ids: [CUSTOM_HOST_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await scripting.unregisterContentScripts({ ids: [CUSTOM_HOST_SCRIPT_ID] });
+  }
+  if (hosts.length > 0) {
+    await scripting.registerContentScripts([{
+      id: CUSTOM_HOST_SCRIPT_ID,
+      matches: hosts.flatMap((host) => sharedSettings.getCustomHostOrigins(host)),
+      js: CONTENT_SCRIPT_FILES,
+      persistAcrossSessions: true
+    }]);
+  }
+  return { hosts };
+}
+
+function syncCustomHostScripts(options = {}) {
+  const run = customHostScriptsQueue.then(() => registerCustomHostScripts(options));
+  customHostScriptsQueue = run.catch(() => {});
+  return run;
+}
+
+function queueCustomHostScriptSync() {
+  syncCustomHostScripts().catch((error) => {
+    console.error('[GitHub Mentions+] Background: Custom host registration error:', error);
+  });
+}
+
+/**
+ * Builds the "Mention user…" and "Insert command" submenus for editable fields
+ * on GitHub pages, including configured Enterprise hosts.
+ * @param {Object} settings - Normalized settings
+ * @param {Object[]} users - Cached directory entries
+ * @returns {Object[]} `chrome.contextMenus.create` properties, parents first
+ */
+function buildContextMenuItems(settings, users) {
+  const base = {
+    contexts: ['editable'],
+    documentUrlPatterns: [
+      ...GITHUB_DOCUMENT_PATTERNS,
+      ...settings.customHosts.flatMap((host) => sharedSettings.getCustomHostOrigins(host))
+    ]
+  };
+  const items = [
+    { ...base, id: CONTEXT_MENU_MENTION_ID, title: 'Mention user…' },
+    { ...base, id: CONTEXT_MENU_COMMAND_ID, title: 'Insert command' }
+  ];
+
+  const usersByName = new Map();
+  (users || []).forEach((user) => {
+    if (user?.username && !usersByName.has(user.username)) {
+      usersByName.set(user.username, user);
+    }
+  });
+  const usernames = [...usersByName.keys()];
+  usernames.slice(0, CONTEXT_MENU_MAX_USERS).forEach((username) => {
+    const { name } = usersByName.get(username);
+    items.push({
+      ...base,
+      id: `${CONTEXT_MENU_MENTION_ID}:${username}`,
+      parentId: CONTEXT_MENU_MENTION_ID,
+      title: name && name !== username ? `@${username} (${name})` : `@${username}`
+    });
+  });
+  if (usernames.length === 0) {
+    items.push({ ...base, id: `${CONTEXT_MENU_MENTION_ID}:empty`, parentId: CONTEXT_MENU_MENTION_ID, title: 'No users loaded', enabled: false });
+  } else if (usernames.length > CONTEXT_MENU_MAX_USERS) {
+    items.push({
+      ...base,
+      id: `${CONTEXT_MENU_MENTION_ID}:more`,
+      parentId: CONTEXT_MENU_MENTION_ID,
+      title: `${usernames.length - CONTEXT_MENU_MAX_USERS} more; search them from the field`,
+      enabled: false
+    });
+  }
+
+  const commandNames = sharedSettings.groupCommandsByCategory(settings.customCommands).flatMap(({ names }) => names);
+  commandNames.forEach((command) => {
+    const emoji = settings.customCommands[command]?.emoji;
+    items.push({
+      ...base,
+      id: `${CONTEXT_MENU_COMMAND_ID}:${command}`,
+      parentId: CONTEXT_MENU_COMMAND_ID,
+      title: emoji ? `${emoji} !${command}` : `!${command}`
+    });
+  });
+  if (commandNames.length === 0) {
+    items.push({ ...base, id: `${CONTEXT_MENU_COMMAND_ID}:empty`, parentId: CONTEXT_MENU_COMMAND_ID, title: 'No custom commands', enabled: false });
+  }
+
+  return items;
+}
+
+/**
+ * Maps a clicked menu item to the message the content script inserts from.
+ * @returns {{action: string, kind: string, username?: string, command?: string}|null}
+ */
+function getContextMenuInsertMessage(menuItemId) {
+  const [parentId, ...rest] = String(menuItemId).split(':');
+  const value = rest.join(':');
+  if (!value || value === 'empty' || value === 'more') {
+    return null;
+  }
+
+  if (parentId === CONTEXT_MENU_MENTION_ID) {
+    return { action: 'contextMenuInsert', kind: 'mention', username: value };
+  }
+  if (parentId === CONTEXT_MENU_COMMAND_ID) {
+    return { action: 'contextMenuInsert', kind: 'command', command: value };
+  }
+  return null;
+}
+
+/**
+ * Replaces the context menu with one built from the stored settings and cache.
+ * @returns {Promise<{itemCount: number}>}
+ */
+async function rebuildContextMenus(options = {}) {
+  const storage = options.storage || getLocalStorage();
+  const contextMenus = options.contextMenus || chrome.contextMenus;
+  if (!contextMenus?.create) {
+    return { itemCount: 0 };
+  }
+
+  const stored = await storage.get(SETTINGS_KEY);
+  const settings = sharedSettings.normalizeSettings(stored[SETTINGS_KEY]);
+  const { users } = await sharedUserCache.readUserCache(storage);
+  const items = buildContextMenuItems(settings, users || []);
+
+  await contextMenus.removeAll();
+  for (const item of items) {
+    await new Promise((resolve) => {
+      contextMenus.create(item, () => {
+        if (chrome.runtime?.lastError) {
+          console.warn('[GitHub Mentions+] Background: Context menu item skipped:', chrome.runtime.lastError.message);
+        }
+        resolve();
+      });
+    });
+  }
+  return { itemCount: items.length };
+}
+
+function syncContextMenus(options = {}) {
+  const run = contextMenusQueue.then(() => rebuildContextMenus(options));
+  contextMenusQueue = run.catch(() => {});
+  return run;
+}
+
+function queueContextMenuRebuild() {
+  syncContextMenus().catch((error) => {
+    console.error('[GitHub Mentions+] Background: Context menu rebuild error:', error);
+  });
+}
+
+function scheduleCommandPackSync() {
+  if (!chrome.alarms?.create) {
+    return;
+  }
+
+  chrome.alarms.create(COMMAND_PACK_SYNC_ALARM, {
+    periodInMinutes: COMMAND_PACK_CHECK_MINUTES
+  });
+}
+
+chrome.runtime.onInstalled?.addListener(() => {
+  migrateStoredSettings().catch((error) => {
+    console.error('[GitHub Mentions+] Background: Settings migration error:', error);
+  });
+});
+chrome.runtime.onInstalled?.addListener(scheduleEndpointRefresh);
+chrome.runtime.onStartup?.addListener(scheduleEndpointRefresh);
+chrome.runtime.onInstalled?.addListener(scheduleCommandPackSync);
+chrome.runtime.onStartup?.addListener(scheduleCommandPackSync);
+chrome.runtime.onInstalled?.addListener(queueCustomHostScriptSync);
+chrome.permissions?.onAdded?.addListener(queueCustomHostScriptSync);
+chrome.permissions?.onRemoved?.addListener(queueCustomHostScriptSync);
+chrome.runtime.onInstalled?.addListener(queueContextMenuRebuild);
+chrome.runtime.onStartup?.addListener(queueContextMenuRebuild);
+
+chrome.contextMenus?.onClicked?.addListener((info, tab) => {
+  const message = getContextMenuInsertMessage(info.menuItemId);
+  if (!message || !tab?.id) {
+    return;
+  }
+
+  // The content script only runs in the top frame (no all_frames), so that is
+  // the only frame that can answer
+  chrome.tabs.sendMessage(tab.id, message, { frameId: 0 }).catch((error) => {
+    console.error('[GitHub Mentions+] Background: Context menu insert error:', error);
+  });
+});
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name === COMMAND_PACK_SYNC_ALARM) {
+    syncCommandPacks({ silent: true }).catch((error) => {
+      console.error('[GitHub Mentions+] Background: Scheduled command pack sync error:', error);
+    });
+    return;
+  }
+
+  if (alarm.name !== ENDPOINT_REFRESH_ALARM) {
+    return;
+  }
+
+  queueUserDirectoryRefresh({ silent: true }).catch((error) => {
+    console.error('[GitHub Mentions+] Background: Scheduled user directory refresh error:', error);
+  });
+});
+
+chrome.commands?.onCommand?.addListener((command, tab) => {
+  if (command !== OPEN_MENTION_PICKER_COMMAND || !tab?.id) {
+    return;
+  }
+
+  chrome.tabs.sendMessage(tab.id, { action: 'openMentionPicker' }).catch(() => {
+    // Pages without the content script, such as a non-GitHub tab, ignore the shortcut
+  });
+});
+
+chrome.storage?.onChanged?.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes[SETTINGS_KEY] || changes[sharedUserCache.USER_CACHE_META_KEY])) {
+    queueContextMenuRebuild();
+  }
+
+  const syncChanged = areaName === 'sync' && changes[sharedSettingsSync.SYNC_META_KEY];
+  const settingsChanged = areaName === 'local' && changes[SETTINGS_KEY];
+  if (!syncChanged && !settingsChanged) {
+    return;
+  }
+
+  // Whoever wrote the settings (popup, import, sync), the cache is rebuilt once
+  // here and every tab reloads it from its own storage listener.
+  if (settingsChanged && haveDirectorySettingsChanged(settingsChanged.oldValue, settingsChanged.newValue)) {
+    queueUserDirectoryRefresh({ silent: true }).catch((error) => {
+      console.error('[GitHub Mentions+] Background: User directory refresh error:', error);
+    });
+  }
+  if (settingsChanged && JSON.stringify(settingsChanged.oldValue?.customHosts || []) !== JSON.stringify(settingsChanged.newValue?.customHosts || [])) {
+    queueCustomHostScriptSync();
+  }
+
+  syncSettings(settingsChanged ? { localChangedAt: Date.now() } : {}).catch((error) => {
+    console.error('[GitHub Mentions+] Background: Settings sync error:', error);
+  });
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'fetchRandomLGTM') {
-    fetchRandomLGTM().then((result) => {
+  if (message.action === 'refreshUserDirectory') {
+    queueUserDirectoryRefresh({ force: message.force === true }).then((result) => {
+      sendResponse(result);
+    }).catch((error) => {
+      sendResponse({
+        success: false,
+        message: error.message,
+        userCount: 0
+      });
+    });
+
+    return true;
+  }
+
+  if (message.action === 'testEndpoint') {
+    fetchEndpointUsers(message.url).then((result) => {
+      sendResponse({
+        success: result.success,
+        message: result.message,
+        userCount: result.users.length
+      });
+    });
+
+    return true;
+  }
+
+  if (message.action === 'fetchCommandPack') {
+    fetchCommandPack(message.url).then((result) => {
+      sendResponse(result);
+    });
+
+    return true;
+  }
+
+  if (message.action === 'getSyncStatus' || message.action === 'setSyncEnabled' || message.action === 'syncSettings') {
+    const request = {
+      getSyncStatus: () => getSettingsSyncStatus(),
+      setSyncEnabled: () => setSettingsSyncEnabled(message.enabled === true),
+      syncSettings: () => syncSettings()
+    }[message.action];
+
+    request().then((result) => {
+      sendResponse(result);
+    }).catch((error) => {
+      sendResponse({ success: false, message: error.message });
+    });
+
+    return true;
+  }
+
+  if (message.action === 'fetchRandomLGTM' || message.action === 'pickFavoriteLGTM') {
+    const pickLgtm = message.action === 'pickFavoriteLGTM' ? pickFavoriteLGTM : fetchRandomLGTM;
+    pickLgtm({ repo: message.repo }).then((result) => {
       sendResponse(result);
     }).catch((error) => {
       sendResponse(normalizeLgtmResult({
@@ -162,12 +1082,34 @@ if (typeof module !== 'undefined' && module.exports) {
     CURATED_LGTM_GIFS,
     FALLBACK_LGTM_GIF,
     LGTM_RELOADED_URL,
+    USER_CACHE_DURATION,
+    migrateStoredSettings,
+    registerCustomHostScripts,
+    buildContextMenuItems,
+    getContextMenuInsertMessage,
+    rebuildContextMenus,
     normalizeLgtmResult,
+    fetchRandomLGTMFromEndpoint,
     fetchRandomLGTMFromReloaded,
     getCuratedLgtmPool,
+    pickRandomLgtmFromPool,
     pickRandomCuratedLgtm,
     shouldBypassReloadedResult,
     fetchRandomLGTM,
+    pickFavoriteLGTM,
+    recordLgtmDelivery,
+    fetchEndpointUsers,
+    fetchCommandPack,
+    isUserCacheExpired,
+    refreshUserDirectory,
+    haveDirectorySettingsChanged,
+    syncCommandPacks,
+    syncSettings,
+    setSettingsSyncEnabled,
+    getSettingsSyncStatus,
+    resetEndpointAttempts() {
+      lastEndpointAttempts.clear();
+    },
     setLastDeliveredLgtmUrl(value) {
       lastDeliveredLgtmUrl = value;
     },
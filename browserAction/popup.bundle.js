@@ -32,26 +32,312 @@
       var settingsRoot = typeof window !== "undefined" ? window : globalThis;
       settingsRoot.GitHubMentionsSettings = settingsRoot.GitHubMentionsSettings || {};
       var GitHubMentionsSettings = settingsRoot.GitHubMentionsSettings;
+      var DATA_SOURCES = ["gui", "direct", "endpoint"];
+      var USER_SOURCE_TYPES = ["gui", "direct", "endpoint", "file"];
+      var SOURCE_PRECEDENCES = ["first", "last"];
+      var VISIBLE_ROWS_RANGE = { min: 1, max: 20 };
+      var MAX_RESULTS_RANGE = { min: 1, max: 500 };
+      var LGTM_PROVIDER_TYPES = ["reloaded", "endpoint", "list", "curated"];
+      var DEFAULT_LGTM_IMAGE_PATH = "imageUrl";
+      var DEFAULT_LGTM_PROVIDERS = [{ type: "reloaded" }, { type: "curated" }];
+      var SETTINGS_SCHEMA_VERSION = 2;
+      var DEFAULT_TRIGGERS = {
+        mention: { sequence: "@@", lineStart: false },
+        command: { sequence: "@!", lineStart: false }
+      };
+      var TRIGGER_SEQUENCE_PATTERN = /^[^\s\p{L}\p{M}\p{N}_-]{1,4}$/u;
+      var HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+      var SETTINGS_MIGRATIONS = [
+        {
+          version: 1,
+          description: "Convert string custom commands to {content, emoji} objects",
+          migrate(settings) {
+            const commands = settings.customCommands && typeof settings.customCommands === "object" ? settings.customCommands : {};
+            const customCommands = {};
+            Object.entries(commands).forEach(([name, commandData]) => {
+              if (typeof commandData === "string") {
+                customCommands[name] = { content: commandData, emoji: null };
+              } else if (commandData && typeof commandData === "object") {
+                customCommands[name] = commandData;
+              }
+            });
+            return { ...settings, customCommands };
+          }
+        },
+        {
+          version: 2,
+          description: "Give every additional user source a stable id",
+          migrate(settings) {
+            if (!Array.isArray(settings.userSources)) {
+              return settings;
+            }
+            const takenIds = new Set(settings.userSources.map((source) => typeof source?.id === "string" ? source.id.trim() : "").filter(Boolean));
+            let nextNumber = 1;
+            const userSources = settings.userSources.map((source) => {
+              if (!source || typeof source !== "object" || typeof source.id === "string" && source.id.trim()) {
+                return source;
+              }
+              while (takenIds.has(`source-${nextNumber}`)) {
+                nextNumber += 1;
+              }
+              const id = `source-${nextNumber}`;
+              takenIds.add(id);
+              return { ...source, id };
+            });
+            return { ...settings, userSources };
+          }
+        }
+      ];
       var DEFAULT_SETTINGS = {
         dataSource: "gui",
         directJsonData: "",
+        endpointUrl: "",
+        userSources: [],
+        sourcePrecedence: "first",
+        visibleRows: 4,
+        maxResults: 50,
         enabled: true,
-        customCommands: {}
+        customCommands: {},
+        commandPacks: [],
+        lgtmProviders: DEFAULT_LGTM_PROVIDERS,
+        customHosts: [],
+        triggers: DEFAULT_TRIGGERS,
+        schemaVersion: SETTINGS_SCHEMA_VERSION
       };
       GitHubMentionsSettings.getDefaultSettings = function() {
         return {
           ...DEFAULT_SETTINGS,
-          customCommands: {}
+          userSources: [],
+          customCommands: {},
+          commandPacks: [],
+          lgtmProviders: DEFAULT_LGTM_PROVIDERS.map((provider) => ({ ...provider })),
+          customHosts: [],
+          triggers: GitHubMentionsSettings.normalizeTriggers(DEFAULT_TRIGGERS)
         };
       };
-      GitHubMentionsSettings.normalizeSettings = function(settings) {
+      GitHubMentionsSettings.getCommandCategory = function(commandData) {
+        return commandData && typeof commandData === "object" && typeof commandData.category === "string" ? commandData.category.trim() : "";
+      };
+      GitHubMentionsSettings.groupCommandsByCategory = function(customCommands) {
+        const groups = /* @__PURE__ */ new Map();
+        Object.keys(customCommands && typeof customCommands === "object" ? customCommands : {}).forEach((name) => {
+          const category = GitHubMentionsSettings.getCommandCategory(customCommands[name]);
+          groups.set(category, [...groups.get(category) || [], name]);
+        });
+        return [...groups.entries()].sort(([left], [right]) => (left === "") - (right === "") || left.localeCompare(right)).map(([category, names]) => ({ category, names: names.sort((left, right) => left.localeCompare(right)) }));
+      };
+      GitHubMentionsSettings.createSourceId = function(prefix = "src") {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      };
+      GitHubMentionsSettings.normalizeUserSource = function(source) {
+        if (!source || typeof source !== "object" || !USER_SOURCE_TYPES.includes(source.type)) {
+          return null;
+        }
+        if (typeof source.id !== "string" || !source.id.trim()) {
+          return null;
+        }
+        return {
+          id: source.id.trim(),
+          name: typeof source.name === "string" && source.name.trim() ? source.name.trim() : source.type,
+          type: source.type,
+          enabled: source.enabled !== false,
+          jsonData: typeof source.jsonData === "string" ? source.jsonData : "",
+          url: typeof source.url === "string" ? source.url.trim() : "",
+          fileName: typeof source.fileName === "string" ? source.fileName : ""
+        };
+      };
+      GitHubMentionsSettings.normalizeUserSources = function(sources) {
+        if (!Array.isArray(sources)) {
+          return [];
+        }
+        const seenIds = /* @__PURE__ */ new Set(["primary"]);
+        return sources.map((source) => GitHubMentionsSettings.normalizeUserSource(source)).filter((source) => {
+          if (!source || seenIds.has(source.id)) {
+            return false;
+          }
+          seenIds.add(source.id);
+          return true;
+        });
+      };
+      GitHubMentionsSettings.normalizeCommandPack = function(pack) {
+        if (!pack || typeof pack !== "object" || typeof pack.name !== "string" || !pack.name.trim()) {
+          return null;
+        }
+        const url = typeof pack.url === "string" ? pack.url.trim() : "";
+        return {
+          id: typeof pack.id === "string" && pack.id.trim() ? pack.id.trim() : GitHubMentionsSettings.createSourceId("pack"),
+          name: pack.name.trim(),
+          version: typeof pack.version === "string" ? pack.version : "",
+          url,
+          autoSync: Boolean(url) && pack.autoSync === true,
+          lastSynced: Number.isFinite(pack.lastSynced) ? pack.lastSynced : 0,
+          commands: pack.commands && typeof pack.commands === "object" && !Array.isArray(pack.commands) ? pack.commands : {}
+        };
+      };
+      GitHubMentionsSettings.normalizeCommandPacks = function(packs) {
+        if (!Array.isArray(packs)) {
+          return [];
+        }
+        const seenIds = /* @__PURE__ */ new Set();
+        return packs.map((pack) => GitHubMentionsSettings.normalizeCommandPack(pack)).filter((pack) => {
+          if (!pack || seenIds.has(pack.id)) {
+            return false;
+          }
+          seenIds.add(pack.id);
+          return true;
+        });
+      };
+      GitHubMentionsSettings.normalizeLgtmProvider = function(provider) {
+        if (!provider || typeof provider !== "object" || !LGTM_PROVIDER_TYPES.includes(provider.type)) {
+          return null;
+        }
+        if (provider.type === "endpoint") {
+          return {
+            type: "endpoint",
+            url: typeof provider.url === "string" ? provider.url.trim() : "",
+            imagePath: typeof provider.imagePath === "string" && provider.imagePath.trim() ? provider.imagePath.trim() : DEFAULT_LGTM_IMAGE_PATH
+          };
+        }
+        if (provider.type === "list") {
+          return {
+            type: "list",
+            urls: (Array.isArray(provider.urls) ? provider.urls : []).filter((url) => typeof url === "string" && url.trim()).map((url) => url.trim())
+          };
+        }
+        return { type: provider.type };
+      };
+      GitHubMentionsSettings.normalizeLgtmProviders = function(providers) {
+        const normalized = (Array.isArray(providers) ? providers : []).map((provider) => GitHubMentionsSettings.normalizeLgtmProvider(provider)).filter(Boolean);
+        return normalized.length > 0 ? normalized : DEFAULT_LGTM_PROVIDERS.map((provider) => ({ ...provider }));
+      };
+      function isGitHubDotComHost(hostname) {
+        return hostname === "github.com" || hostname.endsWith(".github.com");
+      }
+      GitHubMentionsSettings.normalizeCustomHost = function(value) {
+        if (typeof value !== "string" || !value.trim()) {
+          return null;
+        }
+        const text = value.trim().toLowerCase();
+        let parsed;
+        try {
+          parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`);
+        } catch (error) {
+          return null;
+        }
+        if (!["http:", "https:"].includes(parsed.protocol) || parsed.port || parsed.username || parsed.password) {
+          return null;
+        }
+        const hostname = parsed.hostname.replace(/\.$/, "");
+        return HOSTNAME_PATTERN.test(hostname) && !isGitHubDotComHost(hostname) ? hostname : null;
+      };
+      GitHubMentionsSettings.normalizeCustomHosts = function(hosts) {
+        const normalized = (Array.isArray(hosts) ? hosts : []).map((host) => GitHubMentionsSettings.normalizeCustomHost(host)).filter(Boolean);
+        return [...new Set(normalized)];
+      };
+      GitHubMentionsSettings.getCustomHostOrigins = function(host) {
+        return [`https://${host}/*`, `http://${host}/*`];
+      };
+      function normalizeTrigger(trigger, fallback) {
+        const sequence = typeof trigger?.sequence === "string" ? trigger.sequence.trim() : "";
+        return {
+          sequence: sequence || fallback.sequence,
+          lineStart: trigger?.lineStart === true
+        };
+      }
+      GitHubMentionsSettings.validateTriggers = function(triggers) {
+        const labels = { mention: "Mention", command: "Command" };
+        for (const kind of Object.keys(labels)) {
+          const sequence = triggers?.[kind]?.sequence;
+          if (typeof sequence !== "string" || !TRIGGER_SEQUENCE_PATTERN.test(sequence)) {
+            return `${labels[kind]} trigger must be 1-4 symbols, without spaces, letters, digits, "_" or "-"`;
+          }
+        }
+        const mention = triggers.mention.sequence;
+        const command = triggers.command.sequence;
+        if (mention.startsWith(command) || command.startsWith(mention)) {
+          return `Mention trigger "${mention}" and command trigger "${command}" conflict; neither may start with the other`;
+        }
+        return null;
+      };
+      GitHubMentionsSettings.normalizeTriggers = function(triggers) {
+        const normalized = {
+          mention: normalizeTrigger(triggers?.mention, DEFAULT_TRIGGERS.mention),
+          command: normalizeTrigger(triggers?.command, DEFAULT_TRIGGERS.command)
+        };
+        if (GitHubMentionsSettings.validateTriggers(normalized)) {
+          return {
+            mention: { ...DEFAULT_TRIGGERS.mention },
+            command: { ...DEFAULT_TRIGGERS.command }
+          };
+        }
+        return normalized;
+      };
+      GitHubMentionsSettings.isValidEndpointUrl = function(url) {
+        if (typeof url !== "string" || url.trim() === "") {
+          return false;
+        }
+        try {
+          const parsed = new URL(url.trim());
+          return parsed.protocol === "http:" || parsed.protocol === "https:";
+        } catch (error) {
+          return false;
+        }
+      };
+      GitHubMentionsSettings.normalizeIntegerSetting = function(value, fallback, { min, max }) {
+        const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+          return fallback;
+        }
+        return Math.min(max, Math.max(min, Math.round(number)));
+      };
+      GitHubMentionsSettings.getSettingsSchemaVersion = function(settings) {
+        const version = settings && typeof settings === "object" ? settings.schemaVersion : void 0;
+        return Number.isInteger(version) && version > 0 ? version : 0;
+      };
+      GitHubMentionsSettings.isNewerSettingsSchema = function(settings) {
+        return GitHubMentionsSettings.getSettingsSchemaVersion(settings) > SETTINGS_SCHEMA_VERSION;
+      };
+      function applySettingsMigrations(settings, fromVersion) {
+        return SETTINGS_MIGRATIONS.filter((step) => step.version > fromVersion).reduce((current, step) => ({ ...step.migrate(current), schemaVersion: step.version }), settings);
+      }
+      GitHubMentionsSettings.migrateSettings = function(settings) {
         const source = settings && typeof settings === "object" ? settings : {};
+        const fromVersion = GitHubMentionsSettings.getSettingsSchemaVersion(source);
+        if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+          return {
+            settings: null,
+            fromVersion,
+            applied: [],
+            error: `Settings use schema version ${fromVersion}, but this version of the extension only understands up to ${SETTINGS_SCHEMA_VERSION}. Update the extension first.`
+          };
+        }
         return {
-          dataSource: source.dataSource === "direct" ? "direct" : "gui",
+          settings: GitHubMentionsSettings.normalizeSettings(source),
+          fromVersion,
+          applied: SETTINGS_MIGRATIONS.filter((step) => step.version > fromVersion).map((step) => step.version),
+          error: null
+        };
+      };
+      GitHubMentionsSettings.normalizeSettings = function(settings) {
+        const raw = settings && typeof settings === "object" ? settings : {};
+        const source = applySettingsMigrations(raw, GitHubMentionsSettings.getSettingsSchemaVersion(raw));
+        const normalized = {
+          dataSource: DATA_SOURCES.includes(source.dataSource) ? source.dataSource : "gui",
           directJsonData: typeof source.directJsonData === "string" ? source.directJsonData : "",
+          endpointUrl: typeof source.endpointUrl === "string" ? source.endpointUrl.trim() : "",
+          userSources: GitHubMentionsSettings.normalizeUserSources(source.userSources),
+          sourcePrecedence: SOURCE_PRECEDENCES.includes(source.sourcePrecedence) ? source.sourcePrecedence : "first",
+          visibleRows: GitHubMentionsSettings.normalizeIntegerSetting(source.visibleRows, DEFAULT_SETTINGS.visibleRows, VISIBLE_ROWS_RANGE),
+          maxResults: GitHubMentionsSettings.normalizeIntegerSetting(source.maxResults, DEFAULT_SETTINGS.maxResults, MAX_RESULTS_RANGE),
           enabled: source.enabled !== false,
-          customCommands: source.customCommands && typeof source.customCommands === "object" ? source.customCommands : {}
+          customCommands: source.customCommands && typeof source.customCommands === "object" ? source.customCommands : {},
+          commandPacks: GitHubMentionsSettings.normalizeCommandPacks(source.commandPacks),
+          lgtmProviders: GitHubMentionsSettings.normalizeLgtmProviders(source.lgtmProviders),
+          customHosts: GitHubMentionsSettings.normalizeCustomHosts(source.customHosts),
+          triggers: GitHubMentionsSettings.normalizeTriggers(source.triggers),
+          schemaVersion: SETTINGS_SCHEMA_VERSION
         };
+        return GitHubMentionsSettings.isNewerSettingsSchema(raw) ? { ...raw, ...normalized, schemaVersion: raw.schemaVersion } : normalized;
       };
       GitHubMentionsSettings.normalizeUserForCache = function(user) {
         if (!user || typeof user !== "object") {
@@ -69,25 +355,100 @@
           avatar
         };
       };
+      GitHubMentionsSettings.isGroupEntry = function(entry) {
+        return Boolean(entry) && typeof entry === "object" && (typeof entry.group === "string" || entry.isGroup === true);
+      };
+      GitHubMentionsSettings.normalizeGroupMembers = function(members) {
+        const values = typeof members === "string" ? members.split(/[\s,]+/) : members;
+        if (!Array.isArray(values)) {
+          return [];
+        }
+        const seen = /* @__PURE__ */ new Set();
+        return values.map((member) => typeof member === "string" ? member.trim().replace(/^@/, "") : "").filter((member) => {
+          const key = member.toLowerCase();
+          if (!member || seen.has(key)) {
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+      };
+      GitHubMentionsSettings.normalizeGroupForCache = function(entry) {
+        if (!GitHubMentionsSettings.isGroupEntry(entry)) {
+          return null;
+        }
+        const rawGroup = typeof entry.group === "string" ? entry.group : entry.username;
+        const group = typeof rawGroup === "string" ? rawGroup.trim().replace(/^@+/, "") : "";
+        const members = GitHubMentionsSettings.normalizeGroupMembers(entry.members);
+        if (!group || members.length === 0) {
+          return null;
+        }
+        return {
+          username: group,
+          name: typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : group,
+          avatar: "",
+          isGroup: true,
+          members
+        };
+      };
+      GitHubMentionsSettings.normalizeDirectoryEntry = function(entry) {
+        return GitHubMentionsSettings.isGroupEntry(entry) ? GitHubMentionsSettings.normalizeGroupForCache(entry) : GitHubMentionsSettings.normalizeUserForCache(entry);
+      };
       GitHubMentionsSettings.normalizeUsersForCache = function(users) {
         if (!Array.isArray(users)) {
           return [];
         }
-        return users.map((user) => GitHubMentionsSettings.normalizeUserForCache(user)).filter(Boolean);
+        return users.map((user) => GitHubMentionsSettings.normalizeDirectoryEntry(user)).filter(Boolean);
       };
+      function isValidDirectJsonUser(user) {
+        return Boolean(
+          user && typeof user === "object" && typeof user.username === "string" && user.username.trim() !== "" && typeof user.name === "string" && user.name.trim() !== "" && (user.avatar === void 0 || typeof user.avatar === "string")
+        );
+      }
       GitHubMentionsSettings.validateDirectJsonUsers = function(users) {
         if (!Array.isArray(users) || users.length === 0) {
           return false;
         }
-        return users.every(
-          (user) => user && typeof user === "object" && typeof user.username === "string" && user.username.trim() !== "" && typeof user.name === "string" && user.name.trim() !== "" && (user.avatar === void 0 || typeof user.avatar === "string")
-        );
+        return users.every((entry) => GitHubMentionsSettings.isGroupEntry(entry) ? Boolean(GitHubMentionsSettings.normalizeGroupForCache(entry)) : isValidDirectJsonUser(entry));
       };
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
+          DATA_SOURCES,
+          DEFAULT_LGTM_IMAGE_PATH,
+          DEFAULT_LGTM_PROVIDERS,
           DEFAULT_SETTINGS,
+          DEFAULT_TRIGGERS,
+          LGTM_PROVIDER_TYPES,
+          MAX_RESULTS_RANGE,
+          SETTINGS_MIGRATIONS,
+          SETTINGS_SCHEMA_VERSION,
+          SOURCE_PRECEDENCES,
+          VISIBLE_ROWS_RANGE,
+          USER_SOURCE_TYPES,
           getDefaultSettings: GitHubMentionsSettings.getDefaultSettings,
+          getCommandCategory: GitHubMentionsSettings.getCommandCategory,
+          groupCommandsByCategory: GitHubMentionsSettings.groupCommandsByCategory,
+          isNewerSettingsSchema: GitHubMentionsSettings.isNewerSettingsSchema,
+          createSourceId: GitHubMentionsSettings.createSourceId,
+          normalizeCommandPack: GitHubMentionsSettings.normalizeCommandPack,
+          normalizeCommandPacks: GitHubMentionsSettings.normalizeCommandPacks,
+          normalizeLgtmProvider: GitHubMentionsSettings.normalizeLgtmProvider,
+          normalizeLgtmProviders: GitHubMentionsSettings.normalizeLgtmProviders,
+          normalizeCustomHost: GitHubMentionsSettings.normalizeCustomHost,
+          normalizeCustomHosts: GitHubMentionsSettings.normalizeCustomHosts,
+          getCustomHostOrigins: GitHubMentionsSettings.getCustomHostOrigins,
+          validateTriggers: GitHubMentionsSettings.validateTriggers,
+          normalizeTriggers: GitHubMentionsSettings.normalizeTriggers,
+          isValidEndpointUrl: GitHubMentionsSettings.isValidEndpointUrl,
+          getSettingsSchemaVersion: GitHubMentionsSettings.getSettingsSchemaVersion,
+          migrateSettings: GitHubMentionsSettings.migrateSettings,
           normalizeSettings: GitHubMentionsSettings.normalizeSettings,
+          normalizeUserSource: GitHubMentionsSettings.normalizeUserSource,
+          normalizeUserSources: GitHubMentionsSettings.normalizeUserSources,
+          isGroupEntry: GitHubMentionsSettings.isGroupEntry,
+          normalizeGroupMembers: GitHubMentionsSettings.normalizeGroupMembers,
+          normalizeGroupForCache: GitHubMentionsSettings.normalizeGroupForCache,
+          normalizeDirectoryEntry: GitHubMentionsSettings.normalizeDirectoryEntry,
           normalizeUserForCache: GitHubMentionsSettings.normalizeUserForCache,
           normalizeUsersForCache: GitHubMentionsSettings.normalizeUsersForCache,
           validateDirectJsonUsers: GitHubMentionsSettings.validateDirectJsonUsers
@@ -96,115 +457,1781 @@
     }
   });
 
-  // browserAction/popup/users-table.js
-  var require_users_table = __commonJS({
-    "browserAction/popup/users-table.js"(exports, module) {
-      var popupUsersTableRoot = typeof window !== "undefined" ? window : globalThis;
-      popupUsersTableRoot.GitHubMentionsPopup = popupUsersTableRoot.GitHubMentionsPopup || {};
-      function getUserRowValues(row) {
-        return {
-          username: row.querySelector(".user-username").value.trim(),
-          name: row.querySelector(".user-name").value.trim(),
-          profile: row.querySelector(".user-profile").value.trim()
-        };
-      }
-      function isUserRowBlank(rowValues) {
-        return !rowValues.username && !rowValues.name && !rowValues.profile;
-      }
-      function isUserRowValid(rowValues) {
-        return isUserRowBlank(rowValues) || Boolean(rowValues.username);
+  // utils/lgtm.js
+  var require_lgtm = __commonJS({
+    "utils/lgtm.js"(exports, module) {
+      (function initGitHubMentionsLgtm(root) {
+        const curatedLgtmGifs = [
+          "https://media.giphy.com/media/l3q2XhfQ8oCkm1Ts4/giphy.gif",
+          "https://media.giphy.com/media/111ebonMs90YLu/giphy.gif",
+          "https://media.giphy.com/media/26ufdipQqU2lhNA4g/giphy.gif",
+          "https://media.giphy.com/media/3orieKZ9ax8nsJnSs8/giphy.gif",
+          "https://media.giphy.com/media/5VKbvrjxpVJCM/giphy.gif",
+          "https://media.giphy.com/media/xT0xeJpnrWC4XWblEk/giphy.gif",
+          "https://media.giphy.com/media/QMHoU66sBXqqLqYvGO/giphy.gif"
+        ];
+        const MAX_LGTM_HISTORY = 200;
+        function getCuratedLgtmPool() {
+          return curatedLgtmGifs.slice();
+        }
+        function pickRandomLgtmGif(excludedUrl = null, randomFn = Math.random, sourcePool = getCuratedLgtmPool()) {
+          const pool = sourcePool.filter((url) => url !== excludedUrl);
+          const targetPool = pool.length > 0 ? pool : sourcePool;
+          if (targetPool.length === 0) {
+            return null;
+          }
+          const index = Math.floor(randomFn() * targetPool.length);
+          return targetPool[index];
+        }
+        function readResponseField(data, path) {
+          return String(path || "").replace(/\[(\d+)\]/g, ".$1").split(".").filter(Boolean).reduce((value, key) => value !== null && typeof value === "object" ? value[key] : void 0, data);
+        }
+        function normalizeLgtmHistory(history) {
+          const seenUrls = /* @__PURE__ */ new Set();
+          return (Array.isArray(history) ? history : []).filter((entry) => entry && typeof entry.url === "string" && entry.url.trim()).map((entry) => ({
+            url: entry.url.trim(),
+            repo: typeof entry.repo === "string" ? entry.repo : "",
+            timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : 0,
+            favorite: entry.favorite === true && entry.banned !== true,
+            banned: entry.banned === true
+          })).filter((entry) => {
+            if (seenUrls.has(entry.url)) {
+              return false;
+            }
+            seenUrls.add(entry.url);
+            return true;
+          }).sort((left, right) => right.timestamp - left.timestamp);
+        }
+        function recordLgtmHistory(history, { url, repo = "", timestamp = Date.now() }) {
+          const entries = normalizeLgtmHistory(history);
+          const existing = entries.find((entry) => entry.url === url);
+          const next = [
+            { url, repo, timestamp, favorite: existing?.favorite || false, banned: existing?.banned || false },
+            ...entries.filter((entry) => entry.url !== url)
+          ];
+          let overflow = next.length - MAX_LGTM_HISTORY;
+          for (let index = next.length - 1; index >= 0 && overflow > 0; index -= 1) {
+            if (!next[index].favorite && !next[index].banned) {
+              next.splice(index, 1);
+              overflow -= 1;
+            }
+          }
+          return next;
+        }
+        function updateLgtmHistoryEntry(history, url, { favorite, banned }) {
+          return normalizeLgtmHistory(history).map((entry) => {
+            if (entry.url !== url) {
+              return entry;
+            }
+            if (banned !== void 0) {
+              return { ...entry, banned, favorite: banned ? false : entry.favorite };
+            }
+            return { ...entry, favorite, banned: favorite ? false : entry.banned };
+          });
+        }
+        function removeLgtmHistoryEntry(history, url) {
+          return normalizeLgtmHistory(history).filter((entry) => entry.url !== url);
+        }
+        function getFavoriteLgtmUrls(history) {
+          return normalizeLgtmHistory(history).filter((entry) => entry.favorite).map((entry) => entry.url);
+        }
+        function getBannedLgtmUrls(history) {
+          return normalizeLgtmHistory(history).filter((entry) => entry.banned).map((entry) => entry.url);
+        }
+        root.GitHubMentionsLGTM = {
+          MAX_LGTM_HISTORY,
+          CURATED_LGTM_GIFS: curatedLgtmGifs.slice(),
+          getCuratedLgtmPool,
+          pickRandomLgtmGif,
+          readResponseField,
+          normalizeLgtmHistory,
+          recordLgtmHistory,
+          updateLgtmHistoryEntry,
+          removeLgtmHistoryEntry,
+          getFavoriteLgtmUrls,
+          getBannedLgtmUrls
+        };
+        if (typeof module !== "undefined" && module.exports) {
+          module.exports = root.GitHubMentionsLGTM;
+        }
+      })(typeof globalThis !== "undefined" ? globalThis : exports);
+    }
+  });
+
+  // utils/user-sources.js
+  var require_user_sources = __commonJS({
+    "utils/user-sources.js"(exports, module) {
+      (function initGitHubMentionsUserSources(root) {
+        const PRIMARY_SOURCE_ID = "primary";
+        const SOURCE_TYPE_LABELS = {
+          gui: "Local GUI",
+          direct: "JSON",
+          endpoint: "HTTP Endpoint",
+          file: "File"
+        };
+        function getSettingsApi() {
+          return root.GitHubMentionsSettings || (typeof module !== "undefined" && module.exports ? require_settings() : null);
+        }
+        function getConfiguredSources(settings) {
+          if (!settings || typeof settings !== "object") {
+            return [];
+          }
+          const primary = {
+            id: PRIMARY_SOURCE_ID,
+            name: "Primary",
+            type: settings.dataSource || "gui",
+            enabled: true,
+            jsonData: settings.directJsonData || "",
+            url: settings.endpointUrl || "",
+            fileName: ""
+          };
+          const additionalSources = getSettingsApi()?.normalizeUserSources(settings.userSources) || [];
+          return [primary, ...additionalSources].filter((source) => source.enabled);
+        }
+        function hasEndpointSource(settings) {
+          return getConfiguredSources(settings).some((source) => source.type === "endpoint" && source.url);
+        }
+        function parseSourceUsers(source) {
+          if (!source?.jsonData) {
+            return { users: [], error: null };
+          }
+          try {
+            const data = JSON.parse(source.jsonData);
+            if (!Array.isArray(data)) {
+              return { users: [], error: "JSON must be an array" };
+            }
+            return {
+              users: getSettingsApi()?.normalizeUsersForCache(data) || [],
+              error: null
+            };
+          } catch (error) {
+            return { users: [], error: `Invalid JSON: ${error.message}` };
+          }
+        }
+        function hasOwnName(user) {
+          return Boolean(user.name) && user.name !== user.username;
+        }
+        function mergeUserField(target, incoming, field, hasValue, precedence) {
+          if (!hasValue(incoming)) {
+            return;
+          }
+          if (precedence === "last" || !hasValue(target)) {
+            target[field] = incoming[field];
+          }
+        }
+        function mergeGroupMembers(target, incoming) {
+          const knownMembers = new Set(target.members.map((member) => member.toLowerCase()));
+          incoming.members.forEach((member) => {
+            if (!knownMembers.has(member.toLowerCase())) {
+              knownMembers.add(member.toLowerCase());
+              target.members.push(member);
+            }
+          });
+        }
+        function mergeSourceUsers(sourceResults, precedence = "first") {
+          const mergedByUsername = /* @__PURE__ */ new Map();
+          const stats = [];
+          (Array.isArray(sourceResults) ? sourceResults : []).forEach(({ source, users, error }) => {
+            let uniqueCount = 0;
+            const validUsers = Array.isArray(users) ? users : [];
+            validUsers.forEach((user) => {
+              const key = `${user.isGroup ? "group:" : ""}${user.username.toLowerCase()}`;
+              const existing = mergedByUsername.get(key);
+              if (!existing) {
+                mergedByUsername.set(key, user.isGroup ? { ...user, members: user.members.slice() } : { ...user });
+                uniqueCount += 1;
+                return;
+              }
+              mergeUserField(existing, user, "name", hasOwnName, precedence);
+              if (user.isGroup) {
+                mergeGroupMembers(existing, user);
+                return;
+              }
+              mergeUserField(existing, user, "avatar", (entry) => Boolean(entry.avatar), precedence);
+            });
+            stats.push({
+              id: source.id,
+              name: source.name,
+              type: source.type,
+              count: validUsers.length,
+              uniqueCount,
+              error: error || null
+            });
+          });
+          return {
+            users: Array.from(mergedByUsername.values()),
+            stats
+          };
+        }
+        function describeSourceStat(stat) {
+          const label = `${stat.name} (${SOURCE_TYPE_LABELS[stat.type] || stat.type})`;
+          if (stat.error) {
+            return `${label}: ${stat.count} users, ${stat.error}`;
+          }
+          const duplicates = stat.count - stat.uniqueCount;
+          return duplicates > 0 ? `${label}: ${stat.count} users (${duplicates} merged)` : `${label}: ${stat.count} users`;
+        }
+        root.GitHubMentionsUserSources = {
+          SOURCE_TYPE_LABELS,
+          PRIMARY_SOURCE_ID,
+          getConfiguredSources,
+          hasEndpointSource,
+          parseSourceUsers,
+          mergeSourceUsers,
+          describeSourceStat
+        };
+        if (typeof module !== "undefined" && module.exports) {
+          module.exports = root.GitHubMentionsUserSources;
+        }
+      })(typeof globalThis !== "undefined" ? globalThis : exports);
+    }
+  });
+
+  // utils/user-cache.js
+  var require_user_cache = __commonJS({
+    "utils/user-cache.js"(exports, module) {
+      (function initGitHubMentionsUserCache(root) {
+        const USER_CACHE_META_KEY = "githubMentions_userCacheMeta";
+        const USER_CACHE_CHUNK_PREFIX = "githubMentions_userCacheChunk_";
+        const LEGACY_USER_CACHE_KEY = "githubMentions_userCache";
+        const USER_CACHE_CHUNK_BYTES = 512 * 1024;
+        const USER_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+        const encoder = new TextEncoder();
+        function getByteLength(text) {
+          return encoder.encode(text).length;
+        }
+        function getUserCacheChunkKey(index) {
+          return `${USER_CACHE_CHUNK_PREFIX}${index}`;
+        }
+        function getUserCacheChunkKeys(chunkCount) {
+          return Array.from({ length: Math.max(0, chunkCount || 0) }, (_, index) => getUserCacheChunkKey(index));
+        }
+        function hashText(hash, text) {
+          let next = hash;
+          for (let index = 0; index < text.length; index += 1) {
+            next = (next * 33 ^ text.charCodeAt(index)) >>> 0;
+          }
+          return next;
+        }
+        function splitUsersIntoChunks(users, maxBytes = USER_CACHE_CHUNK_BYTES) {
+          const chunks = [];
+          let current = [];
+          let currentBytes = 2;
+          let bytes = 0;
+          let hash = 5381;
+          users.forEach((user) => {
+            const json = JSON.stringify(user);
+            hash = hashText(hash, `${json},`);
+            const userBytes = getByteLength(json) + 1;
+            if (currentBytes + userBytes > maxBytes && current.length > 0) {
+              chunks.push(current);
+              current = [];
+              currentBytes = 2;
+            }
+            current.push(user);
+            currentBytes += userBytes;
+            bytes += userBytes;
+          });
+          if (current.length > 0) {
+            chunks.push(current);
+          }
+          return { chunks, bytes, hash: hash.toString(36) };
+        }
+        function buildUserCacheItems(users, { revision, timestamp }) {
+          const { chunks, bytes, hash } = splitUsersIntoChunks(users);
+          if (bytes > USER_CACHE_MAX_BYTES) {
+            return {
+              items: null,
+              meta: null,
+              error: `Merged user list is ${formatByteSize(bytes)}, over the ${formatByteSize(USER_CACHE_MAX_BYTES)} cache limit`
+            };
+          }
+          const items = {};
+          chunks.forEach((chunk, index) => {
+            items[getUserCacheChunkKey(index)] = { revision, users: chunk };
+          });
+          return {
+            items,
+            meta: { version: 1, revision, timestamp, userCount: users.length, chunkCount: chunks.length, bytes, hash },
+            error: null
+          };
+        }
+        function isValidUserCacheMeta(meta) {
+          return Boolean(meta && typeof meta === "object" && Number.isInteger(meta.chunkCount) && meta.chunkCount >= 0);
+        }
+        function assembleUserCache(meta, items) {
+          const users = [];
+          for (const key of getUserCacheChunkKeys(meta.chunkCount)) {
+            const chunk = items?.[key];
+            if (!chunk || chunk.revision !== meta.revision || !Array.isArray(chunk.users)) {
+              return null;
+            }
+            users.push(...chunk.users);
+          }
+          return users;
+        }
+        async function readUserCacheMeta(storageArea) {
+          const stored = await storageArea.get([USER_CACHE_META_KEY, LEGACY_USER_CACHE_KEY]);
+          if (isValidUserCacheMeta(stored[USER_CACHE_META_KEY])) {
+            return stored[USER_CACHE_META_KEY];
+          }
+          const legacyUsers = stored[LEGACY_USER_CACHE_KEY];
+          if (!Array.isArray(legacyUsers)) {
+            return null;
+          }
+          return {
+            version: 0,
+            revision: 0,
+            timestamp: null,
+            userCount: legacyUsers.length,
+            chunkCount: 0,
+            bytes: getByteLength(JSON.stringify(legacyUsers))
+          };
+        }
+        async function readUserCache(storageArea) {
+          const stored = await storageArea.get([USER_CACHE_META_KEY, LEGACY_USER_CACHE_KEY]);
+          const meta = stored[USER_CACHE_META_KEY];
+          if (!isValidUserCacheMeta(meta)) {
+            const legacyUsers = stored[LEGACY_USER_CACHE_KEY];
+            return { users: Array.isArray(legacyUsers) ? legacyUsers : [], meta: null };
+          }
+          const chunkKeys = getUserCacheChunkKeys(meta.chunkCount);
+          const chunks = chunkKeys.length > 0 ? await storageArea.get(chunkKeys) : {};
+          return { users: assembleUserCache(meta, chunks), meta };
+        }
+        async function writeUserCache(storageArea, users, options = {}) {
+          const now = options.now || Date.now();
+          const previous = (await storageArea.get(USER_CACHE_META_KEY))[USER_CACHE_META_KEY];
+          const previousChunkCount = isValidUserCacheMeta(previous) ? previous.chunkCount : 0;
+          const revision = (Number.isInteger(previous?.revision) ? previous.revision : 0) + 1;
+          const { items, meta, error } = buildUserCacheItems(users, { revision, timestamp: now });
+          if (error) {
+            return { success: false, meta: null, error };
+          }
+          if (isValidUserCacheMeta(previous) && previous.hash === meta.hash && previous.userCount === meta.userCount) {
+            if (options.extraItems) {
+              await storageArea.set(options.extraItems);
+            }
+            return { success: true, meta: previous, error: null };
+          }
+          if (Object.keys(items).length > 0) {
+            await storageArea.set(items);
+          }
+          await storageArea.set({ ...options.extraItems || {}, [USER_CACHE_META_KEY]: meta });
+          const staleKeys = getUserCacheChunkKeys(previousChunkCount).slice(meta.chunkCount);
+          await storageArea.remove([...staleKeys, LEGACY_USER_CACHE_KEY]);
+          return { success: true, meta, error: null };
+        }
+        async function clearUserCache(storageArea) {
+          const meta = await readUserCacheMeta(storageArea);
+          await storageArea.remove([
+            USER_CACHE_META_KEY,
+            LEGACY_USER_CACHE_KEY,
+            ...getUserCacheChunkKeys(meta?.chunkCount)
+          ]);
+        }
+        function formatByteSize(bytes) {
+          if (bytes < 1024) {
+            return `${bytes} B`;
+          }
+          if (bytes < 1024 * 1024) {
+            return `${Number((bytes / 1024).toFixed(1))} KB`;
+          }
+          return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+        }
+        function describeUserCacheUsage(meta) {
+          const limit = formatByteSize(USER_CACHE_MAX_BYTES);
+          if (!meta) {
+            return `Empty (limit ${limit})`;
+          }
+          const layout = meta.version === 0 ? "legacy single item" : `${meta.chunkCount} ${meta.chunkCount === 1 ? "chunk" : "chunks"}`;
+          return `${formatByteSize(meta.bytes)} of ${limit} (${layout})`;
+        }
+        root.GitHubMentionsUserCache = {
+          USER_CACHE_META_KEY,
+          USER_CACHE_CHUNK_PREFIX,
+          LEGACY_USER_CACHE_KEY,
+          USER_CACHE_CHUNK_BYTES,
+          USER_CACHE_MAX_BYTES,
+          getUserCacheChunkKeys,
+          splitUsersIntoChunks,
+          buildUserCacheItems,
+          assembleUserCache,
+          readUserCacheMeta,
+          readUserCache,
+          writeUserCache,
+          clearUserCache,
+          formatByteSize,
+          describeUserCacheUsage
+        };
+        if (typeof module !== "undefined" && module.exports) {
+          module.exports = root.GitHubMentionsUserCache;
+        }
+      })(typeof globalThis !== "undefined" ? globalThis : exports);
+    }
+  });
+
+  // utils/templates.js
+  var require_templates = __commonJS({
+    "utils/templates.js"(exports, module) {
+      var templatesRoot = typeof window !== "undefined" ? window : globalThis;
+      templatesRoot.GitHubMentionsTemplates = templatesRoot.GitHubMentionsTemplates || {};
+      var GitHubMentionsTemplates = templatesRoot.GitHubMentionsTemplates;
+      var TEMPLATE_VARIABLES = [
+        { name: "timestamp", description: "Current ISO timestamp" },
+        { name: "date", description: "Current date" },
+        { name: "time", description: "Current time" },
+        { name: "repo", description: "Repository name" },
+        { name: "owner", description: "Repository owner" },
+        { name: "pr.number", description: "Pull request number" },
+        { name: "pr.title", description: "Pull request title" },
+        { name: "pr.author", description: "Pull request author" },
+        { name: "branch", description: "Pull request head branch, or the branch being browsed" },
+        { name: "issue.number", description: "Issue number" },
+        { name: "url", description: "Current page URL" }
+      ];
+      GitHubMentionsTemplates.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+      var TEMPLATE_VARIABLE_PATTERN = /\$\{([^{}]*)\}/g;
+      var NUMBERED_TAB_STOP_PATTERN = /\\\$|\$([1-9]\d*)|\$\{([1-9]\d*)(:[^{}]*)?\}/g;
+      var RESERVED_OWNER_SEGMENTS = /* @__PURE__ */ new Set([
+        "codespaces",
+        "dashboard",
+        "explore",
+        "features",
+        "issues",
+        "login",
+        "marketplace",
+        "new",
+        "notifications",
+        "organizations",
+        "orgs",
+        "pulls",
+        "search",
+        "settings",
+        "sponsors",
+        "topics"
+      ]);
+      GitHubMentionsTemplates.isKnownTemplateVariable = function(name) {
+        return TEMPLATE_VARIABLES.some((variable) => variable.name === name);
+      };
+      GitHubMentionsTemplates.isSnippetPlaceholder = function(name) {
+        return /^(cursor|\d+(:[^{}]*)?)$/.test(name);
+      };
+      GitHubMentionsTemplates.getTemplateVariables = function(template) {
+        const names = [];
+        for (const match of String(template || "").matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+          const name = match[1].trim();
+          if (!names.includes(name)) {
+            names.push(name);
+          }
+        }
+        return names;
+      };
+      GitHubMentionsTemplates.findUnknownTemplateVariables = function(template, params = []) {
+        const paramNames = GitHubMentionsTemplates.getParamVariableNames(params);
+        return GitHubMentionsTemplates.getTemplateVariables(template).filter((name) => !GitHubMentionsTemplates.isKnownTemplateVariable(name) && !paramNames.includes(name) && !GitHubMentionsTemplates.isSnippetPlaceholder(name));
+      };
+      GitHubMentionsTemplates.formatUnknownVariablesMessage = function(names) {
+        const list = names.map((name) => `\${${name}}`).join(", ");
+        return `Unknown template ${names.length === 1 ? "variable" : "variables"}: ${list}`;
+      };
+      GitHubMentionsTemplates.findConflictingTabStops = function(template, params = []) {
+        const paramNames = GitHubMentionsTemplates.getParamVariableNames(params);
+        if (paramNames.length === 0) {
+          return [];
+        }
+        const stops = [];
+        for (const match of String(template || "").matchAll(NUMBERED_TAB_STOP_PATTERN)) {
+          const isArgument = match[2] !== void 0 && match[3] === void 0 && paramNames.includes(match[2]);
+          if (match[0] !== "\\$" && !isArgument && !stops.includes(match[0])) {
+            stops.push(match[0]);
+          }
+        }
+        return stops;
+      };
+      GitHubMentionsTemplates.formatConflictingTabStopsMessage = function(stops) {
+        return `Commands with parameters can't use numbered tab stops (${stops.join(", ")}); \${1} is the first argument there. Use \${cursor} instead.`;
+      };
+      var COMMAND_PARAM_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+      GitHubMentionsTemplates.parseCommandParams = function(signature) {
+        const params = [];
+        const entries = String(signature || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+        for (const entry of entries) {
+          const separatorIndex = entry.indexOf("=");
+          const name = (separatorIndex === -1 ? entry : entry.slice(0, separatorIndex)).trim();
+          if (!COMMAND_PARAM_NAME_PATTERN.test(name)) {
+            return { params: [], error: `Invalid parameter name "${name}"` };
+          }
+          if (GitHubMentionsTemplates.isKnownTemplateVariable(name)) {
+            return { params: [], error: `Parameter "${name}" conflicts with a built-in variable` };
+          }
+          if (params.some((param) => param.name === name)) {
+            return { params: [], error: `Duplicate parameter "${name}"` };
+          }
+          params.push(separatorIndex === -1 ? { name } : { name, default: entry.slice(separatorIndex + 1).trim() });
+        }
+        return { params, error: null };
+      };
+      GitHubMentionsTemplates.normalizeCommandParams = function(params) {
+        if (!Array.isArray(params)) {
+          return [];
+        }
+        return params.filter((param) => param && COMMAND_PARAM_NAME_PATTERN.test(param.name)).map((param) => typeof param.default === "string" ? { name: param.name, default: param.default } : { name: param.name });
+      };
+      GitHubMentionsTemplates.formatCommandParams = function(params) {
+        return GitHubMentionsTemplates.normalizeCommandParams(params).map((param) => Object.hasOwn(param, "default") ? `${param.name}=${param.default}` : param.name).join(", ");
+      };
+      GitHubMentionsTemplates.getParamVariableNames = function(params) {
+        return GitHubMentionsTemplates.normalizeCommandParams(params).flatMap((param, index) => [String(index + 1), param.name]);
+      };
+      GitHubMentionsTemplates.buildArgumentValues = function(params, args = []) {
+        const values = {};
+        const missing = [];
+        GitHubMentionsTemplates.normalizeCommandParams(params).forEach((param, index) => {
+          const typed = typeof args[index] === "string" ? args[index] : "";
+          const value = typed || param.default || "";
+          if (!typed && !Object.hasOwn(param, "default")) {
+            missing.push(param.name);
+          }
+          values[String(index + 1)] = value;
+          values[param.name] = value;
+        });
+        return { values, missing };
+      };
+      GitHubMentionsTemplates.formatMissingArgumentsMessage = function(names) {
+        return `Missing required ${names.length === 1 ? "argument" : "arguments"}: ${names.join(", ")}`;
+      };
+      GitHubMentionsTemplates.parseGitHubUrl = function(url) {
+        const details = { owner: "", repo: "", prNumber: "", issueNumber: "", branch: "" };
+        let pathname = "";
+        try {
+          pathname = new URL(url).pathname;
+        } catch (error) {
+          return details;
+        }
+        const segments = pathname.split("/").filter(Boolean).map((segment) => {
+          try {
+            return decodeURIComponent(segment);
+          } catch (error) {
+            return segment;
+          }
+        });
+        if (segments.length < 2 || RESERVED_OWNER_SEGMENTS.has(segments[0].toLowerCase())) {
+          return details;
+        }
+        details.owner = segments[0];
+        details.repo = segments[1];
+        const [section, target] = segments.slice(2);
+        if (section === "pull" && /^\d+$/.test(target || "")) {
+          details.prNumber = target;
+        } else if (section === "issues" && /^\d+$/.test(target || "")) {
+          details.issueNumber = target;
+        } else if ((section === "tree" || section === "blob" || section === "commits") && target) {
+          details.branch = target;
+        } else if (section === "compare" && target) {
+          details.branch = target.split("...").pop();
+        }
+        return details;
+      };
+      GitHubMentionsTemplates.buildTemplateValues = function(date = /* @__PURE__ */ new Date(), pageContext = {}) {
+        const context = pageContext || {};
+        return {
+          timestamp: date.toISOString(),
+          date: date.toLocaleDateString(),
+          time: date.toLocaleTimeString(),
+          repo: context.repo || "",
+          owner: context.owner || "",
+          "pr.number": context.prNumber || "",
+          "pr.title": context.prTitle || "",
+          "pr.author": context.prAuthor || "",
+          branch: context.branch || "",
+          "issue.number": context.issueNumber || "",
+          url: context.url || ""
+        };
+      };
+      GitHubMentionsTemplates.renderTemplate = function(template, values) {
+        const unknown = [];
+        const text = String(template || "").replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, rawName) => {
+          const name = rawName.trim();
+          if (Object.hasOwn(values, name)) {
+            return values[name];
+          }
+          if (GitHubMentionsTemplates.isSnippetPlaceholder(rawName)) {
+            return placeholder;
+          }
+          if (!unknown.includes(name)) {
+            unknown.push(name);
+          }
+          return placeholder;
+        });
+        return { text, unknown };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          TEMPLATE_VARIABLES,
+          isKnownTemplateVariable: GitHubMentionsTemplates.isKnownTemplateVariable,
+          isSnippetPlaceholder: GitHubMentionsTemplates.isSnippetPlaceholder,
+          getTemplateVariables: GitHubMentionsTemplates.getTemplateVariables,
+          findUnknownTemplateVariables: GitHubMentionsTemplates.findUnknownTemplateVariables,
+          formatUnknownVariablesMessage: GitHubMentionsTemplates.formatUnknownVariablesMessage,
+          findConflictingTabStops: GitHubMentionsTemplates.findConflictingTabStops,
+          formatConflictingTabStopsMessage: GitHubMentionsTemplates.formatConflictingTabStopsMessage,
+          parseCommandParams: GitHubMentionsTemplates.parseCommandParams,
+          normalizeCommandParams: GitHubMentionsTemplates.normalizeCommandParams,
+          formatCommandParams: GitHubMentionsTemplates.formatCommandParams,
+          getParamVariableNames: GitHubMentionsTemplates.getParamVariableNames,
+          buildArgumentValues: GitHubMentionsTemplates.buildArgumentValues,
+          formatMissingArgumentsMessage: GitHubMentionsTemplates.formatMissingArgumentsMessage,
+          parseGitHubUrl: GitHubMentionsTemplates.parseGitHubUrl,
+          buildTemplateValues: GitHubMentionsTemplates.buildTemplateValues,
+          renderTemplate: GitHubMentionsTemplates.renderTemplate
+        };
+      }
+    }
+  });
+
+  // utils/command-packs.js
+  var require_command_packs = __commonJS({
+    "utils/command-packs.js"(exports, module) {
+      (function initGitHubMentionsCommandPacks(root) {
+        const COMMAND_NAME_PATTERN = /^[a-zA-Z0-9-_]+$/;
+        const COMMAND_PACK_SYNC_INTERVAL = 24 * 60 * 60 * 1e3;
+        function getSettingsApi() {
+          return root.GitHubMentionsSettings || (typeof module !== "undefined" && module.exports ? require_settings() : null);
+        }
+        function getTemplatesApi() {
+          return root.GitHubMentionsTemplates || (typeof module !== "undefined" && module.exports ? require_templates() : null);
+        }
+        function normalizePackCommand(commandData) {
+          const data = typeof commandData === "string" ? { content: commandData } : commandData;
+          if (!data || typeof data !== "object" || typeof data.content !== "string" || !data.content.trim()) {
+            return null;
+          }
+          const category = getSettingsApi()?.getCommandCategory(data) || "";
+          const params = Array.isArray(data.params) ? data.params.filter((param) => param && typeof param.name === "string").map((param) => typeof param.default === "string" ? { name: param.name, default: param.default } : { name: param.name }) : [];
+          return {
+            content: data.content,
+            emoji: typeof data.emoji === "string" && data.emoji ? data.emoji : null,
+            ...params.length > 0 ? { params } : {},
+            ...category ? { category } : {}
+          };
+        }
+        function isSameCommand(left, right) {
+          return JSON.stringify(normalizePackCommand(left)) === JSON.stringify(normalizePackCommand(right));
+        }
+        function parseCommandPack(data) {
+          if (!data || typeof data !== "object" || Array.isArray(data)) {
+            return { pack: null, error: "Command pack must be a JSON object" };
+          }
+          if (typeof data.name !== "string" || !data.name.trim()) {
+            return { pack: null, error: "Command pack needs a name" };
+          }
+          const entries = Array.isArray(data.commands) ? data.commands.map((command) => [command?.name, command]) : Object.entries(data.commands && typeof data.commands === "object" ? data.commands : {});
+          if (entries.length === 0) {
+            return { pack: null, error: "Command pack has no commands" };
+          }
+          const commands = {};
+          for (const [name, commandData] of entries) {
+            if (typeof name !== "string" || !COMMAND_NAME_PATTERN.test(name)) {
+              return { pack: null, error: `Invalid command name "${name}"` };
+            }
+            const command = normalizePackCommand(commandData);
+            if (!command) {
+              return { pack: null, error: `Command "${name}" has no content` };
+            }
+            const templates = getTemplatesApi();
+            const unknown = templates ? templates.findUnknownTemplateVariables(command.content, command.params) : [];
+            if (unknown.length > 0) {
+              return { pack: null, error: `Command "${name}": ${templates.formatUnknownVariablesMessage(unknown)}` };
+            }
+            const tabStops = templates ? templates.findConflictingTabStops(command.content, command.params) : [];
+            if (tabStops.length > 0) {
+              return { pack: null, error: `Command "${name}": ${templates.formatConflictingTabStopsMessage(tabStops)}` };
+            }
+            commands[name] = command;
+          }
+          return {
+            pack: {
+              name: data.name.trim(),
+              version: typeof data.version === "string" || typeof data.version === "number" ? String(data.version).trim() : "",
+              commands
+            },
+            error: null
+          };
+        }
+        function diffCommandPack(customCommands, pack, subscription = null) {
+          const local = customCommands && typeof customCommands === "object" ? customCommands : {};
+          const installed = subscription?.commands || {};
+          const diff = { added: [], changed: [], conflicts: [], unchanged: [] };
+          Object.keys(pack.commands).sort((left, right) => left.localeCompare(right)).forEach((name) => {
+            if (!Object.hasOwn(local, name)) {
+              diff.added.push(name);
+            } else if (isSameCommand(local[name], pack.commands[name])) {
+              diff.unchanged.push(name);
+            } else if (Object.hasOwn(installed, name) && isSameCommand(local[name], installed[name])) {
+              diff.changed.push(name);
+            } else {
+              diff.conflicts.push(name);
+            }
+          });
+          return diff;
+        }
+        function formatCommandPackDiff(diff) {
+          const parts = [
+            `${diff.added.length} added`,
+            `${diff.changed.length} changed`,
+            `${diff.conflicts.length} ${diff.conflicts.length === 1 ? "conflict" : "conflicts"}`
+          ];
+          return diff.unchanged.length > 0 ? `${parts.join(", ")}, ${diff.unchanged.length} unchanged` : parts.join(", ");
+        }
+        function applyCommandPack(customCommands, pack, options = {}) {
+          const diff = diffCommandPack(customCommands, pack, options.subscription);
+          const nextCommands = { ...customCommands || {} };
+          const installed = { ...options.subscription?.commands || {} };
+          const applied = [...diff.added, ...diff.changed, ...options.overwriteConflicts ? diff.conflicts : []];
+          applied.forEach((name) => {
+            nextCommands[name] = pack.commands[name];
+          });
+          [...applied, ...diff.unchanged].forEach((name) => {
+            installed[name] = pack.commands[name];
+          });
+          if (!options.overwriteConflicts) {
+            diff.conflicts.forEach((name) => delete installed[name]);
+          }
+          const url = options.url ?? options.subscription?.url ?? "";
+          return {
+            customCommands: nextCommands,
+            diff,
+            subscription: {
+              id: options.subscription?.id || getSettingsApi()?.createSourceId("pack"),
+              name: pack.name,
+              version: pack.version,
+              url,
+              autoSync: Boolean(url) && (options.autoSync ?? options.subscription?.autoSync ?? false),
+              lastSynced: options.now || Date.now(),
+              commands: installed
+            }
+          };
+        }
+        function isCommandPackSyncDue(subscription, now = Date.now()) {
+          return Boolean(subscription?.autoSync && subscription.url) && (!subscription.lastSynced || now - subscription.lastSynced >= COMMAND_PACK_SYNC_INTERVAL);
+        }
+        root.GitHubMentionsCommandPacks = {
+          COMMAND_PACK_SYNC_INTERVAL,
+          normalizePackCommand,
+          parseCommandPack,
+          diffCommandPack,
+          formatCommandPackDiff,
+          applyCommandPack,
+          isCommandPackSyncDue
+        };
+        if (typeof module !== "undefined" && module.exports) {
+          module.exports = root.GitHubMentionsCommandPacks;
+        }
+      })(typeof globalThis !== "undefined" ? globalThis : exports);
+    }
+  });
+
+  // browserAction/popup/users-table.js
+  var require_users_table = __commonJS({
+    "browserAction/popup/users-table.js"(exports, module) {
+      var popupUsersTableRoot = typeof window !== "undefined" ? window : globalThis;
+      popupUsersTableRoot.GitHubMentionsPopup = popupUsersTableRoot.GitHubMentionsPopup || {};
+      function getUserRowValues(row) {
+        return {
+          username: row.querySelector(".user-username").value.trim(),
+          name: row.querySelector(".user-name").value.trim(),
+          profile: row.querySelector(".user-profile").value.trim()
+        };
+      }
+      function isUserRowBlank(rowValues) {
+        return !rowValues.username && !rowValues.name && !rowValues.profile;
+      }
+      function isUserRowValid(rowValues) {
+        return isUserRowBlank(rowValues) || Boolean(rowValues.username);
+      }
+      function getGroupRowValues(row) {
+        return {
+          group: row.querySelector(".group-name").value.trim(),
+          members: row.querySelector(".group-members").value.trim()
+        };
+      }
+      function isGroupRowBlank(rowValues) {
+        return !rowValues.group && !rowValues.members;
+      }
+      function parseGroupMembers(members) {
+        return popupUsersTableRoot.GitHubMentionsSettings.normalizeGroupMembers(members);
+      }
+      function isGroupRowValid(rowValues) {
+        return isGroupRowBlank(rowValues) || Boolean(rowValues.group) && parseGroupMembers(rowValues.members).length > 0;
+      }
+      popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
+        function syncTableToJson() {
+          const { userTableBody, directJsonData } = context.dom;
+          if (!userTableBody) return;
+          const rows = userTableBody.querySelectorAll("tr");
+          const entries = [];
+          rows.forEach((row) => {
+            const { username, name, profile } = getUserRowValues(row);
+            if (username) {
+              entries.push({ username, name: name || "", profile: profile || "" });
+            }
+          });
+          context.dom.groupTableBody?.querySelectorAll("tr").forEach((row) => {
+            const { group, members } = getGroupRowValues(row);
+            const memberList = parseGroupMembers(members);
+            if (group && memberList.length > 0) {
+              entries.push({ group, members: memberList });
+            }
+          });
+          directJsonData.value = entries.length > 0 ? JSON.stringify(entries, null, 2) : "[]";
+        }
+        function validateUserRow(row) {
+          const usernameInput = row.querySelector(".user-username");
+          const rowValues = getUserRowValues(row);
+          if (!isUserRowValid(rowValues)) {
+            usernameInput.classList.add("invalid");
+            row.classList.add("error");
+            return false;
+          }
+          usernameInput.classList.remove("invalid");
+          row.classList.remove("error");
+          return true;
+        }
+        function validateGroupRow(row) {
+          const rowValues = getGroupRowValues(row);
+          const groupInput = row.querySelector(".group-name");
+          const membersInput = row.querySelector(".group-members");
+          if (!isGroupRowValid(rowValues)) {
+            groupInput.classList.toggle("invalid", !rowValues.group);
+            membersInput.classList.toggle("invalid", parseGroupMembers(rowValues.members).length === 0);
+            row.classList.add("error");
+            return false;
+          }
+          groupInput.classList.remove("invalid");
+          membersInput.classList.remove("invalid");
+          row.classList.remove("error");
+          return true;
+        }
+        function validateAllRows() {
+          const rows = context.dom.userTableBody.querySelectorAll("tr");
+          let allValid = true;
+          rows.forEach((row) => {
+            if (!validateUserRow(row)) {
+              allValid = false;
+            }
+          });
+          context.dom.groupTableBody?.querySelectorAll("tr").forEach((row) => {
+            if (!validateGroupRow(row)) {
+              allValid = false;
+            }
+          });
+          return allValid;
+        }
+        function deleteUserRow(row) {
+          row.remove();
+          if (context.dom.userTableBody.children.length === 0) {
+            addUserRow();
+          }
+          syncTableToJson();
+        }
+        function addUserRow(username = "", name = "", profile = "") {
+          const row = document.createElement("tr");
+          row.innerHTML = `
+      <td><input type="text" class="user-username" value="${context.escapeHtml(username)}" placeholder="john-doe" required /></td>
+      <td><input type="text" class="user-name" value="${context.escapeHtml(name)}" placeholder="John Doe" /></td>
+      <td><input type="text" class="user-profile" value="${context.escapeHtml(profile)}" placeholder="https://example.com" /></td>
+      <td><button class="btn btn-danger btn-mini delete-user-row">Delete</button></td>
+    `;
+          row.querySelector(".delete-user-row").addEventListener("click", () => deleteUserRow(row));
+          const usernameInput = row.querySelector(".user-username");
+          usernameInput.addEventListener("input", () => validateUserRow(row));
+          usernameInput.addEventListener("blur", () => validateUserRow(row));
+          row.querySelectorAll("input").forEach((input) => input.addEventListener("input", syncTableToJson));
+          context.dom.userTableBody.appendChild(row);
+          syncTableToJson();
+        }
+        function addGroupRow(group = "", members = "") {
+          const row = document.createElement("tr");
+          row.innerHTML = `
+      <td><input type="text" class="group-name" value="${context.escapeHtml(group)}" placeholder="frontend" required /></td>
+      <td><input type="text" class="group-members" value="${context.escapeHtml(members)}" placeholder="alice, bob, carol" required /></td>
+      <td><button class="btn btn-danger btn-mini delete-group-row">Delete</button></td>
+    `;
+          row.querySelector(".delete-group-row").addEventListener("click", () => {
+            row.remove();
+            syncTableToJson();
+          });
+          row.querySelectorAll("input").forEach((input) => {
+            input.addEventListener("input", syncTableToJson);
+            input.addEventListener("blur", () => validateGroupRow(row));
+          });
+          context.dom.groupTableBody.appendChild(row);
+          syncTableToJson();
+        }
+        function loadUserTableData() {
+          const { userTableBody, groupTableBody, directJsonData } = context.dom;
+          if (!userTableBody) return;
+          if (userTableBody.children.length > 0 || groupTableBody?.children.length > 0) return;
+          try {
+            const jsonText = directJsonData.value.trim();
+            if (!jsonText || jsonText === "[]") {
+              addUserRow();
+              return;
+            }
+            const entries = JSON.parse(jsonText);
+            if (Array.isArray(entries) && entries.length > 0) {
+              const isGroupEntry = popupUsersTableRoot.GitHubMentionsSettings.isGroupEntry;
+              const users = entries.filter((entry) => !isGroupEntry(entry));
+              const groups = entries.filter((entry) => isGroupEntry(entry));
+              userTableBody.innerHTML = "";
+              users.forEach((user) => addUserRow(user.username || "", user.name || "", user.profile || ""));
+              if (users.length === 0) {
+                addUserRow();
+              }
+              groups.forEach((group) => addGroupRow(group.group || "", parseGroupMembers(group.members).join(", ")));
+              return;
+            }
+          } catch (error) {
+          }
+          addUserRow();
+        }
+        return {
+          addGroupRow,
+          addUserRow,
+          loadUserTableData,
+          syncTableToJson,
+          validateAllRows
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          getUserRowValues,
+          getGroupRowValues,
+          isUserRowBlank,
+          isUserRowValid,
+          isGroupRowBlank,
+          isGroupRowValid
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/sources-manager.js
+  var require_sources_manager = __commonJS({
+    "browserAction/popup/sources-manager.js"(exports, module) {
+      var popupSourcesRoot = typeof window !== "undefined" ? window : globalThis;
+      popupSourcesRoot.GitHubMentionsPopup = popupSourcesRoot.GitHubMentionsPopup || {};
+      function getSourceValidationError(source, isValidEndpointUrl) {
+        if (!source.name) {
+          return "Every source needs a name";
+        }
+        if (source.type === "endpoint") {
+          return isValidEndpointUrl(source.url) ? null : `Source "${source.name}" needs a valid http(s) URL`;
+        }
+        if (!source.jsonData.trim()) {
+          return source.type === "file" ? `Source "${source.name}" has no file loaded` : `Source "${source.name}" has no JSON data`;
+        }
+        try {
+          if (!Array.isArray(JSON.parse(source.jsonData))) {
+            return `Source "${source.name}" must contain a JSON array`;
+          }
+        } catch (error) {
+          return `Source "${source.name}" has invalid JSON: ${error.message}`;
+        }
+        return null;
+      }
+      function moveSource(sources, index, offset) {
+        const targetIndex = index + offset;
+        if (targetIndex < 0 || targetIndex >= sources.length) {
+          return sources;
+        }
+        const nextSources = sources.slice();
+        const [source] = nextSources.splice(index, 1);
+        nextSources.splice(targetIndex, 0, source);
+        return nextSources;
+      }
+      popupSourcesRoot.GitHubMentionsPopup.moveSource = moveSource;
+      popupSourcesRoot.GitHubMentionsPopup.createSourcesManager = function(context, services) {
+        let sources = [];
+        let pendingFileSourceId = null;
+        function getTypeLabel(type) {
+          return window.GitHubMentionsUserSources.SOURCE_TYPE_LABELS[type] || type;
+        }
+        function createSourceBody(source) {
+          if (source.type === "endpoint") {
+            return `<input type="url" class="form-control source-url" value="${context.escapeHtml(source.url)}" placeholder="https://example.com/users.json">`;
+          }
+          if (source.type === "file") {
+            const fileLabel = source.fileName ? context.escapeHtml(source.fileName) : "No file loaded";
+            return `
+        <div class="source-file-row">
+          <button type="button" class="btn btn-secondary btn-mini choose-source-file">Choose File</button>
+          <span class="source-file-name">${fileLabel}</span>
+        </div>
+      `;
+          }
+          return `<textarea class="form-control json-textarea source-json" rows="6" placeholder='[{"username": "john-doe", "name": "John Doe"}]'>${context.escapeHtml(source.jsonData)}</textarea>`;
+        }
+        function readSourceCard(card, source) {
+          const nextSource = {
+            ...source,
+            name: card.querySelector(".source-name").value.trim(),
+            enabled: card.querySelector(".source-enabled").checked
+          };
+          if (source.type === "endpoint") {
+            nextSource.url = card.querySelector(".source-url").value.trim();
+          } else if (source.type === "direct") {
+            nextSource.jsonData = card.querySelector(".source-json").value.trim();
+          }
+          return nextSource;
+        }
+        function syncSourcesFromDom() {
+          const cards = context.dom.userSourcesList.querySelectorAll(".user-source-card");
+          sources = Array.from(cards).map((card, index) => readSourceCard(card, sources[index]));
+        }
+        function createSourceCard(source, index) {
+          const card = document.createElement("div");
+          card.className = "user-source-card";
+          card.dataset.sourceId = source.id;
+          card.innerHTML = `
+      <div class="user-source-header">
+        <input type="checkbox" class="source-enabled" ${source.enabled ? "checked" : ""} title="Enabled">
+        <input type="text" class="form-control source-name" value="${context.escapeHtml(source.name)}" placeholder="Source name">
+        <span class="source-type-badge">${getTypeLabel(source.type)}</span>
+      </div>
+      <div class="user-source-body">${createSourceBody(source)}</div>
+      <div class="command-actions">
+        <button type="button" class="btn btn-secondary btn-mini move-source-up" ${index === 0 ? "disabled" : ""}>\u2191</button>
+        <button type="button" class="btn btn-secondary btn-mini move-source-down" ${index === sources.length - 1 ? "disabled" : ""}>\u2193</button>
+        <button type="button" class="btn btn-danger btn-mini delete-source">Delete</button>
+      </div>
+    `;
+          card.querySelector(".move-source-up").addEventListener("click", () => reorderSource(index, -1));
+          card.querySelector(".move-source-down").addEventListener("click", () => reorderSource(index, 1));
+          card.querySelector(".delete-source").addEventListener("click", () => deleteSource(index));
+          card.querySelector(".choose-source-file")?.addEventListener("click", () => {
+            pendingFileSourceId = source.id;
+            context.dom.userSourceFileInput.click();
+          });
+          return card;
+        }
+        function renderSources() {
+          const list = context.dom.userSourcesList;
+          list.innerHTML = "";
+          if (sources.length === 0) {
+            list.innerHTML = '<div class="empty-state"><p>No additional sources. Only the primary data source is used.</p></div>';
+            return;
+          }
+          sources.forEach((source, index) => list.appendChild(createSourceCard(source, index)));
+        }
+        function reorderSource(index, offset) {
+          syncSourcesFromDom();
+          sources = moveSource(sources, index, offset);
+          renderSources();
+        }
+        function deleteSource(index) {
+          syncSourcesFromDom();
+          if (!confirm(`Delete source "${sources[index].name}"?`)) return;
+          sources.splice(index, 1);
+          renderSources();
+        }
+        function addSource() {
+          syncSourcesFromDom();
+          const type = context.dom.newSourceTypeSelect.value;
+          sources.push(window.GitHubMentionsSettings.normalizeUserSource({
+            id: window.GitHubMentionsSettings.createSourceId(),
+            type,
+            name: `${getTypeLabel(type)} ${sources.length + 1}`
+          }));
+          renderSources();
+        }
+        async function loadSourceFile(file) {
+          const sourceId = pendingFileSourceId;
+          pendingFileSourceId = null;
+          if (!file || !sourceId) return;
+          try {
+            const text = await file.text();
+            const data = JSON.parse(text);
+            if (!Array.isArray(data)) {
+              throw new Error("File must contain a JSON array of users");
+            }
+            syncSourcesFromDom();
+            sources = sources.map((source) => source.id === sourceId ? { ...source, jsonData: text, fileName: file.name } : source);
+            renderSources();
+            const userCount = window.GitHubMentionsSettings.normalizeUsersForCache(data).length;
+            services.statusUi.showSuccess(`Loaded ${userCount} users from ${file.name}. Save settings to apply.`);
+          } catch (error) {
+            services.statusUi.showError(`Failed to load file: ${error.message}`);
+          } finally {
+            context.dom.userSourceFileInput.value = "";
+          }
+        }
+        function loadSources() {
+          const settings = context.getSettings();
+          sources = (settings?.userSources || []).map((source) => ({ ...source }));
+          context.dom.sourcePrecedenceSelect.value = settings?.sourcePrecedence || "first";
+          renderSources();
+        }
+        function collectSources() {
+          syncSourcesFromDom();
+          const error = sources.filter((source) => source.enabled).map((source) => getSourceValidationError(source, window.GitHubMentionsSettings.isValidEndpointUrl)).find(Boolean) || null;
+          return {
+            sources: sources.map((source) => ({ ...source })),
+            sourcePrecedence: context.dom.sourcePrecedenceSelect.value,
+            error
+          };
+        }
+        function bindEvents() {
+          context.dom.addUserSourceBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            addSource();
+          });
+          context.dom.userSourceFileInput.addEventListener("change", (event) => {
+            loadSourceFile(event.target.files?.[0]);
+          });
+        }
+        return {
+          bindEvents,
+          collectSources,
+          loadSources
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          getSourceValidationError,
+          moveSource
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/lgtm-providers-manager.js
+  var require_lgtm_providers_manager = __commonJS({
+    "browserAction/popup/lgtm-providers-manager.js"(exports, module) {
+      var popupLgtmProvidersRoot = typeof window !== "undefined" ? window : globalThis;
+      popupLgtmProvidersRoot.GitHubMentionsPopup = popupLgtmProvidersRoot.GitHubMentionsPopup || {};
+      var LGTM_PROVIDER_LABELS = {
+        reloaded: "LGTM Reloaded",
+        endpoint: "JSON Endpoint",
+        list: "My GIF List",
+        curated: "Curated GIFs"
+      };
+      function getLgtmProviderValidationError(provider, isValidEndpointUrl) {
+        if (provider.type === "endpoint") {
+          return isValidEndpointUrl(provider.url) ? null : "LGTM JSON endpoint needs a valid http(s) URL";
+        }
+        if (provider.type === "list") {
+          if (provider.urls.length === 0) {
+            return "LGTM GIF list needs at least one URL";
+          }
+          const invalidUrl = provider.urls.find((url) => !isValidEndpointUrl(url));
+          return invalidUrl ? `Invalid GIF URL "${invalidUrl}"` : null;
+        }
+        return null;
+      }
+      popupLgtmProvidersRoot.GitHubMentionsPopup.createLgtmProvidersManager = function(context, services) {
+        let providers = [];
+        function createProviderBody(provider) {
+          if (provider.type === "endpoint") {
+            return `
+        <input type="url" class="form-control lgtm-provider-url" value="${context.escapeHtml(provider.url)}" placeholder="https://example.com/lgtm.json">
+        <input type="text" class="form-control lgtm-provider-path" value="${context.escapeHtml(provider.imagePath)}" placeholder="imageUrl or data.images[0].url">
+      `;
+          }
+          if (provider.type === "list") {
+            return `<textarea class="form-control json-textarea lgtm-provider-urls" rows="4" placeholder="One GIF URL per line">${context.escapeHtml(provider.urls.join("\n"))}</textarea>`;
+          }
+          return provider.type === "reloaded" ? '<small class="help-text">Random image from the LGTM Reloaded service.</small>' : '<small class="help-text">GIFs bundled with the extension. Needs no network access.</small>';
+        }
+        function readProviderCard(card, provider) {
+          if (provider.type === "endpoint") {
+            return {
+              ...provider,
+              url: card.querySelector(".lgtm-provider-url").value.trim(),
+              imagePath: card.querySelector(".lgtm-provider-path").value.trim()
+            };
+          }
+          if (provider.type === "list") {
+            return {
+              ...provider,
+              urls: card.querySelector(".lgtm-provider-urls").value.split("\n").map((url) => url.trim()).filter(Boolean)
+            };
+          }
+          return provider;
+        }
+        function syncProvidersFromDom() {
+          const cards = context.dom.lgtmProvidersList.querySelectorAll(".user-source-card");
+          providers = Array.from(cards).map((card, index) => readProviderCard(card, providers[index]));
+        }
+        function createProviderCard(provider, index) {
+          const card = document.createElement("div");
+          card.className = "user-source-card";
+          card.innerHTML = `
+      <div class="user-source-header">
+        <strong>${index + 1}.</strong>
+        <span class="source-type-badge">${LGTM_PROVIDER_LABELS[provider.type]}</span>
+      </div>
+      <div class="user-source-body">${createProviderBody(provider)}</div>
+      <div class="command-actions">
+        <button type="button" class="btn btn-secondary btn-mini move-provider-up" ${index === 0 ? "disabled" : ""}>\u2191</button>
+        <button type="button" class="btn btn-secondary btn-mini move-provider-down" ${index === providers.length - 1 ? "disabled" : ""}>\u2193</button>
+        <button type="button" class="btn btn-danger btn-mini delete-provider" ${providers.length === 1 ? "disabled" : ""}>Delete</button>
+      </div>
+    `;
+          card.querySelector(".move-provider-up").addEventListener("click", () => reorderProvider(index, -1));
+          card.querySelector(".move-provider-down").addEventListener("click", () => reorderProvider(index, 1));
+          card.querySelector(".delete-provider").addEventListener("click", () => deleteProvider(index));
+          return card;
+        }
+        function renderProviders() {
+          const list = context.dom.lgtmProvidersList;
+          list.innerHTML = "";
+          providers.forEach((provider, index) => list.appendChild(createProviderCard(provider, index)));
+        }
+        function reorderProvider(index, offset) {
+          syncProvidersFromDom();
+          providers = window.GitHubMentionsPopup.moveSource(providers, index, offset);
+          renderProviders();
+        }
+        function deleteProvider(index) {
+          syncProvidersFromDom();
+          providers.splice(index, 1);
+          renderProviders();
+        }
+        function addProvider() {
+          syncProvidersFromDom();
+          providers.push(window.GitHubMentionsSettings.normalizeLgtmProvider({ type: context.dom.newLgtmProviderTypeSelect.value }));
+          renderProviders();
+        }
+        function loadProviders() {
+          providers = (context.getSettings()?.lgtmProviders || []).map((provider) => ({ ...provider }));
+          renderProviders();
+        }
+        function collectProviders() {
+          syncProvidersFromDom();
+          const error = providers.map((provider) => getLgtmProviderValidationError(provider, window.GitHubMentionsSettings.isValidEndpointUrl)).find(Boolean) || null;
+          return {
+            providers: providers.map((provider) => window.GitHubMentionsSettings.normalizeLgtmProvider(provider)),
+            error
+          };
+        }
+        function bindEvents() {
+          context.dom.addLgtmProviderBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            addProvider();
+          });
+        }
+        return {
+          bindEvents,
+          collectProviders,
+          loadProviders
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          LGTM_PROVIDER_LABELS,
+          getLgtmProviderValidationError
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/lgtm-gallery-manager.js
+  var require_lgtm_gallery_manager = __commonJS({
+    "browserAction/popup/lgtm-gallery-manager.js"(exports, module) {
+      var popupLgtmGalleryRoot = typeof window !== "undefined" ? window : globalThis;
+      popupLgtmGalleryRoot.GitHubMentionsPopup = popupLgtmGalleryRoot.GitHubMentionsPopup || {};
+      function filterLgtmHistory(history, filter) {
+        if (filter === "favorites") {
+          return history.filter((entry) => entry.favorite);
+        }
+        if (filter === "banned") {
+          return history.filter((entry) => entry.banned);
+        }
+        return history;
+      }
+      popupLgtmGalleryRoot.GitHubMentionsPopup.createLgtmGalleryManager = function(context, services) {
+        let history = [];
+        function describeEntry(entry) {
+          const date = entry.timestamp ? new Date(entry.timestamp).toLocaleDateString() : "";
+          return [entry.repo, date].filter(Boolean).join(" \xB7 ");
+        }
+        function createGalleryItem(entry) {
+          const item = document.createElement("div");
+          item.className = `lgtm-gallery-item${entry.banned ? " banned" : ""}`;
+          item.innerHTML = `
+      <a href="${context.escapeHtml(entry.url)}" target="_blank" rel="noopener noreferrer" class="lgtm-gallery-thumb">
+        <img src="${context.escapeHtml(entry.url)}" alt="LGTM image" loading="lazy">
+      </a>
+      <small class="lgtm-gallery-meta">${context.escapeHtml(describeEntry(entry))}</small>
+      <div class="command-actions">
+        <button type="button" class="btn btn-secondary btn-mini favorite-lgtm" title="${entry.favorite ? "Remove from favorites" : "Add to favorites"}">${entry.favorite ? "\u2605" : "\u2606"}</button>
+        <button type="button" class="btn btn-secondary btn-mini ban-lgtm">${entry.banned ? "Unban" : "Ban"}</button>
+        <button type="button" class="btn btn-danger btn-mini delete-lgtm">Delete</button>
+      </div>
+    `;
+          const lgtm = window.GitHubMentionsLGTM;
+          item.querySelector(".favorite-lgtm").addEventListener("click", () => {
+            saveHistory(lgtm.updateLgtmHistoryEntry(history, entry.url, { favorite: !entry.favorite }));
+          });
+          item.querySelector(".ban-lgtm").addEventListener("click", () => {
+            saveHistory(lgtm.updateLgtmHistoryEntry(history, entry.url, { banned: !entry.banned }));
+          });
+          item.querySelector(".delete-lgtm").addEventListener("click", () => {
+            saveHistory(lgtm.removeLgtmHistoryEntry(history, entry.url));
+          });
+          return item;
+        }
+        function renderGallery() {
+          const grid = context.dom.lgtmGallery;
+          const entries = filterLgtmHistory(history, context.dom.lgtmGalleryFilter.value);
+          grid.innerHTML = "";
+          if (entries.length === 0) {
+            grid.innerHTML = history.length === 0 ? '<div class="empty-state"><p>Images inserted with <code>@!lgtmrand</code> show up here.</p></div>' : '<div class="empty-state"><p>No images match this filter.</p></div>';
+            return;
+          }
+          entries.forEach((entry) => grid.appendChild(createGalleryItem(entry)));
+        }
+        async function saveHistory(nextHistory) {
+          if (!await window.GitHubMentionsStorage.setLgtmHistory(nextHistory)) {
+            services.statusUi.showError("Failed to update the LGTM gallery");
+            return;
+          }
+          history = nextHistory;
+          renderGallery();
+        }
+        async function loadGallery() {
+          history = await window.GitHubMentionsStorage.getLgtmHistory();
+          renderGallery();
+        }
+        function bindEvents() {
+          context.dom.lgtmGalleryFilter.addEventListener("change", renderGallery);
+        }
+        return {
+          bindEvents,
+          loadGallery
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          filterLgtmHistory
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/command-packs-manager.js
+  var require_command_packs_manager = __commonJS({
+    "browserAction/popup/command-packs-manager.js"(exports, module) {
+      var popupCommandPacksRoot = typeof window !== "undefined" ? window : globalThis;
+      popupCommandPacksRoot.GitHubMentionsPopup = popupCommandPacksRoot.GitHubMentionsPopup || {};
+      function findCommandPackSubscription(packs, pack, url) {
+        return (Array.isArray(packs) ? packs : []).find((subscription) => url ? subscription.url === url : !subscription.url && subscription.name === pack.name) || null;
+      }
+      function upsertCommandPack(packs, subscription) {
+        const list = Array.isArray(packs) ? packs : [];
+        return list.some((pack) => pack.id === subscription.id) ? list.map((pack) => pack.id === subscription.id ? subscription : pack) : [...list, subscription];
+      }
+      popupCommandPacksRoot.GitHubMentionsPopup.createCommandPacksManager = function(context, services) {
+        let pending = null;
+        function getPacks() {
+          return context.getSettings()?.commandPacks || [];
+        }
+        function renderDiffList(label, names) {
+          if (names.length === 0) {
+            return "";
+          }
+          const items = names.map((name) => `<code>!${context.escapeHtml(name)}</code>`).join(" ");
+          return `<div class="command-pack-diff"><span class="command-pack-diff-label">${label}</span> ${items}</div>`;
+        }
+        function clearPreview() {
+          pending = null;
+          context.dom.commandPackPreview.innerHTML = "";
+          context.dom.commandPackPreview.classList.add("hidden");
+        }
+        function showPreview(pack, url) {
+          const subscription = findCommandPackSubscription(getPacks(), pack, url);
+          const diff = window.GitHubMentionsCommandPacks.diffCommandPack(context.getSettings()?.customCommands, pack, subscription);
+          pending = { pack, url, subscription };
+          const version = pack.version ? `<span class="source-type-badge">v${context.escapeHtml(pack.version)}</span>` : "";
+          const preview = context.dom.commandPackPreview;
+          preview.innerHTML = `
+      <div class="user-source-header">
+        <strong>${context.escapeHtml(pack.name)}</strong>
+        ${version}
+      </div>
+      <p class="help-text">${window.GitHubMentionsCommandPacks.formatCommandPackDiff(diff)}</p>
+      ${renderDiffList("Added", diff.added)}
+      ${renderDiffList("Changed", diff.changed)}
+      ${renderDiffList("Conflicts", diff.conflicts)}
+      ${diff.conflicts.length > 0 ? '<label class="checkbox-label"><input type="checkbox" class="command-pack-overwrite"> Overwrite conflicting local commands</label>' : ""}
+      ${url ? `<label class="checkbox-label"><input type="checkbox" class="command-pack-auto-sync" ${subscription?.autoSync ? "checked" : ""}> Re-sync daily</label>` : ""}
+      <div class="command-actions">
+        <button type="button" class="btn btn-primary btn-mini apply-command-pack">Apply</button>
+        <button type="button" class="btn btn-secondary btn-mini cancel-command-pack">Cancel</button>
+      </div>
+    `;
+          preview.querySelector(".apply-command-pack").addEventListener("click", applyPending);
+          preview.querySelector(".cancel-command-pack").addEventListener("click", clearPreview);
+          preview.classList.remove("hidden");
+        }
+        async function applyPending() {
+          if (!pending) return;
+          const preview = context.dom.commandPackPreview;
+          const settings = context.getSettings();
+          const result = window.GitHubMentionsCommandPacks.applyCommandPack(settings.customCommands, pending.pack, {
+            subscription: pending.subscription,
+            url: pending.url,
+            autoSync: Boolean(preview.querySelector(".command-pack-auto-sync")?.checked),
+            overwriteConflicts: Boolean(preview.querySelector(".command-pack-overwrite")?.checked)
+          });
+          clearPreview();
+          const saved = await services.saveSettingsAndRefresh({
+            customCommands: result.customCommands,
+            commandPacks: upsertCommandPack(settings.commandPacks, result.subscription)
+          });
+          if (saved) {
+            services.statusUi.showSuccess(`Applied "${result.subscription.name}": ${window.GitHubMentionsCommandPacks.formatCommandPackDiff(result.diff)}`);
+          }
+          renderPacks();
+        }
+        async function previewFromUrl(url) {
+          if (!window.GitHubMentionsSettings.isValidEndpointUrl(url)) {
+            services.statusUi.showError("Command pack URL must be an http(s) URL");
+            return;
+          }
+          if (!await services.settingsForm.requestEndpointPermission([url])) {
+            services.statusUi.showError("Permission to access the command pack URL was denied");
+            return;
+          }
+          const result = await services.settingsForm.sendBackgroundMessage({ action: "fetchCommandPack", url: url.trim() });
+          if (!result.success) {
+            services.statusUi.showError(result.message);
+            return;
+          }
+          showPreview(result.pack, url.trim());
+        }
+        async function previewFromFile(file) {
+          if (!file) return;
+          try {
+            const { pack, error } = window.GitHubMentionsCommandPacks.parseCommandPack(JSON.parse(await file.text()));
+            if (error) {
+              throw new Error(error);
+            }
+            showPreview(pack, "");
+          } catch (error) {
+            services.statusUi.showError(`Failed to load command pack: ${error.message}`);
+          } finally {
+            context.dom.commandPackFileInput.value = "";
+          }
+        }
+        async function savePacks(commandPacks) {
+          await services.saveSettingsAndRefresh({ commandPacks });
+          renderPacks();
+        }
+        function createPackCard(pack) {
+          const card = document.createElement("div");
+          card.className = "user-source-card";
+          const commandCount = Object.keys(pack.commands).length;
+          const lastSynced = pack.lastSynced ? new Date(pack.lastSynced).toLocaleString() : "never";
+          card.innerHTML = `
+      <div class="user-source-header">
+        <strong>${context.escapeHtml(pack.name)}</strong>
+        ${pack.version ? `<span class="source-type-badge">v${context.escapeHtml(pack.version)}</span>` : ""}
+        <span class="source-type-badge">${pack.url ? "URL" : "File"}</span>
+      </div>
+      <small class="help-text">${commandCount} ${commandCount === 1 ? "command" : "commands"} \xB7 last synced ${lastSynced}</small>
+      ${pack.url ? `<label class="checkbox-label"><input type="checkbox" class="pack-auto-sync" ${pack.autoSync ? "checked" : ""}> Re-sync daily</label>` : ""}
+      <div class="command-actions">
+        ${pack.url ? '<button type="button" class="btn btn-secondary btn-mini check-pack">Check for updates</button>' : ""}
+        <button type="button" class="btn btn-danger btn-mini remove-pack">Remove</button>
+      </div>
+    `;
+          card.querySelector(".pack-auto-sync")?.addEventListener("change", (event) => {
+            savePacks(getPacks().map((entry) => entry.id === pack.id ? { ...entry, autoSync: event.target.checked } : entry));
+          });
+          card.querySelector(".check-pack")?.addEventListener("click", () => previewFromUrl(pack.url));
+          card.querySelector(".remove-pack").addEventListener("click", () => {
+            if (!confirm(`Remove pack "${pack.name}"? Its commands stay in your command list.`)) return;
+            savePacks(getPacks().filter((entry) => entry.id !== pack.id));
+          });
+          return card;
+        }
+        function renderPacks() {
+          const list = context.dom.commandPackList;
+          list.innerHTML = "";
+          getPacks().forEach((pack) => list.appendChild(createPackCard(pack)));
+        }
+        function bindEvents() {
+          context.dom.fetchCommandPackBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            previewFromUrl(context.dom.commandPackUrlInput.value);
+          });
+          context.dom.chooseCommandPackFileBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            context.dom.commandPackFileInput.click();
+          });
+          context.dom.commandPackFileInput.addEventListener("change", (event) => {
+            previewFromFile(event.target.files?.[0]);
+          });
+        }
+        return {
+          bindEvents,
+          renderPacks
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          findCommandPackSubscription,
+          upsertCommandPack
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/custom-hosts-manager.js
+  var require_custom_hosts_manager = __commonJS({
+    "browserAction/popup/custom-hosts-manager.js"(exports, module) {
+      var popupCustomHostsRoot = typeof window !== "undefined" ? window : globalThis;
+      popupCustomHostsRoot.GitHubMentionsPopup = popupCustomHostsRoot.GitHubMentionsPopup || {};
+      function addCustomHost(hosts, input) {
+        const list = Array.isArray(hosts) ? hosts : [];
+        const host = popupCustomHostsRoot.GitHubMentionsSettings.normalizeCustomHost(input);
+        if (!host) {
+          return {
+            hosts: list,
+            host: null,
+            error: "Enter a GitHub Enterprise hostname such as git.example.com (github.com is already supported)"
+          };
+        }
+        if (list.includes(host)) {
+          return { hosts: list, host, error: `${host} is already added` };
+        }
+        return { hosts: [...list, host], host, error: null };
+      }
+      popupCustomHostsRoot.GitHubMentionsPopup.createCustomHostsManager = function(context, services) {
+        function getHosts() {
+          return context.getSettings()?.customHosts || [];
+        }
+        function getOrigins(host) {
+          return window.GitHubMentionsSettings.getCustomHostOrigins(host);
+        }
+        async function hasHostPermission(host) {
+          if (!chrome.permissions?.contains) {
+            return true;
+          }
+          try {
+            return await chrome.permissions.contains({ origins: getOrigins(host) });
+          } catch (error) {
+            return false;
+          }
+        }
+        async function requestHostPermission(host) {
+          if (!chrome.permissions?.request) {
+            return true;
+          }
+          try {
+            return await chrome.permissions.request({ origins: getOrigins(host) });
+          } catch (error) {
+            return false;
+          }
+        }
+        async function saveHosts(customHosts) {
+          context.getSettings().customHosts = customHosts;
+          const saved = await services.saveSettingsAndRefresh();
+          await renderHosts();
+          return saved;
+        }
+        async function addHost() {
+          const { hosts, host, error } = addCustomHost(getHosts(), context.dom.customHostInput.value);
+          if (error) {
+            services.statusUi.showError(error);
+            return;
+          }
+          if (!await requestHostPermission(host)) {
+            services.statusUi.showError(`Permission to run on ${host} was denied`);
+            return;
+          }
+          context.dom.customHostInput.value = "";
+          if (await saveHosts(hosts)) {
+            services.statusUi.showSuccess(`Added ${host}. Reload pages already open on it.`);
+          }
+        }
+        async function removeHost(host) {
+          if (!confirm(`Stop running on ${host}?`)) return;
+          await saveHosts(getHosts().filter((entry) => entry !== host));
+          try {
+            await chrome.permissions?.remove?.({ origins: getOrigins(host) });
+          } catch (error) {
+          }
+        }
+        async function createHostCard(host) {
+          const granted = await hasHostPermission(host);
+          const card = document.createElement("div");
+          card.className = "user-source-card";
+          card.innerHTML = `
+      <div class="user-source-header">
+        <strong>${context.escapeHtml(host)}</strong>
+        <span class="source-type-badge">${granted ? "Active" : "Needs access"}</span>
+      </div>
+      <div class="command-actions">
+        ${granted ? "" : '<button type="button" class="btn btn-secondary btn-mini grant-host">Grant access</button>'}
+        <button type="button" class="btn btn-danger btn-mini remove-host">Remove</button>
+      </div>
+    `;
+          card.querySelector(".grant-host")?.addEventListener("click", async () => {
+            if (await requestHostPermission(host)) {
+              await renderHosts();
+            }
+          });
+          card.querySelector(".remove-host").addEventListener("click", () => removeHost(host));
+          return card;
+        }
+        async function renderHosts() {
+          const list = context.dom.customHostsList;
+          const cards = await Promise.all(getHosts().map((host) => createHostCard(host)));
+          list.innerHTML = "";
+          cards.forEach((card) => list.appendChild(card));
+        }
+        function bindEvents() {
+          context.dom.addCustomHostBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            addHost();
+          });
+          context.dom.customHostInput.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+              event.preventDefault();
+              addHost();
+            }
+          });
+        }
+        return {
+          bindEvents,
+          renderHosts
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          addCustomHost
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/shortcut-manager.js
+  var require_shortcut_manager = __commonJS({
+    "browserAction/popup/shortcut-manager.js"(exports, module) {
+      var popupShortcutRoot = typeof window !== "undefined" ? window : globalThis;
+      popupShortcutRoot.GitHubMentionsPopup = popupShortcutRoot.GitHubMentionsPopup || {};
+      var PICKER_COMMAND_NAME = "open-mention-picker";
+      var SHORTCUT_MODIFIERS = {
+        ctrl: "Ctrl",
+        control: "Ctrl",
+        alt: "Alt",
+        option: "Alt",
+        shift: "Shift",
+        command: "Command",
+        cmd: "Command",
+        macctrl: "MacCtrl"
+      };
+      var SHORTCUT_MODIFIER_ORDER = ["Ctrl", "Alt", "Command", "MacCtrl", "Shift"];
+      var SHORTCUT_PRIMARY_MODIFIERS = ["Ctrl", "Alt", "Command", "MacCtrl"];
+      var SHORTCUT_KEY_NAMES = ["Comma", "Period", "Home", "End", "PageUp", "PageDown", "Space", "Insert", "Delete", "Up", "Down", "Left", "Right"];
+      function normalizeShortcutKey(value) {
+        if (/^[a-z0-9]$/i.test(value) || /^f([1-9]|1[0-2])$/i.test(value)) {
+          return value.toUpperCase();
+        }
+        return SHORTCUT_KEY_NAMES.find((name) => name.toLowerCase() === value.toLowerCase()) || null;
       }
-      popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
-        function syncTableToJson() {
-          const { userTableBody, directJsonData } = context.dom;
-          if (!userTableBody) return;
-          const rows = userTableBody.querySelectorAll("tr");
-          const users = [];
-          rows.forEach((row) => {
-            const { username, name, profile } = getUserRowValues(row);
-            if (username) {
-              users.push({ username, name: name || "", profile: profile || "" });
-            }
-          });
-          directJsonData.value = users.length > 0 ? JSON.stringify(users, null, 2) : "[]";
+      function normalizeShortcut(value) {
+        const parts = String(value || "").split("+").map((part) => part.trim()).filter(Boolean);
+        if (parts.length === 0) {
+          return { shortcut: "", error: null };
         }
-        function validateUserRow(row) {
-          const usernameInput = row.querySelector(".user-username");
-          const rowValues = getUserRowValues(row);
-          if (!isUserRowValid(rowValues)) {
-            usernameInput.classList.add("invalid");
-            row.classList.add("error");
-            return false;
+        const keyPart = parts.pop();
+        const modifiers = /* @__PURE__ */ new Set();
+        for (const part of parts) {
+          const modifier = SHORTCUT_MODIFIERS[part.toLowerCase()];
+          if (!modifier) {
+            return { shortcut: null, error: `"${part}" is not a modifier; use Ctrl, Alt, Shift, Command or MacCtrl` };
           }
-          usernameInput.classList.remove("invalid");
-          row.classList.remove("error");
-          return true;
+          modifiers.add(modifier);
         }
-        function validateAllRows() {
-          const rows = context.dom.userTableBody.querySelectorAll("tr");
-          let allValid = true;
-          rows.forEach((row) => {
-            if (!validateUserRow(row)) {
-              allValid = false;
-            }
-          });
-          return allValid;
+        const key = normalizeShortcutKey(keyPart);
+        if (!key) {
+          return { shortcut: null, error: `"${keyPart}" cannot be used as a shortcut key` };
         }
-        function deleteUserRow(row) {
-          row.remove();
-          if (context.dom.userTableBody.children.length === 0) {
-            addUserRow();
-          }
-          syncTableToJson();
+        if (modifiers.size > 2) {
+          return { shortcut: null, error: "Use at most two modifiers" };
         }
-        function addUserRow(username = "", name = "", profile = "") {
-          const row = document.createElement("tr");
-          row.innerHTML = `
-      <td><input type="text" class="user-username" value="${context.escapeHtml(username)}" placeholder="john-doe" required /></td>
-      <td><input type="text" class="user-name" value="${context.escapeHtml(name)}" placeholder="John Doe" /></td>
-      <td><input type="text" class="user-profile" value="${context.escapeHtml(profile)}" placeholder="https://example.com" /></td>
-      <td><button class="btn btn-danger btn-mini delete-user-row">Delete</button></td>
-    `;
-          row.querySelector(".delete-user-row").addEventListener("click", () => deleteUserRow(row));
-          const usernameInput = row.querySelector(".user-username");
-          usernameInput.addEventListener("input", () => validateUserRow(row));
-          usernameInput.addEventListener("blur", () => validateUserRow(row));
-          row.querySelectorAll("input").forEach((input) => input.addEventListener("input", syncTableToJson));
-          context.dom.userTableBody.appendChild(row);
-          syncTableToJson();
+        if (!/^F\d+$/.test(key) && !SHORTCUT_PRIMARY_MODIFIERS.some((modifier) => modifiers.has(modifier))) {
+          return { shortcut: null, error: "Shortcuts need Ctrl, Alt, Command or MacCtrl" };
         }
-        function loadUserTableData() {
-          const { userTableBody, directJsonData } = context.dom;
-          if (!userTableBody) return;
-          if (userTableBody.children.length > 0) return;
+        return {
+          shortcut: [...SHORTCUT_MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier)), key].join("+"),
+          error: null
+        };
+      }
+      function getShortcutSettingsUrl(userAgent = "") {
+        return /\bEdg\//.test(userAgent) ? "edge://extensions/shortcuts" : "chrome://extensions/shortcuts";
+      }
+      popupShortcutRoot.GitHubMentionsPopup.createShortcutManager = function(context, services) {
+        const canUpdate = typeof chrome.commands?.update === "function";
+        async function loadShortcut() {
+          const input = context.dom.pickerShortcutInput;
+          input.readOnly = !canUpdate;
+          context.dom.savePickerShortcutBtn.textContent = canUpdate ? "Save Shortcut" : "Change Shortcut";
+          if (!canUpdate) {
+            context.dom.pickerShortcutHelp.textContent = `Opens the browser's shortcut settings, where the "Open the mention picker" entry can be changed.`;
+          }
           try {
-            const jsonText = directJsonData.value.trim();
-            if (!jsonText || jsonText === "[]") {
-              addUserRow();
-              return;
-            }
-            const users = JSON.parse(jsonText);
-            if (Array.isArray(users) && users.length > 0) {
-              userTableBody.innerHTML = "";
-              users.forEach((user) => addUserRow(user.username || "", user.name || "", user.profile || ""));
-              return;
-            }
+            const commands = await chrome.commands.getAll();
+            input.value = commands.find((command) => command.name === PICKER_COMMAND_NAME)?.shortcut || "";
           } catch (error) {
+            input.value = "";
           }
-          addUserRow();
+        }
+        async function saveShortcut() {
+          if (!canUpdate) {
+            chrome.tabs.create({ url: getShortcutSettingsUrl(navigator.userAgent) });
+            return;
+          }
+          const { shortcut, error } = normalizeShortcut(context.dom.pickerShortcutInput.value);
+          if (error) {
+            services.statusUi.showError(error);
+            return;
+          }
+          try {
+            await chrome.commands.update({ name: PICKER_COMMAND_NAME, shortcut });
+            services.statusUi.showSuccess(shortcut ? `Mention picker shortcut set to ${shortcut}` : "Mention picker shortcut turned off");
+          } catch (updateError) {
+            services.statusUi.showError(updateError.message || "Failed to change the shortcut");
+          }
+          await loadShortcut();
+        }
+        function bindEvents() {
+          context.dom.savePickerShortcutBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            saveShortcut();
+          });
+          context.dom.pickerShortcutInput.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+              event.preventDefault();
+              saveShortcut();
+            }
+          });
         }
         return {
-          addUserRow,
-          loadUserTableData,
-          syncTableToJson,
-          validateAllRows
+          bindEvents,
+          loadShortcut
         };
       };
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
-          getUserRowValues,
-          isUserRowBlank,
-          isUserRowValid
+          PICKER_COMMAND_NAME,
+          normalizeShortcut,
+          getShortcutSettingsUrl
         };
       }
     }
@@ -215,15 +2242,27 @@
     "browserAction/popup/backup-manager.js"(exports, module) {
       var popupBackupRoot = typeof window !== "undefined" ? window : globalThis;
       popupBackupRoot.GitHubMentionsPopup = popupBackupRoot.GitHubMentionsPopup || {};
+      var BACKUP_FORMAT_VERSION = 1;
       function buildSettingsExportPayload(settings) {
         return {
-          version: 1,
+          version: BACKUP_FORMAT_VERSION,
           exportedAt: (/* @__PURE__ */ new Date()).toISOString(),
           app: "github-mentions-plus",
           settings: popupBackupRoot.GitHubMentionsSettings.normalizeSettings(settings)
         };
       }
+      function parseSettingsImportPayload(payload) {
+        if (!payload || typeof payload !== "object" || !payload.settings || typeof payload.settings !== "object") {
+          return { settings: null, error: "Invalid import file." };
+        }
+        if (Number.isInteger(payload.version) && payload.version > BACKUP_FORMAT_VERSION) {
+          return { settings: null, error: "This backup was exported by a newer version of the extension. Update the extension first." };
+        }
+        const { settings, error } = popupBackupRoot.GitHubMentionsSettings.migrateSettings(payload.settings);
+        return { settings, error };
+      }
       popupBackupRoot.GitHubMentionsPopup.buildSettingsExportPayload = buildSettingsExportPayload;
+      popupBackupRoot.GitHubMentionsPopup.parseSettingsImportPayload = parseSettingsImportPayload;
       popupBackupRoot.GitHubMentionsPopup.createBackupManager = function(context, services) {
         function downloadTextFile(filename, text) {
           const blob = new Blob([text], { type: "application/json;charset=utf-8" });
@@ -244,7 +2283,10 @@
             const settingsSnapshot = {
               ...context.getSettings() || {},
               dataSource: document.querySelector('input[name="dataSource"]:checked')?.value || context.getSettings()?.dataSource || "gui",
-              directJsonData: context.dom.directJsonData.value.trim() || "[]"
+              directJsonData: context.dom.directJsonData.value.trim() || "[]",
+              endpointUrl: context.dom.endpointUrlInput.value.trim(),
+              visibleRows: context.dom.visibleRowsInput.value,
+              maxResults: context.dom.maxResultsInput.value
             };
             context.setSettings(window.GitHubMentionsSettings.normalizeSettings(settingsSnapshot));
             const payload = buildSettingsExportPayload(context.getSettings());
@@ -259,11 +2301,10 @@
           if (!file) return;
           try {
             const text = await file.text();
-            const payload = JSON.parse(text);
-            if (!payload || typeof payload !== "object") {
-              throw new Error("Invalid import file.");
+            const { settings: nextSettings, error } = parseSettingsImportPayload(JSON.parse(text));
+            if (error) {
+              throw new Error(error);
             }
-            const nextSettings = window.GitHubMentionsSettings.normalizeSettings(payload.settings);
             const saved = await window.GitHubMentionsStorage.setSettings(nextSettings);
             if (!saved) {
               throw new Error("Failed to save extension settings.");
@@ -271,10 +2312,15 @@
             context.setSettings(nextSettings);
             services.settingsForm.updateSettingUI();
             context.dom.userTableBody.innerHTML = "";
+            context.dom.groupTableBody.innerHTML = "";
             if (nextSettings.dataSource === "gui") {
               services.usersTable.loadUserTableData();
             }
+            services.sourcesManager.loadSources();
+            services.lgtmProvidersManager.loadProviders();
             services.commandsManager.updateCommandsGrid();
+            services.commandPacksManager.renderPacks();
+            services.customHostsManager.renderHosts();
             await services.statusUi.updateStatus();
             await services.saveSettingsAndRefresh();
             services.statusUi.showSuccess("Settings imported.");
@@ -305,7 +2351,87 @@
       };
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
-          buildSettingsExportPayload
+          BACKUP_FORMAT_VERSION,
+          buildSettingsExportPayload,
+          parseSettingsImportPayload
+        };
+      }
+    }
+  });
+
+  // browserAction/popup/sync-manager.js
+  var require_sync_manager = __commonJS({
+    "browserAction/popup/sync-manager.js"(exports, module) {
+      var popupSyncRoot = typeof window !== "undefined" ? window : globalThis;
+      popupSyncRoot.GitHubMentionsPopup = popupSyncRoot.GitHubMentionsPopup || {};
+      function describeSyncConflict(conflict) {
+        const when = new Date(conflict.timestamp).toLocaleString();
+        const remote = conflict.remoteDeviceId ? `another browser (${conflict.remoteDeviceId})` : "another browser";
+        return conflict.winner === "local" ? `${when}: kept this browser's changes over ${remote}` : `${when}: replaced this browser's changes with ${remote}`;
+      }
+      popupSyncRoot.GitHubMentionsPopup.createSyncManager = function(context, services) {
+        function renderStatus(status) {
+          context.dom.syncEnabledInput.checked = status.enabled;
+          context.dom.syncNowBtn.disabled = !status.enabled;
+          context.dom.syncStatus.textContent = status.enabled ? `Last synced: ${status.syncedAt ? new Date(status.syncedAt).toLocaleString() : "never"}` : "Sync is off. Settings are stored in this browser only.";
+          const conflicts = status.conflicts || [];
+          context.dom.syncConflictsList.innerHTML = "";
+          context.dom.syncConflictsDetails.classList.toggle("hidden", conflicts.length === 0);
+          conflicts.forEach((conflict) => {
+            const item = document.createElement("li");
+            item.textContent = describeSyncConflict(conflict);
+            context.dom.syncConflictsList.appendChild(item);
+          });
+        }
+        async function loadStatus() {
+          const status = await services.settingsForm.sendBackgroundMessage({ action: "getSyncStatus" });
+          if (status.success) {
+            renderStatus(status);
+          }
+        }
+        async function reloadSettingsUi() {
+          await services.settingsForm.loadSettings();
+          services.sourcesManager.loadSources();
+          services.lgtmProvidersManager.loadProviders();
+          services.commandsManager.updateCommandsGrid();
+          services.commandPacksManager.renderPacks();
+          services.customHostsManager.renderHosts();
+        }
+        async function handleSyncResult(result, successMessage) {
+          if (!result.success) {
+            services.statusUi.showError(result.message || "Settings sync failed");
+          } else if (result.action === "pull") {
+            await reloadSettingsUi();
+            services.statusUi.showSuccess("Loaded settings synced from another browser");
+          } else if (successMessage) {
+            services.statusUi.showSuccess(successMessage);
+          }
+          await loadStatus();
+        }
+        async function toggleSync() {
+          const enabled = context.dom.syncEnabledInput.checked;
+          const result = await services.settingsForm.sendBackgroundMessage({ action: "setSyncEnabled", enabled });
+          await handleSyncResult(result, enabled ? "Settings sync turned on" : "Settings sync turned off");
+        }
+        async function syncNow() {
+          const result = await services.settingsForm.sendBackgroundMessage({ action: "syncSettings" });
+          await handleSyncResult(result, "Settings are in sync");
+        }
+        function bindEvents() {
+          context.dom.syncEnabledInput.addEventListener("change", toggleSync);
+          context.dom.syncNowBtn.addEventListener("click", (event) => {
+            event.preventDefault();
+            syncNow();
+          });
+        }
+        return {
+          bindEvents,
+          loadStatus
+        };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          describeSyncConflict
         };
       }
     }
@@ -313,43 +2439,89 @@
 
   // src/popup-entry.js
   var import_settings = __toESM(require_settings());
+  var import_lgtm = __toESM(require_lgtm());
+  var import_user_sources = __toESM(require_user_sources());
+  var import_user_cache = __toESM(require_user_cache());
 
   // utils/storage.js
   window.GitHubMentionsStorage = {};
+  var STORAGE_KEYS = {
+    USER_CACHE_META: "githubMentions_userCacheMeta",
+    SETTINGS: "githubMentions_settings",
+    CACHE_TIMESTAMP: "githubMentions_cacheTimestamp",
+    SOURCE_STATS: "githubMentions_sourceStats",
+    MENTION_STATS: "githubMentions_mentionStats",
+    LGTM_HISTORY: "githubMentions_lgtmHistory"
+  };
   var CACHE_DURATION = 60 * 60 * 1e3;
-  var MAX_CACHE_SIZE = 1024 * 1024;
+  window.GitHubMentionsStorage.STORAGE_KEYS = STORAGE_KEYS;
   window.GitHubMentionsStorage.getCachedUsers = async function() {
     try {
-      const result = await chrome.storage.local.get("githubMentions_userCache");
-      const cachedData = result.githubMentions_userCache;
-      if (!cachedData || !Array.isArray(cachedData)) {
-        return [];
+      const userCache = window.GitHubMentionsUserCache;
+      if (!userCache) {
+        return null;
+      }
+      const { users: cachedData } = await userCache.readUserCache(chrome.storage.local);
+      if (!cachedData) {
+        return null;
       }
       const validUsers = window.GitHubMentionsSettings ? window.GitHubMentionsSettings.normalizeUsersForCache(cachedData) : [];
       if (validUsers.length !== cachedData.length) {
         return [];
       }
       return validUsers;
+    } catch (error) {
+      return null;
+    }
+  };
+  window.GitHubMentionsStorage.getUserCacheInfo = async function() {
+    try {
+      return window.GitHubMentionsUserCache ? await window.GitHubMentionsUserCache.readUserCacheMeta(chrome.storage.local) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  window.GitHubMentionsStorage.getSourceStats = async function() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SOURCE_STATS);
+      const stats = result[STORAGE_KEYS.SOURCE_STATS];
+      return Array.isArray(stats) ? stats : [];
     } catch (error) {
       return [];
     }
   };
-  window.GitHubMentionsStorage.setCachedUsers = async function(users) {
+  window.GitHubMentionsStorage.getMentionStats = async function() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.MENTION_STATS);
+      const stats = result[STORAGE_KEYS.MENTION_STATS];
+      return stats && typeof stats === "object" && !Array.isArray(stats) ? stats : {};
+    } catch (error) {
+      return {};
+    }
+  };
+  window.GitHubMentionsStorage.setMentionStats = async function(stats) {
+    try {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.MENTION_STATS]: stats && typeof stats === "object" ? stats : {}
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  window.GitHubMentionsStorage.getLgtmHistory = async function() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.LGTM_HISTORY);
+      const history = result[STORAGE_KEYS.LGTM_HISTORY];
+      return window.GitHubMentionsLGTM ? window.GitHubMentionsLGTM.normalizeLgtmHistory(history) : Array.isArray(history) ? history : [];
+    } catch (error) {
+      return [];
+    }
+  };
+  window.GitHubMentionsStorage.setLgtmHistory = async function(history) {
     try {
-      if (!Array.isArray(users)) {
-        return false;
-      }
-      const validUsers = window.GitHubMentionsSettings ? window.GitHubMentionsSettings.normalizeUsersForCache(users) : [];
-      if (validUsers.length !== users.length) {
-        return false;
-      }
-      const dataSize = JSON.stringify(validUsers).length;
-      if (dataSize > 1024 * 1024) {
-        return false;
-      }
       await chrome.storage.local.set({
-        "githubMentions_userCache": validUsers,
-        "githubMentions_cacheTimestamp": Date.now()
+        [STORAGE_KEYS.LGTM_HISTORY]: Array.isArray(history) ? history : []
       });
       return true;
     } catch (error) {
@@ -358,10 +2530,8 @@
   };
   window.GitHubMentionsStorage.clearCache = async function() {
     try {
-      await chrome.storage.local.remove([
-        "githubMentions_userCache",
-        "githubMentions_cacheTimestamp"
-      ]);
+      await window.GitHubMentionsUserCache?.clearUserCache(chrome.storage.local);
+      await chrome.storage.local.remove(STORAGE_KEYS.CACHE_TIMESTAMP);
       return true;
     } catch (error) {
       return false;
@@ -370,29 +2540,19 @@
   window.GitHubMentionsStorage.getSettings = async function() {
     try {
       const result = await chrome.storage.local.get("githubMentions_settings");
-      if (window.GitHubMentionsSettings) {
-        return window.GitHubMentionsSettings.normalizeSettings(result.githubMentions_settings);
-      }
-      return result.githubMentions_settings || {
-        dataSource: "gui",
-        directJsonData: "",
-        enabled: true,
-        customCommands: {}
-      };
+      return window.GitHubMentionsSettings.normalizeSettings(result.githubMentions_settings);
     } catch (error) {
-      return window.GitHubMentionsSettings ? window.GitHubMentionsSettings.getDefaultSettings() : {
-        dataSource: "gui",
-        directJsonData: "",
-        enabled: true,
-        customCommands: {}
-      };
+      return window.GitHubMentionsSettings.getDefaultSettings();
     }
   };
   window.GitHubMentionsStorage.setSettings = async function(settings) {
     try {
-      const normalizedSettings = window.GitHubMentionsSettings ? window.GitHubMentionsSettings.normalizeSettings(settings) : settings;
+      const result = await chrome.storage.local.get("githubMentions_settings");
+      if (window.GitHubMentionsSettings.isNewerSettingsSchema(result.githubMentions_settings)) {
+        return false;
+      }
       await chrome.storage.local.set({
-        "githubMentions_settings": normalizedSettings
+        "githubMentions_settings": window.GitHubMentionsSettings.normalizeSettings(settings)
       });
       return true;
     } catch (error) {
@@ -413,6 +2573,10 @@
     }
   };
 
+  // src/popup-entry.js
+  var import_templates = __toESM(require_templates());
+  var import_command_packs = __toESM(require_command_packs());
+
   // browserAction/popup/shared.js
   window.GitHubMentionsPopup = window.GitHubMentionsPopup || {};
   window.GitHubMentionsPopup.createContext = function() {
@@ -421,17 +2585,58 @@
         dataSourceRadios: document.querySelectorAll('input[name="dataSource"]'),
         directJsonSection: document.getElementById("directJsonSection"),
         guiJsonSection: document.getElementById("guiJsonSection"),
+        endpointSection: document.getElementById("endpointSection"),
         directJsonData: document.getElementById("directJsonData"),
+        endpointUrlInput: document.getElementById("endpointUrl"),
         validateJsonBtn: document.getElementById("validateJson"),
+        testEndpointBtn: document.getElementById("testEndpoint"),
+        refreshEndpointBtn: document.getElementById("refreshEndpoint"),
         saveSettingsBtn: document.getElementById("saveSettings"),
         extensionStatus: document.getElementById("extensionStatus"),
         dataSourceStatus: document.getElementById("dataSourceStatus"),
         cachedUsersCount: document.getElementById("cachedUsersCount"),
+        userCacheUsage: document.getElementById("userCacheUsage"),
+        sourceStatsList: document.getElementById("sourceStatsList"),
+        userSourcesList: document.getElementById("userSourcesList"),
+        newSourceTypeSelect: document.getElementById("newSourceType"),
+        addUserSourceBtn: document.getElementById("addUserSource"),
+        userSourceFileInput: document.getElementById("userSourceFile"),
+        sourcePrecedenceSelect: document.getElementById("sourcePrecedence"),
+        visibleRowsInput: document.getElementById("visibleRows"),
+        maxResultsInput: document.getElementById("maxResults"),
+        mentionTriggerInput: document.getElementById("mentionTrigger"),
+        mentionTriggerLineStartInput: document.getElementById("mentionTriggerLineStart"),
+        commandTriggerInput: document.getElementById("commandTrigger"),
+        commandTriggerLineStartInput: document.getElementById("commandTriggerLineStart"),
         commandsGrid: document.getElementById("commandsGrid"),
         addCommandBtn: document.getElementById("addCommand"),
         commandCountDisplay: document.getElementById("commandCount"),
         userTableBody: document.getElementById("userTableBody"),
         addUserRowBtn: document.getElementById("addUserRow"),
+        groupTableBody: document.getElementById("groupTableBody"),
+        addGroupRowBtn: document.getElementById("addGroupRow"),
+        lgtmProvidersList: document.getElementById("lgtmProvidersList"),
+        newLgtmProviderTypeSelect: document.getElementById("newLgtmProviderType"),
+        addLgtmProviderBtn: document.getElementById("addLgtmProvider"),
+        lgtmGalleryFilter: document.getElementById("lgtmGalleryFilter"),
+        lgtmGallery: document.getElementById("lgtmGallery"),
+        pickerShortcutInput: document.getElementById("pickerShortcut"),
+        savePickerShortcutBtn: document.getElementById("savePickerShortcut"),
+        pickerShortcutHelp: document.getElementById("pickerShortcutHelp"),
+        customHostInput: document.getElementById("customHostInput"),
+        addCustomHostBtn: document.getElementById("addCustomHost"),
+        customHostsList: document.getElementById("customHostsList"),
+        commandPackUrlInput: document.getElementById("commandPackUrl"),
+        fetchCommandPackBtn: document.getElementById("fetchCommandPack"),
+        chooseCommandPackFileBtn: document.getElementById("chooseCommandPackFile"),
+        commandPackFileInput: document.getElementById("commandPackFile"),
+        commandPackPreview: document.getElementById("commandPackPreview"),
+        commandPackList: document.getElementById("commandPackList"),
+        syncEnabledInput: document.getElementById("syncEnabled"),
+        syncNowBtn: document.getElementById("syncNow"),
+        syncStatus: document.getElementById("syncStatus"),
+        syncConflictsDetails: document.getElementById("syncConflictsDetails"),
+        syncConflictsList: document.getElementById("syncConflictsList"),
         exportSettingsBtn: document.getElementById("exportSettings"),
         importSettingsBtn: document.getElementById("importSettings"),
         importSettingsFileInput: document.getElementById("importSettingsFile"),
@@ -442,6 +2647,10 @@
         modalSave: document.getElementById("modalSave"),
         commandNameInput: document.getElementById("commandName"),
         commandContentTextarea: document.getElementById("commandContent"),
+        templateVariablesList: document.getElementById("templateVariablesList"),
+        commandParamsInput: document.getElementById("commandParams"),
+        commandCategoryInput: document.getElementById("commandCategory"),
+        commandCategoryOptions: document.getElementById("commandCategoryOptions"),
         commandEmojiInput: document.getElementById("commandEmoji"),
         emojiPickerBtn: document.getElementById("emojiPickerBtn"),
         emojiPicker: document.getElementById("emojiPicker"),
@@ -477,6 +2686,12 @@
   // browserAction/popup/status-ui.js
   window.GitHubMentionsPopup = window.GitHubMentionsPopup || {};
   window.GitHubMentionsPopup.createStatusUi = function(context) {
+    function getDataSourceLabel(dataSource) {
+      if (dataSource === "endpoint") {
+        return "HTTP Endpoint";
+      }
+      return dataSource === "direct" ? "Direct JSON" : "Local (GUI)";
+    }
     function showStatus(message, type, timeout) {
       const container = context.dom.statusIndicatorContainer;
       if (!container) return;
@@ -495,6 +2710,17 @@
         }
       }, timeout);
     }
+    function renderSourceStats(stats) {
+      const list = context.dom.sourceStatsList;
+      if (!list) return;
+      list.innerHTML = "";
+      stats.forEach((stat) => {
+        const item = document.createElement("li");
+        item.className = stat.error ? "source-stat error" : "source-stat";
+        item.textContent = window.GitHubMentionsUserSources.describeSourceStat(stat);
+        list.appendChild(item);
+      });
+    }
     async function updateStatus() {
       try {
         const settings = await window.GitHubMentionsStorage.getSettings();
@@ -505,10 +2731,12 @@
         }
         context.dom.extensionStatus.textContent = "Active";
         context.dom.extensionStatus.className = "status-value success";
-        context.dom.dataSourceStatus.textContent = settings.dataSource === "direct" ? "Direct JSON" : "Local (GUI)";
+        context.dom.dataSourceStatus.textContent = getDataSourceLabel(settings.dataSource);
         context.dom.dataSourceStatus.className = "status-value success";
-        const cachedUsers = await window.GitHubMentionsStorage.getCachedUsers();
-        context.dom.cachedUsersCount.textContent = String(cachedUsers.length);
+        const cacheInfo = await window.GitHubMentionsStorage.getUserCacheInfo();
+        context.dom.cachedUsersCount.textContent = (cacheInfo?.userCount || 0).toLocaleString();
+        context.dom.userCacheUsage.textContent = window.GitHubMentionsUserCache.describeUserCacheUsage(cacheInfo);
+        renderSourceStats(await window.GitHubMentionsStorage.getSourceStats());
       } catch (error) {
       }
     }
@@ -525,6 +2753,9 @@
 
   // src/popup-entry.js
   var import_users_table = __toESM(require_users_table());
+  var import_sources_manager = __toESM(require_sources_manager());
+  var import_lgtm_providers_manager = __toESM(require_lgtm_providers_manager());
+  var import_lgtm_gallery_manager = __toESM(require_lgtm_gallery_manager());
 
   // browserAction/popup/commands-manager.js
   window.GitHubMentionsPopup = window.GitHubMentionsPopup || {};
@@ -540,9 +2771,20 @@
     }
     function updateCommandCounter() {
       const count = Object.keys(getCustomCommands()).length;
-      context.dom.commandCountDisplay.textContent = `${count}/10`;
-      context.dom.addCommandBtn.disabled = count >= 10;
-      context.dom.addCommandBtn.textContent = count >= 10 ? "Maximum Reached" : "+ Add New Command";
+      context.dom.commandCountDisplay.textContent = `${count} ${count === 1 ? "command" : "commands"}`;
+    }
+    function updateCategoryOptions() {
+      const categories = window.GitHubMentionsSettings.groupCommandsByCategory(getCustomCommands()).map((group) => group.category).filter(Boolean);
+      context.dom.commandCategoryOptions.innerHTML = categories.map((category) => `<option value="${context.escapeHtml(category)}"></option>`).join("");
+    }
+    function renderTemplateVariables() {
+      const variables = window.GitHubMentionsTemplates.TEMPLATE_VARIABLES;
+      context.dom.templateVariablesList.innerHTML = variables.map(({ name, description }) => `<li><code>\${${context.escapeHtml(name)}}</code> - ${context.escapeHtml(description)}</li>`).join("");
+      context.dom.commandContentTextarea.placeholder = `\u{1F680} Ready for review!
+
+Updated: \${timestamp}
+
+Available variables: ${variables.map(({ name }) => `\${${name}}`).join(", ")}`;
     }
     function createBuiltInCommandCard(name, description, container) {
       const card = document.createElement("div");
@@ -560,13 +2802,15 @@
       const commandData = getCustomCommands()[name];
       let content = "";
       let emoji = "";
+      let params = "";
       if (typeof commandData === "object") {
         content = commandData.content || "";
         emoji = commandData.emoji || "";
+        params = window.GitHubMentionsTemplates.formatCommandParams(commandData.params);
       } else {
         content = commandData || "";
       }
-      openCommandModal(name, content, emoji);
+      openCommandModal(name, content, emoji, params, window.GitHubMentionsSettings.getCommandCategory(commandData));
     }
     async function deleteCommand(name) {
       if (!confirm(`Delete command !${name}?`)) return;
@@ -581,9 +2825,10 @@
       card.className = "command-card";
       const commandData = getCustomCommands()[name];
       const emoji = typeof commandData === "object" && commandData.emoji ? commandData.emoji : "";
+      const signature = typeof commandData === "object" ? window.GitHubMentionsTemplates.formatCommandParams(commandData.params) : "";
       card.innerHTML = `
       <div class="command-number">${number}</div>
-      <div class="command-header">${emoji ? `<span class="command-emoji">${emoji}</span>` : ""}<div class="command-name">!${name}</div></div>
+      <div class="command-header">${emoji ? `<span class="command-emoji">${emoji}</span>` : ""}<div class="command-name">!${name}${signature ? `(${context.escapeHtml(signature)})` : ""}</div></div>
       <div class="command-preview">${typeof commandData === "object" ? commandData.content : content}</div>
       <div class="command-actions">
         <button class="btn btn-secondary btn-mini edit-command">Edit</button>
@@ -601,18 +2846,37 @@
       builtInSection.className = "built-in-commands-section";
       builtInSection.innerHTML = '<h4 class="commands-section-title">Built-in Commands</h4><div class="built-in-commands-grid"></div>';
       context.dom.commandsGrid.appendChild(builtInSection);
-      createBuiltInCommandCard("lgtmrand", "Insert a random LGTM GIF from GIPHY", builtInSection.querySelector(".built-in-commands-grid"));
+      const builtInGrid = builtInSection.querySelector(".built-in-commands-grid");
+      createBuiltInCommandCard("lgtmfav", "Insert a random LGTM image from your favorites", builtInGrid);
+      createBuiltInCommandCard("lgtmrand", "Insert a random LGTM image from your LGTM providers", builtInGrid);
       const customSection = document.createElement("div");
       customSection.className = "custom-commands-section";
       if (Object.keys(customCommands).length > 0) {
-        customSection.innerHTML = '<h4 class="commands-section-title">Custom Commands</h4><div class="custom-commands-grid"></div>';
-        const customGrid = customSection.querySelector(".custom-commands-grid");
-        Object.entries(customCommands).forEach(([name, content], index) => createCommandCard(name, content, index + 1, customGrid));
+        customSection.innerHTML = '<h4 class="commands-section-title">Custom Commands</h4>';
+        const groups = window.GitHubMentionsSettings.groupCommandsByCategory(customCommands);
+        const showCategoryTitles = groups.some((group) => group.category);
+        let number = 0;
+        groups.forEach(({ category, names }) => {
+          if (showCategoryTitles) {
+            const title = document.createElement("h5");
+            title.className = "commands-category-title";
+            title.textContent = category || "Uncategorized";
+            customSection.appendChild(title);
+          }
+          const customGrid = document.createElement("div");
+          customGrid.className = "custom-commands-grid";
+          customSection.appendChild(customGrid);
+          names.forEach((name) => {
+            number += 1;
+            createCommandCard(name, customCommands[name], number, customGrid);
+          });
+        });
       } else {
         customSection.innerHTML = '<h4 class="commands-section-title">Custom Commands</h4><div class="empty-state"><p>No custom commands yet. Click "Add New Command" to create your first one!</p></div>';
       }
       context.dom.commandsGrid.appendChild(customSection);
       updateCommandCounter();
+      updateCategoryOptions();
     }
     function hideEmojiPicker() {
       context.dom.emojiPicker.classList.add("hidden");
@@ -676,13 +2940,15 @@
       }
       return true;
     }
-    function openCommandModal(commandName, content, emoji) {
+    function openCommandModal(commandName, content, emoji, params = "", category = "") {
       context.setEditingCommand(commandName);
       context.dom.modalTitle.textContent = commandName ? `Edit Command: !${commandName}` : "Add New Command";
       context.dom.commandNameInput.value = commandName || "";
       context.dom.commandNameInput.disabled = Boolean(commandName);
       context.dom.commandContentTextarea.value = content || "";
       context.dom.commandEmojiInput.value = emoji || "";
+      context.dom.commandParamsInput.value = params || "";
+      context.dom.commandCategoryInput.value = category || "";
       context.dom.commandModal.classList.remove("hidden");
       hideEmojiPicker();
       (commandName ? context.dom.commandContentTextarea : context.dom.commandNameInput).focus();
@@ -693,6 +2959,8 @@
       context.dom.commandNameInput.value = "";
       context.dom.commandContentTextarea.value = "";
       context.dom.commandEmojiInput.value = "";
+      context.dom.commandParamsInput.value = "";
+      context.dom.commandCategoryInput.value = "";
       hideEmojiPicker();
       context.dom.commandNameInput.classList.remove("invalid");
       const validationMessage = document.getElementById("commandNameValidation");
@@ -705,16 +2973,14 @@
       if (!context.getSettings()) {
         context.setSettings(window.GitHubMentionsSettings.getDefaultSettings());
       }
-      if (Object.keys(getCustomCommands()).length >= 10) {
-        services.statusUi.showError("Maximum 10 commands allowed");
-        return;
-      }
       openCommandModal(null, "\u{1F680} Ready for review!\n\nUpdated: ${timestamp}", "");
     }
     async function saveCommand() {
       const name = context.dom.commandNameInput.value.trim();
       const content = context.dom.commandContentTextarea.value.trim();
       const emoji = context.dom.commandEmojiInput.value.trim();
+      const category = context.dom.commandCategoryInput.value.trim();
+      const { params, error: paramsError } = window.GitHubMentionsTemplates.parseCommandParams(context.dom.commandParamsInput.value);
       if (!name) {
         services.statusUi.showError("Command name is required");
         context.dom.commandNameInput.focus();
@@ -729,9 +2995,31 @@
         context.dom.commandNameInput.focus();
         return;
       }
+      if (paramsError) {
+        services.statusUi.showError(paramsError);
+        context.dom.commandParamsInput.focus();
+        return;
+      }
+      const unknownVariables = window.GitHubMentionsTemplates.findUnknownTemplateVariables(content, params);
+      if (unknownVariables.length > 0) {
+        services.statusUi.showError(window.GitHubMentionsTemplates.formatUnknownVariablesMessage(unknownVariables));
+        context.dom.commandContentTextarea.focus();
+        return;
+      }
+      const conflictingTabStops = window.GitHubMentionsTemplates.findConflictingTabStops(content, params);
+      if (conflictingTabStops.length > 0) {
+        services.statusUi.showError(window.GitHubMentionsTemplates.formatConflictingTabStopsMessage(conflictingTabStops));
+        context.dom.commandContentTextarea.focus();
+        return;
+      }
       const settings = context.getSettings();
       settings.customCommands = settings.customCommands || {};
-      settings.customCommands[name] = { content, emoji: emoji || null };
+      settings.customCommands[name] = {
+        content,
+        emoji: emoji || null,
+        ...params.length > 0 ? { params } : {},
+        ...category ? { category } : {}
+      };
       closeCommandModal();
       await services.saveSettingsAndRefresh();
     }
@@ -770,6 +3058,7 @@
     }
     return {
       bindEvents,
+      renderTemplateVariables,
       updateCommandsGrid,
       createNewCommand,
       closeCommandModal
@@ -777,7 +3066,11 @@
   };
 
   // src/popup-entry.js
+  var import_command_packs_manager = __toESM(require_command_packs_manager());
+  var import_custom_hosts_manager = __toESM(require_custom_hosts_manager());
+  var import_shortcut_manager = __toESM(require_shortcut_manager());
   var import_backup_manager = __toESM(require_backup_manager());
+  var import_sync_manager = __toESM(require_sync_manager());
 
   // browserAction/popup/settings-form.js
   window.GitHubMentionsPopup = window.GitHubMentionsPopup || {};
@@ -796,18 +3089,85 @@
         radio.checked = true;
       }
       context.dom.directJsonData.value = currentSettings.directJsonData || "[]";
+      context.dom.endpointUrlInput.value = currentSettings.endpointUrl || "";
+      context.dom.visibleRowsInput.value = currentSettings.visibleRows;
+      context.dom.maxResultsInput.value = currentSettings.maxResults;
+      const triggers = window.GitHubMentionsSettings.normalizeTriggers(currentSettings.triggers);
+      context.dom.mentionTriggerInput.value = triggers.mention.sequence;
+      context.dom.mentionTriggerLineStartInput.checked = triggers.mention.lineStart;
+      context.dom.commandTriggerInput.value = triggers.command.sequence;
+      context.dom.commandTriggerLineStartInput.checked = triggers.command.lineStart;
       updateDataSourceSection();
     }
     function updateDataSourceSection() {
       const selectedDataSource = document.querySelector('input[name="dataSource"]:checked').value;
-      if (selectedDataSource === "direct") {
-        context.dom.directJsonSection.classList.remove("hidden");
-        context.dom.guiJsonSection.classList.add("hidden");
+      context.dom.directJsonSection.classList.toggle("hidden", selectedDataSource !== "direct");
+      context.dom.endpointSection.classList.toggle("hidden", selectedDataSource !== "endpoint");
+      context.dom.guiJsonSection.classList.toggle("hidden", selectedDataSource !== "gui");
+      if (selectedDataSource === "gui") {
+        services.usersTable.loadUserTableData();
+      }
+    }
+    function sendBackgroundMessage(message) {
+      return new Promise((resolve) => {
+        try {
+          chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+              resolve({ success: false, message: chrome.runtime.lastError.message });
+              return;
+            }
+            resolve(response || { success: false, message: "No response from background" });
+          });
+        } catch (error) {
+          resolve({ success: false, message: error.message });
+        }
+      });
+    }
+    async function requestEndpointPermission(urls) {
+      if (!chrome.permissions?.request) {
+        return true;
+      }
+      try {
+        const origins = [...new Set([].concat(urls).map((url) => `${new URL(url).origin}/*`))];
+        if (origins.length === 0) {
+          return true;
+        }
+        return await chrome.permissions.request({ origins });
+      } catch (error) {
+        return false;
+      }
+    }
+    function getEndpointUrlInput() {
+      const url = context.dom.endpointUrlInput.value.trim();
+      if (!window.GitHubMentionsSettings.isValidEndpointUrl(url)) {
+        services.statusUi.showError("Please enter a valid http(s) endpoint URL");
+        return null;
+      }
+      return url;
+    }
+    async function testEndpoint() {
+      const url = getEndpointUrlInput();
+      if (!url) return;
+      if (!await requestEndpointPermission(url)) {
+        services.statusUi.showError("Permission to access the endpoint was denied");
         return;
       }
-      context.dom.directJsonSection.classList.add("hidden");
-      context.dom.guiJsonSection.classList.remove("hidden");
-      services.usersTable.loadUserTableData();
+      const result = await sendBackgroundMessage({ action: "testEndpoint", url });
+      if (result.success) {
+        services.statusUi.showSuccess(`Endpoint OK! Found ${result.userCount} valid users.`);
+      } else {
+        services.statusUi.showError(result.message || "Endpoint test failed");
+      }
+    }
+    async function refreshUserDirectory() {
+      const result = await sendBackgroundMessage({ action: "refreshUserDirectory", force: true });
+      if (result.success) {
+        services.statusUi.showSuccess(result.message);
+      } else {
+        services.statusUi.showError(result.message || "Failed to refresh users");
+      }
+      await services.statusUi.updateStatus();
+      return result;
     }
     function validateJson() {
       const jsonText = context.dom.directJsonData.value.trim();
@@ -834,24 +3194,77 @@
         services.statusUi.showError(`Invalid JSON format: ${error.message}`);
       }
     }
-    async function saveSettings() {
+    async function saveSettings(overrides = {}) {
       try {
         const selectedDataSource = document.querySelector('input[name="dataSource"]:checked').value;
         if (!services.usersTable.validateAllRows()) {
-          services.statusUi.showError("Please fill in all required fields (username is required for all users).");
+          services.statusUi.showError("Please fill in all required fields (username is required for all users, and groups need a name and members).");
           return false;
         }
         if (selectedDataSource === "gui") {
           services.usersTable.syncTableToJson();
         }
+        const endpointUrl = context.dom.endpointUrlInput.value.trim();
+        if (selectedDataSource === "endpoint" && !getEndpointUrlInput()) {
+          return false;
+        }
+        const { sources, sourcePrecedence, error: sourceError } = services.sourcesManager.collectSources();
+        if (sourceError) {
+          services.statusUi.showError(sourceError);
+          return false;
+        }
+        const { providers: lgtmProviders, error: lgtmError } = services.lgtmProvidersManager.collectProviders();
+        if (lgtmError) {
+          services.statusUi.showError(lgtmError);
+          return false;
+        }
+        const triggers = {
+          mention: {
+            sequence: context.dom.mentionTriggerInput.value.trim(),
+            lineStart: context.dom.mentionTriggerLineStartInput.checked
+          },
+          command: {
+            sequence: context.dom.commandTriggerInput.value.trim(),
+            lineStart: context.dom.commandTriggerLineStartInput.checked
+          }
+        };
+        const triggerError = window.GitHubMentionsSettings.validateTriggers(triggers);
+        if (triggerError) {
+          services.statusUi.showError(triggerError);
+          return false;
+        }
+        const endpointUrls = [
+          ...sources.filter((source) => source.enabled && source.type === "endpoint").map((source) => source.url),
+          ...lgtmProviders.filter((provider) => provider.type === "endpoint").map((provider) => provider.url)
+        ];
+        if (selectedDataSource === "endpoint") {
+          endpointUrls.unshift(endpointUrl);
+        }
+        if (endpointUrls.length > 0 && !await requestEndpointPermission(endpointUrls)) {
+          services.statusUi.showError("Permission to access the endpoint was denied");
+          return false;
+        }
         const jsonData = context.dom.directJsonData.value.trim();
         const newSettings = {
           dataSource: selectedDataSource,
           directJsonData: jsonData,
+          endpointUrl,
+          userSources: sources,
+          sourcePrecedence,
+          visibleRows: context.dom.visibleRowsInput.value,
+          maxResults: context.dom.maxResultsInput.value,
           enabled: true,
-          customCommands: context.getSettings()?.customCommands || {}
+          customCommands: context.getSettings()?.customCommands || {},
+          commandPacks: context.getSettings()?.commandPacks || [],
+          lgtmProviders,
+          customHosts: context.getSettings()?.customHosts || [],
+          triggers,
+          // The form already holds current-schema data; keep the loaded version so
+          // saving does not run the stored settings through the migrations again.
+          schemaVersion: context.getSettings()?.schemaVersion ?? window.GitHubMentionsSettings.getDefaultSettings().schemaVersion,
+          ...overrides
         };
-        if (jsonData && jsonData !== "[]") {
+        if (selectedDataSource !== "endpoint" && jsonData && jsonData !== "[]") {
           try {
             const data = JSON.parse(jsonData);
             const validUsers = window.GitHubMentionsSettings.normalizeUsersForCache(data);
@@ -859,11 +3272,6 @@
               services.statusUi.showError("No valid users found. Please add at least one user with a username.");
               return false;
             }
-            const cacheSuccess = await window.GitHubMentionsStorage.setCachedUsers(validUsers);
-            if (!cacheSuccess) {
-              services.statusUi.showError("Failed to cache user data. Please try again.");
-              return false;
-            }
           } catch (error) {
             services.statusUi.showError(`Invalid JSON format: ${error.message}. Please fix and try again.`);
             return false;
@@ -871,11 +3279,17 @@
         }
         const success = await window.GitHubMentionsStorage.setSettings(newSettings);
         if (!success) {
-          services.statusUi.showError("Failed to save settings");
+          services.statusUi.showError(window.GitHubMentionsSettings.isNewerSettingsSchema(context.getSettings()) ? "These settings were saved by a newer version of the extension. Update it before changing them here." : "Failed to save settings");
           return false;
         }
         context.setSettings(window.GitHubMentionsSettings.normalizeSettings(newSettings));
-        services.statusUi.showSuccess("Settings saved successfully");
+        const refreshResult = await sendBackgroundMessage({ action: "refreshUserDirectory" });
+        const failedSource = (refreshResult.sources || []).find((stat) => stat.error);
+        if (failedSource) {
+          services.statusUi.showError(`Settings saved, but source "${failedSource.name}" failed: ${failedSource.error}`);
+        } else {
+          services.statusUi.showSuccess("Settings saved successfully");
+        }
         setTimeout(() => services.statusUi.updateStatus(), 500);
         return true;
       } catch (error) {
@@ -883,27 +3297,26 @@
         return false;
       }
     }
-    async function saveSettingsAndRefresh() {
-      const saved = await saveSettings();
+    async function saveSettingsAndRefresh(overrides) {
+      const saved = await saveSettings(overrides);
       if (!saved) return false;
       services.commandsManager.updateCommandsGrid();
-      try {
-        const tabs = await chrome.tabs.query({ url: "*://*.github.com/*" });
-        for (const tab of tabs) {
-          chrome.tabs.sendMessage(tab.id, {
-            type: "GMP_SETTINGS_UPDATED",
-            settings: context.getSettings()
-          });
-        }
-      } catch (error) {
-      }
       return true;
     }
     function bindEvents() {
       context.dom.dataSourceRadios.forEach((radio) => radio.addEventListener("change", updateDataSourceSection));
-      context.dom.saveSettingsBtn.addEventListener("click", saveSettingsAndRefresh);
+      context.dom.saveSettingsBtn.addEventListener("click", () => saveSettingsAndRefresh());
       context.dom.validateJsonBtn.addEventListener("click", validateJson);
+      context.dom.testEndpointBtn.addEventListener("click", (event) => {
+        event.preventDefault();
+        testEndpoint();
+      });
+      context.dom.refreshEndpointBtn.addEventListener("click", (event) => {
+        event.preventDefault();
+        refreshUserDirectory();
+      });
       context.dom.addUserRowBtn.addEventListener("click", () => services.usersTable.addUserRow());
+      context.dom.addGroupRowBtn.addEventListener("click", () => services.usersTable.addGroupRow());
       context.dom.directJsonData.addEventListener("keypress", (event) => {
         if (event.ctrlKey && event.key === "Enter") {
           saveSettings();
@@ -917,6 +3330,10 @@
       saveSettingsAndRefresh,
       updateSettingUI,
       updateDataSourceSection,
+      refreshUserDirectory,
+      requestEndpointPermission,
+      sendBackgroundMessage,
+      testEndpoint,
       validateJson
     };
   };
@@ -930,26 +3347,62 @@
       const services = {
         statusUi,
         usersTable,
+        sourcesManager: null,
+        lgtmProvidersManager: null,
+        lgtmGalleryManager: null,
         commandsManager: null,
+        commandPacksManager: null,
+        customHostsManager: null,
+        shortcutManager: null,
         settingsForm: null,
         backupManager: null,
-        async saveSettingsAndRefresh() {
-          return services.settingsForm.saveSettingsAndRefresh();
+        syncManager: null,
+        async saveSettingsAndRefresh(overrides) {
+          return services.settingsForm.saveSettingsAndRefresh(overrides);
         }
       };
+      const sourcesManager = window.GitHubMentionsPopup.createSourcesManager(context, services);
+      services.sourcesManager = sourcesManager;
+      const lgtmProvidersManager = window.GitHubMentionsPopup.createLgtmProvidersManager(context, services);
+      services.lgtmProvidersManager = lgtmProvidersManager;
+      const lgtmGalleryManager = window.GitHubMentionsPopup.createLgtmGalleryManager(context, services);
+      services.lgtmGalleryManager = lgtmGalleryManager;
       const commandsManager = window.GitHubMentionsPopup.createCommandsManager(context, services);
       services.commandsManager = commandsManager;
+      const commandPacksManager = window.GitHubMentionsPopup.createCommandPacksManager(context, services);
+      services.commandPacksManager = commandPacksManager;
+      const customHostsManager = window.GitHubMentionsPopup.createCustomHostsManager(context, services);
+      services.customHostsManager = customHostsManager;
+      const shortcutManager = window.GitHubMentionsPopup.createShortcutManager(context, services);
+      services.shortcutManager = shortcutManager;
       const settingsForm = window.GitHubMentionsPopup.createSettingsForm(context, services);
       services.settingsForm = settingsForm;
       const backupManager = window.GitHubMentionsPopup.createBackupManager(context, services);
       services.backupManager = backupManager;
+      const syncManager = window.GitHubMentionsPopup.createSyncManager(context, services);
+      services.syncManager = syncManager;
       await settingsForm.loadSettings();
       await statusUi.updateStatus();
       settingsForm.bindEvents();
+      sourcesManager.bindEvents();
+      lgtmProvidersManager.bindEvents();
+      lgtmGalleryManager.bindEvents();
       commandsManager.bindEvents();
+      commandPacksManager.bindEvents();
+      customHostsManager.bindEvents();
+      shortcutManager.bindEvents();
       backupManager.bindEvents();
+      syncManager.bindEvents();
       settingsForm.updateDataSourceSection();
+      sourcesManager.loadSources();
+      lgtmProvidersManager.loadProviders();
+      lgtmGalleryManager.loadGallery();
+      syncManager.loadStatus();
+      commandsManager.renderTemplateVariables();
       commandsManager.updateCommandsGrid();
+      commandPacksManager.renderPacks();
+      customHostsManager.renderHosts();
+      shortcutManager.loadShortcut();
       if (document.querySelector('input[name="dataSource"]:checked')?.value === "gui") {
         usersTable.loadUserTableData();
       }
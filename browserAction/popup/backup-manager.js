@@ -1,16 +1,36 @@
 const popupBackupRoot = typeof window !== 'undefined' ? window : globalThis;
 popupBackupRoot.GitHubMentionsPopup = popupBackupRoot.GitHubMentionsPopup || {};
 
+// Version of the backup envelope; the settings inside carry their own schemaVersion
+const BACKUP_FORMAT_VERSION = 1;
+
 function buildSettingsExportPayload(settings) {
   return {
-    version: 1,
+    version: BACKUP_FORMAT_VERSION,
     exportedAt: new Date().toISOString(),
     app: 'github-mentions-plus',
     settings: popupBackupRoot.GitHubMentionsSettings.normalizeSettings(settings)
   };
 }
 
+/**
+ * Reads an exported backup and migrates its settings to the current schema.
+ * @returns {{settings: Object|null, error: string|null}}
+ */
+function parseSettingsImportPayload(payload) {
+  if (!payload || typeof payload !== 'object' || !payload.settings || typeof payload.settings !== 'object') {
+    return { settings: null, error: 'Invalid import file.' };
+  }
+  if (Number.isInteger(payload.version) && payload.version > BACKUP_FORMAT_VERSION) {
+    return { settings: null, error: 'This backup was exported by a newer version of the extension. Update the extension first.' };
+  }
+
+  const { settings, error } = popupBackupRoot.GitHubMentionsSettings.migrateSettings(payload.settings);
+  return { settings, error };
+}
+
 popupBackupRoot.GitHubMentionsPopup.buildSettingsExportPayload = buildSettingsExportPayload;
+popupBackupRoot.GitHubMentionsPopup.parseSettingsImportPayload = parseSettingsImportPayload;
 
 popupBackupRoot.GitHubMentionsPopup.createBackupManager = function(context, services) {
   function downloadTextFile(filename, text) {
@@ -34,7 +54,10 @@ popupBackupRoot.GitHubMentionsPopup.createBackupManager = function(context, serv
       const settingsSnapshot = {
         ...(context.getSettings() || {}),
         dataSource: document.querySelector('input[name="dataSource"]:checked')?.value || context.getSettings()?.dataSource || 'gui',
-        directJsonData: context.dom.directJsonData.value.trim() || '[]'
+        directJsonData: context.dom.directJsonData.value.trim() || '[]',
+        endpointUrl: context.dom.endpointUrlInput.value.trim(),
+        visibleRows: context.dom.visibleRowsInput.value,
+        maxResults: context.dom.maxResultsInput.value
       };
       context.setSettings(window.GitHubMentionsSettings.normalizeSettings(settingsSnapshot));
 
@@ -52,12 +75,11 @@ popupBackupRoot.GitHubMentionsPopup.createBackupManager = function(context, serv
 
     try {
       const text = await file.text();
-      const payload = JSON.parse(text);
-      if (!payload || typeof payload !== 'object') {
-        throw new Error('Invalid import file.');
+      const { settings: nextSettings, error } = parseSettingsImportPayload(JSON.parse(text));
+      if (error) {
+        throw new Error(error);
       }
 
-      const nextSettings = window.GitHubMentionsSettings.normalizeSettings(payload.settings);
       const saved = await window.GitHubMentionsStorage.setSettings(nextSettings);
       if (!saved) {
         throw new Error('Failed to save extension settings.');
@@ -66,10 +88,15 @@ popupBackupRoot.GitHubMentionsPopup.createBackupManager = function(context, serv
       context.setSettings(nextSettings);
       services.settingsForm.updateSettingUI();
       context.dom.userTableBody.innerHTML = '';
+      context.dom.groupTableBody.innerHTML = '';
       if (nextSettings.dataSource === 'gui') {
         services.usersTable.loadUserTableData();
       }
+      services.sourcesManager.loadSources();
+      services.lgtmProvidersManager.loadProviders();
       services.commandsManager.updateCommandsGrid();
+      services.commandPacksManager.renderPacks();
+      services.customHostsManager.renderHosts();
       await services.statusUi.updateStatus();
       await services.saveSettingsAndRefresh();
       services.statusUi.showSuccess('Settings imported.');
@@ -103,6 +130,8 @@ popupBackupRoot.GitHubMentionsPopup.createBackupManager = function(context, serv
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    buildSettingsExportPayload
+    BACKUP_FORMAT_VERSION,
+    buildSettingsExportPayload,
+    parseSettingsImportPayload
   };
 }
@@ -0,0 +1,195 @@
+const popupCommandPacksRoot = typeof window !== 'undefined' ? window : globalThis;
+popupCommandPacksRoot.GitHubMentionsPopup = popupCommandPacksRoot.GitHubMentionsPopup || {};
+
+/**
+ * Finds the subscription a pack updates: the one with the same URL, or for
+ * file imports the URL-less subscription with the same pack name.
+ */
+function findCommandPackSubscription(packs, pack, url) {
+  return (Array.isArray(packs) ? packs : []).find((subscription) => (
+    url ? subscription.url === url : !subscription.url && subscription.name === pack.name
+  )) || null;
+}
+
+function upsertCommandPack(packs, subscription) {
+  const list = Array.isArray(packs) ? packs : [];
+  return list.some((pack) => pack.id === subscription.id)
+    ? list.map((pack) => (pack.id === subscription.id ? subscription : pack))
+    : [...list, subscription];
+}
+
+popupCommandPacksRoot.GitHubMentionsPopup.createCommandPacksManager = function(context, services) {
+  let pending = null;
+
+  function getPacks() {
+    return context.getSettings()?.commandPacks || [];
+  }
+
+  function renderDiffList(label, names) {
+    if (names.length === 0) {
+      return '';
+    }
+
+    const items = names.map((name) => `<code>!${context.escapeHtml(name)}</code>`).join(' ');
+    return `<div class="command-pack-diff"><span class="command-pack-diff-label">${label}</span> ${items}</div>`;
+  }
+
+  function clearPreview() {
+    pending = null;
+    context.dom.commandPackPreview.innerHTML = '';
+    context.dom.commandPackPreview.classList.add('hidden');
+  }
+
+  function showPreview(pack, url) {
+    const subscription = findCommandPackSubscription(getPacks(), pack, url);
+    const diff = window.GitHubMentionsCommandPacks.diffCommandPack(context.getSettings()?.customCommands, pack, subscription);
+    pending = { pack, url, subscription };
+
+    const version = pack.version ? `<span class="source-type-badge">v${context.escapeHtml(pack.version)}</span>` : '';
+    const preview = context.dom.commandPackPreview;
+    preview.innerHTML = `
+      <div class="user-source-header">
+        <strong>${context.escapeHtml(pack.name)}</strong>
+        ${version}
+      </div>
+      <p class="help-text">${window.GitHubMentionsCommandPacks.formatCommandPackDiff(diff)}</p>
+      ${renderDiffList('Added', diff.added)}
+      ${renderDiffList('Changed', diff.changed)}
+      ${renderDiffList('Conflicts', diff.conflicts)}
+      ${diff.conflicts.length > 0 ? '<label class="checkbox-label"><input type="checkbox" class="command-pack-overwrite"> Overwrite conflicting local commands</label>' : ''}
+      ${url ? `<label class="checkbox-label"><input type="checkbox" class="command-pack-auto-sync" ${subscription?.autoSync ? 'checked' : ''}> Re-sync daily</label>` : ''}
+      <div class="command-actions">
+        <button type="button" class="btn btn-primary btn-mini apply-command-pack">Apply</button>
+        <button type="button" class="btn btn-secondary btn-mini cancel-command-pack">Cancel</button>
+      </div>
+    `;
+
+    preview.querySelector('.apply-command-pack').addEventListener('click', applyPending);
+    preview.querySelector('.cancel-command-pack').addEventListener('click', clearPreview);
+    preview.classList.remove('hidden');
+  }
+
+  async function applyPending() {
+    if (!pending) return;
+
+    const preview = context.dom.commandPackPreview;
+    const settings = context.getSettings();
+    const result = window.GitHubMentionsCommandPacks.applyCommandPack(settings.customCommands, pending.pack, {
+      subscription: pending.subscription,
+      url: pending.url,
+      autoSync: Boolean(preview.querySelector('.command-pack-auto-sync')?.checked),
+      overwriteConflicts: Boolean(preview.querySelector('.command-pack-overwrite')?.checked)
+    });
+
+    clearPreview();
+    const saved = await services.saveSettingsAndRefresh({
+      customCommands: result.customCommands,
+      commandPacks: upsertCommandPack(settings.commandPacks, result.subscription)
+    });
+    if (saved) {
+      services.statusUi.showSuccess(`Applied "${result.subscription.name}": ${window.GitHubMentionsCommandPacks.formatCommandPackDiff(result.diff)}`);
+    }
+    renderPacks();
+  }
+
+  async function previewFromUrl(url) {
+    if (!window.GitHubMentionsSettings.isValidEndpointUrl(url)) {
+      services.statusUi.showError('Command pack URL must be an http(s) URL');
+      return;
+    }
+    if (!(await services.settingsForm.requestEndpointPermission([url]))) {
+      services.statusUi.showError('Permission to access the command pack URL was denied');
+      return;
+    }
+
+    const result = await services.settingsForm.sendBackgroundMessage({ action: 'fetchCommandPack', url: url.trim() });
+    if (!result.success) {
+      services.statusUi.showError(result.message);
+      return;
+    }
+    showPreview(result.pack, url.trim());
+  }
+
+  async function previewFromFile(file) {
+    if (!file) return;
+
+    try {
+      const { pack, error } = window.GitHubMentionsCommandPacks.parseCommandPack(JSON.parse(await file.text()));
+      if (error) {
+        throw new Error(error);
+      }
+      showPreview(pack, '');
+    } catch (error) {
+      services.statusUi.showError(`Failed to load command pack: ${error.message}`);
+    } finally {
+      context.dom.commandPackFileInput.value = '';
+    }
+  }
+
+  async function savePacks(commandPacks) {
+    await services.saveSettingsAndRefresh({ commandPacks });
+    renderPacks();
+  }
+
+  function createPackCard(pack) {
+    const card = document.createElement('div');
+    card.className = 'user-source-card';
+    const commandCount = Object.keys(pack.commands).length;
+    const lastSynced = pack.lastSynced ? new Date(pack.lastSynced).toLocaleString() : 'never';
+    card.innerHTML = `
+      <div class="user-source-header">
+        <strong>${context.escapeHtml(pack.name)}</strong>
+        ${pack.version ? `<span class="source-type-badge">v${context.escapeHtml(pack.version)}</span>` : ''}
+        <span class="source-type-badge">${pack.url ? 'URL' : 'File'}</span>
+      </div>
+      <small class="help-text">${commandCount} ${commandCount === 1 ? 'command' : 'commands'} · last synced ${lastSynced}</small>
+      ${pack.url ? `<label class="checkbox-label"><input type="checkbox" class="pack-auto-sync" ${pack.autoSync ? 'checked' : ''}> Re-sync daily</label>` : ''}
+      <div class="command-actions">
+        ${pack.url ? '<button type="button" class="btn btn-secondary btn-mini check-pack">Check for updates</button>' : ''}
+        <button type="button" class="btn btn-danger btn-mini remove-pack">Remove</button>
+      </div>
+    `;
+
+    card.querySelector('.pack-auto-sync')?.addEventListener('change', (event) => {
+      savePacks(getPacks().map((entry) => (entry.id === pack.id ? { ...entry, autoSync: event.target.checked } : entry)));
+    });
+    card.querySelector('.check-pack')?.addEventListener('click', () => previewFromUrl(pack.url));
+    card.querySelector('.remove-pack').addEventListener('click', () => {
+      if (!confirm(`Remove pack "${pack.name}"? Its commands stay in your command list.`)) return;
+      savePacks(getPacks().filter((entry) => entry.id !== pack.id));
+    });
+    return card;
+  }
+
+  function renderPacks() {
+    const list = context.dom.commandPackList;
+    list.innerHTML = '';
+    getPacks().forEach((pack) => list.appendChild(createPackCard(pack)));
+  }
+
+  function bindEvents() {
+    context.dom.fetchCommandPackBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      previewFromUrl(context.dom.commandPackUrlInput.value);
+    });
+    context.dom.chooseCommandPackFileBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      context.dom.commandPackFileInput.click();
+    });
+    context.dom.commandPackFileInput.addEventListener('change', (event) => {
+      previewFromFile(event.target.files?.[0]);
+    });
+  }
+
+  return {
+    bindEvents,
+    renderPacks
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findCommandPackSubscription,
+    upsertCommandPack
+  };
+}
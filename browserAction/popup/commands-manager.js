@@ -14,9 +14,24 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
 
   function updateCommandCounter() {
     const count = Object.keys(getCustomCommands()).length;
-    context.dom.commandCountDisplay.textContent = `${count}/10`;
-    context.dom.addCommandBtn.disabled = count >= 10;
-    context.dom.addCommandBtn.textContent = count >= 10 ? 'Maximum Reached' : '+ Add New Command';
+    context.dom.commandCountDisplay.textContent = `${count} ${count === 1 ? 'command' : 'commands'}`;
+  }
+
+  function updateCategoryOptions() {
+    const categories = window.GitHubMentionsSettings.groupCommandsByCategory(getCustomCommands())
+      .map((group) => group.category)
+      .filter(Boolean);
+    context.dom.commandCategoryOptions.innerHTML = categories
+      .map((category) => `<option value="${context.escapeHtml(category)}"></option>`)
+      .join('');
+  }
+
+  function renderTemplateVariables() {
+    const variables = window.GitHubMentionsTemplates.TEMPLATE_VARIABLES;
+    context.dom.templateVariablesList.innerHTML = variables
+      .map(({ name, description }) => `<li><code>\${${context.escapeHtml(name)}}</code> - ${context.escapeHtml(description)}</li>`)
+      .join('');
+    context.dom.commandContentTextarea.placeholder = `🚀 Ready for review!\n\nUpdated: \${timestamp}\n\nAvailable variables: ${variables.map(({ name }) => `\${${name}}`).join(', ')}`;
   }
 
   function createBuiltInCommandCard(name, description, container) {
@@ -36,13 +51,15 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     const commandData = getCustomCommands()[name];
     let content = '';
     let emoji = '';
+    let params = '';
     if (typeof commandData === 'object') {
       content = commandData.content || '';
       emoji = commandData.emoji || '';
+      params = window.GitHubMentionsTemplates.formatCommandParams(commandData.params);
     } else {
       content = commandData || '';
     }
-    openCommandModal(name, content, emoji);
+    openCommandModal(name, content, emoji, params, window.GitHubMentionsSettings.getCommandCategory(commandData));
   }
 
   async function deleteCommand(name) {
@@ -59,9 +76,10 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     card.className = 'command-card';
     const commandData = getCustomCommands()[name];
     const emoji = typeof commandData === 'object' && commandData.emoji ? commandData.emoji : '';
+    const signature = typeof commandData === 'object' ? window.GitHubMentionsTemplates.formatCommandParams(commandData.params) : '';
     card.innerHTML = `
       <div class="command-number">${number}</div>
-      <div class="command-header">${emoji ? `<span class="command-emoji">${emoji}</span>` : ''}<div class="command-name">!${name}</div></div>
+      <div class="command-header">${emoji ? `<span class="command-emoji">${emoji}</span>` : ''}<div class="command-name">!${name}${signature ? `(${context.escapeHtml(signature)})` : ''}</div></div>
       <div class="command-preview">${typeof commandData === 'object' ? commandData.content : content}</div>
       <div class="command-actions">
         <button class="btn btn-secondary btn-mini edit-command">Edit</button>
@@ -81,19 +99,38 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     builtInSection.className = 'built-in-commands-section';
     builtInSection.innerHTML = '<h4 class="commands-section-title">Built-in Commands</h4><div class="built-in-commands-grid"></div>';
     context.dom.commandsGrid.appendChild(builtInSection);
-    createBuiltInCommandCard('lgtmrand', 'Insert a random LGTM GIF from GIPHY', builtInSection.querySelector('.built-in-commands-grid'));
+    const builtInGrid = builtInSection.querySelector('.built-in-commands-grid');
+    createBuiltInCommandCard('lgtmfav', 'Insert a random LGTM image from your favorites', builtInGrid);
+    createBuiltInCommandCard('lgtmrand', 'Insert a random LGTM image from your LGTM providers', builtInGrid);
 
     const customSection = document.createElement('div');
     customSection.className = 'custom-commands-section';
     if (Object.keys(customCommands).length > 0) {
-      customSection.innerHTML = '<h4 class="commands-section-title">Custom Commands</h4><div class="custom-commands-grid"></div>';
-      const customGrid = customSection.querySelector('.custom-commands-grid');
-      Object.entries(customCommands).forEach(([name, content], index) => createCommandCard(name, content, index + 1, customGrid));
+      customSection.innerHTML = '<h4 class="commands-section-title">Custom Commands</h4>';
+      const groups = window.GitHubMentionsSettings.groupCommandsByCategory(customCommands);
+      const showCategoryTitles = groups.some((group) => group.category);
+      let number = 0;
+      groups.forEach(({ category, names }) => {
+        if (showCategoryTitles) {
+          const title = document.createElement('h5');
+          title.className = 'commands-category-title';
+          title.textContent = category || 'Uncategorized';
+          customSection.appendChild(title);
+        }
+        const customGrid = document.createElement('div');
+        customGrid.className = 'custom-commands-grid';
+        customSection.appendChild(customGrid);
+        names.forEach((name) => {
+          number += 1;
+          createCommandCard(name, customCommands[name], number, customGrid);
+        });
+      });
     } else {
       customSection.innerHTML = '<h4 class="commands-section-title">Custom Commands</h4><div class="empty-state"><p>No custom commands yet. Click "Add New Command" to create your first one!</p></div>';
     }
     context.dom.commandsGrid.appendChild(customSection);
     updateCommandCounter();
+    updateCategoryOptions();
   }
 
   function hideEmojiPicker() {
@@ -169,13 +206,15 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     return true;
   }
 
-  function openCommandModal(commandName, content, emoji) {
+  function openCommandModal(commandName, content, emoji, params = '', category = '') {
     context.setEditingCommand(commandName);
     context.dom.modalTitle.textContent = commandName ? `Edit Command: !${commandName}` : 'Add New Command';
     context.dom.commandNameInput.value = commandName || '';
     context.dom.commandNameInput.disabled = Boolean(commandName);
     context.dom.commandContentTextarea.value = content || '';
     context.dom.commandEmojiInput.value = emoji || '';
+    context.dom.commandParamsInput.value = params || '';
+    context.dom.commandCategoryInput.value = category || '';
     context.dom.commandModal.classList.remove('hidden');
     hideEmojiPicker();
     (commandName ? context.dom.commandContentTextarea : context.dom.commandNameInput).focus();
@@ -187,6 +226,8 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     context.dom.commandNameInput.value = '';
     context.dom.commandContentTextarea.value = '';
     context.dom.commandEmojiInput.value = '';
+    context.dom.commandParamsInput.value = '';
+    context.dom.commandCategoryInput.value = '';
     hideEmojiPicker();
     context.dom.commandNameInput.classList.remove('invalid');
     const validationMessage = document.getElementById('commandNameValidation');
@@ -200,10 +241,6 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     if (!context.getSettings()) {
       context.setSettings(window.GitHubMentionsSettings.getDefaultSettings());
     }
-    if (Object.keys(getCustomCommands()).length >= 10) {
-      services.statusUi.showError('Maximum 10 commands allowed');
-      return;
-    }
     openCommandModal(null, '🚀 Ready for review!\n\nUpdated: ${timestamp}', '');
   }
 
@@ -211,6 +248,8 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
     const name = context.dom.commandNameInput.value.trim();
     const content = context.dom.commandContentTextarea.value.trim();
     const emoji = context.dom.commandEmojiInput.value.trim();
+    const category = context.dom.commandCategoryInput.value.trim();
+    const { params, error: paramsError } = window.GitHubMentionsTemplates.parseCommandParams(context.dom.commandParamsInput.value);
 
     if (!name) {
       services.statusUi.showError('Command name is required');
@@ -226,10 +265,33 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
       context.dom.commandNameInput.focus();
       return;
     }
+    if (paramsError) {
+      services.statusUi.showError(paramsError);
+      context.dom.commandParamsInput.focus();
+      return;
+    }
+
+    const unknownVariables = window.GitHubMentionsTemplates.findUnknownTemplateVariables(content, params);
+    if (unknownVariables.length > 0) {
+      services.statusUi.showError(window.GitHubMentionsTemplates.formatUnknownVariablesMessage(unknownVariables));
+      context.dom.commandContentTextarea.focus();
+      return;
+    }
+    const conflictingTabStops = window.GitHubMentionsTemplates.findConflictingTabStops(content, params);
+    if (conflictingTabStops.length > 0) {
+      services.statusUi.showError(window.GitHubMentionsTemplates.formatConflictingTabStopsMessage(conflictingTabStops));
+      context.dom.commandContentTextarea.focus();
+      return;
+    }
 
     const settings = context.getSettings();
     settings.customCommands = settings.customCommands || {};
-    settings.customCommands[name] = { content, emoji: emoji || null };
+    settings.customCommands[name] = {
+      content,
+      emoji: emoji || null,
+      ...(params.length > 0 ? { params } : {}),
+      ...(category ? { category } : {})
+    };
     closeCommandModal();
     await services.saveSettingsAndRefresh();
   }
@@ -277,6 +339,7 @@ window.GitHubMentionsPopup.createCommandsManager = function(context, services) {
 
   return {
     bindEvents,
+    renderTemplateVariables,
     updateCommandsGrid,
     createNewCommand,
     closeCommandModal
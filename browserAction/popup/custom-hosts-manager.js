@@ -0,0 +1,149 @@
+const popupCustomHostsRoot = typeof window !== 'undefined' ? window : globalThis;
+popupCustomHostsRoot.GitHubMentionsPopup = popupCustomHostsRoot.GitHubMentionsPopup || {};
+
+/**
+ * Validates a host typed into the popup against the hosts already added.
+ * @returns {{hosts: string[], host: string|null, error: string|null}}
+ */
+function addCustomHost(hosts, input) {
+  const list = Array.isArray(hosts) ? hosts : [];
+  const host = popupCustomHostsRoot.GitHubMentionsSettings.normalizeCustomHost(input);
+  if (!host) {
+    return {
+      hosts: list,
+      host: null,
+      error: 'Enter a GitHub Enterprise hostname such as git.example.com (github.com is already supported)'
+    };
+  }
+  if (list.includes(host)) {
+    return { hosts: list, host, error: `${host} is already added` };
+  }
+
+  return { hosts: [...list, host], host, error: null };
+}
+
+popupCustomHostsRoot.GitHubMentionsPopup.createCustomHostsManager = function(context, services) {
+  function getHosts() {
+    return context.getSettings()?.customHosts || [];
+  }
+
+  function getOrigins(host) {
+    return window.GitHubMentionsSettings.getCustomHostOrigins(host);
+  }
+
+  async function hasHostPermission(host) {
+    if (!chrome.permissions?.contains) {
+      return true;
+    }
+
+    try {
+      return await chrome.permissions.contains({ origins: getOrigins(host) });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function requestHostPermission(host) {
+    if (!chrome.permissions?.request) {
+      return true;
+    }
+
+    try {
+      return await chrome.permissions.request({ origins: getOrigins(host) });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function saveHosts(customHosts) {
+    context.getSettings().customHosts = customHosts;
+    const saved = await services.saveSettingsAndRefresh();
+    await renderHosts();
+    return saved;
+  }
+
+  async function addHost() {
+    const { hosts, host, error } = addCustomHost(getHosts(), context.dom.customHostInput.value);
+    if (error) {
+      services.statusUi.showError(error);
+      return;
+    }
+
+    // Requested before anything async so the click still counts as a user gesture
+    if (!(await requestHostPermission(host))) {
+      services.statusUi.showError(`Permission to run on ${host} was denied`);
+      return;
+    }
+
+    context.dom.customHostInput.value = '';
+    if (await saveHosts(hosts)) {
+      services.statusUi.showSuccess(`Added ${host}. Reload pages already open on it.`);
+    }
+  }
+
+  async function removeHost(host) {
+    if (!confirm(`Stop running on ${host}?`)) return;
+
+    await saveHosts(getHosts().filter((entry) => entry !== host));
+    try {
+      await chrome.permissions?.remove?.({ origins: getOrigins(host) });
+    } catch (error) {
+      // The host stays granted; it is no longer registered either way
+    }
+  }
+
+  async function createHostCard(host) {
+    const granted = await hasHostPermission(host);
+    const card = document.createElement('div');
+    card.className = 'user-source-card';
+    card.innerHTML = `
+      <div class="user-source-header">
+        <strong>${context.escapeHtml(host)}</strong>
+        <span class="source-type-badge">${granted ? 'Active' : 'Needs access'}</span>
+      </div>
+      <div class="command-actions">
+        ${granted ? '' : '<button type="button" class="btn btn-secondary btn-mini grant-host">Grant access</button>'}
+        <button type="button" class="btn btn-danger btn-mini remove-host">Remove</button>
+      </div>
+    `;
+
+    card.querySelector('.grant-host')?.addEventListener('click', async () => {
+      if (await requestHostPermission(host)) {
+        await renderHosts();
+      }
+    });
+    card.querySelector('.remove-host').addEventListener('click', () => removeHost(host));
+    return card;
+  }
+
+  async function renderHosts() {
+    const list = context.dom.customHostsList;
+    const cards = await Promise.all(getHosts().map((host) => createHostCard(host)));
+    list.innerHTML = '';
+    cards.forEach((card) => list.appendChild(card));
+  }
+
+  function bindEvents() {
+    context.dom.addCustomHostBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      addHost();
+    });
+    context.dom.customHostInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        addHost();
+      }
+    });
+  }
+
+  return {
+    bindEvents,
+    renderHosts
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    addCustomHost
+  };
+}
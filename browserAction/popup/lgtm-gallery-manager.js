@@ -0,0 +1,93 @@
+const popupLgtmGalleryRoot = typeof window !== 'undefined' ? window : globalThis;
+popupLgtmGalleryRoot.GitHubMentionsPopup = popupLgtmGalleryRoot.GitHubMentionsPopup || {};
+
+function filterLgtmHistory(history, filter) {
+  if (filter === 'favorites') {
+    return history.filter((entry) => entry.favorite);
+  }
+  if (filter === 'banned') {
+    return history.filter((entry) => entry.banned);
+  }
+  return history;
+}
+
+popupLgtmGalleryRoot.GitHubMentionsPopup.createLgtmGalleryManager = function(context, services) {
+  let history = [];
+
+  function describeEntry(entry) {
+    const date = entry.timestamp ? new Date(entry.timestamp).toLocaleDateString() : '';
+    return [entry.repo, date].filter(Boolean).join(' · ');
+  }
+
+  function createGalleryItem(entry) {
+    const item = document.createElement('div');
+    item.className = `lgtm-gallery-item${entry.banned ? ' banned' : ''}`;
+    item.innerHTML = `
+      <a href="${context.escapeHtml(entry.url)}" target="_blank" rel="noopener noreferrer" class="lgtm-gallery-thumb">
+        <img src="${context.escapeHtml(entry.url)}" alt="LGTM image" loading="lazy">
+      </a>
+      <small class="lgtm-gallery-meta">${context.escapeHtml(describeEntry(entry))}</small>
+      <div class="command-actions">
+        <button type="button" class="btn btn-secondary btn-mini favorite-lgtm" title="${entry.favorite ? 'Remove from favorites' : 'Add to favorites'}">${entry.favorite ? '★' : '☆'}</button>
+        <button type="button" class="btn btn-secondary btn-mini ban-lgtm">${entry.banned ? 'Unban' : 'Ban'}</button>
+        <button type="button" class="btn btn-danger btn-mini delete-lgtm">Delete</button>
+      </div>
+    `;
+
+    const lgtm = window.GitHubMentionsLGTM;
+    item.querySelector('.favorite-lgtm').addEventListener('click', () => {
+      saveHistory(lgtm.updateLgtmHistoryEntry(history, entry.url, { favorite: !entry.favorite }));
+    });
+    item.querySelector('.ban-lgtm').addEventListener('click', () => {
+      saveHistory(lgtm.updateLgtmHistoryEntry(history, entry.url, { banned: !entry.banned }));
+    });
+    item.querySelector('.delete-lgtm').addEventListener('click', () => {
+      saveHistory(lgtm.removeLgtmHistoryEntry(history, entry.url));
+    });
+    return item;
+  }
+
+  function renderGallery() {
+    const grid = context.dom.lgtmGallery;
+    const entries = filterLgtmHistory(history, context.dom.lgtmGalleryFilter.value);
+    grid.innerHTML = '';
+
+    if (entries.length === 0) {
+      grid.innerHTML = history.length === 0
+        ? '<div class="empty-state"><p>Images inserted with <code>@!lgtmrand</code> show up here.</p></div>'
+        : '<div class="empty-state"><p>No images match this filter.</p></div>';
+      return;
+    }
+
+    entries.forEach((entry) => grid.appendChild(createGalleryItem(entry)));
+  }
+
+  async function saveHistory(nextHistory) {
+    if (!(await window.GitHubMentionsStorage.setLgtmHistory(nextHistory))) {
+      services.statusUi.showError('Failed to update the LGTM gallery');
+      return;
+    }
+    history = nextHistory;
+    renderGallery();
+  }
+
+  async function loadGallery() {
+    history = await window.GitHubMentionsStorage.getLgtmHistory();
+    renderGallery();
+  }
+
+  function bindEvents() {
+    context.dom.lgtmGalleryFilter.addEventListener('change', renderGallery);
+  }
+
+  return {
+    bindEvents,
+    loadGallery
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    filterLgtmHistory
+  };
+}
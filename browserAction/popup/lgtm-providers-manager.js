@@ -0,0 +1,157 @@
+const popupLgtmProvidersRoot = typeof window !== 'undefined' ? window : globalThis;
+popupLgtmProvidersRoot.GitHubMentionsPopup = popupLgtmProvidersRoot.GitHubMentionsPopup || {};
+
+const LGTM_PROVIDER_LABELS = {
+  reloaded: 'LGTM Reloaded',
+  endpoint: 'JSON Endpoint',
+  list: 'My GIF List',
+  curated: 'Curated GIFs'
+};
+
+function getLgtmProviderValidationError(provider, isValidEndpointUrl) {
+  if (provider.type === 'endpoint') {
+    return isValidEndpointUrl(provider.url) ? null : 'LGTM JSON endpoint needs a valid http(s) URL';
+  }
+
+  if (provider.type === 'list') {
+    if (provider.urls.length === 0) {
+      return 'LGTM GIF list needs at least one URL';
+    }
+    const invalidUrl = provider.urls.find((url) => !isValidEndpointUrl(url));
+    return invalidUrl ? `Invalid GIF URL "${invalidUrl}"` : null;
+  }
+
+  return null;
+}
+
+popupLgtmProvidersRoot.GitHubMentionsPopup.createLgtmProvidersManager = function(context, services) {
+  let providers = [];
+
+  function createProviderBody(provider) {
+    if (provider.type === 'endpoint') {
+      return `
+        <input type="url" class="form-control lgtm-provider-url" value="${context.escapeHtml(provider.url)}" placeholder="https://example.com/lgtm.json">
+        <input type="text" class="form-control lgtm-provider-path" value="${context.escapeHtml(provider.imagePath)}" placeholder="imageUrl or data.images[0].url">
+      `;
+    }
+
+    if (provider.type === 'list') {
+      return `<textarea class="form-control json-textarea lgtm-provider-urls" rows="4" placeholder="One GIF URL per line">${context.escapeHtml(provider.urls.join('\n'))}</textarea>`;
+    }
+
+    return provider.type === 'reloaded'
+      ? '<small class="help-text">Random image from the LGTM Reloaded service.</small>'
+      : '<small class="help-text">GIFs bundled with the extension. Needs no network access.</small>';
+  }
+
+  function readProviderCard(card, provider) {
+    if (provider.type === 'endpoint') {
+      return {
+        ...provider,
+        url: card.querySelector('.lgtm-provider-url').value.trim(),
+        imagePath: card.querySelector('.lgtm-provider-path').value.trim()
+      };
+    }
+
+    if (provider.type === 'list') {
+      return {
+        ...provider,
+        urls: card.querySelector('.lgtm-provider-urls').value.split('\n').map((url) => url.trim()).filter(Boolean)
+      };
+    }
+
+    return provider;
+  }
+
+  function syncProvidersFromDom() {
+    const cards = context.dom.lgtmProvidersList.querySelectorAll('.user-source-card');
+    providers = Array.from(cards).map((card, index) => readProviderCard(card, providers[index]));
+  }
+
+  function createProviderCard(provider, index) {
+    const card = document.createElement('div');
+    card.className = 'user-source-card';
+    card.innerHTML = `
+      <div class="user-source-header">
+        <strong>${index + 1}.</strong>
+        <span class="source-type-badge">${LGTM_PROVIDER_LABELS[provider.type]}</span>
+      </div>
+      <div class="user-source-body">${createProviderBody(provider)}</div>
+      <div class="command-actions">
+        <button type="button" class="btn btn-secondary btn-mini move-provider-up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="btn btn-secondary btn-mini move-provider-down" ${index === providers.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" class="btn btn-danger btn-mini delete-provider" ${providers.length === 1 ? 'disabled' : ''}>Delete</button>
+      </div>
+    `;
+
+    card.querySelector('.move-provider-up').addEventListener('click', () => reorderProvider(index, -1));
+    card.querySelector('.move-provider-down').addEventListener('click', () => reorderProvider(index, 1));
+    card.querySelector('.delete-provider').addEventListener('click', () => deleteProvider(index));
+    return card;
+  }
+
+  function renderProviders() {
+    const list = context.dom.lgtmProvidersList;
+    list.innerHTML = '';
+    providers.forEach((provider, index) => list.appendChild(createProviderCard(provider, index)));
+  }
+
+  function reorderProvider(index, offset) {
+    syncProvidersFromDom();
+    providers = window.GitHubMentionsPopup.moveSource(providers, index, offset);
+    renderProviders();
+  }
+
+  function deleteProvider(index) {
+    syncProvidersFromDom();
+    providers.splice(index, 1);
+    renderProviders();
+  }
+
+  function addProvider() {
+    syncProvidersFromDom();
+    providers.push(window.GitHubMentionsSettings.normalizeLgtmProvider({ type: context.dom.newLgtmProviderTypeSelect.value }));
+    renderProviders();
+  }
+
+  function loadProviders() {
+    providers = (context.getSettings()?.lgtmProviders || []).map((provider) => ({ ...provider }));
+    renderProviders();
+  }
+
+  /**
+   * Reads the provider cards back into settings shape.
+   * @returns {{providers: Object[], error: string|null}}
+   */
+  function collectProviders() {
+    syncProvidersFromDom();
+    const error = providers
+      .map((provider) => getLgtmProviderValidationError(provider, window.GitHubMentionsSettings.isValidEndpointUrl))
+      .find(Boolean) || null;
+
+    return {
+      providers: providers.map((provider) => window.GitHubMentionsSettings.normalizeLgtmProvider(provider)),
+      error
+    };
+  }
+
+  function bindEvents() {
+    context.dom.addLgtmProviderBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      addProvider();
+    });
+  }
+
+  return {
+    bindEvents,
+    collectProviders,
+    loadProviders
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LGTM_PROVIDER_LABELS,
+    getLgtmProviderValidationError
+  };
+}
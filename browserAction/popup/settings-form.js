@@ -17,20 +17,97 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
       radio.checked = true;
     }
     context.dom.directJsonData.value = currentSettings.directJsonData || '[]';
+    context.dom.endpointUrlInput.value = currentSettings.endpointUrl || '';
+    context.dom.visibleRowsInput.value = currentSettings.visibleRows;
+    context.dom.maxResultsInput.value = currentSettings.maxResults;
+    const triggers = window.GitHubMentionsSettings.normalizeTriggers(currentSettings.triggers);
+    context.dom.mentionTriggerInput.value = triggers.mention.sequence;
+    context.dom.mentionTriggerLineStartInput.checked = triggers.mention.lineStart;
+    context.dom.commandTriggerInput.value = triggers.command.sequence;
+    context.dom.commandTriggerLineStartInput.checked = triggers.command.lineStart;
     updateDataSourceSection();
   }
 
   function updateDataSourceSection() {
     const selectedDataSource = document.querySelector('input[name="dataSource"]:checked').value;
-    if (selectedDataSource === 'direct') {
-      context.dom.directJsonSection.classList.remove('hidden');
-      context.dom.guiJsonSection.classList.add('hidden');
+    context.dom.directJsonSection.classList.toggle('hidden', selectedDataSource !== 'direct');
+    context.dom.endpointSection.classList.toggle('hidden', selectedDataSource !== 'endpoint');
+    context.dom.guiJsonSection.classList.toggle('hidden', selectedDataSource !== 'gui');
+
+    if (selectedDataSource === 'gui') {
+      services.usersTable.loadUserTableData();
+    }
+  }
+
+  function sendBackgroundMessage(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          if (chrome.runtime.lastError) {
+            resolve({ success: false, message: chrome.runtime.lastError.message });
+            return;
+          }
+
+          resolve(response || { success: false, message: 'No response from background' });
+        });
+      } catch (error) {
+        resolve({ success: false, message: error.message });
+      }
+    });
+  }
+
+  async function requestEndpointPermission(urls) {
+    if (!chrome.permissions?.request) {
+      return true;
+    }
+
+    try {
+      const origins = [...new Set([].concat(urls).map((url) => `${new URL(url).origin}/*`))];
+      if (origins.length === 0) {
+        return true;
+      }
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function getEndpointUrlInput() {
+    const url = context.dom.endpointUrlInput.value.trim();
+    if (!window.GitHubMentionsSettings.isValidEndpointUrl(url)) {
+      services.statusUi.showError('Please enter a valid http(s) endpoint URL');
+      return null;
+    }
+
+    return url;
+  }
+
+  async function testEndpoint() {
+    const url = getEndpointUrlInput();
+    if (!url) return;
+
+    if (!(await requestEndpointPermission(url))) {
+      services.statusUi.showError('Permission to access the endpoint was denied');
       return;
     }
 
-    context.dom.directJsonSection.classList.add('hidden');
-    context.dom.guiJsonSection.classList.remove('hidden');
-    services.usersTable.loadUserTableData();
+    const result = await sendBackgroundMessage({ action: 'testEndpoint', url });
+    if (result.success) {
+      services.statusUi.showSuccess(`Endpoint OK! Found ${result.userCount} valid users.`);
+    } else {
+      services.statusUi.showError(result.message || 'Endpoint test failed');
+    }
+  }
+
+  async function refreshUserDirectory() {
+    const result = await sendBackgroundMessage({ action: 'refreshUserDirectory', force: true });
+    if (result.success) {
+      services.statusUi.showSuccess(result.message);
+    } else {
+      services.statusUi.showError(result.message || 'Failed to refresh users');
+    }
+    await services.statusUi.updateStatus();
+    return result;
   }
 
   function validateJson() {
@@ -60,11 +137,13 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
     }
   }
 
-  async function saveSettings() {
+  // `overrides` replace loaded settings in the saved copy; the context only
+  // takes them once the save has succeeded.
+  async function saveSettings(overrides = {}) {
     try {
       const selectedDataSource = document.querySelector('input[name="dataSource"]:checked').value;
       if (!services.usersTable.validateAllRows()) {
-        services.statusUi.showError('Please fill in all required fields (username is required for all users).');
+        services.statusUi.showError('Please fill in all required fields (username is required for all users, and groups need a name and members).');
         return false;
       }
 
@@ -72,15 +151,74 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
         services.usersTable.syncTableToJson();
       }
 
+      const endpointUrl = context.dom.endpointUrlInput.value.trim();
+      if (selectedDataSource === 'endpoint' && !getEndpointUrlInput()) {
+        return false;
+      }
+
+      const { sources, sourcePrecedence, error: sourceError } = services.sourcesManager.collectSources();
+      if (sourceError) {
+        services.statusUi.showError(sourceError);
+        return false;
+      }
+
+      const { providers: lgtmProviders, error: lgtmError } = services.lgtmProvidersManager.collectProviders();
+      if (lgtmError) {
+        services.statusUi.showError(lgtmError);
+        return false;
+      }
+
+      const triggers = {
+        mention: {
+          sequence: context.dom.mentionTriggerInput.value.trim(),
+          lineStart: context.dom.mentionTriggerLineStartInput.checked
+        },
+        command: {
+          sequence: context.dom.commandTriggerInput.value.trim(),
+          lineStart: context.dom.commandTriggerLineStartInput.checked
+        }
+      };
+      const triggerError = window.GitHubMentionsSettings.validateTriggers(triggers);
+      if (triggerError) {
+        services.statusUi.showError(triggerError);
+        return false;
+      }
+
+      const endpointUrls = [
+        ...sources.filter((source) => source.enabled && source.type === 'endpoint').map((source) => source.url),
+        ...lgtmProviders.filter((provider) => provider.type === 'endpoint').map((provider) => provider.url)
+      ];
+      if (selectedDataSource === 'endpoint') {
+        endpointUrls.unshift(endpointUrl);
+      }
+
+      if (endpointUrls.length > 0 && !(await requestEndpointPermission(endpointUrls))) {
+        services.statusUi.showError('Permission to access the endpoint was denied');
+        return false;
+      }
+
       const jsonData = context.dom.directJsonData.value.trim();
       const newSettings = {
         dataSource: selectedDataSource,
         directJsonData: jsonData,
+        endpointUrl,
+        userSources: sources,
+        sourcePrecedence,
+        visibleRows: context.dom.visibleRowsInput.value,
+        maxResults: context.dom.maxResultsInput.value,
         enabled: true,
-        customCommands: context.getSettings()?.customCommands || {}
+        customCommands: context.getSettings()?.customCommands || {},
+        commandPacks: context.getSettings()?.commandPacks || [],
+        lgtmProviders,
+        customHosts: context.getSettings()?.customHosts || [],
+        triggers,
+        // The form already holds current-schema data; keep the loaded version so
+        // saving does not run the stored settings through the migrations again.
+        schemaVersion: context.getSettings()?.schemaVersion ?? window.GitHubMentionsSettings.getDefaultSettings().schemaVersion,
+        ...overrides
       };
 
-      if (jsonData && jsonData !== '[]') {
+      if (selectedDataSource !== 'endpoint' && jsonData && jsonData !== '[]') {
         try {
           const data = JSON.parse(jsonData);
           const validUsers = window.GitHubMentionsSettings.normalizeUsersForCache(data);
@@ -88,12 +226,6 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
             services.statusUi.showError('No valid users found. Please add at least one user with a username.');
             return false;
           }
-
-          const cacheSuccess = await window.GitHubMentionsStorage.setCachedUsers(validUsers);
-          if (!cacheSuccess) {
-            services.statusUi.showError('Failed to cache user data. Please try again.');
-            return false;
-          }
         } catch (error) {
           services.statusUi.showError(`Invalid JSON format: ${error.message}. Please fix and try again.`);
           return false;
@@ -102,12 +234,20 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
 
       const success = await window.GitHubMentionsStorage.setSettings(newSettings);
       if (!success) {
-        services.statusUi.showError('Failed to save settings');
+        services.statusUi.showError(window.GitHubMentionsSettings.isNewerSettingsSchema(context.getSettings())
+          ? 'These settings were saved by a newer version of the extension. Update it before changing them here.'
+          : 'Failed to save settings');
         return false;
       }
 
       context.setSettings(window.GitHubMentionsSettings.normalizeSettings(newSettings));
-      services.statusUi.showSuccess('Settings saved successfully');
+      const refreshResult = await sendBackgroundMessage({ action: 'refreshUserDirectory' });
+      const failedSource = (refreshResult.sources || []).find((stat) => stat.error);
+      if (failedSource) {
+        services.statusUi.showError(`Settings saved, but source "${failedSource.name}" failed: ${failedSource.error}`);
+      } else {
+        services.statusUi.showSuccess('Settings saved successfully');
+      }
       setTimeout(() => services.statusUi.updateStatus(), 500);
       return true;
     } catch (error) {
@@ -116,29 +256,28 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
     }
   }
 
-  async function saveSettingsAndRefresh() {
-    const saved = await saveSettings();
+  async function saveSettingsAndRefresh(overrides) {
+    const saved = await saveSettings(overrides);
     if (!saved) return false;
     services.commandsManager.updateCommandsGrid();
-    try {
-      const tabs = await chrome.tabs.query({ url: '*://*.github.com/*' });
-      for (const tab of tabs) {
-        chrome.tabs.sendMessage(tab.id, {
-          type: 'GMP_SETTINGS_UPDATED',
-          settings: context.getSettings()
-        });
-      }
-    } catch (error) {
-      // ignore
-    }
+    // Open GitHub tabs pick the change up from their chrome.storage.onChanged listener
     return true;
   }
 
   function bindEvents() {
     context.dom.dataSourceRadios.forEach((radio) => radio.addEventListener('change', updateDataSourceSection));
-    context.dom.saveSettingsBtn.addEventListener('click', saveSettingsAndRefresh);
+    context.dom.saveSettingsBtn.addEventListener('click', () => saveSettingsAndRefresh());
     context.dom.validateJsonBtn.addEventListener('click', validateJson);
+    context.dom.testEndpointBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      testEndpoint();
+    });
+    context.dom.refreshEndpointBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      refreshUserDirectory();
+    });
     context.dom.addUserRowBtn.addEventListener('click', () => services.usersTable.addUserRow());
+    context.dom.addGroupRowBtn.addEventListener('click', () => services.usersTable.addGroupRow());
     context.dom.directJsonData.addEventListener('keypress', (event) => {
       if (event.ctrlKey && event.key === 'Enter') {
         saveSettings();
@@ -153,6 +292,10 @@ window.GitHubMentionsPopup.createSettingsForm = function(context, services) {
     saveSettingsAndRefresh,
     updateSettingUI,
     updateDataSourceSection,
+    refreshUserDirectory,
+    requestEndpointPermission,
+    sendBackgroundMessage,
+    testEndpoint,
     validateJson
   };
 };
@@ -6,17 +6,58 @@ window.GitHubMentionsPopup.createContext = function() {
       dataSourceRadios: document.querySelectorAll('input[name="dataSource"]'),
       directJsonSection: document.getElementById('directJsonSection'),
       guiJsonSection: document.getElementById('guiJsonSection'),
+      endpointSection: document.getElementById('endpointSection'),
       directJsonData: document.getElementById('directJsonData'),
+      endpointUrlInput: document.getElementById('endpointUrl'),
       validateJsonBtn: document.getElementById('validateJson'),
+      testEndpointBtn: document.getElementById('testEndpoint'),
+      refreshEndpointBtn: document.getElementById('refreshEndpoint'),
       saveSettingsBtn: document.getElementById('saveSettings'),
       extensionStatus: document.getElementById('extensionStatus'),
       dataSourceStatus: document.getElementById('dataSourceStatus'),
       cachedUsersCount: document.getElementById('cachedUsersCount'),
+      userCacheUsage: document.getElementById('userCacheUsage'),
+      sourceStatsList: document.getElementById('sourceStatsList'),
+      userSourcesList: document.getElementById('userSourcesList'),
+      newSourceTypeSelect: document.getElementById('newSourceType'),
+      addUserSourceBtn: document.getElementById('addUserSource'),
+      userSourceFileInput: document.getElementById('userSourceFile'),
+      sourcePrecedenceSelect: document.getElementById('sourcePrecedence'),
+      visibleRowsInput: document.getElementById('visibleRows'),
+      maxResultsInput: document.getElementById('maxResults'),
+      mentionTriggerInput: document.getElementById('mentionTrigger'),
+      mentionTriggerLineStartInput: document.getElementById('mentionTriggerLineStart'),
+      commandTriggerInput: document.getElementById('commandTrigger'),
+      commandTriggerLineStartInput: document.getElementById('commandTriggerLineStart'),
       commandsGrid: document.getElementById('commandsGrid'),
       addCommandBtn: document.getElementById('addCommand'),
       commandCountDisplay: document.getElementById('commandCount'),
       userTableBody: document.getElementById('userTableBody'),
       addUserRowBtn: document.getElementById('addUserRow'),
+      groupTableBody: document.getElementById('groupTableBody'),
+      addGroupRowBtn: document.getElementById('addGroupRow'),
+      lgtmProvidersList: document.getElementById('lgtmProvidersList'),
+      newLgtmProviderTypeSelect: document.getElementById('newLgtmProviderType'),
+      addLgtmProviderBtn: document.getElementById('addLgtmProvider'),
+      lgtmGalleryFilter: document.getElementById('lgtmGalleryFilter'),
+      lgtmGallery: document.getElementById('lgtmGallery'),
+      pickerShortcutInput: document.getElementById('pickerShortcut'),
+      savePickerShortcutBtn: document.getElementById('savePickerShortcut'),
+      pickerShortcutHelp: document.getElementById('pickerShortcutHelp'),
+      customHostInput: document.getElementById('customHostInput'),
+      addCustomHostBtn: document.getElementById('addCustomHost'),
+      customHostsList: document.getElementById('customHostsList'),
+      commandPackUrlInput: document.getElementById('commandPackUrl'),
+      fetchCommandPackBtn: document.getElementById('fetchCommandPack'),
+      chooseCommandPackFileBtn: document.getElementById('chooseCommandPackFile'),
+      commandPackFileInput: document.getElementById('commandPackFile'),
+      commandPackPreview: document.getElementById('commandPackPreview'),
+      commandPackList: document.getElementById('commandPackList'),
+      syncEnabledInput: document.getElementById('syncEnabled'),
+      syncNowBtn: document.getElementById('syncNow'),
+      syncStatus: document.getElementById('syncStatus'),
+      syncConflictsDetails: document.getElementById('syncConflictsDetails'),
+      syncConflictsList: document.getElementById('syncConflictsList'),
       exportSettingsBtn: document.getElementById('exportSettings'),
       importSettingsBtn: document.getElementById('importSettings'),
       importSettingsFileInput: document.getElementById('importSettingsFile'),
@@ -27,6 +68,10 @@ window.GitHubMentionsPopup.createContext = function() {
       modalSave: document.getElementById('modalSave'),
       commandNameInput: document.getElementById('commandName'),
       commandContentTextarea: document.getElementById('commandContent'),
+      templateVariablesList: document.getElementById('templateVariablesList'),
+      commandParamsInput: document.getElementById('commandParams'),
+      commandCategoryInput: document.getElementById('commandCategory'),
+      commandCategoryOptions: document.getElementById('commandCategoryOptions'),
       commandEmojiInput: document.getElementById('commandEmoji'),
       emojiPickerBtn: document.getElementById('emojiPickerBtn'),
       emojiPicker: document.getElementById('emojiPicker'),
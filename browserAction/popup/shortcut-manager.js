@@ -0,0 +1,141 @@
+const popupShortcutRoot = typeof window !== 'undefined' ? window : globalThis;
+popupShortcutRoot.GitHubMentionsPopup = popupShortcutRoot.GitHubMentionsPopup || {};
+
+// Must match the `commands` entry in manifest.json
+const PICKER_COMMAND_NAME = 'open-mention-picker';
+const SHORTCUT_MODIFIERS = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  command: 'Command',
+  cmd: 'Command',
+  macctrl: 'MacCtrl'
+};
+const SHORTCUT_MODIFIER_ORDER = ['Ctrl', 'Alt', 'Command', 'MacCtrl', 'Shift'];
+const SHORTCUT_PRIMARY_MODIFIERS = ['Ctrl', 'Alt', 'Command', 'MacCtrl'];
+const SHORTCUT_KEY_NAMES = ['Comma', 'Period', 'Home', 'End', 'PageUp', 'PageDown', 'Space', 'Insert', 'Delete', 'Up', 'Down', 'Left', 'Right'];
+
+function normalizeShortcutKey(value) {
+  if (/^[a-z0-9]$/i.test(value) || /^f([1-9]|1[0-2])$/i.test(value)) {
+    return value.toUpperCase();
+  }
+
+  return SHORTCUT_KEY_NAMES.find((name) => name.toLowerCase() === value.toLowerCase()) || null;
+}
+
+/**
+ * Canonicalizes a typed shortcut, e.g. "ctrl + shift + m" to "Ctrl+Shift+M",
+ * following the rules browsers apply to `commands` shortcuts. An empty value
+ * clears the shortcut.
+ * @returns {{shortcut: string|null, error: string|null}}
+ */
+function normalizeShortcut(value) {
+  const parts = String(value || '').split('+').map((part) => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    return { shortcut: '', error: null };
+  }
+
+  const keyPart = parts.pop();
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = SHORTCUT_MODIFIERS[part.toLowerCase()];
+    if (!modifier) {
+      return { shortcut: null, error: `"${part}" is not a modifier; use Ctrl, Alt, Shift, Command or MacCtrl` };
+    }
+    modifiers.add(modifier);
+  }
+
+  const key = normalizeShortcutKey(keyPart);
+  if (!key) {
+    return { shortcut: null, error: `"${keyPart}" cannot be used as a shortcut key` };
+  }
+  if (modifiers.size > 2) {
+    return { shortcut: null, error: 'Use at most two modifiers' };
+  }
+  if (!/^F\d+$/.test(key) && !SHORTCUT_PRIMARY_MODIFIERS.some((modifier) => modifiers.has(modifier))) {
+    return { shortcut: null, error: 'Shortcuts need Ctrl, Alt, Command or MacCtrl' };
+  }
+
+  return {
+    shortcut: [...SHORTCUT_MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier)), key].join('+'),
+    error: null
+  };
+}
+
+/**
+ * Browser page for rebinding extension shortcuts, for browsers without
+ * `chrome.commands.update`.
+ */
+function getShortcutSettingsUrl(userAgent = '') {
+  return /\bEdg\//.test(userAgent) ? 'edge://extensions/shortcuts' : 'chrome://extensions/shortcuts';
+}
+
+popupShortcutRoot.GitHubMentionsPopup.createShortcutManager = function(context, services) {
+  // Firefox rebinds in place; Chromium only allows it on its own shortcuts page.
+  const canUpdate = typeof chrome.commands?.update === 'function';
+
+  async function loadShortcut() {
+    const input = context.dom.pickerShortcutInput;
+    input.readOnly = !canUpdate;
+    context.dom.savePickerShortcutBtn.textContent = canUpdate ? 'Save Shortcut' : 'Change Shortcut';
+    if (!canUpdate) {
+      context.dom.pickerShortcutHelp.textContent = 'Opens the browser\'s shortcut settings, where the "Open the mention picker" entry can be changed.';
+    }
+
+    try {
+      const commands = await chrome.commands.getAll();
+      input.value = commands.find((command) => command.name === PICKER_COMMAND_NAME)?.shortcut || '';
+    } catch (error) {
+      input.value = '';
+    }
+  }
+
+  async function saveShortcut() {
+    if (!canUpdate) {
+      chrome.tabs.create({ url: getShortcutSettingsUrl(navigator.userAgent) });
+      return;
+    }
+
+    const { shortcut, error } = normalizeShortcut(context.dom.pickerShortcutInput.value);
+    if (error) {
+      services.statusUi.showError(error);
+      return;
+    }
+
+    try {
+      await chrome.commands.update({ name: PICKER_COMMAND_NAME, shortcut });
+      services.statusUi.showSuccess(shortcut ? `Mention picker shortcut set to ${shortcut}` : 'Mention picker shortcut turned off');
+    } catch (updateError) {
+      services.statusUi.showError(updateError.message || 'Failed to change the shortcut');
+    }
+    await loadShortcut();
+  }
+
+  function bindEvents() {
+    context.dom.savePickerShortcutBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      saveShortcut();
+    });
+    context.dom.pickerShortcutInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        saveShortcut();
+      }
+    });
+  }
+
+  return {
+    bindEvents,
+    loadShortcut
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PICKER_COMMAND_NAME,
+    normalizeShortcut,
+    getShortcutSettingsUrl
+  };
+}
@@ -0,0 +1,228 @@
+const popupSourcesRoot = typeof window !== 'undefined' ? window : globalThis;
+popupSourcesRoot.GitHubMentionsPopup = popupSourcesRoot.GitHubMentionsPopup || {};
+
+function getSourceValidationError(source, isValidEndpointUrl) {
+  if (!source.name) {
+    return 'Every source needs a name';
+  }
+
+  if (source.type === 'endpoint') {
+    return isValidEndpointUrl(source.url) ? null : `Source "${source.name}" needs a valid http(s) URL`;
+  }
+
+  if (!source.jsonData.trim()) {
+    return source.type === 'file'
+      ? `Source "${source.name}" has no file loaded`
+      : `Source "${source.name}" has no JSON data`;
+  }
+
+  try {
+    if (!Array.isArray(JSON.parse(source.jsonData))) {
+      return `Source "${source.name}" must contain a JSON array`;
+    }
+  } catch (error) {
+    return `Source "${source.name}" has invalid JSON: ${error.message}`;
+  }
+
+  return null;
+}
+
+function moveSource(sources, index, offset) {
+  const targetIndex = index + offset;
+  if (targetIndex < 0 || targetIndex >= sources.length) {
+    return sources;
+  }
+
+  const nextSources = sources.slice();
+  const [source] = nextSources.splice(index, 1);
+  nextSources.splice(targetIndex, 0, source);
+  return nextSources;
+}
+
+popupSourcesRoot.GitHubMentionsPopup.moveSource = moveSource;
+
+popupSourcesRoot.GitHubMentionsPopup.createSourcesManager = function(context, services) {
+  let sources = [];
+  let pendingFileSourceId = null;
+
+  function getTypeLabel(type) {
+    return window.GitHubMentionsUserSources.SOURCE_TYPE_LABELS[type] || type;
+  }
+
+  function createSourceBody(source) {
+    if (source.type === 'endpoint') {
+      return `<input type="url" class="form-control source-url" value="${context.escapeHtml(source.url)}" placeholder="https://example.com/users.json">`;
+    }
+
+    if (source.type === 'file') {
+      const fileLabel = source.fileName ? context.escapeHtml(source.fileName) : 'No file loaded';
+      return `
+        <div class="source-file-row">
+          <button type="button" class="btn btn-secondary btn-mini choose-source-file">Choose File</button>
+          <span class="source-file-name">${fileLabel}</span>
+        </div>
+      `;
+    }
+
+    return `<textarea class="form-control json-textarea source-json" rows="6" placeholder='[{"username": "john-doe", "name": "John Doe"}]'>${context.escapeHtml(source.jsonData)}</textarea>`;
+  }
+
+  function readSourceCard(card, source) {
+    const nextSource = {
+      ...source,
+      name: card.querySelector('.source-name').value.trim(),
+      enabled: card.querySelector('.source-enabled').checked
+    };
+
+    if (source.type === 'endpoint') {
+      nextSource.url = card.querySelector('.source-url').value.trim();
+    } else if (source.type === 'direct') {
+      nextSource.jsonData = card.querySelector('.source-json').value.trim();
+    }
+
+    return nextSource;
+  }
+
+  function syncSourcesFromDom() {
+    const cards = context.dom.userSourcesList.querySelectorAll('.user-source-card');
+    sources = Array.from(cards).map((card, index) => readSourceCard(card, sources[index]));
+  }
+
+  function createSourceCard(source, index) {
+    const card = document.createElement('div');
+    card.className = 'user-source-card';
+    card.dataset.sourceId = source.id;
+    card.innerHTML = `
+      <div class="user-source-header">
+        <input type="checkbox" class="source-enabled" ${source.enabled ? 'checked' : ''} title="Enabled">
+        <input type="text" class="form-control source-name" value="${context.escapeHtml(source.name)}" placeholder="Source name">
+        <span class="source-type-badge">${getTypeLabel(source.type)}</span>
+      </div>
+      <div class="user-source-body">${createSourceBody(source)}</div>
+      <div class="command-actions">
+        <button type="button" class="btn btn-secondary btn-mini move-source-up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="btn btn-secondary btn-mini move-source-down" ${index === sources.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" class="btn btn-danger btn-mini delete-source">Delete</button>
+      </div>
+    `;
+
+    card.querySelector('.move-source-up').addEventListener('click', () => reorderSource(index, -1));
+    card.querySelector('.move-source-down').addEventListener('click', () => reorderSource(index, 1));
+    card.querySelector('.delete-source').addEventListener('click', () => deleteSource(index));
+    card.querySelector('.choose-source-file')?.addEventListener('click', () => {
+      pendingFileSourceId = source.id;
+      context.dom.userSourceFileInput.click();
+    });
+    return card;
+  }
+
+  function renderSources() {
+    const list = context.dom.userSourcesList;
+    list.innerHTML = '';
+
+    if (sources.length === 0) {
+      list.innerHTML = '<div class="empty-state"><p>No additional sources. Only the primary data source is used.</p></div>';
+      return;
+    }
+
+    sources.forEach((source, index) => list.appendChild(createSourceCard(source, index)));
+  }
+
+  function reorderSource(index, offset) {
+    syncSourcesFromDom();
+    sources = moveSource(sources, index, offset);
+    renderSources();
+  }
+
+  function deleteSource(index) {
+    syncSourcesFromDom();
+    if (!confirm(`Delete source "${sources[index].name}"?`)) return;
+    sources.splice(index, 1);
+    renderSources();
+  }
+
+  function addSource() {
+    syncSourcesFromDom();
+    const type = context.dom.newSourceTypeSelect.value;
+    sources.push(window.GitHubMentionsSettings.normalizeUserSource({
+      id: window.GitHubMentionsSettings.createSourceId(),
+      type,
+      name: `${getTypeLabel(type)} ${sources.length + 1}`
+    }));
+    renderSources();
+  }
+
+  async function loadSourceFile(file) {
+    const sourceId = pendingFileSourceId;
+    pendingFileSourceId = null;
+    if (!file || !sourceId) return;
+
+    try {
+      const text = await file.text();
+      const data = JSON.parse(text);
+      if (!Array.isArray(data)) {
+        throw new Error('File must contain a JSON array of users');
+      }
+
+      syncSourcesFromDom();
+      sources = sources.map((source) => (
+        source.id === sourceId ? { ...source, jsonData: text, fileName: file.name } : source
+      ));
+      renderSources();
+      const userCount = window.GitHubMentionsSettings.normalizeUsersForCache(data).length;
+      services.statusUi.showSuccess(`Loaded ${userCount} users from ${file.name}. Save settings to apply.`);
+    } catch (error) {
+      services.statusUi.showError(`Failed to load file: ${error.message}`);
+    } finally {
+      context.dom.userSourceFileInput.value = '';
+    }
+  }
+
+  function loadSources() {
+    const settings = context.getSettings();
+    sources = (settings?.userSources || []).map((source) => ({ ...source }));
+    context.dom.sourcePrecedenceSelect.value = settings?.sourcePrecedence || 'first';
+    renderSources();
+  }
+
+  /**
+   * Reads the source cards back into settings shape.
+   * @returns {{sources: Object[], sourcePrecedence: string, error: string|null}}
+   */
+  function collectSources() {
+    syncSourcesFromDom();
+    const error = sources
+      .filter((source) => source.enabled)
+      .map((source) => getSourceValidationError(source, window.GitHubMentionsSettings.isValidEndpointUrl))
+      .find(Boolean) || null;
+
+    return {
+      sources: sources.map((source) => ({ ...source })),
+      sourcePrecedence: context.dom.sourcePrecedenceSelect.value,
+      error
+    };
+  }
+
+  function bindEvents() {
+    context.dom.addUserSourceBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      addSource();
+    });
+    context.dom.userSourceFileInput.addEventListener('change', (event) => {
+      loadSourceFile(event.target.files?.[0]);
+    });
+  }
+
+  return {
+    bindEvents,
+    collectSources,
+    loadSources
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getSourceValidationError,
+    moveSource
+  };
+}
@@ -1,6 +1,14 @@
 window.GitHubMentionsPopup = window.GitHubMentionsPopup || {};
 
 window.GitHubMentionsPopup.createStatusUi = function(context) {
+  function getDataSourceLabel(dataSource) {
+    if (dataSource === 'endpoint') {
+      return 'HTTP Endpoint';
+    }
+
+    return dataSource === 'direct' ? 'Direct JSON' : 'Local (GUI)';
+  }
+
   function showStatus(message, type, timeout) {
     const container = context.dom.statusIndicatorContainer;
     if (!container) return;
@@ -23,6 +31,19 @@ window.GitHubMentionsPopup.createStatusUi = function(context) {
     }, timeout);
   }
 
+  function renderSourceStats(stats) {
+    const list = context.dom.sourceStatsList;
+    if (!list) return;
+
+    list.innerHTML = '';
+    stats.forEach((stat) => {
+      const item = document.createElement('li');
+      item.className = stat.error ? 'source-stat error' : 'source-stat';
+      item.textContent = window.GitHubMentionsUserSources.describeSourceStat(stat);
+      list.appendChild(item);
+    });
+  }
+
   async function updateStatus() {
     try {
       const settings = await window.GitHubMentionsStorage.getSettings();
@@ -34,11 +55,13 @@ window.GitHubMentionsPopup.createStatusUi = function(context) {
 
       context.dom.extensionStatus.textContent = 'Active';
       context.dom.extensionStatus.className = 'status-value success';
-      context.dom.dataSourceStatus.textContent = settings.dataSource === 'direct' ? 'Direct JSON' : 'Local (GUI)';
+      context.dom.dataSourceStatus.textContent = getDataSourceLabel(settings.dataSource);
       context.dom.dataSourceStatus.className = 'status-value success';
 
-      const cachedUsers = await window.GitHubMentionsStorage.getCachedUsers();
-      context.dom.cachedUsersCount.textContent = String(cachedUsers.length);
+      const cacheInfo = await window.GitHubMentionsStorage.getUserCacheInfo();
+      context.dom.cachedUsersCount.textContent = (cacheInfo?.userCount || 0).toLocaleString();
+      context.dom.userCacheUsage.textContent = window.GitHubMentionsUserCache.describeUserCacheUsage(cacheInfo);
+      renderSourceStats(await window.GitHubMentionsStorage.getSourceStats());
     } catch (error) {
       // ignore
     }
@@ -0,0 +1,87 @@
+const popupSyncRoot = typeof window !== 'undefined' ? window : globalThis;
+popupSyncRoot.GitHubMentionsPopup = popupSyncRoot.GitHubMentionsPopup || {};
+
+function describeSyncConflict(conflict) {
+  const when = new Date(conflict.timestamp).toLocaleString();
+  const remote = conflict.remoteDeviceId ? `another browser (${conflict.remoteDeviceId})` : 'another browser';
+  return conflict.winner === 'local'
+    ? `${when}: kept this browser's changes over ${remote}`
+    : `${when}: replaced this browser's changes with ${remote}`;
+}
+
+popupSyncRoot.GitHubMentionsPopup.createSyncManager = function(context, services) {
+  function renderStatus(status) {
+    context.dom.syncEnabledInput.checked = status.enabled;
+    context.dom.syncNowBtn.disabled = !status.enabled;
+    context.dom.syncStatus.textContent = status.enabled
+      ? `Last synced: ${status.syncedAt ? new Date(status.syncedAt).toLocaleString() : 'never'}`
+      : 'Sync is off. Settings are stored in this browser only.';
+
+    const conflicts = status.conflicts || [];
+    context.dom.syncConflictsList.innerHTML = '';
+    context.dom.syncConflictsDetails.classList.toggle('hidden', conflicts.length === 0);
+    conflicts.forEach((conflict) => {
+      const item = document.createElement('li');
+      item.textContent = describeSyncConflict(conflict);
+      context.dom.syncConflictsList.appendChild(item);
+    });
+  }
+
+  async function loadStatus() {
+    const status = await services.settingsForm.sendBackgroundMessage({ action: 'getSyncStatus' });
+    if (status.success) {
+      renderStatus(status);
+    }
+  }
+
+  async function reloadSettingsUi() {
+    await services.settingsForm.loadSettings();
+    services.sourcesManager.loadSources();
+    services.lgtmProvidersManager.loadProviders();
+    services.commandsManager.updateCommandsGrid();
+    services.commandPacksManager.renderPacks();
+    services.customHostsManager.renderHosts();
+  }
+
+  async function handleSyncResult(result, successMessage) {
+    if (!result.success) {
+      services.statusUi.showError(result.message || 'Settings sync failed');
+    } else if (result.action === 'pull') {
+      await reloadSettingsUi();
+      services.statusUi.showSuccess('Loaded settings synced from another browser');
+    } else if (successMessage) {
+      services.statusUi.showSuccess(successMessage);
+    }
+    await loadStatus();
+  }
+
+  async function toggleSync() {
+    const enabled = context.dom.syncEnabledInput.checked;
+    const result = await services.settingsForm.sendBackgroundMessage({ action: 'setSyncEnabled', enabled });
+    await handleSyncResult(result, enabled ? 'Settings sync turned on' : 'Settings sync turned off');
+  }
+
+  async function syncNow() {
+    const result = await services.settingsForm.sendBackgroundMessage({ action: 'syncSettings' });
+    await handleSyncResult(result, 'Settings are in sync');
+  }
+
+  function bindEvents() {
+    context.dom.syncEnabledInput.addEventListener('change', toggleSync);
+    context.dom.syncNowBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      syncNow();
+    });
+  }
+
+  return {
+    bindEvents,
+    loadStatus
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeSyncConflict
+  };
+}
@@ -17,23 +17,51 @@ function isUserRowValid(rowValues) {
   return isUserRowBlank(rowValues) || Boolean(rowValues.username);
 }
 
+function getGroupRowValues(row) {
+  return {
+    group: row.querySelector('.group-name').value.trim(),
+    members: row.querySelector('.group-members').value.trim()
+  };
+}
+
+function isGroupRowBlank(rowValues) {
+  return !rowValues.group && !rowValues.members;
+}
+
+function parseGroupMembers(members) {
+  return popupUsersTableRoot.GitHubMentionsSettings.normalizeGroupMembers(members);
+}
+
+function isGroupRowValid(rowValues) {
+  return isGroupRowBlank(rowValues) || (Boolean(rowValues.group) && parseGroupMembers(rowValues.members).length > 0);
+}
+
 popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
   function syncTableToJson() {
     const { userTableBody, directJsonData } = context.dom;
     if (!userTableBody) return;
 
     const rows = userTableBody.querySelectorAll('tr');
-    const users = [];
+    const entries = [];
 
     rows.forEach((row) => {
       const { username, name, profile } = getUserRowValues(row);
 
       if (username) {
-        users.push({ username, name: name || '', profile: profile || '' });
+        entries.push({ username, name: name || '', profile: profile || '' });
       }
     });
 
-    directJsonData.value = users.length > 0 ? JSON.stringify(users, null, 2) : '[]';
+    context.dom.groupTableBody?.querySelectorAll('tr').forEach((row) => {
+      const { group, members } = getGroupRowValues(row);
+      const memberList = parseGroupMembers(members);
+
+      if (group && memberList.length > 0) {
+        entries.push({ group, members: memberList });
+      }
+    });
+
+    directJsonData.value = entries.length > 0 ? JSON.stringify(entries, null, 2) : '[]';
   }
 
   function validateUserRow(row) {
@@ -51,6 +79,24 @@ popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
     return true;
   }
 
+  function validateGroupRow(row) {
+    const rowValues = getGroupRowValues(row);
+    const groupInput = row.querySelector('.group-name');
+    const membersInput = row.querySelector('.group-members');
+
+    if (!isGroupRowValid(rowValues)) {
+      groupInput.classList.toggle('invalid', !rowValues.group);
+      membersInput.classList.toggle('invalid', parseGroupMembers(rowValues.members).length === 0);
+      row.classList.add('error');
+      return false;
+    }
+
+    groupInput.classList.remove('invalid');
+    membersInput.classList.remove('invalid');
+    row.classList.remove('error');
+    return true;
+  }
+
   function validateAllRows() {
     const rows = context.dom.userTableBody.querySelectorAll('tr');
     let allValid = true;
@@ -59,6 +105,11 @@ popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
         allValid = false;
       }
     });
+    context.dom.groupTableBody?.querySelectorAll('tr').forEach((row) => {
+      if (!validateGroupRow(row)) {
+        allValid = false;
+      }
+    });
     return allValid;
   }
 
@@ -89,10 +140,31 @@ popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
     syncTableToJson();
   }
 
+  function addGroupRow(group = '', members = '') {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><input type="text" class="group-name" value="${context.escapeHtml(group)}" placeholder="frontend" required /></td>
+      <td><input type="text" class="group-members" value="${context.escapeHtml(members)}" placeholder="alice, bob, carol" required /></td>
+      <td><button class="btn btn-danger btn-mini delete-group-row">Delete</button></td>
+    `;
+
+    row.querySelector('.delete-group-row').addEventListener('click', () => {
+      row.remove();
+      syncTableToJson();
+    });
+    row.querySelectorAll('input').forEach((input) => {
+      input.addEventListener('input', syncTableToJson);
+      input.addEventListener('blur', () => validateGroupRow(row));
+    });
+
+    context.dom.groupTableBody.appendChild(row);
+    syncTableToJson();
+  }
+
   function loadUserTableData() {
-    const { userTableBody, directJsonData } = context.dom;
+    const { userTableBody, groupTableBody, directJsonData } = context.dom;
     if (!userTableBody) return;
-    if (userTableBody.children.length > 0) return;
+    if (userTableBody.children.length > 0 || groupTableBody?.children.length > 0) return;
 
     try {
       const jsonText = directJsonData.value.trim();
@@ -101,10 +173,17 @@ popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
         return;
       }
 
-      const users = JSON.parse(jsonText);
-      if (Array.isArray(users) && users.length > 0) {
+      const entries = JSON.parse(jsonText);
+      if (Array.isArray(entries) && entries.length > 0) {
+        const isGroupEntry = popupUsersTableRoot.GitHubMentionsSettings.isGroupEntry;
+        const users = entries.filter((entry) => !isGroupEntry(entry));
+        const groups = entries.filter((entry) => isGroupEntry(entry));
         userTableBody.innerHTML = '';
         users.forEach((user) => addUserRow(user.username || '', user.name || '', user.profile || ''));
+        if (users.length === 0) {
+          addUserRow();
+        }
+        groups.forEach((group) => addGroupRow(group.group || '', parseGroupMembers(group.members).join(', ')));
         return;
       }
     } catch (error) {
@@ -115,6 +194,7 @@ popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
   }
 
   return {
+    addGroupRow,
     addUserRow,
     loadUserTableData,
     syncTableToJson,
@@ -125,7 +205,10 @@ popupUsersTableRoot.GitHubMentionsPopup.createUsersTable = function(context) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getUserRowValues,
+    getGroupRowValues,
     isUserRowBlank,
-    isUserRowValid
+    isUserRowValid,
+    isGroupRowBlank,
+    isGroupRowValid
   };
 }
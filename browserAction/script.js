@@ -11,31 +11,74 @@ document.addEventListener('DOMContentLoaded', async () => {
     const services = {
       statusUi,
       usersTable,
+      sourcesManager: null,
+      lgtmProvidersManager: null,
+      lgtmGalleryManager: null,
       commandsManager: null,
+      commandPacksManager: null,
+      customHostsManager: null,
+      shortcutManager: null,
       settingsForm: null,
       backupManager: null,
-      async saveSettingsAndRefresh() {
-        return services.settingsForm.saveSettingsAndRefresh();
+      syncManager: null,
+      async saveSettingsAndRefresh(overrides) {
+        return services.settingsForm.saveSettingsAndRefresh(overrides);
       }
     };
 
+    const sourcesManager = window.GitHubMentionsPopup.createSourcesManager(context, services);
+    services.sourcesManager = sourcesManager;
+
+    const lgtmProvidersManager = window.GitHubMentionsPopup.createLgtmProvidersManager(context, services);
+    services.lgtmProvidersManager = lgtmProvidersManager;
+
+    const lgtmGalleryManager = window.GitHubMentionsPopup.createLgtmGalleryManager(context, services);
+    services.lgtmGalleryManager = lgtmGalleryManager;
+
     const commandsManager = window.GitHubMentionsPopup.createCommandsManager(context, services);
     services.commandsManager = commandsManager;
 
+    const commandPacksManager = window.GitHubMentionsPopup.createCommandPacksManager(context, services);
+    services.commandPacksManager = commandPacksManager;
+
+    const customHostsManager = window.GitHubMentionsPopup.createCustomHostsManager(context, services);
+    services.customHostsManager = customHostsManager;
+
+    const shortcutManager = window.GitHubMentionsPopup.createShortcutManager(context, services);
+    services.shortcutManager = shortcutManager;
+
     const settingsForm = window.GitHubMentionsPopup.createSettingsForm(context, services);
     services.settingsForm = settingsForm;
 
     const backupManager = window.GitHubMentionsPopup.createBackupManager(context, services);
     services.backupManager = backupManager;
 
+    const syncManager = window.GitHubMentionsPopup.createSyncManager(context, services);
+    services.syncManager = syncManager;
+
     await settingsForm.loadSettings();
     await statusUi.updateStatus();
 
     settingsForm.bindEvents();
+    sourcesManager.bindEvents();
+    lgtmProvidersManager.bindEvents();
+    lgtmGalleryManager.bindEvents();
     commandsManager.bindEvents();
+    commandPacksManager.bindEvents();
+    customHostsManager.bindEvents();
+    shortcutManager.bindEvents();
     backupManager.bindEvents();
+    syncManager.bindEvents();
     settingsForm.updateDataSourceSection();
+    sourcesManager.loadSources();
+    lgtmProvidersManager.loadProviders();
+    lgtmGalleryManager.loadGallery();
+    syncManager.loadStatus();
+    commandsManager.renderTemplateVariables();
     commandsManager.updateCommandsGrid();
+    commandPacksManager.renderPacks();
+    customHostsManager.renderHosts();
+    shortcutManager.loadShortcut();
 
     if (document.querySelector('input[name="dataSource"]:checked')?.value === 'gui') {
       usersTable.loadUserTableData();
@@ -137,26 +137,312 @@
       var settingsRoot = typeof window !== "undefined" ? window : globalThis;
       settingsRoot.GitHubMentionsSettings = settingsRoot.GitHubMentionsSettings || {};
       var GitHubMentionsSettings = settingsRoot.GitHubMentionsSettings;
+      var DATA_SOURCES = ["gui", "direct", "endpoint"];
+      var USER_SOURCE_TYPES = ["gui", "direct", "endpoint", "file"];
+      var SOURCE_PRECEDENCES = ["first", "last"];
+      var VISIBLE_ROWS_RANGE = { min: 1, max: 20 };
+      var MAX_RESULTS_RANGE = { min: 1, max: 500 };
+      var LGTM_PROVIDER_TYPES = ["reloaded", "endpoint", "list", "curated"];
+      var DEFAULT_LGTM_IMAGE_PATH = "imageUrl";
+      var DEFAULT_LGTM_PROVIDERS = [{ type: "reloaded" }, { type: "curated" }];
+      var SETTINGS_SCHEMA_VERSION = 2;
+      var DEFAULT_TRIGGERS = {
+        mention: { sequence: "@@", lineStart: false },
+        command: { sequence: "@!", lineStart: false }
+      };
+      var TRIGGER_SEQUENCE_PATTERN = /^[^\s\p{L}\p{M}\p{N}_-]{1,4}$/u;
+      var HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+      var SETTINGS_MIGRATIONS = [
+        {
+          version: 1,
+          description: "Convert string custom commands to {content, emoji} objects",
+          migrate(settings) {
+            const commands = settings.customCommands && typeof settings.customCommands === "object" ? settings.customCommands : {};
+            const customCommands = {};
+            Object.entries(commands).forEach(([name, commandData]) => {
+              if (typeof commandData === "string") {
+                customCommands[name] = { content: commandData, emoji: null };
+              } else if (commandData && typeof commandData === "object") {
+                customCommands[name] = commandData;
+              }
+            });
+            return { ...settings, customCommands };
+          }
+        },
+        {
+          version: 2,
+          description: "Give every additional user source a stable id",
+          migrate(settings) {
+            if (!Array.isArray(settings.userSources)) {
+              return settings;
+            }
+            const takenIds = new Set(settings.userSources.map((source) => typeof source?.id === "string" ? source.id.trim() : "").filter(Boolean));
+            let nextNumber = 1;
+            const userSources = settings.userSources.map((source) => {
+              if (!source || typeof source !== "object" || typeof source.id === "string" && source.id.trim()) {
+                return source;
+              }
+              while (takenIds.has(`source-${nextNumber}`)) {
+                nextNumber += 1;
+              }
+              const id = `source-${nextNumber}`;
+              takenIds.add(id);
+              return { ...source, id };
+            });
+            return { ...settings, userSources };
+          }
+        }
+      ];
       var DEFAULT_SETTINGS = {
         dataSource: "gui",
         directJsonData: "",
+        endpointUrl: "",
+        userSources: [],
+        sourcePrecedence: "first",
+        visibleRows: 4,
+        maxResults: 50,
         enabled: true,
-        customCommands: {}
+        customCommands: {},
+        commandPacks: [],
+        lgtmProviders: DEFAULT_LGTM_PROVIDERS,
+        customHosts: [],
+        triggers: DEFAULT_TRIGGERS,
+        schemaVersion: SETTINGS_SCHEMA_VERSION
       };
       GitHubMentionsSettings.getDefaultSettings = function() {
         return {
           ...DEFAULT_SETTINGS,
-          customCommands: {}
+          userSources: [],
+          customCommands: {},
+          commandPacks: [],
+          lgtmProviders: DEFAULT_LGTM_PROVIDERS.map((provider) => ({ ...provider })),
+          customHosts: [],
+          triggers: GitHubMentionsSettings.normalizeTriggers(DEFAULT_TRIGGERS)
         };
       };
-      GitHubMentionsSettings.normalizeSettings = function(settings) {
+      GitHubMentionsSettings.getCommandCategory = function(commandData) {
+        return commandData && typeof commandData === "object" && typeof commandData.category === "string" ? commandData.category.trim() : "";
+      };
+      GitHubMentionsSettings.groupCommandsByCategory = function(customCommands) {
+        const groups = /* @__PURE__ */ new Map();
+        Object.keys(customCommands && typeof customCommands === "object" ? customCommands : {}).forEach((name) => {
+          const category = GitHubMentionsSettings.getCommandCategory(customCommands[name]);
+          groups.set(category, [...groups.get(category) || [], name]);
+        });
+        return [...groups.entries()].sort(([left], [right]) => (left === "") - (right === "") || left.localeCompare(right)).map(([category, names]) => ({ category, names: names.sort((left, right) => left.localeCompare(right)) }));
+      };
+      GitHubMentionsSettings.createSourceId = function(prefix = "src") {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      };
+      GitHubMentionsSettings.normalizeUserSource = function(source) {
+        if (!source || typeof source !== "object" || !USER_SOURCE_TYPES.includes(source.type)) {
+          return null;
+        }
+        if (typeof source.id !== "string" || !source.id.trim()) {
+          return null;
+        }
+        return {
+          id: source.id.trim(),
+          name: typeof source.name === "string" && source.name.trim() ? source.name.trim() : source.type,
+          type: source.type,
+          enabled: source.enabled !== false,
+          jsonData: typeof source.jsonData === "string" ? source.jsonData : "",
+          url: typeof source.url === "string" ? source.url.trim() : "",
+          fileName: typeof source.fileName === "string" ? source.fileName : ""
+        };
+      };
+      GitHubMentionsSettings.normalizeUserSources = function(sources) {
+        if (!Array.isArray(sources)) {
+          return [];
+        }
+        const seenIds = /* @__PURE__ */ new Set(["primary"]);
+        return sources.map((source) => GitHubMentionsSettings.normalizeUserSource(source)).filter((source) => {
+          if (!source || seenIds.has(source.id)) {
+            return false;
+          }
+          seenIds.add(source.id);
+          return true;
+        });
+      };
+      GitHubMentionsSettings.normalizeCommandPack = function(pack) {
+        if (!pack || typeof pack !== "object" || typeof pack.name !== "string" || !pack.name.trim()) {
+          return null;
+        }
+        const url = typeof pack.url === "string" ? pack.url.trim() : "";
+        return {
+          id: typeof pack.id === "string" && pack.id.trim() ? pack.id.trim() : GitHubMentionsSettings.createSourceId("pack"),
+          name: pack.name.trim(),
+          version: typeof pack.version === "string" ? pack.version : "",
+          url,
+          autoSync: Boolean(url) && pack.autoSync === true,
+          lastSynced: Number.isFinite(pack.lastSynced) ? pack.lastSynced : 0,
+          commands: pack.commands && typeof pack.commands === "object" && !Array.isArray(pack.commands) ? pack.commands : {}
+        };
+      };
+      GitHubMentionsSettings.normalizeCommandPacks = function(packs) {
+        if (!Array.isArray(packs)) {
+          return [];
+        }
+        const seenIds = /* @__PURE__ */ new Set();
+        return packs.map((pack) => GitHubMentionsSettings.normalizeCommandPack(pack)).filter((pack) => {
+          if (!pack || seenIds.has(pack.id)) {
+            return false;
+          }
+          seenIds.add(pack.id);
+          return true;
+        });
+      };
+      GitHubMentionsSettings.normalizeLgtmProvider = function(provider) {
+        if (!provider || typeof provider !== "object" || !LGTM_PROVIDER_TYPES.includes(provider.type)) {
+          return null;
+        }
+        if (provider.type === "endpoint") {
+          return {
+            type: "endpoint",
+            url: typeof provider.url === "string" ? provider.url.trim() : "",
+            imagePath: typeof provider.imagePath === "string" && provider.imagePath.trim() ? provider.imagePath.trim() : DEFAULT_LGTM_IMAGE_PATH
+          };
+        }
+        if (provider.type === "list") {
+          return {
+            type: "list",
+            urls: (Array.isArray(provider.urls) ? provider.urls : []).filter((url) => typeof url === "string" && url.trim()).map((url) => url.trim())
+          };
+        }
+        return { type: provider.type };
+      };
+      GitHubMentionsSettings.normalizeLgtmProviders = function(providers) {
+        const normalized = (Array.isArray(providers) ? providers : []).map((provider) => GitHubMentionsSettings.normalizeLgtmProvider(provider)).filter(Boolean);
+        return normalized.length > 0 ? normalized : DEFAULT_LGTM_PROVIDERS.map((provider) => ({ ...provider }));
+      };
+      function isGitHubDotComHost(hostname) {
+        return hostname === "github.com" || hostname.endsWith(".github.com");
+      }
+      GitHubMentionsSettings.normalizeCustomHost = function(value) {
+        if (typeof value !== "string" || !value.trim()) {
+          return null;
+        }
+        const text = value.trim().toLowerCase();
+        let parsed;
+        try {
+          parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`);
+        } catch (error) {
+          return null;
+        }
+        if (!["http:", "https:"].includes(parsed.protocol) || parsed.port || parsed.username || parsed.password) {
+          return null;
+        }
+        const hostname = parsed.hostname.replace(/\.$/, "");
+        return HOSTNAME_PATTERN.test(hostname) && !isGitHubDotComHost(hostname) ? hostname : null;
+      };
+      GitHubMentionsSettings.normalizeCustomHosts = function(hosts) {
+        const normalized = (Array.isArray(hosts) ? hosts : []).map((host) => GitHubMentionsSettings.normalizeCustomHost(host)).filter(Boolean);
+        return [...new Set(normalized)];
+      };
+      GitHubMentionsSettings.getCustomHostOrigins = function(host) {
+        return [`https://${host}/*`, `http://${host}/*`];
+      };
+      function normalizeTrigger(trigger, fallback) {
+        const sequence = typeof trigger?.sequence === "string" ? trigger.sequence.trim() : "";
+        return {
+          sequence: sequence || fallback.sequence,
+          lineStart: trigger?.lineStart === true
+        };
+      }
+      GitHubMentionsSettings.validateTriggers = function(triggers) {
+        const labels = { mention: "Mention", command: "Command" };
+        for (const kind of Object.keys(labels)) {
+          const sequence = triggers?.[kind]?.sequence;
+          if (typeof sequence !== "string" || !TRIGGER_SEQUENCE_PATTERN.test(sequence)) {
+            return `${labels[kind]} trigger must be 1-4 symbols, without spaces, letters, digits, "_" or "-"`;
+          }
+        }
+        const mention = triggers.mention.sequence;
+        const command = triggers.command.sequence;
+        if (mention.startsWith(command) || command.startsWith(mention)) {
+          return `Mention trigger "${mention}" and command trigger "${command}" conflict; neither may start with the other`;
+        }
+        return null;
+      };
+      GitHubMentionsSettings.normalizeTriggers = function(triggers) {
+        const normalized = {
+          mention: normalizeTrigger(triggers?.mention, DEFAULT_TRIGGERS.mention),
+          command: normalizeTrigger(triggers?.command, DEFAULT_TRIGGERS.command)
+        };
+        if (GitHubMentionsSettings.validateTriggers(normalized)) {
+          return {
+            mention: { ...DEFAULT_TRIGGERS.mention },
+            command: { ...DEFAULT_TRIGGERS.command }
+          };
+        }
+        return normalized;
+      };
+      GitHubMentionsSettings.isValidEndpointUrl = function(url) {
+        if (typeof url !== "string" || url.trim() === "") {
+          return false;
+        }
+        try {
+          const parsed = new URL(url.trim());
+          return parsed.protocol === "http:" || parsed.protocol === "https:";
+        } catch (error) {
+          return false;
+        }
+      };
+      GitHubMentionsSettings.normalizeIntegerSetting = function(value, fallback, { min: min2, max: max2 }) {
+        const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+          return fallback;
+        }
+        return Math.min(max2, Math.max(min2, Math.round(number)));
+      };
+      GitHubMentionsSettings.getSettingsSchemaVersion = function(settings) {
+        const version = settings && typeof settings === "object" ? settings.schemaVersion : void 0;
+        return Number.isInteger(version) && version > 0 ? version : 0;
+      };
+      GitHubMentionsSettings.isNewerSettingsSchema = function(settings) {
+        return GitHubMentionsSettings.getSettingsSchemaVersion(settings) > SETTINGS_SCHEMA_VERSION;
+      };
+      function applySettingsMigrations(settings, fromVersion) {
+        return SETTINGS_MIGRATIONS.filter((step) => step.version > fromVersion).reduce((current, step) => ({ ...step.migrate(current), schemaVersion: step.version }), settings);
+      }
+      GitHubMentionsSettings.migrateSettings = function(settings) {
         const source = settings && typeof settings === "object" ? settings : {};
+        const fromVersion = GitHubMentionsSettings.getSettingsSchemaVersion(source);
+        if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+          return {
+            settings: null,
+            fromVersion,
+            applied: [],
+            error: `Settings use schema version ${fromVersion}, but this version of the extension only understands up to ${SETTINGS_SCHEMA_VERSION}. Update the extension first.`
+          };
+        }
         return {
-          dataSource: source.dataSource === "direct" ? "direct" : "gui",
+          settings: GitHubMentionsSettings.normalizeSettings(source),
+          fromVersion,
+          applied: SETTINGS_MIGRATIONS.filter((step) => step.version > fromVersion).map((step) => step.version),
+          error: null
+        };
+      };
+      GitHubMentionsSettings.normalizeSettings = function(settings) {
+        const raw = settings && typeof settings === "object" ? settings : {};
+        const source = applySettingsMigrations(raw, GitHubMentionsSettings.getSettingsSchemaVersion(raw));
+        const normalized = {
+          dataSource: DATA_SOURCES.includes(source.dataSource) ? source.dataSource : "gui",
           directJsonData: typeof source.directJsonData === "string" ? source.directJsonData : "",
+          endpointUrl: typeof source.endpointUrl === "string" ? source.endpointUrl.trim() : "",
+          userSources: GitHubMentionsSettings.normalizeUserSources(source.userSources),
+          sourcePrecedence: SOURCE_PRECEDENCES.includes(source.sourcePrecedence) ? source.sourcePrecedence : "first",
+          visibleRows: GitHubMentionsSettings.normalizeIntegerSetting(source.visibleRows, DEFAULT_SETTINGS.visibleRows, VISIBLE_ROWS_RANGE),
+          maxResults: GitHubMentionsSettings.normalizeIntegerSetting(source.maxResults, DEFAULT_SETTINGS.maxResults, MAX_RESULTS_RANGE),
           enabled: source.enabled !== false,
-          customCommands: source.customCommands && typeof source.customCommands === "object" ? source.customCommands : {}
+          customCommands: source.customCommands && typeof source.customCommands === "object" ? source.customCommands : {},
+          commandPacks: GitHubMentionsSettings.normalizeCommandPacks(source.commandPacks),
+          lgtmProviders: GitHubMentionsSettings.normalizeLgtmProviders(source.lgtmProviders),
+          customHosts: GitHubMentionsSettings.normalizeCustomHosts(source.customHosts),
+          triggers: GitHubMentionsSettings.normalizeTriggers(source.triggers),
+          schemaVersion: SETTINGS_SCHEMA_VERSION
         };
+        return GitHubMentionsSettings.isNewerSettingsSchema(raw) ? { ...raw, ...normalized, schemaVersion: raw.schemaVersion } : normalized;
       };
       GitHubMentionsSettings.normalizeUserForCache = function(user) {
         if (!user || typeof user !== "object") {
@@ -174,25 +460,100 @@
           avatar
         };
       };
+      GitHubMentionsSettings.isGroupEntry = function(entry) {
+        return Boolean(entry) && typeof entry === "object" && (typeof entry.group === "string" || entry.isGroup === true);
+      };
+      GitHubMentionsSettings.normalizeGroupMembers = function(members) {
+        const values = typeof members === "string" ? members.split(/[\s,]+/) : members;
+        if (!Array.isArray(values)) {
+          return [];
+        }
+        const seen = /* @__PURE__ */ new Set();
+        return values.map((member) => typeof member === "string" ? member.trim().replace(/^@/, "") : "").filter((member) => {
+          const key = member.toLowerCase();
+          if (!member || seen.has(key)) {
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+      };
+      GitHubMentionsSettings.normalizeGroupForCache = function(entry) {
+        if (!GitHubMentionsSettings.isGroupEntry(entry)) {
+          return null;
+        }
+        const rawGroup = typeof entry.group === "string" ? entry.group : entry.username;
+        const group = typeof rawGroup === "string" ? rawGroup.trim().replace(/^@+/, "") : "";
+        const members = GitHubMentionsSettings.normalizeGroupMembers(entry.members);
+        if (!group || members.length === 0) {
+          return null;
+        }
+        return {
+          username: group,
+          name: typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : group,
+          avatar: "",
+          isGroup: true,
+          members
+        };
+      };
+      GitHubMentionsSettings.normalizeDirectoryEntry = function(entry) {
+        return GitHubMentionsSettings.isGroupEntry(entry) ? GitHubMentionsSettings.normalizeGroupForCache(entry) : GitHubMentionsSettings.normalizeUserForCache(entry);
+      };
       GitHubMentionsSettings.normalizeUsersForCache = function(users) {
         if (!Array.isArray(users)) {
           return [];
         }
-        return users.map((user) => GitHubMentionsSettings.normalizeUserForCache(user)).filter(Boolean);
+        return users.map((user) => GitHubMentionsSettings.normalizeDirectoryEntry(user)).filter(Boolean);
       };
+      function isValidDirectJsonUser(user) {
+        return Boolean(
+          user && typeof user === "object" && typeof user.username === "string" && user.username.trim() !== "" && typeof user.name === "string" && user.name.trim() !== "" && (user.avatar === void 0 || typeof user.avatar === "string")
+        );
+      }
       GitHubMentionsSettings.validateDirectJsonUsers = function(users) {
         if (!Array.isArray(users) || users.length === 0) {
           return false;
         }
-        return users.every(
-          (user) => user && typeof user === "object" && typeof user.username === "string" && user.username.trim() !== "" && typeof user.name === "string" && user.name.trim() !== "" && (user.avatar === void 0 || typeof user.avatar === "string")
-        );
+        return users.every((entry) => GitHubMentionsSettings.isGroupEntry(entry) ? Boolean(GitHubMentionsSettings.normalizeGroupForCache(entry)) : isValidDirectJsonUser(entry));
       };
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
+          DATA_SOURCES,
+          DEFAULT_LGTM_IMAGE_PATH,
+          DEFAULT_LGTM_PROVIDERS,
           DEFAULT_SETTINGS,
+          DEFAULT_TRIGGERS,
+          LGTM_PROVIDER_TYPES,
+          MAX_RESULTS_RANGE,
+          SETTINGS_MIGRATIONS,
+          SETTINGS_SCHEMA_VERSION,
+          SOURCE_PRECEDENCES,
+          VISIBLE_ROWS_RANGE,
+          USER_SOURCE_TYPES,
           getDefaultSettings: GitHubMentionsSettings.getDefaultSettings,
+          getCommandCategory: GitHubMentionsSettings.getCommandCategory,
+          groupCommandsByCategory: GitHubMentionsSettings.groupCommandsByCategory,
+          isNewerSettingsSchema: GitHubMentionsSettings.isNewerSettingsSchema,
+          createSourceId: GitHubMentionsSettings.createSourceId,
+          normalizeCommandPack: GitHubMentionsSettings.normalizeCommandPack,
+          normalizeCommandPacks: GitHubMentionsSettings.normalizeCommandPacks,
+          normalizeLgtmProvider: GitHubMentionsSettings.normalizeLgtmProvider,
+          normalizeLgtmProviders: GitHubMentionsSettings.normalizeLgtmProviders,
+          normalizeCustomHost: GitHubMentionsSettings.normalizeCustomHost,
+          normalizeCustomHosts: GitHubMentionsSettings.normalizeCustomHosts,
+          getCustomHostOrigins: GitHubMentionsSettings.getCustomHostOrigins,
+          validateTriggers: GitHubMentionsSettings.validateTriggers,
+          normalizeTriggers: GitHubMentionsSettings.normalizeTriggers,
+          isValidEndpointUrl: GitHubMentionsSettings.isValidEndpointUrl,
+          getSettingsSchemaVersion: GitHubMentionsSettings.getSettingsSchemaVersion,
+          migrateSettings: GitHubMentionsSettings.migrateSettings,
           normalizeSettings: GitHubMentionsSettings.normalizeSettings,
+          normalizeUserSource: GitHubMentionsSettings.normalizeUserSource,
+          normalizeUserSources: GitHubMentionsSettings.normalizeUserSources,
+          isGroupEntry: GitHubMentionsSettings.isGroupEntry,
+          normalizeGroupMembers: GitHubMentionsSettings.normalizeGroupMembers,
+          normalizeGroupForCache: GitHubMentionsSettings.normalizeGroupForCache,
+          normalizeDirectoryEntry: GitHubMentionsSettings.normalizeDirectoryEntry,
           normalizeUserForCache: GitHubMentionsSettings.normalizeUserForCache,
           normalizeUsersForCache: GitHubMentionsSettings.normalizeUsersForCache,
           validateDirectJsonUsers: GitHubMentionsSettings.validateDirectJsonUsers
@@ -201,6 +562,319 @@
     }
   });
 
+  // utils/user-sources.js
+  var require_user_sources = __commonJS({
+    "utils/user-sources.js"(exports, module) {
+      (function initGitHubMentionsUserSources(root) {
+        const PRIMARY_SOURCE_ID = "primary";
+        const SOURCE_TYPE_LABELS = {
+          gui: "Local GUI",
+          direct: "JSON",
+          endpoint: "HTTP Endpoint",
+          file: "File"
+        };
+        function getSettingsApi() {
+          return root.GitHubMentionsSettings || (typeof module !== "undefined" && module.exports ? require_settings() : null);
+        }
+        function getConfiguredSources(settings) {
+          if (!settings || typeof settings !== "object") {
+            return [];
+          }
+          const primary = {
+            id: PRIMARY_SOURCE_ID,
+            name: "Primary",
+            type: settings.dataSource || "gui",
+            enabled: true,
+            jsonData: settings.directJsonData || "",
+            url: settings.endpointUrl || "",
+            fileName: ""
+          };
+          const additionalSources = getSettingsApi()?.normalizeUserSources(settings.userSources) || [];
+          return [primary, ...additionalSources].filter((source) => source.enabled);
+        }
+        function hasEndpointSource(settings) {
+          return getConfiguredSources(settings).some((source) => source.type === "endpoint" && source.url);
+        }
+        function parseSourceUsers(source) {
+          if (!source?.jsonData) {
+            return { users: [], error: null };
+          }
+          try {
+            const data = JSON.parse(source.jsonData);
+            if (!Array.isArray(data)) {
+              return { users: [], error: "JSON must be an array" };
+            }
+            return {
+              users: getSettingsApi()?.normalizeUsersForCache(data) || [],
+              error: null
+            };
+          } catch (error) {
+            return { users: [], error: `Invalid JSON: ${error.message}` };
+          }
+        }
+        function hasOwnName(user) {
+          return Boolean(user.name) && user.name !== user.username;
+        }
+        function mergeUserField(target, incoming, field, hasValue, precedence) {
+          if (!hasValue(incoming)) {
+            return;
+          }
+          if (precedence === "last" || !hasValue(target)) {
+            target[field] = incoming[field];
+          }
+        }
+        function mergeGroupMembers(target, incoming) {
+          const knownMembers = new Set(target.members.map((member) => member.toLowerCase()));
+          incoming.members.forEach((member) => {
+            if (!knownMembers.has(member.toLowerCase())) {
+              knownMembers.add(member.toLowerCase());
+              target.members.push(member);
+            }
+          });
+        }
+        function mergeSourceUsers(sourceResults, precedence = "first") {
+          const mergedByUsername = /* @__PURE__ */ new Map();
+          const stats = [];
+          (Array.isArray(sourceResults) ? sourceResults : []).forEach(({ source, users, error }) => {
+            let uniqueCount = 0;
+            const validUsers = Array.isArray(users) ? users : [];
+            validUsers.forEach((user) => {
+              const key = `${user.isGroup ? "group:" : ""}${user.username.toLowerCase()}`;
+              const existing = mergedByUsername.get(key);
+              if (!existing) {
+                mergedByUsername.set(key, user.isGroup ? { ...user, members: user.members.slice() } : { ...user });
+                uniqueCount += 1;
+                return;
+              }
+              mergeUserField(existing, user, "name", hasOwnName, precedence);
+              if (user.isGroup) {
+                mergeGroupMembers(existing, user);
+                return;
+              }
+              mergeUserField(existing, user, "avatar", (entry) => Boolean(entry.avatar), precedence);
+            });
+            stats.push({
+              id: source.id,
+              name: source.name,
+              type: source.type,
+              count: validUsers.length,
+              uniqueCount,
+              error: error || null
+            });
+          });
+          return {
+            users: Array.from(mergedByUsername.values()),
+            stats
+          };
+        }
+        function describeSourceStat(stat) {
+          const label = `${stat.name} (${SOURCE_TYPE_LABELS[stat.type] || stat.type})`;
+          if (stat.error) {
+            return `${label}: ${stat.count} users, ${stat.error}`;
+          }
+          const duplicates = stat.count - stat.uniqueCount;
+          return duplicates > 0 ? `${label}: ${stat.count} users (${duplicates} merged)` : `${label}: ${stat.count} users`;
+        }
+        root.GitHubMentionsUserSources = {
+          SOURCE_TYPE_LABELS,
+          PRIMARY_SOURCE_ID,
+          getConfiguredSources,
+          hasEndpointSource,
+          parseSourceUsers,
+          mergeSourceUsers,
+          describeSourceStat
+        };
+        if (typeof module !== "undefined" && module.exports) {
+          module.exports = root.GitHubMentionsUserSources;
+        }
+      })(typeof globalThis !== "undefined" ? globalThis : exports);
+    }
+  });
+
+  // utils/user-cache.js
+  var require_user_cache = __commonJS({
+    "utils/user-cache.js"(exports, module) {
+      (function initGitHubMentionsUserCache(root) {
+        const USER_CACHE_META_KEY = "githubMentions_userCacheMeta";
+        const USER_CACHE_CHUNK_PREFIX = "githubMentions_userCacheChunk_";
+        const LEGACY_USER_CACHE_KEY = "githubMentions_userCache";
+        const USER_CACHE_CHUNK_BYTES = 512 * 1024;
+        const USER_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+        const encoder = new TextEncoder();
+        function getByteLength(text) {
+          return encoder.encode(text).length;
+        }
+        function getUserCacheChunkKey(index) {
+          return `${USER_CACHE_CHUNK_PREFIX}${index}`;
+        }
+        function getUserCacheChunkKeys(chunkCount) {
+          return Array.from({ length: Math.max(0, chunkCount || 0) }, (_, index) => getUserCacheChunkKey(index));
+        }
+        function hashText(hash, text) {
+          let next = hash;
+          for (let index = 0; index < text.length; index += 1) {
+            next = (next * 33 ^ text.charCodeAt(index)) >>> 0;
+          }
+          return next;
+        }
+        function splitUsersIntoChunks(users, maxBytes = USER_CACHE_CHUNK_BYTES) {
+          const chunks = [];
+          let current = [];
+          let currentBytes = 2;
+          let bytes = 0;
+          let hash = 5381;
+          users.forEach((user) => {
+            const json = JSON.stringify(user);
+            hash = hashText(hash, `${json},`);
+            const userBytes = getByteLength(json) + 1;
+            if (currentBytes + userBytes > maxBytes && current.length > 0) {
+              chunks.push(current);
+              current = [];
+              currentBytes = 2;
+            }
+            current.push(user);
+            currentBytes += userBytes;
+            bytes += userBytes;
+          });
+          if (current.length > 0) {
+            chunks.push(current);
+          }
+          return { chunks, bytes, hash: hash.toString(36) };
+        }
+        function buildUserCacheItems(users, { revision, timestamp }) {
+          const { chunks, bytes, hash } = splitUsersIntoChunks(users);
+          if (bytes > USER_CACHE_MAX_BYTES) {
+            return {
+              items: null,
+              meta: null,
+              error: `Merged user list is ${formatByteSize(bytes)}, over the ${formatByteSize(USER_CACHE_MAX_BYTES)} cache limit`
+            };
+          }
+          const items = {};
+          chunks.forEach((chunk, index) => {
+            items[getUserCacheChunkKey(index)] = { revision, users: chunk };
+          });
+          return {
+            items,
+            meta: { version: 1, revision, timestamp, userCount: users.length, chunkCount: chunks.length, bytes, hash },
+            error: null
+          };
+        }
+        function isValidUserCacheMeta(meta) {
+          return Boolean(meta && typeof meta === "object" && Number.isInteger(meta.chunkCount) && meta.chunkCount >= 0);
+        }
+        function assembleUserCache(meta, items) {
+          const users = [];
+          for (const key of getUserCacheChunkKeys(meta.chunkCount)) {
+            const chunk = items?.[key];
+            if (!chunk || chunk.revision !== meta.revision || !Array.isArray(chunk.users)) {
+              return null;
+            }
+            users.push(...chunk.users);
+          }
+          return users;
+        }
+        async function readUserCacheMeta(storageArea) {
+          const stored = await storageArea.get([USER_CACHE_META_KEY, LEGACY_USER_CACHE_KEY]);
+          if (isValidUserCacheMeta(stored[USER_CACHE_META_KEY])) {
+            return stored[USER_CACHE_META_KEY];
+          }
+          const legacyUsers = stored[LEGACY_USER_CACHE_KEY];
+          if (!Array.isArray(legacyUsers)) {
+            return null;
+          }
+          return {
+            version: 0,
+            revision: 0,
+            timestamp: null,
+            userCount: legacyUsers.length,
+            chunkCount: 0,
+            bytes: getByteLength(JSON.stringify(legacyUsers))
+          };
+        }
+        async function readUserCache(storageArea) {
+          const stored = await storageArea.get([USER_CACHE_META_KEY, LEGACY_USER_CACHE_KEY]);
+          const meta = stored[USER_CACHE_META_KEY];
+          if (!isValidUserCacheMeta(meta)) {
+            const legacyUsers = stored[LEGACY_USER_CACHE_KEY];
+            return { users: Array.isArray(legacyUsers) ? legacyUsers : [], meta: null };
+          }
+          const chunkKeys = getUserCacheChunkKeys(meta.chunkCount);
+          const chunks = chunkKeys.length > 0 ? await storageArea.get(chunkKeys) : {};
+          return { users: assembleUserCache(meta, chunks), meta };
+        }
+        async function writeUserCache(storageArea, users, options = {}) {
+          const now = options.now || Date.now();
+          const previous = (await storageArea.get(USER_CACHE_META_KEY))[USER_CACHE_META_KEY];
+          const previousChunkCount = isValidUserCacheMeta(previous) ? previous.chunkCount : 0;
+          const revision = (Number.isInteger(previous?.revision) ? previous.revision : 0) + 1;
+          const { items, meta, error } = buildUserCacheItems(users, { revision, timestamp: now });
+          if (error) {
+            return { success: false, meta: null, error };
+          }
+          if (isValidUserCacheMeta(previous) && previous.hash === meta.hash && previous.userCount === meta.userCount) {
+            if (options.extraItems) {
+              await storageArea.set(options.extraItems);
+            }
+            return { success: true, meta: previous, error: null };
+          }
+          if (Object.keys(items).length > 0) {
+            await storageArea.set(items);
+          }
+          await storageArea.set({ ...options.extraItems || {}, [USER_CACHE_META_KEY]: meta });
+          const staleKeys = getUserCacheChunkKeys(previousChunkCount).slice(meta.chunkCount);
+          await storageArea.remove([...staleKeys, LEGACY_USER_CACHE_KEY]);
+          return { success: true, meta, error: null };
+        }
+        async function clearUserCache(storageArea) {
+          const meta = await readUserCacheMeta(storageArea);
+          await storageArea.remove([
+            USER_CACHE_META_KEY,
+            LEGACY_USER_CACHE_KEY,
+            ...getUserCacheChunkKeys(meta?.chunkCount)
+          ]);
+        }
+        function formatByteSize(bytes) {
+          if (bytes < 1024) {
+            return `${bytes} B`;
+          }
+          if (bytes < 1024 * 1024) {
+            return `${Number((bytes / 1024).toFixed(1))} KB`;
+          }
+          return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+        }
+        function describeUserCacheUsage(meta) {
+          const limit = formatByteSize(USER_CACHE_MAX_BYTES);
+          if (!meta) {
+            return `Empty (limit ${limit})`;
+          }
+          const layout = meta.version === 0 ? "legacy single item" : `${meta.chunkCount} ${meta.chunkCount === 1 ? "chunk" : "chunks"}`;
+          return `${formatByteSize(meta.bytes)} of ${limit} (${layout})`;
+        }
+        root.GitHubMentionsUserCache = {
+          USER_CACHE_META_KEY,
+          USER_CACHE_CHUNK_PREFIX,
+          LEGACY_USER_CACHE_KEY,
+          USER_CACHE_CHUNK_BYTES,
+          USER_CACHE_MAX_BYTES,
+          getUserCacheChunkKeys,
+          splitUsersIntoChunks,
+          buildUserCacheItems,
+          assembleUserCache,
+          readUserCacheMeta,
+          readUserCache,
+          writeUserCache,
+          clearUserCache,
+          formatByteSize,
+          describeUserCacheUsage
+        };
+        if (typeof module !== "undefined" && module.exports) {
+          module.exports = root.GitHubMentionsUserCache;
+        }
+      })(typeof globalThis !== "undefined" ? globalThis : exports);
+    }
+  });
+
   // utils/lgtm.js
   var require_lgtm = __commonJS({
     "utils/lgtm.js"(exports, module) {
@@ -214,22 +888,86 @@
           "https://media.giphy.com/media/xT0xeJpnrWC4XWblEk/giphy.gif",
           "https://media.giphy.com/media/QMHoU66sBXqqLqYvGO/giphy.gif"
         ];
+        const MAX_LGTM_HISTORY = 200;
         function getCuratedLgtmPool() {
           return curatedLgtmGifs.slice();
         }
-        function pickRandomLgtmGif(excludedUrl = null, randomFn = Math.random) {
-          const pool = getCuratedLgtmPool().filter((url) => url !== excludedUrl);
-          const targetPool = pool.length > 0 ? pool : getCuratedLgtmPool();
+        function pickRandomLgtmGif(excludedUrl = null, randomFn = Math.random, sourcePool = getCuratedLgtmPool()) {
+          const pool = sourcePool.filter((url) => url !== excludedUrl);
+          const targetPool = pool.length > 0 ? pool : sourcePool;
           if (targetPool.length === 0) {
             return null;
           }
           const index = Math.floor(randomFn() * targetPool.length);
           return targetPool[index];
         }
+        function readResponseField(data, path) {
+          return String(path || "").replace(/\[(\d+)\]/g, ".$1").split(".").filter(Boolean).reduce((value, key) => value !== null && typeof value === "object" ? value[key] : void 0, data);
+        }
+        function normalizeLgtmHistory(history) {
+          const seenUrls = /* @__PURE__ */ new Set();
+          return (Array.isArray(history) ? history : []).filter((entry) => entry && typeof entry.url === "string" && entry.url.trim()).map((entry) => ({
+            url: entry.url.trim(),
+            repo: typeof entry.repo === "string" ? entry.repo : "",
+            timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : 0,
+            favorite: entry.favorite === true && entry.banned !== true,
+            banned: entry.banned === true
+          })).filter((entry) => {
+            if (seenUrls.has(entry.url)) {
+              return false;
+            }
+            seenUrls.add(entry.url);
+            return true;
+          }).sort((left, right) => right.timestamp - left.timestamp);
+        }
+        function recordLgtmHistory(history, { url, repo = "", timestamp = Date.now() }) {
+          const entries = normalizeLgtmHistory(history);
+          const existing = entries.find((entry) => entry.url === url);
+          const next = [
+            { url, repo, timestamp, favorite: existing?.favorite || false, banned: existing?.banned || false },
+            ...entries.filter((entry) => entry.url !== url)
+          ];
+          let overflow = next.length - MAX_LGTM_HISTORY;
+          for (let index = next.length - 1; index >= 0 && overflow > 0; index -= 1) {
+            if (!next[index].favorite && !next[index].banned) {
+              next.splice(index, 1);
+              overflow -= 1;
+            }
+          }
+          return next;
+        }
+        function updateLgtmHistoryEntry(history, url, { favorite, banned }) {
+          return normalizeLgtmHistory(history).map((entry) => {
+            if (entry.url !== url) {
+              return entry;
+            }
+            if (banned !== void 0) {
+              return { ...entry, banned, favorite: banned ? false : entry.favorite };
+            }
+            return { ...entry, favorite, banned: favorite ? false : entry.banned };
+          });
+        }
+        function removeLgtmHistoryEntry(history, url) {
+          return normalizeLgtmHistory(history).filter((entry) => entry.url !== url);
+        }
+        function getFavoriteLgtmUrls(history) {
+          return normalizeLgtmHistory(history).filter((entry) => entry.favorite).map((entry) => entry.url);
+        }
+        function getBannedLgtmUrls(history) {
+          return normalizeLgtmHistory(history).filter((entry) => entry.banned).map((entry) => entry.url);
+        }
         root.GitHubMentionsLGTM = {
+          MAX_LGTM_HISTORY,
           CURATED_LGTM_GIFS: curatedLgtmGifs.slice(),
           getCuratedLgtmPool,
-          pickRandomLgtmGif
+          pickRandomLgtmGif,
+          readResponseField,
+          normalizeLgtmHistory,
+          recordLgtmHistory,
+          updateLgtmHistoryEntry,
+          removeLgtmHistoryEntry,
+          getFavoriteLgtmUrls,
+          getBannedLgtmUrls
         };
         if (typeof module !== "undefined" && module.exports) {
           module.exports = root.GitHubMentionsLGTM;
@@ -238,39 +976,369 @@
     }
   });
 
-  // utils/overlay/anchor.js
-  var require_anchor = __commonJS({
-    "utils/overlay/anchor.js"(exports, module) {
-      var overlayAnchorRoot = typeof window !== "undefined" ? window : globalThis;
-      overlayAnchorRoot.GitHubMentionsOverlay = overlayAnchorRoot.GitHubMentionsOverlay || {};
-      function createRect(left, top, width, height) {
-        return {
-          x: left,
-          y: top,
-          left,
-          top,
-          width,
-          height,
-          right: left + width,
-          bottom: top + height
-        };
-      }
-      function getFallbackLineHeight(activeInput) {
-        const computedStyle = overlayAnchorRoot.getComputedStyle?.(activeInput);
-        const lineHeight = Number.parseFloat(computedStyle?.lineHeight);
-        if (Number.isFinite(lineHeight) && lineHeight > 0) {
-          return lineHeight;
+  // utils/templates.js
+  var require_templates = __commonJS({
+    "utils/templates.js"(exports, module) {
+      var templatesRoot = typeof window !== "undefined" ? window : globalThis;
+      templatesRoot.GitHubMentionsTemplates = templatesRoot.GitHubMentionsTemplates || {};
+      var GitHubMentionsTemplates = templatesRoot.GitHubMentionsTemplates;
+      var TEMPLATE_VARIABLES = [
+        { name: "timestamp", description: "Current ISO timestamp" },
+        { name: "date", description: "Current date" },
+        { name: "time", description: "Current time" },
+        { name: "repo", description: "Repository name" },
+        { name: "owner", description: "Repository owner" },
+        { name: "pr.number", description: "Pull request number" },
+        { name: "pr.title", description: "Pull request title" },
+        { name: "pr.author", description: "Pull request author" },
+        { name: "branch", description: "Pull request head branch, or the branch being browsed" },
+        { name: "issue.number", description: "Issue number" },
+        { name: "url", description: "Current page URL" }
+      ];
+      GitHubMentionsTemplates.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+      var TEMPLATE_VARIABLE_PATTERN = /\$\{([^{}]*)\}/g;
+      var NUMBERED_TAB_STOP_PATTERN = /\\\$|\$([1-9]\d*)|\$\{([1-9]\d*)(:[^{}]*)?\}/g;
+      var RESERVED_OWNER_SEGMENTS = /* @__PURE__ */ new Set([
+        "codespaces",
+        "dashboard",
+        "explore",
+        "features",
+        "issues",
+        "login",
+        "marketplace",
+        "new",
+        "notifications",
+        "organizations",
+        "orgs",
+        "pulls",
+        "search",
+        "settings",
+        "sponsors",
+        "topics"
+      ]);
+      GitHubMentionsTemplates.isKnownTemplateVariable = function(name) {
+        return TEMPLATE_VARIABLES.some((variable) => variable.name === name);
+      };
+      GitHubMentionsTemplates.isSnippetPlaceholder = function(name) {
+        return /^(cursor|\d+(:[^{}]*)?)$/.test(name);
+      };
+      GitHubMentionsTemplates.getTemplateVariables = function(template) {
+        const names = [];
+        for (const match of String(template || "").matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+          const name = match[1].trim();
+          if (!names.includes(name)) {
+            names.push(name);
+          }
         }
-        const fontSize = Number.parseFloat(computedStyle?.fontSize);
-        if (Number.isFinite(fontSize) && fontSize > 0) {
-          return Math.round(fontSize * 1.2);
+        return names;
+      };
+      GitHubMentionsTemplates.findUnknownTemplateVariables = function(template, params = []) {
+        const paramNames = GitHubMentionsTemplates.getParamVariableNames(params);
+        return GitHubMentionsTemplates.getTemplateVariables(template).filter((name) => !GitHubMentionsTemplates.isKnownTemplateVariable(name) && !paramNames.includes(name) && !GitHubMentionsTemplates.isSnippetPlaceholder(name));
+      };
+      GitHubMentionsTemplates.formatUnknownVariablesMessage = function(names) {
+        const list = names.map((name) => `\${${name}}`).join(", ");
+        return `Unknown template ${names.length === 1 ? "variable" : "variables"}: ${list}`;
+      };
+      GitHubMentionsTemplates.findConflictingTabStops = function(template, params = []) {
+        const paramNames = GitHubMentionsTemplates.getParamVariableNames(params);
+        if (paramNames.length === 0) {
+          return [];
         }
-        return 16;
-      }
-      function getTextareaAnchorRect(activeInput) {
-        const getCaretCoordinates2 = overlayAnchorRoot.GitHubMentionsVendor?.getCaretCoordinates;
-        if (typeof getCaretCoordinates2 !== "function" || typeof activeInput?.selectionStart !== "number") {
-          return null;
+        const stops = [];
+        for (const match of String(template || "").matchAll(NUMBERED_TAB_STOP_PATTERN)) {
+          const isArgument = match[2] !== void 0 && match[3] === void 0 && paramNames.includes(match[2]);
+          if (match[0] !== "\\$" && !isArgument && !stops.includes(match[0])) {
+            stops.push(match[0]);
+          }
+        }
+        return stops;
+      };
+      GitHubMentionsTemplates.formatConflictingTabStopsMessage = function(stops) {
+        return `Commands with parameters can't use numbered tab stops (${stops.join(", ")}); \${1} is the first argument there. Use \${cursor} instead.`;
+      };
+      var COMMAND_PARAM_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+      GitHubMentionsTemplates.parseCommandParams = function(signature) {
+        const params = [];
+        const entries = String(signature || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+        for (const entry of entries) {
+          const separatorIndex = entry.indexOf("=");
+          const name = (separatorIndex === -1 ? entry : entry.slice(0, separatorIndex)).trim();
+          if (!COMMAND_PARAM_NAME_PATTERN.test(name)) {
+            return { params: [], error: `Invalid parameter name "${name}"` };
+          }
+          if (GitHubMentionsTemplates.isKnownTemplateVariable(name)) {
+            return { params: [], error: `Parameter "${name}" conflicts with a built-in variable` };
+          }
+          if (params.some((param) => param.name === name)) {
+            return { params: [], error: `Duplicate parameter "${name}"` };
+          }
+          params.push(separatorIndex === -1 ? { name } : { name, default: entry.slice(separatorIndex + 1).trim() });
+        }
+        return { params, error: null };
+      };
+      GitHubMentionsTemplates.normalizeCommandParams = function(params) {
+        if (!Array.isArray(params)) {
+          return [];
+        }
+        return params.filter((param) => param && COMMAND_PARAM_NAME_PATTERN.test(param.name)).map((param) => typeof param.default === "string" ? { name: param.name, default: param.default } : { name: param.name });
+      };
+      GitHubMentionsTemplates.formatCommandParams = function(params) {
+        return GitHubMentionsTemplates.normalizeCommandParams(params).map((param) => Object.hasOwn(param, "default") ? `${param.name}=${param.default}` : param.name).join(", ");
+      };
+      GitHubMentionsTemplates.getParamVariableNames = function(params) {
+        return GitHubMentionsTemplates.normalizeCommandParams(params).flatMap((param, index) => [String(index + 1), param.name]);
+      };
+      GitHubMentionsTemplates.buildArgumentValues = function(params, args = []) {
+        const values = {};
+        const missing = [];
+        GitHubMentionsTemplates.normalizeCommandParams(params).forEach((param, index) => {
+          const typed = typeof args[index] === "string" ? args[index] : "";
+          const value = typed || param.default || "";
+          if (!typed && !Object.hasOwn(param, "default")) {
+            missing.push(param.name);
+          }
+          values[String(index + 1)] = value;
+          values[param.name] = value;
+        });
+        return { values, missing };
+      };
+      GitHubMentionsTemplates.formatMissingArgumentsMessage = function(names) {
+        return `Missing required ${names.length === 1 ? "argument" : "arguments"}: ${names.join(", ")}`;
+      };
+      GitHubMentionsTemplates.parseGitHubUrl = function(url) {
+        const details = { owner: "", repo: "", prNumber: "", issueNumber: "", branch: "" };
+        let pathname = "";
+        try {
+          pathname = new URL(url).pathname;
+        } catch (error) {
+          return details;
+        }
+        const segments = pathname.split("/").filter(Boolean).map((segment) => {
+          try {
+            return decodeURIComponent(segment);
+          } catch (error) {
+            return segment;
+          }
+        });
+        if (segments.length < 2 || RESERVED_OWNER_SEGMENTS.has(segments[0].toLowerCase())) {
+          return details;
+        }
+        details.owner = segments[0];
+        details.repo = segments[1];
+        const [section, target] = segments.slice(2);
+        if (section === "pull" && /^\d+$/.test(target || "")) {
+          details.prNumber = target;
+        } else if (section === "issues" && /^\d+$/.test(target || "")) {
+          details.issueNumber = target;
+        } else if ((section === "tree" || section === "blob" || section === "commits") && target) {
+          details.branch = target;
+        } else if (section === "compare" && target) {
+          details.branch = target.split("...").pop();
+        }
+        return details;
+      };
+      GitHubMentionsTemplates.buildTemplateValues = function(date = /* @__PURE__ */ new Date(), pageContext = {}) {
+        const context = pageContext || {};
+        return {
+          timestamp: date.toISOString(),
+          date: date.toLocaleDateString(),
+          time: date.toLocaleTimeString(),
+          repo: context.repo || "",
+          owner: context.owner || "",
+          "pr.number": context.prNumber || "",
+          "pr.title": context.prTitle || "",
+          "pr.author": context.prAuthor || "",
+          branch: context.branch || "",
+          "issue.number": context.issueNumber || "",
+          url: context.url || ""
+        };
+      };
+      GitHubMentionsTemplates.renderTemplate = function(template, values) {
+        const unknown = [];
+        const text = String(template || "").replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, rawName) => {
+          const name = rawName.trim();
+          if (Object.hasOwn(values, name)) {
+            return values[name];
+          }
+          if (GitHubMentionsTemplates.isSnippetPlaceholder(rawName)) {
+            return placeholder;
+          }
+          if (!unknown.includes(name)) {
+            unknown.push(name);
+          }
+          return placeholder;
+        });
+        return { text, unknown };
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          TEMPLATE_VARIABLES,
+          isKnownTemplateVariable: GitHubMentionsTemplates.isKnownTemplateVariable,
+          isSnippetPlaceholder: GitHubMentionsTemplates.isSnippetPlaceholder,
+          getTemplateVariables: GitHubMentionsTemplates.getTemplateVariables,
+          findUnknownTemplateVariables: GitHubMentionsTemplates.findUnknownTemplateVariables,
+          formatUnknownVariablesMessage: GitHubMentionsTemplates.formatUnknownVariablesMessage,
+          findConflictingTabStops: GitHubMentionsTemplates.findConflictingTabStops,
+          formatConflictingTabStopsMessage: GitHubMentionsTemplates.formatConflictingTabStopsMessage,
+          parseCommandParams: GitHubMentionsTemplates.parseCommandParams,
+          normalizeCommandParams: GitHubMentionsTemplates.normalizeCommandParams,
+          formatCommandParams: GitHubMentionsTemplates.formatCommandParams,
+          getParamVariableNames: GitHubMentionsTemplates.getParamVariableNames,
+          buildArgumentValues: GitHubMentionsTemplates.buildArgumentValues,
+          formatMissingArgumentsMessage: GitHubMentionsTemplates.formatMissingArgumentsMessage,
+          parseGitHubUrl: GitHubMentionsTemplates.parseGitHubUrl,
+          buildTemplateValues: GitHubMentionsTemplates.buildTemplateValues,
+          renderTemplate: GitHubMentionsTemplates.renderTemplate
+        };
+      }
+    }
+  });
+
+  // utils/overlay/theme.js
+  var require_theme = __commonJS({
+    "utils/overlay/theme.js"(exports, module) {
+      var overlayThemeRoot = typeof window !== "undefined" ? window : globalThis;
+      overlayThemeRoot.GitHubMentionsOverlay = overlayThemeRoot.GitHubMentionsOverlay || {};
+      var THEME_ATTRIBUTES = ["data-color-mode", "data-light-theme", "data-dark-theme"];
+      var THEME_PALETTES = {
+        light: {
+          isDarkMode: false,
+          background: "#ffffff",
+          username: "#212529",
+          name: "#4f5863",
+          border: "#dde1e5",
+          selected: "#9ec9f9ff",
+          selectedText: "#ffffff"
+        },
+        light_high_contrast: {
+          isDarkMode: false,
+          background: "#ffffff",
+          username: "#010409",
+          name: "#454c54",
+          border: "#20252c",
+          selected: "#0349b4",
+          selectedText: "#ffffff"
+        },
+        dark: {
+          isDarkMode: true,
+          background: "#04080d",
+          username: "#e3eaf1",
+          name: "#848b94",
+          border: "#353c44",
+          selected: "#1f6feb",
+          selectedText: "#ffffff"
+        },
+        dark_dimmed: {
+          isDarkMode: true,
+          background: "#2d333b",
+          username: "#adbac7",
+          name: "#768390",
+          border: "#444c56",
+          selected: "#316dca",
+          selectedText: "#ffffff"
+        },
+        dark_high_contrast: {
+          isDarkMode: true,
+          background: "#010409",
+          username: "#ffffff",
+          name: "#f0f3f6",
+          border: "#7a828e",
+          selected: "#409eff",
+          selectedText: "#010409"
+        }
+      };
+      var THEME_ALIASES = {
+        light_colorblind: "light",
+        light_tritanopia: "light",
+        dark_colorblind: "dark",
+        dark_tritanopia: "dark"
+      };
+      function prefersDarkColorScheme() {
+        return Boolean(overlayThemeRoot.matchMedia?.("(prefers-color-scheme: dark)").matches);
+      }
+      function getGitHubThemeName(rootElement = overlayThemeRoot.document?.documentElement, prefersDark = prefersDarkColorScheme()) {
+        const colorMode = rootElement?.getAttribute?.("data-color-mode") || "auto";
+        const isDark = colorMode === "dark" || colorMode !== "light" && prefersDark;
+        const themeName = rootElement?.getAttribute?.(isDark ? "data-dark-theme" : "data-light-theme");
+        return themeName || (isDark ? "dark" : "light");
+      }
+      function getPaletteForTheme(themeName) {
+        const paletteName = THEME_PALETTES[themeName] ? themeName : THEME_ALIASES[themeName];
+        if (paletteName) {
+          return { themeName, ...THEME_PALETTES[paletteName] };
+        }
+        const fallbackName = String(themeName).startsWith("dark") ? "dark" : "light";
+        return { themeName, ...THEME_PALETTES[fallbackName] };
+      }
+      function getThemeColors() {
+        return getPaletteForTheme(getGitHubThemeName());
+      }
+      function observeThemeChanges(onChange) {
+        const rootElement = overlayThemeRoot.document?.documentElement;
+        const cleanups = [];
+        if (rootElement && typeof overlayThemeRoot.MutationObserver === "function") {
+          const observer = new overlayThemeRoot.MutationObserver(() => onChange());
+          observer.observe(rootElement, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+          cleanups.push(() => observer.disconnect());
+        }
+        const mediaQuery = overlayThemeRoot.matchMedia?.("(prefers-color-scheme: dark)");
+        if (mediaQuery?.addEventListener) {
+          const listener = () => onChange();
+          mediaQuery.addEventListener("change", listener);
+          cleanups.push(() => mediaQuery.removeEventListener("change", listener));
+        }
+        return () => cleanups.forEach((cleanup) => cleanup());
+      }
+      overlayThemeRoot.GitHubMentionsOverlay.getGitHubThemeName = getGitHubThemeName;
+      overlayThemeRoot.GitHubMentionsOverlay.getThemeColors = getThemeColors;
+      overlayThemeRoot.GitHubMentionsOverlay.observeThemeChanges = observeThemeChanges;
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          THEME_ATTRIBUTES,
+          THEME_PALETTES,
+          getGitHubThemeName,
+          getPaletteForTheme,
+          getThemeColors,
+          observeThemeChanges
+        };
+      }
+    }
+  });
+
+  // utils/overlay/anchor.js
+  var require_anchor = __commonJS({
+    "utils/overlay/anchor.js"(exports, module) {
+      var overlayAnchorRoot = typeof window !== "undefined" ? window : globalThis;
+      overlayAnchorRoot.GitHubMentionsOverlay = overlayAnchorRoot.GitHubMentionsOverlay || {};
+      function createRect(left, top, width, height) {
+        return {
+          x: left,
+          y: top,
+          left,
+          top,
+          width,
+          height,
+          right: left + width,
+          bottom: top + height
+        };
+      }
+      function getFallbackLineHeight(activeInput) {
+        const computedStyle = overlayAnchorRoot.getComputedStyle?.(activeInput);
+        const lineHeight = Number.parseFloat(computedStyle?.lineHeight);
+        if (Number.isFinite(lineHeight) && lineHeight > 0) {
+          return lineHeight;
+        }
+        const fontSize = Number.parseFloat(computedStyle?.fontSize);
+        if (Number.isFinite(fontSize) && fontSize > 0) {
+          return Math.round(fontSize * 1.2);
+        }
+        return 16;
+      }
+      function getTextareaAnchorRect(activeInput) {
+        const getCaretCoordinates2 = overlayAnchorRoot.GitHubMentionsVendor?.getCaretCoordinates;
+        if (typeof getCaretCoordinates2 !== "function" || typeof activeInput?.selectionStart !== "number") {
+          return null;
         }
         const inputRect = activeInput.getBoundingClientRect();
         const coordinates = getCaretCoordinates2(activeInput, activeInput.selectionStart);
@@ -353,23 +1421,154 @@
         state.overlayHost = nextHost;
         return nextHost;
       }
-      function getThemeColors() {
-        const isDarkMode = overlayRenderRoot.matchMedia && overlayRenderRoot.matchMedia("(prefers-color-scheme: dark)").matches;
+      var LISTBOX_ID = "github-mentions-listbox";
+      var LIVE_REGION_ID = "github-mentions-live-region";
+      var COMBOBOX_ATTRIBUTES = ["role", "aria-autocomplete", "aria-expanded", "aria-controls", "aria-activedescendant"];
+      var DEFAULT_VISIBLE_ROWS = 4;
+      var DEFAULT_MAX_RESULTS = 50;
+      var FALLBACK_ROW_HEIGHT = 32;
+      function getAvatarUrl(user, location = overlayRenderRoot.location) {
+        if (user?.avatar) {
+          return user.avatar;
+        }
+        const hostname = location?.hostname || "";
+        const isGitHubDotCom = !hostname || hostname === "github.com" || hostname.endsWith(".github.com");
+        const origin = isGitHubDotCom ? "https://github.com" : location.origin;
+        return `${origin}/${user?.username}.png`;
+      }
+      function formatMoreResults(count) {
+        return `${count} more\u2026`;
+      }
+      function getOverlayLayout(users, options = {}) {
+        const maxResults = Number.isInteger(options.maxResults) && options.maxResults > 0 ? options.maxResults : DEFAULT_MAX_RESULTS;
+        const visibleRows = Number.isInteger(options.visibleRows) && options.visibleRows > 0 ? options.visibleRows : DEFAULT_VISIBLE_ROWS;
+        const items = users.slice(0, maxResults);
+        const totalCount = Number.isInteger(options.totalCount) ? Math.max(options.totalCount, users.length) : users.length;
         return {
-          isDarkMode,
-          background: isDarkMode ? "#04080d" : "#ffffff",
-          username: isDarkMode ? "#e3eaf1" : "#212529",
-          name: isDarkMode ? "#848b94" : "#4f5863",
-          border: isDarkMode ? "#353c44" : "#dde1e5"
+          items,
+          visibleRows: Math.min(visibleRows, items.length),
+          hiddenCount: totalCount - items.length
         };
       }
-      function getSelectedBgColor(isDarkMode) {
-        return isDarkMode ? "#1f6feb" : "#9ec9f9ff";
+      function groupOverlayItems(items) {
+        const groups = [];
+        items.forEach((item, index) => {
+          const category = item.category || null;
+          const last = groups[groups.length - 1];
+          if (last && last.category === category) {
+            last.entries.push({ item, index });
+          } else {
+            groups.push({ category, entries: [{ item, index }] });
+          }
+        });
+        return groups;
+      }
+      function getGroupLabelId(index) {
+        return `github-mentions-group-${index}`;
+      }
+      function createGroupHeader(category, index, colors) {
+        const header = document.createElement("div");
+        header.id = getGroupLabelId(index);
+        header.className = "github-mentions-group-header";
+        header.textContent = category;
+        header.style.cssText = `
+    color: ${colors.name};
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.02em;
+    padding: 0.375rem 1rem 0.25rem;
+  `;
+        return header;
+      }
+      function getOptionId(index) {
+        return `github-mentions-option-${index}`;
+      }
+      function getListboxLabel(items) {
+        return items.length > 0 && items.every((item) => item.isCommand) ? "Command suggestions" : "Mention suggestions";
+      }
+      function formatResultCountAnnouncement(count, hiddenCount = 0) {
+        const noun = count === 1 ? "suggestion" : "suggestions";
+        if (hiddenCount > 0) {
+          return `${count} ${noun} shown, ${hiddenCount} more. Use up and down arrows to choose.`;
+        }
+        return `${count} ${noun} available. Use up and down arrows to choose.`;
+      }
+      function getLiveRegion() {
+        const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+        if (state.liveRegion?.isConnected) {
+          return state.liveRegion;
+        }
+        const liveRegion = document.createElement("div");
+        liveRegion.id = LIVE_REGION_ID;
+        liveRegion.setAttribute("role", "status");
+        liveRegion.setAttribute("aria-live", "polite");
+        liveRegion.setAttribute("aria-atomic", "true");
+        liveRegion.style.cssText = `
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+    border: 0;
+  `;
+        document.body.appendChild(liveRegion);
+        state.liveRegion = liveRegion;
+        return liveRegion;
+      }
+      function announce(message) {
+        const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+        if (!message || message === state.lastAnnouncement) {
+          return;
+        }
+        state.lastAnnouncement = message;
+        getLiveRegion().textContent = message;
+      }
+      function attachCombobox(activeInput) {
+        const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+        if (state.comboboxInput && state.comboboxInput !== activeInput) {
+          detachCombobox();
+        }
+        if (!activeInput?.setAttribute) {
+          return;
+        }
+        if (state.comboboxInput !== activeInput) {
+          state.comboboxInput = activeInput;
+          state.savedComboboxAttributes = COMBOBOX_ATTRIBUTES.map((name) => [name, activeInput.getAttribute(name)]);
+        }
+        activeInput.setAttribute("role", "combobox");
+        activeInput.setAttribute("aria-autocomplete", "list");
+        activeInput.setAttribute("aria-controls", LISTBOX_ID);
+        activeInput.setAttribute("aria-expanded", "true");
+      }
+      function detachCombobox() {
+        const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+        const input = state.comboboxInput;
+        if (input) {
+          (state.savedComboboxAttributes || []).forEach(([name, value]) => {
+            if (value === null) {
+              input.removeAttribute(name);
+            } else {
+              input.setAttribute(name, value);
+            }
+          });
+        }
+        state.comboboxInput = null;
+        state.savedComboboxAttributes = null;
+        state.lastAnnouncement = null;
+      }
+      function getOverlayColors() {
+        return overlayRenderRoot.GitHubMentionsOverlay.getThemeColors();
+      }
+      function getSelectedBgColor() {
+        return getOverlayColors().selected;
       }
       function updateSelection() {
         const state = overlayRenderRoot.GitHubMentionsOverlay.state;
-        const { isDarkMode } = getThemeColors();
-        const selectedBgColor = getSelectedBgColor(isDarkMode);
+        const colors = getOverlayColors();
         const defaultBgColor = "transparent";
         if (state.selectedIndex < 0 || state.selectedIndex >= state.overlayItems.length) {
           state.selectedIndex = 0;
@@ -383,11 +1582,16 @@
             console.error("Error during scrollIntoView:", error);
           }
         }
+        const selectedItem = state.overlayItems[state.selectedIndex];
+        if (selectedItem && state.comboboxInput) {
+          state.comboboxInput.setAttribute("aria-activedescendant", selectedItem.id);
+        }
         state.overlayItems.forEach((item, index) => {
           try {
+            item.setAttribute("aria-selected", index === state.selectedIndex ? "true" : "false");
             if (index === state.selectedIndex) {
-              item.style.backgroundColor = selectedBgColor;
-              item.style.color = "#ffffff";
+              item.style.backgroundColor = colors.selected;
+              item.style.color = colors.selectedText;
               item.style.fontWeight = "600";
               item.style.boxShadow = "0 0 0 1px rgba(255,255,255,0.1)";
             } else {
@@ -401,19 +1605,115 @@
           }
         });
       }
+      function createGroupIcon(colors) {
+        const groupIcon = document.createElement("span");
+        groupIcon.className = "github-mentions-group-icon";
+        groupIcon.textContent = "\u{1F465}";
+        groupIcon.setAttribute("aria-hidden", "true");
+        groupIcon.style.cssText = `
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    box-shadow: 0 0 0 1px ${colors.border};
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 10px;
+    margin-right: 0.5rem;
+    flex-shrink: 0;
+  `;
+        return groupIcon;
+      }
+      function formatMemberCount(count) {
+        return `${count} ${count === 1 ? "member" : "members"}`;
+      }
+      function splitByMatchRanges(text, ranges = [], offset3 = 0) {
+        const value = String(text ?? "");
+        const segments = [];
+        let cursor = 0;
+        (ranges || []).forEach(([start, end]) => {
+          const from = Math.max(cursor, start + offset3);
+          const to = Math.min(value.length, end + offset3);
+          if (to <= from) {
+            return;
+          }
+          if (from > cursor) {
+            segments.push({ text: value.slice(cursor, from), matched: false });
+          }
+          segments.push({ text: value.slice(from, to), matched: true });
+          cursor = to;
+        });
+        if (cursor < value.length || segments.length === 0) {
+          segments.push({ text: value.slice(cursor), matched: false });
+        }
+        return segments;
+      }
+      function appendHighlightedText(element, text, ranges, offset3 = 0) {
+        splitByMatchRanges(text, ranges, offset3).forEach((segment) => {
+          if (!segment.matched) {
+            element.appendChild(document.createTextNode(segment.text));
+            return;
+          }
+          const mark = document.createElement("mark");
+          mark.className = "github-mentions-match";
+          mark.textContent = segment.text;
+          mark.style.cssText = `
+      background: transparent;
+      color: inherit;
+      font-weight: 700;
+      text-decoration: underline;
+      text-underline-offset: 2px;
+    `;
+          element.appendChild(mark);
+        });
+      }
+      function createMemberCount(user, colors) {
+        const memberCount = document.createElement("span");
+        memberCount.className = "github-mentions-member-count";
+        memberCount.textContent = formatMemberCount(user.members?.length || 0);
+        memberCount.title = (user.members || []).map((member) => `@${member}`).join(" ");
+        memberCount.style.cssText = `
+    color: ${colors.name};
+    border: 1px solid ${colors.border};
+    border-radius: 1rem;
+    padding: 0 0.375rem;
+    font-size: 11px;
+    line-height: 1.4;
+    white-space: nowrap;
+    flex-shrink: 0;
+  `;
+        return memberCount;
+      }
+      function createCommandHint(user, colors) {
+        const hint = document.createElement("span");
+        hint.className = "github-mentions-command-hint";
+        hint.textContent = user.hint;
+        hint.style.cssText = `
+    color: ${colors.name};
+    font-family: ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, monospace;
+    font-size: 11px;
+    line-height: 1.4;
+    white-space: nowrap;
+    flex-shrink: 0;
+  `;
+        return hint;
+      }
       function createItem(user, index, onSelect, colors) {
         const state = overlayRenderRoot.GitHubMentionsOverlay.state;
         const item = document.createElement("div");
         const isSelected = index === state.selectedIndex;
         item.className = "github-mentions-item";
+        item.id = getOptionId(index);
+        item.setAttribute("role", "option");
+        item.setAttribute("aria-selected", isSelected ? "true" : "false");
         item.style.cssText = `
     display: flex;
     align-items: center;
     padding: 0.5rem;
     cursor: pointer;
     transition: all 0.15s ease;
-    background-color: ${isSelected ? getSelectedBgColor(colors.isDarkMode) : "transparent"};
-    color: ${isSelected ? "#ffffff" : ""};
+    background-color: ${isSelected ? colors.selected : "transparent"};
+    color: ${isSelected ? colors.selectedText : ""};
     font-weight: ${isSelected ? "600" : "normal"};
     border-radius: 0.375rem;
     margin: 0 0.5rem;
@@ -444,15 +1744,17 @@
     min-width: 0;
     flex: 1;
   `;
-        if (!user.isCommand) {
+        if (user.isGroup) {
+          item.appendChild(createGroupIcon(colors));
+        } else if (!user.isCommand) {
           const avatar = document.createElement("img");
-          avatar.src = user.avatar || `https://github.com/${user.username}.png`;
-          avatar.alt = `${user.name}'s avatar`;
+          avatar.src = getAvatarUrl(user);
+          avatar.alt = "";
           avatar.style.cssText = `
       width: 16px;
       height: 16px;
       border-radius: 50%;
-      box-shadow: 0 0 0 1px #d0d7de;
+      box-shadow: 0 0 0 1px ${colors.border};
       display: inline-block;
       line-height: 1;
       overflow: hidden;
@@ -466,6 +1768,7 @@
           item.appendChild(avatar);
         } else {
           const commandIcon = document.createElement("span");
+          commandIcon.setAttribute("aria-hidden", "true");
           if (user.emoji) {
             commandIcon.textContent = user.emoji;
             commandIcon.style.cssText = `
@@ -485,7 +1788,7 @@
         height: 16px;
         border-radius: 50%;
         background-color: ${colors.username};
-        color: ${colors.isDarkMode ? "#04080d" : "#ffffff"};
+        color: ${colors.background};
         display: inline-flex;
         align-items: center;
         justify-content: center;
@@ -498,7 +1801,11 @@
           item.appendChild(commandIcon);
         }
         const username = document.createElement("span");
-        username.textContent = user.isCommand ? `!${user.username}` : user.username;
+        if (user.isCommand) {
+          appendHighlightedText(username, `!${user.username}`, user.matchRanges?.username, 1);
+        } else {
+          appendHighlightedText(username, user.username, user.matchRanges?.username);
+        }
         username.style.cssText = `
     color: ${colors.username};
     font-family: -apple-system, "system-ui", "Segoe UI", "Noto Sans", Helvetica, Arial, sans-serif, "Apple Color Emoji", "Segoe UI Emoji";
@@ -507,7 +1814,7 @@
     line-height: 1.2;
   `;
         const name = document.createElement("span");
-        name.textContent = user.name;
+        appendHighlightedText(name, user.name, user.matchRanges?.name);
         name.style.cssText = `
     color: ${colors.name};
     font-family: -apple-system, "system-ui", "Segoe UI", "Noto Sans", Helvetica, Arial, sans-serif, "Apple Color Emoji", "Segoe UI Emoji";
@@ -517,6 +1824,12 @@
   `;
         textContent.appendChild(username);
         textContent.appendChild(name);
+        if (user.isGroup) {
+          textContent.appendChild(createMemberCount(user, colors));
+        }
+        if (user.isCommand && user.hint) {
+          textContent.appendChild(createCommandHint(user, colors));
+        }
         item.appendChild(textContent);
         return item;
       }
@@ -526,7 +1839,7 @@
           syncOverlayHost(activeInput);
           return state.overlay;
         }
-        const colors = getThemeColors();
+        const colors = getOverlayColors();
         state.overlay = document.createElement("div");
         state.overlay.id = "github-mentions-overlay";
         state.overlay.style.cssText = `
@@ -551,27 +1864,97 @@
             event.stopPropagation();
           });
         });
+        state.stopThemeObserver = overlayRenderRoot.GitHubMentionsOverlay.observeThemeChanges?.(restyleOverlay) || null;
         syncOverlayHost(activeInput);
         return state.overlay;
       }
-      function showOverlay(users, onSelect, activeInput) {
+      function applyOverlayColors(overlay, colors) {
+        overlay.style.color = colors.username;
+        overlay.style.background = colors.background;
+        overlay.style.border = `1px solid ${colors.border}`;
+        overlay.dataset.theme = colors.themeName;
+      }
+      function restyleOverlay() {
+        const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+        if (!isOverlayVisible() || !state.lastRender) {
+          return;
+        }
+        const { users, onSelect, activeInput, options } = state.lastRender;
+        const selectedIndex = state.selectedIndex;
+        const scrollTop = state.overlay.querySelector?.(".github-mentions-list")?.scrollTop || 0;
+        showOverlay(users, onSelect, activeInput, options);
+        const list = state.overlay.querySelector?.(".github-mentions-list");
+        if (list) {
+          list.scrollTop = scrollTop;
+        }
+        state.selectedIndex = selectedIndex;
+        updateSelection();
+      }
+      function createMoreFooter(hiddenCount, colors) {
+        const footer = document.createElement("div");
+        footer.className = "github-mentions-more";
+        footer.textContent = formatMoreResults(hiddenCount);
+        footer.setAttribute("aria-hidden", "true");
+        footer.style.cssText = `
+    color: ${colors.name};
+    border-top: 1px solid ${colors.border};
+    margin-top: 0.25rem;
+    padding: 0.375rem 1rem 0;
+    font-size: 12px;
+  `;
+        return footer;
+      }
+      function showOverlay(users, onSelect, activeInput, options = {}) {
         const state = overlayRenderRoot.GitHubMentionsOverlay.state;
         const overlay = createOverlay(activeInput);
         if (!overlay || !Array.isArray(users) || users.length === 0) {
           return;
         }
-        const colors = getThemeColors();
+        const colors = getOverlayColors();
+        const layout = getOverlayLayout(users, options);
+        applyOverlayColors(overlay, colors);
+        state.lastRender = { users, onSelect, activeInput, options };
         overlay.innerHTML = "";
         state.selectedIndex = 0;
         state.currentSelectedIndex = 0;
         state.overlayItems = [];
         state.lastKeyNavTime = 0;
-        users.slice(0, 4).forEach((user, index) => {
-          const item = createItem(user, index, onSelect, colors);
-          state.overlayItems.push(item);
-          overlay.appendChild(item);
+        state.visibleRows = layout.visibleRows;
+        const list = document.createElement("div");
+        list.id = LISTBOX_ID;
+        list.className = "github-mentions-list";
+        list.setAttribute("role", "listbox");
+        list.setAttribute("aria-label", getListboxLabel(layout.items));
+        list.style.cssText = `
+    overflow-y: auto;
+    overscroll-behavior: contain;
+  `;
+        overlay.appendChild(list);
+        groupOverlayItems(layout.items).forEach((group, groupIndex) => {
+          let container = list;
+          if (group.category) {
+            container = document.createElement("div");
+            container.setAttribute("role", "group");
+            container.setAttribute("aria-labelledby", getGroupLabelId(groupIndex));
+            container.appendChild(createGroupHeader(group.category, groupIndex, colors));
+            list.appendChild(container);
+          }
+          group.entries.forEach(({ item: user, index }) => {
+            const item = createItem(user, index, onSelect, colors);
+            state.overlayItems.push(item);
+            container.appendChild(item);
+          });
         });
+        if (layout.hiddenCount > 0) {
+          overlay.appendChild(createMoreFooter(layout.hiddenCount, colors));
+        }
+        attachCombobox(activeInput);
+        updateSelection();
+        announce(formatResultCountAnnouncement(layout.items.length, layout.hiddenCount));
         overlay.style.display = "block";
+        const rowHeight = state.overlayItems[0]?.offsetHeight || FALLBACK_ROW_HEIGHT;
+        list.style.maxHeight = `${rowHeight * layout.visibleRows}px`;
+        list.scrollTop = 0;
         overlayRenderRoot.GitHubMentionsOverlay.updateOverlayPosition?.(activeInput);
       }
       function hideOverlay() {
@@ -582,6 +1965,8 @@
         state.overlay.style.display = "none";
         state.selectedIndex = 0;
         state.overlayItems = [];
+        state.lastRender = null;
+        detachCombobox();
       }
       function isOverlayVisible() {
         const state = overlayRenderRoot.GitHubMentionsOverlay.state;
@@ -595,6 +1980,14 @@
           state.overlayHost = null;
           state.lastGoodPosition = null;
         }
+        state.stopThemeObserver?.();
+        state.stopThemeObserver = null;
+        state.lastRender = null;
+        detachCombobox();
+        if (state.liveRegion?.parentNode) {
+          state.liveRegion.parentNode.removeChild(state.liveRegion);
+        }
+        state.liveRegion = null;
       }
       function getOverlay() {
         return overlayRenderRoot.GitHubMentionsOverlay.state.overlay;
@@ -606,11 +1999,12 @@
         }
         return null;
       }
-      overlayRenderRoot.GitHubMentionsOverlay.getThemeColors = getThemeColors;
+      overlayRenderRoot.GitHubMentionsOverlay.announce = announce;
       overlayRenderRoot.GitHubMentionsOverlay.getScopedOverlayHost = getScopedOverlayHost;
       overlayRenderRoot.GitHubMentionsOverlay.isChangesOverlayPath = isChangesOverlayPath;
       overlayRenderRoot.GitHubMentionsOverlay.getSelectedBgColor = getSelectedBgColor;
       overlayRenderRoot.GitHubMentionsOverlay.updateSelection = updateSelection;
+      overlayRenderRoot.GitHubMentionsOverlay.restyleOverlay = restyleOverlay;
       overlayRenderRoot.GitHubMentionsOverlay.createOverlay = createOverlay;
       overlayRenderRoot.GitHubMentionsOverlay.showOverlay = showOverlay;
       overlayRenderRoot.GitHubMentionsOverlay.hideOverlay = hideOverlay;
@@ -620,6 +2014,17 @@
       overlayRenderRoot.GitHubMentionsOverlay.getSelectedItem = getSelectedItem;
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
+          announce,
+          attachCombobox,
+          detachCombobox,
+          formatResultCountAnnouncement,
+          getListboxLabel,
+          formatMemberCount,
+          formatMoreResults,
+          getAvatarUrl,
+          getOverlayLayout,
+          groupOverlayItems,
+          splitByMatchRanges,
           getScopedOverlayHost,
           isChangesOverlayPath
         };
@@ -635,6 +2040,28 @@
       function createNavigationAction(type, item) {
         return item ? { type, item } : { type };
       }
+      function getNavigationIndex(key, index, count, pageSize = 1) {
+        if (count <= 0) {
+          return null;
+        }
+        const step = Math.max(1, pageSize);
+        switch (key) {
+          case "ArrowDown":
+            return (index + 1) % count;
+          case "ArrowUp":
+            return (index - 1 + count) % count;
+          case "PageDown":
+            return Math.min(count - 1, index + step);
+          case "PageUp":
+            return Math.max(0, index - step);
+          case "Home":
+            return 0;
+          case "End":
+            return count - 1;
+          default:
+            return null;
+        }
+      }
       function handleKeyNavigation(event) {
         const overlayApi = overlayNavigationRoot.GitHubMentionsOverlay;
         const state = overlayApi.state;
@@ -652,22 +2079,23 @@
           event.preventDefault();
           return createNavigationAction("move");
         }
+        if (event.altKey && event.key === "ArrowUp") {
+          event.preventDefault();
+          event.stopPropagation();
+          overlayApi.hideOverlay();
+          return createNavigationAction("close");
+        }
         switch (event.key) {
           case "ArrowDown":
-            event.preventDefault();
-            event.stopPropagation();
-            if (state.overlayItems.length > 1) {
-              state.selectedIndex = (state.selectedIndex + 1) % state.overlayItems.length;
-              state.currentSelectedIndex = state.selectedIndex;
-              overlayApi.updateSelection();
-              state.lastKeyNavTime = now;
-            }
-            return createNavigationAction("move");
           case "ArrowUp":
+          case "PageDown":
+          case "PageUp":
+          case "Home":
+          case "End":
             event.preventDefault();
             event.stopPropagation();
             if (state.overlayItems.length > 1) {
-              state.selectedIndex = (state.selectedIndex - 1 + state.overlayItems.length) % state.overlayItems.length;
+              state.selectedIndex = getNavigationIndex(event.key, state.selectedIndex, state.overlayItems.length, state.visibleRows);
               state.currentSelectedIndex = state.selectedIndex;
               overlayApi.updateSelection();
               state.lastKeyNavTime = now;
@@ -695,69 +2123,975 @@
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
           createNavigationAction,
+          getNavigationIndex,
           handleKeyNavigation
         };
       }
     }
   });
 
+  // content/editor.js
+  var require_editor = __commonJS({
+    "content/editor.js"(exports, module) {
+      var contentEditorRoot = typeof window !== "undefined" ? window : globalThis;
+      contentEditorRoot.GitHubMentionsContent = contentEditorRoot.GitHubMentionsContent || {};
+      var TEXT_NODE = 3;
+      var ELEMENT_NODE = 1;
+      function isContentEditableInput(input) {
+        return Boolean(
+          input && !input.matches?.("textarea") && (input.isContentEditable === true || input.matches?.('[contenteditable="true"]'))
+        );
+      }
+      function isLineBreak(node) {
+        return node?.nodeName === "BR";
+      }
+      function collectTextSegments(root) {
+        const segments = [];
+        let offset3 = 0;
+        function walk(node) {
+          Array.from(node.childNodes || []).forEach((child) => {
+            if (child.nodeType === TEXT_NODE) {
+              const length = child.data.length;
+              segments.push({ node: child, start: offset3, end: offset3 + length, isBreak: false });
+              offset3 += length;
+            } else if (isLineBreak(child)) {
+              segments.push({ node: child, start: offset3, end: offset3 + 1, isBreak: true });
+              offset3 += 1;
+            } else if (child.nodeType === ELEMENT_NODE) {
+              walk(child);
+            }
+          });
+        }
+        walk(root);
+        return segments;
+      }
+      function getOffsetFromPoint(root, container, pointOffset) {
+        let offset3 = 0;
+        let found = null;
+        function walk(node) {
+          const children = Array.from(node.childNodes || []);
+          for (let index = 0; index <= children.length; index += 1) {
+            if (node === container && index === pointOffset) {
+              found = offset3;
+              return true;
+            }
+            const child = children[index];
+            if (!child) {
+              break;
+            }
+            if (child.nodeType === TEXT_NODE) {
+              if (child === container) {
+                found = offset3 + pointOffset;
+                return true;
+              }
+              offset3 += child.data.length;
+            } else if (isLineBreak(child)) {
+              offset3 += 1;
+            } else if (child.nodeType === ELEMENT_NODE && walk(child)) {
+              return true;
+            }
+          }
+          return false;
+        }
+        return walk(root) ? found : null;
+      }
+      function getPointFromOffset(root, targetOffset) {
+        const segments = collectTextSegments(root);
+        const textSegment = segments.find((segment) => !segment.isBreak && targetOffset >= segment.start && targetOffset <= segment.end);
+        if (textSegment) {
+          return { node: textSegment.node, offset: targetOffset - textSegment.start };
+        }
+        const nextSegment = segments.find((segment) => segment.start >= targetOffset);
+        if (nextSegment) {
+          const parent = nextSegment.node.parentNode;
+          return { node: parent, offset: Array.from(parent.childNodes).indexOf(nextSegment.node) };
+        }
+        return { node: root, offset: root.childNodes.length };
+      }
+      function getEditorText(input) {
+        if (!isContentEditableInput(input)) {
+          return input.value;
+        }
+        return collectTextSegments(input).map((segment) => segment.isBreak ? "\n" : segment.node.data).join("");
+      }
+      function getEditorSelection(input) {
+        if (!isContentEditableInput(input)) {
+          if (typeof input.selectionStart !== "number") {
+            return null;
+          }
+          return {
+            start: input.selectionStart,
+            end: typeof input.selectionEnd === "number" ? input.selectionEnd : input.selectionStart
+          };
+        }
+        const selection = input.ownerDocument?.getSelection?.();
+        if (!selection || selection.rangeCount === 0) {
+          return null;
+        }
+        const range = selection.getRangeAt(0);
+        if (!input.contains(range.startContainer) || !input.contains(range.endContainer)) {
+          return null;
+        }
+        const start = getOffsetFromPoint(input, range.startContainer, range.startOffset);
+        const end = getOffsetFromPoint(input, range.endContainer, range.endOffset);
+        if (start === null) {
+          return null;
+        }
+        return { start, end: end === null ? start : end };
+      }
+      function getCaretOffset(input) {
+        return getEditorSelection(input)?.start ?? null;
+      }
+      function setEditorSelection(input, start, end = start) {
+        if (!isContentEditableInput(input)) {
+          input.selectionStart = start;
+          input.selectionEnd = end;
+          return;
+        }
+        const ownerDocument = input.ownerDocument;
+        const selection = ownerDocument?.getSelection?.();
+        if (!selection || typeof ownerDocument.createRange !== "function") {
+          return;
+        }
+        const startPoint = getPointFromOffset(input, start);
+        const endPoint = getPointFromOffset(input, end);
+        const range = ownerDocument.createRange();
+        range.setStart(startPoint.node, startPoint.offset);
+        range.setEnd(endPoint.node, endPoint.offset);
+        selection.removeAllRanges();
+        selection.addRange(range);
+      }
+      function replaceContentEditableRange(root, start, end, replacement) {
+        let inserted = false;
+        collectTextSegments(root).forEach((segment) => {
+          if (segment.end < start || segment.start > end) {
+            return;
+          }
+          if (segment.isBreak) {
+            if (segment.start >= start && segment.end <= end) {
+              segment.node.parentNode.removeChild(segment.node);
+            }
+            return;
+          }
+          const data = segment.node.data;
+          const localStart = Math.max(start - segment.start, 0);
+          const localEnd = Math.min(end - segment.start, data.length);
+          segment.node.data = data.slice(0, localStart) + (inserted ? "" : replacement) + data.slice(localEnd);
+          inserted = true;
+        });
+        if (!inserted && replacement) {
+          const point = getPointFromOffset(root, start);
+          const textNode = root.ownerDocument.createTextNode(replacement);
+          point.node.insertBefore(textNode, point.node.childNodes[point.offset] || null);
+        }
+      }
+      function shiftOffset(offset3, start, end, replacement) {
+        if (offset3 > end) {
+          return offset3 + replacement.length - (end - start);
+        }
+        return offset3 >= start ? start + replacement.length : offset3;
+      }
+      function dispatchInputEvent(input) {
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+      function replaceEditorRange(input, start, end, replacement) {
+        const selection = getEditorSelection(input);
+        if (isContentEditableInput(input)) {
+          replaceContentEditableRange(input, start, end, replacement);
+        } else {
+          const value = input.value;
+          input.value = value.slice(0, start) + replacement + value.slice(end);
+        }
+        if (selection) {
+          setEditorSelection(
+            input,
+            shiftOffset(selection.start, start, end, replacement),
+            shiftOffset(selection.end, start, end, replacement)
+          );
+        }
+        dispatchInputEvent(input);
+      }
+      contentEditorRoot.GitHubMentionsContent.isContentEditableInput = isContentEditableInput;
+      contentEditorRoot.GitHubMentionsContent.getEditorText = getEditorText;
+      contentEditorRoot.GitHubMentionsContent.getEditorSelection = getEditorSelection;
+      contentEditorRoot.GitHubMentionsContent.getCaretOffset = getCaretOffset;
+      contentEditorRoot.GitHubMentionsContent.setEditorSelection = setEditorSelection;
+      contentEditorRoot.GitHubMentionsContent.replaceEditorRange = replaceEditorRange;
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          isContentEditableInput,
+          getEditorText,
+          getEditorSelection,
+          getCaretOffset,
+          setEditorSelection,
+          replaceEditorRange
+        };
+      }
+    }
+  });
+
+  // content/snippets.js
+  var require_snippets = __commonJS({
+    "content/snippets.js"(exports, module) {
+      var contentSnippetsRoot = typeof window !== "undefined" ? window : globalThis;
+      contentSnippetsRoot.GitHubMentionsContent = contentSnippetsRoot.GitHubMentionsContent || {};
+      var snippetEditor = contentSnippetsRoot.GitHubMentionsContent.replaceEditorRange ? contentSnippetsRoot.GitHubMentionsContent : typeof module !== "undefined" && module.exports ? require_editor() : null;
+      var SNIPPET_TOKEN_PATTERN = /\\\$|\$(\d+)|\$\{(\d+)(?::([^{}]*))?\}|\$\{cursor\}/g;
+      var activeSession = null;
+      function parseSnippet(snippet) {
+        const source = String(snippet || "");
+        const numbered = /* @__PURE__ */ new Map();
+        const defaults = /* @__PURE__ */ new Map();
+        let finalStop = null;
+        let text = "";
+        let lastIndex = 0;
+        for (const match of source.matchAll(SNIPPET_TOKEN_PATTERN)) {
+          text += source.slice(lastIndex, match.index);
+          lastIndex = match.index + match[0].length;
+          if (match[0] === "\\$") {
+            text += "$";
+            continue;
+          }
+          const number = match[1] ?? match[2] ?? "0";
+          if (match[3] !== void 0 && !defaults.has(number)) {
+            defaults.set(number, match[3]);
+          }
+          const value = defaults.get(number) || "";
+          const start = text.length;
+          text += value;
+          if (number === "0") {
+            finalStop = finalStop || { start, end: start + value.length };
+          } else if (!numbered.has(number)) {
+            numbered.set(number, { start, end: start + value.length });
+          }
+        }
+        text += source.slice(lastIndex);
+        const stops = [...numbered.entries()].sort(([left], [right]) => Number(left) - Number(right)).map(([, stop]) => stop);
+        stops.push(finalStop || { start: text.length, end: text.length });
+        return { text, stops };
+      }
+      function escapeSnippetText(value) {
+        return String(value ?? "").replace(/\$/g, "\\$");
+      }
+      function moveSnippetSession(session, direction, textLength) {
+        const delta = textLength - session.textLength;
+        const current = session.stops[session.index];
+        const stops = session.stops.map((stop, index2) => {
+          if (index2 === session.index) {
+            return { start: stop.start, end: stop.end + delta };
+          }
+          if (stop.start >= current.end) {
+            return { start: stop.start + delta, end: stop.end + delta };
+          }
+          return stop;
+        });
+        const index = Math.max(0, Math.min(session.index + direction, stops.length - 1));
+        const isFinal = index === stops.length - 1;
+        return {
+          session: isFinal ? null : { ...session, stops, index, textLength },
+          selection: stops[index]
+        };
+      }
+      function insertSnippet(input, start, end, snippet) {
+        const { text, stops } = parseSnippet(snippet);
+        snippetEditor.replaceEditorRange(input, start, end, text);
+        const absoluteStops = stops.map((stop) => ({ start: start + stop.start, end: start + stop.end }));
+        snippetEditor.setEditorSelection(input, absoluteStops[0].start, absoluteStops[0].end);
+        activeSession = absoluteStops.length > 1 ? { input, stops: absoluteStops, index: 0, textLength: snippetEditor.getEditorText(input).length } : null;
+      }
+      function getActiveSnippetSession() {
+        return activeSession;
+      }
+      function endSnippetSession() {
+        activeSession = null;
+      }
+      function isSelectionInCurrentStop(session, selection, textLength) {
+        const current = session.stops[session.index];
+        const currentEnd = current.end + textLength - session.textLength;
+        return Boolean(selection) && selection.start >= current.start && selection.end <= currentEnd;
+      }
+      function handleSnippetKeyDown(event, input) {
+        if (!activeSession || activeSession.input !== input) {
+          return false;
+        }
+        if (event.key === "Escape") {
+          endSnippetSession();
+          event.preventDefault();
+          return true;
+        }
+        if (event.key !== "Tab" || event.altKey || event.ctrlKey || event.metaKey) {
+          return false;
+        }
+        const textLength = snippetEditor.getEditorText(input).length;
+        if (!isSelectionInCurrentStop(activeSession, snippetEditor.getEditorSelection(input), textLength)) {
+          endSnippetSession();
+          return false;
+        }
+        event.preventDefault();
+        const { session, selection } = moveSnippetSession(activeSession, event.shiftKey ? -1 : 1, textLength);
+        activeSession = session ? { ...session, input } : null;
+        snippetEditor.setEditorSelection(input, selection.start, selection.end);
+        return true;
+      }
+      contentSnippetsRoot.GitHubMentionsContent.parseSnippet = parseSnippet;
+      contentSnippetsRoot.GitHubMentionsContent.escapeSnippetText = escapeSnippetText;
+      contentSnippetsRoot.GitHubMentionsContent.insertSnippet = insertSnippet;
+      contentSnippetsRoot.GitHubMentionsContent.endSnippetSession = endSnippetSession;
+      contentSnippetsRoot.GitHubMentionsContent.handleSnippetKeyDown = handleSnippetKeyDown;
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          parseSnippet,
+          escapeSnippetText,
+          moveSnippetSession,
+          insertSnippet,
+          getActiveSnippetSession,
+          endSnippetSession,
+          handleSnippetKeyDown
+        };
+      }
+    }
+  });
+
   // content/triggers.js
   var require_triggers = __commonJS({
     "content/triggers.js"(exports, module) {
       var contentTriggersRoot = typeof window !== "undefined" ? window : globalThis;
       contentTriggersRoot.GitHubMentionsContent = contentTriggersRoot.GitHubMentionsContent || {};
-      function scanForMentionTrigger(text, pos) {
+      var triggerSettingsApi = contentTriggersRoot.GitHubMentionsSettings?.normalizeTriggers ? contentTriggersRoot.GitHubMentionsSettings : typeof module !== "undefined" && module.exports ? require_settings() : null;
+      var QUERY_CHARACTER_CLASS = "[\\p{L}\\p{M}\\p{N}_-]";
+      var LINE_START_LOOKBEHIND = "(?<=(?:^|\\n)[ \\t]*)";
+      var lastTriggerDefinition = null;
+      function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+      }
+      function createTriggerDefinition(triggers) {
+        const prefix = (trigger) => `${trigger.lineStart ? LINE_START_LOOKBEHIND : ""}${escapeRegExp(trigger.sequence)}`;
+        const argumentStop = triggers.command.lineStart ? "" : escapeRegExp([...triggers.command.sequence][0]);
+        return {
+          mention: {
+            ...triggers.mention,
+            pattern: new RegExp(`${prefix(triggers.mention)}(${QUERY_CHARACTER_CLASS}*)$`, "u")
+          },
+          command: {
+            ...triggers.command,
+            pattern: new RegExp(
+              `${prefix(triggers.command)}([a-zA-Z0-9_\\-]*)(?:\\(([^()\\n]*)\\)?|[ \\t]+([^\\n${argumentStop}]*))?$`,
+              "u"
+            )
+          },
+          // Keys that can complete a trigger, for the keyup filter
+          keys: /* @__PURE__ */ new Set([...triggers.mention.sequence, ...triggers.command.sequence])
+        };
+      }
+      function getTriggerDefinition(triggers) {
+        const normalized = triggerSettingsApi.normalizeTriggers(triggers);
+        const key = JSON.stringify(normalized);
+        if (lastTriggerDefinition?.key !== key) {
+          lastTriggerDefinition = { key, definition: createTriggerDefinition(normalized) };
+        }
+        return lastTriggerDefinition.definition;
+      }
+      function matchMentionTrigger(text, pos, definition = getTriggerDefinition()) {
+        try {
+          const match = text.substring(0, pos).match(definition.mention.pattern);
+          return match ? { start: match.index, query: match[1] } : null;
+        } catch (error) {
+          return null;
+        }
+      }
+      function scanForMentionTrigger(text, pos, definition = getTriggerDefinition()) {
+        const match = matchMentionTrigger(text, pos, definition);
+        return match ? match.query : null;
+      }
+      function scanForPickerQuery(text, pos, start) {
+        if (start === null || start === void 0 || pos < start) {
+          return null;
+        }
+        const query = text.substring(start, pos);
+        return /^[\p{L}\p{M}\p{N}_-]*$/u.test(query) ? query : null;
+      }
+      function parseCommandArguments(argsText, form) {
+        const args = [];
+        let current = "";
+        let quoted = false;
+        let hasContent = false;
+        const isSeparator = form === "paren" ? (char) => char === "," : (char) => /\s/.test(char);
+        for (const char of String(argsText || "")) {
+          if (char === '"') {
+            quoted = !quoted;
+            hasContent = true;
+          } else if (!quoted && isSeparator(char)) {
+            if (form === "paren" || hasContent) {
+              args.push(current.trim());
+            }
+            current = "";
+            hasContent = false;
+          } else {
+            current += char;
+            hasContent = hasContent || !/\s/.test(char);
+          }
+        }
+        if (hasContent || form === "paren" && args.length > 0) {
+          args.push(current.trim());
+        }
+        return args;
+      }
+      function endsWithArgumentSeparator(argsText) {
+        return /\s$/.test(argsText) && (argsText.match(/"/g) || []).length % 2 === 0;
+      }
+      function matchCommandTrigger(text, pos, definition = getTriggerDefinition()) {
         try {
           const slice = text.substring(0, pos);
-          const match = slice.match(/@@([a-zA-Z0-9-_]*)$/);
-          return match ? match[1] : null;
+          const match = slice.match(definition.command.pattern);
+          if (!match) {
+            return null;
+          }
+          const form = match[2] !== void 0 ? "paren" : match[3] !== void 0 ? "space" : null;
+          if (form && !match[1]) {
+            return null;
+          }
+          return {
+            start: match.index,
+            command: match[1],
+            args: form ? parseCommandArguments(form === "paren" ? match[2] : match[3], form) : null,
+            form,
+            argumentEnded: form === "space" && endsWithArgumentSeparator(match[3])
+          };
         } catch (error) {
           return null;
         }
       }
-      function scanForCommandTrigger(text, pos) {
-        try {
-          const slice = text.substring(0, pos);
-          const match = slice.match(/@!([a-zA-Z0-9-_]*)$/);
-          return match ? { command: match[1], query: match[1] } : null;
-        } catch (error) {
-          return null;
-        }
+      function scanForCommandTrigger(text, pos, definition = getTriggerDefinition()) {
+        const match = matchCommandTrigger(text, pos, definition);
+        if (!match) {
+          return null;
+        }
+        return match.form ? { command: match.command, query: match.command, args: match.args, form: match.form, argumentEnded: match.argumentEnded } : { command: match.command, query: match.command };
+      }
+      var MATCH_SCORES = {
+        exactUsername: 1e3,
+        usernamePrefix: 900,
+        namePrefix: 800,
+        wordPrefix: 700,
+        wordInitials: 600,
+        usernameSubstring: 400,
+        nameSubstring: 350,
+        fuzzy: 100
+      };
+      var MAX_FUZZY_BONUS = 150;
+      var MAX_USAGE_BONUS = 50;
+      var USAGE_HALF_LIFE = 7 * 24 * 60 * 60 * 1e3;
+      var MAX_MENTION_STATS = 500;
+      var HANGUL_SYLLABLE_START = 44032;
+      var HANGUL_SYLLABLE_END = 55203;
+      var HANGUL_CHOSUNG = ["\u3131", "\u3132", "\u3134", "\u3137", "\u3138", "\u3139", "\u3141", "\u3142", "\u3143", "\u3145", "\u3146", "\u3147", "\u3148", "\u3149", "\u314A", "\u314B", "\u314C", "\u314D", "\u314E"];
+      var ROMANIZED_INITIALS = ["g", "kk", "n", "d", "tt", "r", "m", "b", "pp", "s", "ss", "", "j", "jj", "ch", "k", "t", "p", "h"];
+      var ROMANIZED_MEDIALS = ["a", "ae", "ya", "yae", "eo", "e", "yeo", "ye", "o", "wa", "wae", "oe", "yo", "u", "wo", "we", "wi", "yu", "eu", "ui", "i"];
+      var ROMANIZED_FINALS = ["", "k", "k", "k", "n", "n", "n", "t", "l", "k", "m", "l", "l", "l", "p", "l", "m", "p", "p", "t", "t", "ng", "t", "t", "k", "t", "p", "t"];
+      var LATIN_FOLDS = { \u00DF: "ss", \u00E6: "ae", \u00C6: "AE", \u0153: "oe", \u0152: "OE", \u00F8: "o", \u00D8: "O", \u0111: "d", \u0110: "D", \u0142: "l", \u0141: "L", \u0131: "i" };
+      var MAX_SEARCH_VARIANT_CACHE = 5e3;
+      var searchVariantCache = /* @__PURE__ */ new Map();
+      function range(start, length) {
+        return Array.from({ length }, (_, index) => start + index);
+      }
+      function isHangulSyllable(char) {
+        const code = char.charCodeAt(0);
+        return code >= HANGUL_SYLLABLE_START && code <= HANGUL_SYLLABLE_END;
+      }
+      function isHangulJamo(char) {
+        const code = char.charCodeAt(0);
+        return code >= 12593 && code <= 12686;
+      }
+      function toCompatibilityJamo(char) {
+        const code = char.charCodeAt(0);
+        if (code >= 4352 && code <= 4370) {
+          return HANGUL_CHOSUNG[code - 4352];
+        }
+        if (code >= 4449 && code <= 4469) {
+          return String.fromCharCode(12623 + code - 4449);
+        }
+        return char;
+      }
+      function foldSearchChar(char) {
+        if (char.length === 1 && char.charCodeAt(0) < 128) {
+          return char;
+        }
+        if (isHangulSyllable(char) || isHangulJamo(char)) {
+          return char;
+        }
+        if (LATIN_FOLDS[char]) {
+          return LATIN_FOLDS[char];
+        }
+        const compatible = Array.from(char.normalize("NFKC")).map(toCompatibilityJamo).join("");
+        if (Array.from(compatible).some((part) => isHangulSyllable(part) || isHangulJamo(part))) {
+          return compatible;
+        }
+        return compatible.normalize("NFD").replace(new RegExp("\\p{M}", "gu"), "");
+      }
+      function foldSearchText(text) {
+        return Array.from(String(text || "")).map(foldSearchChar).join("").toLowerCase();
+      }
+      function getHangulParts(char) {
+        const offset3 = char.charCodeAt(0) - HANGUL_SYLLABLE_START;
+        return {
+          initial: Math.floor(offset3 / 588),
+          medial: Math.floor(offset3 % 588 / 28),
+          final: offset3 % 28
+        };
+      }
+      function toChosung(char) {
+        return isHangulSyllable(char) ? HANGUL_CHOSUNG[getHangulParts(char).initial] : foldSearchChar(char);
+      }
+      function toRomanized(char) {
+        if (!isHangulSyllable(char)) {
+          return foldSearchChar(char);
+        }
+        const { initial, medial, final } = getHangulParts(char);
+        return ROMANIZED_INITIALS[initial] + ROMANIZED_MEDIALS[medial] + ROMANIZED_FINALS[final];
+      }
+      function loosenRomanization(text) {
+        return text.replace(/k/g, "g").replace(/t/g, "d").replace(/p/g, "b").replace(/r/g, "l");
+      }
+      function isWordStart(text, index) {
+        if (index === 0) {
+          return true;
+        }
+        const previous = text[index - 1];
+        const current = text[index];
+        return /[\s\-_.]/.test(previous) || previous === previous.toLowerCase() && current !== current.toLowerCase();
+      }
+      function buildSearchVariant(text, transformChar, loose = false) {
+        if (!loose && /^[\x00-\x7f]*$/.test(text)) {
+          return buildAsciiSearchVariant(text);
+        }
+        let searchText = "";
+        const sourceIndexes = [];
+        const wordStarts = [];
+        let sourceIndex = 0;
+        for (const char of text) {
+          const transformed = transformChar(char).toLowerCase();
+          const startsWord = !/[\s\-_.]/.test(char) && isWordStart(text, sourceIndex);
+          for (let unit = 0; unit < transformed.length; unit += 1) {
+            sourceIndexes.push(sourceIndex);
+            wordStarts.push(startsWord && unit === 0);
+          }
+          searchText += transformed;
+          sourceIndex += char.length;
+        }
+        return {
+          text: loose ? loosenRomanization(searchText) : searchText,
+          sourceIndexes,
+          wordStarts,
+          loose
+        };
+      }
+      function buildAsciiSearchVariant(text) {
+        const isSeparator = (code) => code === 45 || code === 46 || code === 95 || code === 32 || code >= 9 && code <= 13;
+        const isUpper = (code) => code >= 65 && code <= 90;
+        const sourceIndexes = new Array(text.length);
+        const wordStarts = new Array(text.length);
+        let previous = -1;
+        for (let index = 0; index < text.length; index += 1) {
+          const code = text.charCodeAt(index);
+          sourceIndexes[index] = index;
+          wordStarts[index] = !isSeparator(code) && (previous === -1 || isSeparator(previous) || !isUpper(previous) && isUpper(code));
+          previous = code;
+        }
+        return { text: text.toLowerCase(), sourceIndexes, wordStarts, loose: false };
+      }
+      function computeSearchVariants(text) {
+        const variants = [buildSearchVariant(text, foldSearchChar)];
+        if (/[\uAC00-\uD7A3]/.test(text)) {
+          variants.push(buildSearchVariant(text, toChosung));
+          variants.push(buildSearchVariant(text, toRomanized, true));
+        }
+        return variants;
+      }
+      function getSearchVariants(text) {
+        if (searchVariantCache.has(text)) {
+          return searchVariantCache.get(text);
+        }
+        const variants = computeSearchVariants(text);
+        if (searchVariantCache.size >= MAX_SEARCH_VARIANT_CACHE) {
+          searchVariantCache.clear();
+        }
+        searchVariantCache.set(text, variants);
+        return variants;
+      }
+      function matchWordPrefixes(text, wordStarts, query) {
+        const starts = [];
+        for (let index = 0; index < text.length; index += 1) {
+          if (wordStarts[index]) {
+            starts.push(index);
+          }
+        }
+        const failed = /* @__PURE__ */ new Set();
+        function matchFrom(wordIndex, queryIndex) {
+          if (queryIndex === query.length) {
+            return [];
+          }
+          const key = wordIndex * (query.length + 1) + queryIndex;
+          if (failed.has(key)) {
+            return null;
+          }
+          for (let index = wordIndex; index < starts.length; index += 1) {
+            const wordStart = starts[index];
+            const maxLength = Math.min(query.length - queryIndex, text.length - wordStart);
+            for (let length = maxLength; length > 0; length -= 1) {
+              if (text.substr(wordStart, length) !== query.substr(queryIndex, length)) {
+                continue;
+              }
+              const rest = matchFrom(index + 1, queryIndex + length);
+              if (rest) {
+                return [...range(wordStart, length), ...rest];
+              }
+            }
+          }
+          failed.add(key);
+          return null;
+        }
+        return matchFrom(0, 0);
+      }
+      function matchSubsequence(text, wordStarts, query) {
+        const positions = [];
+        let searchFrom = 0;
+        for (const char of query) {
+          const index = text.indexOf(char, searchFrom);
+          if (index === -1) {
+            return null;
+          }
+          positions.push(index);
+          searchFrom = index + 1;
+        }
+        let bonus = 0;
+        positions.forEach((position, index) => {
+          if (index > 0 && position === positions[index - 1] + 1) {
+            bonus += 8;
+          }
+          if (wordStarts[position]) {
+            bonus += 6;
+          }
+        });
+        const gaps = positions[positions.length - 1] - positions[0] + 1 - positions.length;
+        return {
+          positions,
+          score: MATCH_SCORES.fuzzy + Math.max(0, Math.min(MAX_FUZZY_BONUS, bonus - gaps))
+        };
+      }
+      function scoreSearchVariant(variant, query, isUsername) {
+        const { text, wordStarts } = variant;
+        if (isUsername && text === query) {
+          return { score: MATCH_SCORES.exactUsername, positions: range(0, query.length) };
+        }
+        if (text.startsWith(query)) {
+          return {
+            score: isUsername ? MATCH_SCORES.usernamePrefix : MATCH_SCORES.namePrefix,
+            positions: range(0, query.length)
+          };
+        }
+        const wordPositions = matchWordPrefixes(text, wordStarts, query);
+        if (wordPositions) {
+          const isSingleWord = wordPositions.every((position, index) => index === 0 || position === wordPositions[index - 1] + 1);
+          return {
+            score: isSingleWord ? MATCH_SCORES.wordPrefix : MATCH_SCORES.wordInitials,
+            positions: wordPositions
+          };
+        }
+        const substringIndex = text.indexOf(query);
+        if (substringIndex !== -1) {
+          return {
+            score: isUsername ? MATCH_SCORES.usernameSubstring : MATCH_SCORES.nameSubstring,
+            positions: range(substringIndex, query.length)
+          };
+        }
+        return matchSubsequence(text, wordStarts, query);
+      }
+      function scoreField(text, query, isUsername, variants = null) {
+        if (typeof text !== "string" || !text) {
+          return null;
+        }
+        let best = null;
+        (variants || getSearchVariants(text)).forEach((variant) => {
+          const match = scoreSearchVariant(variant, variant.loose ? loosenRomanization(query) : query, isUsername);
+          if (match && (!best || match.score > best.score)) {
+            best = {
+              score: match.score,
+              positions: [...new Set(match.positions.map((position) => variant.sourceIndexes[position]))]
+            };
+          }
+        });
+        return best;
+      }
+      function getMentionUsageKey(user) {
+        return `${user?.isGroup ? "group:" : ""}${String(user?.username || "").toLowerCase()}`;
+      }
+      function getUsageBonus(usage, now = Date.now()) {
+        if (!usage || !usage.count) {
+          return 0;
+        }
+        const frequency = Math.min(Math.log2(1 + usage.count) * 5, MAX_USAGE_BONUS / 2);
+        const age = Math.max(0, now - (usage.lastUsed || 0));
+        const recency = MAX_USAGE_BONUS / 2 * Math.pow(0.5, age / USAGE_HALF_LIFE);
+        return frequency + recency;
+      }
+      function scoreUserMatch(user, query, mentionStats = {}, now = Date.now(), searchEntry = null) {
+        return scoreFoldedUserMatch(user, foldSearchText(query), mentionStats, now, searchEntry);
+      }
+      function scoreFoldedUserMatch(user, lowerQuery, mentionStats, now, searchEntry) {
+        const usageBonus = mentionStats ? getUsageBonus(mentionStats[getMentionUsageKey(user)], now) : 0;
+        if (!lowerQuery) {
+          return { score: usageBonus, field: null, positions: [] };
+        }
+        const usernameMatch = scoreField(user.username, lowerQuery, true, searchEntry?.username);
+        const nameMatch = user.name !== user.username ? scoreField(user.name, lowerQuery, false, searchEntry?.name) : null;
+        const best = !nameMatch || usernameMatch && usernameMatch.score >= nameMatch.score ? usernameMatch && { ...usernameMatch, field: "username" } : { ...nameMatch, field: "name" };
+        if (!best) {
+          return null;
+        }
+        return { ...best, score: best.score + usageBonus };
+      }
+      function toMatchRanges(positions) {
+        const ranges = [];
+        [...new Set(positions || [])].sort((left, right) => left - right).forEach((position) => {
+          const last = ranges[ranges.length - 1];
+          if (last && last[1] === position) {
+            last[1] = position + 1;
+          } else {
+            ranges.push([position, position + 1]);
+          }
+        });
+        return ranges;
+      }
+      function getFieldMatchRanges(text, query, isUsername) {
+        const lowerQuery = foldSearchText(query);
+        if (!text || !lowerQuery) {
+          return [];
+        }
+        return toMatchRanges(scoreField(text, lowerQuery, isUsername)?.positions);
+      }
+      function getUserMatchRanges(user, query) {
+        return {
+          username: getFieldMatchRanges(user?.username, query, true),
+          name: getFieldMatchRanges(user?.name, query, false)
+        };
+      }
+      function insertRankedResult(results, result, limit) {
+        const isBetter = (left, right) => left.score > right.score || left.score === right.score && left.index < right.index;
+        if (results.length >= limit && !isBetter(result, results[results.length - 1])) {
+          return;
+        }
+        let low = 0;
+        let high = results.length;
+        while (low < high) {
+          const middle = low + high >> 1;
+          if (isBetter(results[middle], result)) {
+            low = middle + 1;
+          } else {
+            high = middle;
+          }
+        }
+        results.splice(low, 0, result);
+        if (results.length > limit) {
+          results.pop();
+        }
+      }
+      function selectRankedUsers(users, query, mentionStats = {}, now = Date.now(), options = {}) {
+        const list = Array.isArray(users) ? users : [];
+        const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : Infinity;
+        const positions = options.positions || range(0, list.length);
+        const getSearchEntry = options.getSearchEntry || ((position) => buildUserSearchEntry(list[position]));
+        const foldedQuery = foldSearchText(query);
+        const looseQuery = loosenRomanization(foldedQuery);
+        const stats = mentionStats && Object.keys(mentionStats).length > 0 ? mentionStats : null;
+        const top = [];
+        const matchedPositions = [];
+        positions.forEach((position) => {
+          const user = list[position];
+          const searchEntry = foldedQuery ? getSearchEntry(position) : null;
+          if (searchEntry && !matchesUserSearchEntry(searchEntry, foldedQuery, looseQuery)) {
+            return;
+          }
+          const match = scoreFoldedUserMatch(user, foldedQuery, stats, now, searchEntry);
+          if (!match) {
+            return;
+          }
+          matchedPositions.push(position);
+          if (limit === Infinity) {
+            top.push({ index: position, score: match.score, match });
+          } else {
+            insertRankedResult(top, { index: position, score: match.score, match }, limit);
+          }
+        });
+        if (limit === Infinity) {
+          top.sort((left, right) => right.score - left.score || left.index - right.index);
+        }
+        return {
+          results: top.map(({ index, match }) => ({ user: list[index], ...match, ranges: getUserMatchRanges(list[index], query) })),
+          total: matchedPositions.length,
+          matchedPositions
+        };
+      }
+      function rankUsers(users, query, mentionStats = {}, now = Date.now()) {
+        return selectRankedUsers(users, query, mentionStats, now).results;
       }
-      function filterUsers(users, query) {
-        if (!Array.isArray(users) || users.length === 0) {
-          return [];
+      function filterUsers(users, query, mentionStats = {}, now = Date.now()) {
+        return rankUsers(users, query, mentionStats, now).map(({ user }) => user);
+      }
+      function buildUserSearchEntry(user) {
+        const variantsOf = (text) => typeof text === "string" && text ? computeSearchVariants(text) : null;
+        const username = variantsOf(user?.username);
+        const name = user?.name !== user?.username ? variantsOf(user?.name) : null;
+        return {
+          username,
+          name,
+          texts: [...username || [], ...name || []].map((variant) => variant.text)
+        };
+      }
+      function isSubsequence(text, query) {
+        let searchFrom = 0;
+        for (const char of query) {
+          const index = text.indexOf(char, searchFrom);
+          if (index === -1) {
+            return false;
+          }
+          searchFrom = index + char.length;
         }
-        if (!query) {
-          return users;
+        return true;
+      }
+      function matchesUserSearchEntry(searchEntry, foldedQuery, looseQuery = loosenRomanization(foldedQuery)) {
+        return searchEntry.texts.some((text) => isSubsequence(text, foldedQuery) || isSubsequence(text, looseQuery));
+      }
+      function recordMentionUsage(mentionStats, user, now = Date.now()) {
+        const key = getMentionUsageKey(user);
+        const nextStats = { ...mentionStats || {} };
+        nextStats[key] = {
+          count: (nextStats[key]?.count || 0) + 1,
+          lastUsed: now
+        };
+        const keys = Object.keys(nextStats);
+        if (keys.length > MAX_MENTION_STATS) {
+          keys.sort((left, right) => (nextStats[right].lastUsed || 0) - (nextStats[left].lastUsed || 0)).slice(MAX_MENTION_STATS).forEach((staleKey) => delete nextStats[staleKey]);
         }
-        const lowerQuery = query.toLowerCase();
-        return users.filter(
-          (user) => user.username.toLowerCase().includes(lowerQuery) || user.name.toLowerCase().includes(lowerQuery)
+        return nextStats;
+      }
+      var COMMAND_FIELD_WEIGHTS = { command: 1, description: 0.5, category: 0.4 };
+      function scoreCommandText(text, lowerQuery) {
+        const score = text ? scoreField(text, lowerQuery, false)?.score || 0 : 0;
+        return score >= MATCH_SCORES.nameSubstring ? score : 0;
+      }
+      function scoreCommandMatch(command, lowerQuery) {
+        return Math.max(
+          (scoreField(command.command, lowerQuery, true)?.score || 0) * COMMAND_FIELD_WEIGHTS.command,
+          scoreCommandText(command.description, lowerQuery) * COMMAND_FIELD_WEIGHTS.description,
+          scoreCommandText(command.category, lowerQuery) * COMMAND_FIELD_WEIGHTS.category
         );
       }
       function filterCommands(commands, query) {
         if (!Array.isArray(commands) || commands.length === 0) {
           return [];
         }
-        if (!query) {
-          return commands.slice(0, 10);
+        const lowerQuery = foldSearchText(query);
+        if (!lowerQuery) {
+          return commands.slice();
         }
-        const lowerQuery = query.toLowerCase();
-        return commands.filter(
-          (command) => command.command.toLowerCase().includes(lowerQuery)
-        ).slice(0, 10);
+        const ranked = commands.map((command, index) => ({ command, index, score: scoreCommandMatch(command, lowerQuery) })).filter(({ score }) => score > 0).sort((left, right) => right.score - left.score || left.index - right.index).map(({ command }) => command);
+        const groups = /* @__PURE__ */ new Map();
+        ranked.forEach((command) => {
+          const category = command.category || "";
+          groups.set(category, [...groups.get(category) || [], command]);
+        });
+        return [...groups.values()].flat();
+      }
+      function getCommandMatchRanges(command, query) {
+        const commandRanges = getFieldMatchRanges(command?.command, query, true);
+        return {
+          username: commandRanges,
+          name: command?.description ? getFieldMatchRanges(command.description, query, false) : commandRanges
+        };
       }
+      contentTriggersRoot.GitHubMentionsContent.getTriggerDefinition = getTriggerDefinition;
+      contentTriggersRoot.GitHubMentionsContent.matchMentionTrigger = matchMentionTrigger;
       contentTriggersRoot.GitHubMentionsContent.scanForMentionTrigger = scanForMentionTrigger;
+      contentTriggersRoot.GitHubMentionsContent.scanForPickerQuery = scanForPickerQuery;
       contentTriggersRoot.GitHubMentionsContent.scanForCommandTrigger = scanForCommandTrigger;
+      contentTriggersRoot.GitHubMentionsContent.matchCommandTrigger = matchCommandTrigger;
+      contentTriggersRoot.GitHubMentionsContent.parseCommandArguments = parseCommandArguments;
+      contentTriggersRoot.GitHubMentionsContent.scoreUserMatch = scoreUserMatch;
+      contentTriggersRoot.GitHubMentionsContent.rankUsers = rankUsers;
       contentTriggersRoot.GitHubMentionsContent.filterUsers = filterUsers;
+      contentTriggersRoot.GitHubMentionsContent.foldSearchText = foldSearchText;
+      contentTriggersRoot.GitHubMentionsContent.selectRankedUsers = selectRankedUsers;
+      contentTriggersRoot.GitHubMentionsContent.buildUserSearchEntry = buildUserSearchEntry;
+      contentTriggersRoot.GitHubMentionsContent.matchesUserSearchEntry = matchesUserSearchEntry;
+      contentTriggersRoot.GitHubMentionsContent.recordMentionUsage = recordMentionUsage;
       contentTriggersRoot.GitHubMentionsContent.filterCommands = filterCommands;
+      contentTriggersRoot.GitHubMentionsContent.getUserMatchRanges = getUserMatchRanges;
+      contentTriggersRoot.GitHubMentionsContent.getCommandMatchRanges = getCommandMatchRanges;
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
+          getTriggerDefinition,
+          matchMentionTrigger,
           scanForMentionTrigger,
+          scanForPickerQuery,
           scanForCommandTrigger,
+          matchCommandTrigger,
+          parseCommandArguments,
+          foldSearchText,
+          getMentionUsageKey,
+          scoreUserMatch,
+          rankUsers,
           filterUsers,
-          filterCommands
+          selectRankedUsers,
+          buildUserSearchEntry,
+          matchesUserSearchEntry,
+          recordMentionUsage,
+          filterCommands,
+          toMatchRanges,
+          getUserMatchRanges,
+          getCommandMatchRanges
+        };
+      }
+    }
+  });
+
+  // content/page-context.js
+  var require_page_context = __commonJS({
+    "content/page-context.js"(exports, module) {
+      var contentPageRoot = typeof window !== "undefined" ? window : globalThis;
+      contentPageRoot.GitHubMentionsContent = contentPageRoot.GitHubMentionsContent || {};
+      function getTemplatesApi() {
+        return contentPageRoot.GitHubMentionsTemplates?.parseGitHubUrl ? contentPageRoot.GitHubMentionsTemplates : typeof module !== "undefined" && module.exports ? require_templates() : null;
+      }
+      var PR_TITLE_SELECTORS = [".js-issue-title", '[data-testid="issue-title"]', ".gh-header-title .markdown-title"];
+      var PR_AUTHOR_SELECTORS = [".gh-header-meta .author", '[data-testid="issue-body-header-author"]', ".pull-header-username"];
+      var HEAD_BRANCH_SELECTORS = [".gh-header-meta .head-ref", ".commit-ref.head-ref", '[data-testid="head-ref"]'];
+      var PR_DOCUMENT_TITLE_PATTERN = /^(.*) by ([\w-]+(?:\[bot\])?) · Pull Request #\d+/;
+      function readText(doc, selectors) {
+        for (const selector of selectors) {
+          const text = doc?.querySelector?.(selector)?.textContent?.trim();
+          if (text) {
+            return text.replace(/\s+/g, " ");
+          }
+        }
+        return "";
+      }
+      function getPageContext(doc = contentPageRoot.document, location = contentPageRoot.location) {
+        const url = location?.href || "";
+        const details = getTemplatesApi().parseGitHubUrl(url);
+        const context = { url, ...details, prTitle: "", prAuthor: "" };
+        if (!details.prNumber) {
+          return context;
+        }
+        const titleMatch = String(doc?.title || "").match(PR_DOCUMENT_TITLE_PATTERN);
+        context.prTitle = readText(doc, PR_TITLE_SELECTORS) || titleMatch?.[1] || "";
+        context.prAuthor = readText(doc, PR_AUTHOR_SELECTORS) || titleMatch?.[2] || "";
+        context.branch = readText(doc, HEAD_BRANCH_SELECTORS).split(":").pop() || context.branch;
+        return context;
+      }
+      contentPageRoot.GitHubMentionsContent.getPageContext = getPageContext;
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          getPageContext
         };
       }
     }
@@ -769,17 +3103,39 @@
       var contentCommandsRoot = typeof window !== "undefined" ? window : globalThis;
       contentCommandsRoot.GitHubMentionsContent = contentCommandsRoot.GitHubMentionsContent || {};
       var sharedLgtm = contentCommandsRoot.GitHubMentionsLGTM || (typeof module !== "undefined" && module.exports ? require_lgtm() : null);
-      function pickRandomLgtmGif(randomFn = Math.random) {
-        return sharedLgtm?.pickRandomLgtmGif(null, randomFn) || null;
+      var contentEditor = contentCommandsRoot.GitHubMentionsContent.replaceEditorRange ? contentCommandsRoot.GitHubMentionsContent : typeof module !== "undefined" && module.exports ? require_editor() : null;
+      var sharedSettings = contentCommandsRoot.GitHubMentionsSettings?.groupCommandsByCategory ? contentCommandsRoot.GitHubMentionsSettings : typeof module !== "undefined" && module.exports ? require_settings() : null;
+      var sharedTemplates = contentCommandsRoot.GitHubMentionsTemplates?.renderTemplate ? contentCommandsRoot.GitHubMentionsTemplates : typeof module !== "undefined" && module.exports ? require_templates() : null;
+      var contentTriggers = contentCommandsRoot.GitHubMentionsContent.matchCommandTrigger ? contentCommandsRoot.GitHubMentionsContent : typeof module !== "undefined" && module.exports ? require_triggers() : null;
+      var contentSnippets = contentCommandsRoot.GitHubMentionsContent.insertSnippet ? contentCommandsRoot.GitHubMentionsContent : typeof module !== "undefined" && module.exports ? require_snippets() : null;
+      var pageContextApi = contentCommandsRoot.GitHubMentionsContent.getPageContext ? contentCommandsRoot.GitHubMentionsContent : typeof module !== "undefined" && module.exports ? require_page_context() : null;
+      function pickRandomLgtmGif(randomFn = Math.random, bannedUrls = []) {
+        const pool = (sharedLgtm?.getCuratedLgtmPool() || []).filter((url) => !bannedUrls.includes(url));
+        return pool.length > 0 ? sharedLgtm.pickRandomLgtmGif(null, randomFn, pool) || null : null;
+      }
+      async function getBannedLgtmUrls() {
+        const storage = contentCommandsRoot.GitHubMentionsStorage;
+        if (!storage?.getLgtmHistory || !sharedLgtm) {
+          return [];
+        }
+        return sharedLgtm.getBannedLgtmUrls(await storage.getLgtmHistory());
+      }
+      var LGTM_COMMAND_ACTIONS = {
+        lgtmrand: "fetchRandomLGTM",
+        lgtmfav: "pickFavoriteLGTM"
+      };
+      function getCurrentRepo() {
+        const { owner, repo } = pageContextApi.getPageContext();
+        return owner && repo ? `${owner}/${repo}` : "";
       }
-      function requestLgtmFromBackground() {
+      function requestLgtmFromBackground(action = "fetchRandomLGTM") {
         if (!chrome?.runtime?.sendMessage) {
           return Promise.resolve(null);
         }
         return new Promise((resolve) => {
           try {
             chrome.runtime.sendMessage(
-              { action: "fetchRandomLGTM" },
+              { action, repo: getCurrentRepo() },
               (response) => {
                 if (chrome.runtime.lastError) {
                   resolve(null);
@@ -793,12 +3149,16 @@
           }
         });
       }
-      async function resolveLgtmCommandResult() {
-        const backgroundResult = await requestLgtmFromBackground();
+      async function resolveLgtmCommandResult(command = "lgtmrand") {
+        const backgroundResult = await requestLgtmFromBackground(LGTM_COMMAND_ACTIONS[command]);
         if (backgroundResult?.success && backgroundResult.imageUrl) {
           return backgroundResult;
         }
-        const curatedGif = pickRandomLgtmGif();
+        if (command === "lgtmfav") {
+          console.warn(`[GitHub Mentions+] !lgtmfav: ${backgroundResult?.message || "favorites are unavailable"}`);
+          return null;
+        }
+        const curatedGif = pickRandomLgtmGif(Math.random, await getBannedLgtmUrls());
         if (!curatedGif) {
           return null;
         }
@@ -809,107 +3169,140 @@
           source: "curated-content-fallback"
         };
       }
+      var BUILT_IN_COMMAND_CATEGORY = "Built-in";
+      var UNCATEGORIZED_COMMAND_CATEGORY = "Uncategorized";
       function getBuiltInCommands() {
         return [
+          {
+            command: "lgtmfav",
+            description: "Insert a random LGTM image from your favorites",
+            category: BUILT_IN_COMMAND_CATEGORY
+          },
           {
             command: "lgtmrand",
-            description: "Insert a random LGTM GIF from GIPHY"
+            description: "Insert a random LGTM image from your LGTM providers",
+            category: BUILT_IN_COMMAND_CATEGORY
           }
         ];
       }
+      function sortCommandsAlphabetically(commands) {
+        return [...commands].sort((left, right) => left.command.localeCompare(right.command));
+      }
+      function getCommandCategoryLabel(command, commands) {
+        const hasCustomCategories = commands.some((entry) => entry.category && entry.category !== BUILT_IN_COMMAND_CATEGORY);
+        if (!hasCustomCategories) {
+          return null;
+        }
+        return command.category || UNCATEGORIZED_COMMAND_CATEGORY;
+      }
       function buildAvailableCommands(customCommands) {
         const safeCommands = customCommands && typeof customCommands === "object" ? customCommands : {};
-        const userCommands = Object.keys(safeCommands).map((commandName) => {
+        const userCommands = sharedSettings.groupCommandsByCategory(safeCommands).flatMap(({ names }) => names.map((commandName) => {
           const commandData = safeCommands[commandName];
           const content = typeof commandData === "object" ? commandData.content || "" : commandData || "";
+          const params = typeof commandData === "object" ? sharedTemplates.normalizeCommandParams(commandData.params) : [];
+          const category = sharedSettings.getCommandCategory(commandData);
           return {
             command: commandName,
             description: content.substring(0, 50) + "...",
-            emoji: typeof commandData === "object" ? commandData.emoji || null : null
+            emoji: typeof commandData === "object" ? commandData.emoji || null : null,
+            ...params.length > 0 ? { params } : {},
+            ...category ? { category } : {}
           };
-        });
-        return [...getBuiltInCommands(), ...userCommands].slice(0, 10);
+        }));
+        return [
+          ...userCommands,
+          ...sortCommandsAlphabetically(getBuiltInCommands())
+        ];
       }
-      function applyCommandTemplate(template, date = /* @__PURE__ */ new Date()) {
-        return String(template || "").replace(/\$\{timestamp\}/g, date.toISOString()).replace(/\$\{date\}/g, date.toLocaleDateString()).replace(/\$\{time\}/g, date.toLocaleTimeString());
+      function applyCommandTemplate(template, date = /* @__PURE__ */ new Date(), pageContext = {}, argumentValues = {}) {
+        return renderCommandTemplate(template, { ...sharedTemplates.buildTemplateValues(date, pageContext), ...argumentValues });
       }
-      function createLgtmPlaceholder() {
-        const token = `ghmp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
-        return `<!-- GHMP_LGTM:${token} -->`;
+      function renderCommandTemplate(template, values) {
+        const { text, unknown } = sharedTemplates.renderTemplate(template, values);
+        if (unknown.length > 0) {
+          console.warn(`[GitHub Mentions+] ${sharedTemplates.formatUnknownVariablesMessage(unknown)}`);
+        }
+        return text;
       }
-      function dispatchInputEvent(input) {
-        input.dispatchEvent(new Event("input", { bubbles: true }));
+      function buildCommandSnippet(template, pageContext, argumentValues) {
+        const values = { ...sharedTemplates.buildTemplateValues(/* @__PURE__ */ new Date(), pageContext), ...argumentValues };
+        const escapedValues = Object.fromEntries(
+          Object.entries(values).map(([name, value]) => [name, contentSnippets.escapeSnippetText(value)])
+        );
+        return renderCommandTemplate(template, escapedValues);
       }
-      function replaceTextRange(input, start, end, replacement) {
-        const originalValue = input.value;
-        const before = originalValue.slice(0, start);
-        const after = originalValue.slice(end);
-        const delta = replacement.length - (end - start);
-        const selectionStart = input.selectionStart;
-        const selectionEnd = input.selectionEnd;
-        input.value = before + replacement + after;
-        if (typeof selectionStart === "number" && typeof selectionEnd === "number") {
-          let nextSelectionStart = selectionStart;
-          let nextSelectionEnd = selectionEnd;
-          if (selectionStart > end) {
-            nextSelectionStart += delta;
-          } else if (selectionStart >= start) {
-            nextSelectionStart = start + replacement.length;
-          }
-          if (selectionEnd > end) {
-            nextSelectionEnd += delta;
-          } else if (selectionEnd >= start) {
-            nextSelectionEnd = start + replacement.length;
-          }
-          input.selectionStart = nextSelectionStart;
-          input.selectionEnd = nextSelectionEnd;
+      function describeCommandArguments(command, args) {
+        const params = command?.params || [];
+        if (params.length === 0) {
+          return { hint: null, error: null };
         }
-        dispatchInputEvent(input);
+        const { missing } = sharedTemplates.buildArgumentValues(params, args || []);
+        return {
+          hint: `(${sharedTemplates.formatCommandParams(params)})`,
+          error: args && missing.length > 0 ? sharedTemplates.formatMissingArgumentsMessage(missing) : null
+        };
+      }
+      function acceptsCommandArguments(command, commandInfo) {
+        const params = command?.params || [];
+        if (params.length === 0) {
+          return false;
+        }
+        if (commandInfo.form !== "space") {
+          return true;
+        }
+        const typed = commandInfo.args.length;
+        return typed < params.length || typed === params.length && !commandInfo.argumentEnded;
+      }
+      function createLgtmPlaceholder() {
+        const token = `ghmp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        return `<!-- GHMP_LGTM:${token} -->`;
       }
-      function insertTextareaPlaceholder(input, commandStart, commandEnd, placeholder) {
-        replaceTextRange(input, commandStart, commandEnd, placeholder);
+      function supportsLgtmPlaceholder(input) {
+        return Boolean(input?.matches?.("textarea")) || contentEditor.isContentEditableInput(input);
       }
-      function replaceTextareaPlaceholder(input, placeholder, replacement) {
-        if (!input?.matches?.("textarea")) {
+      function replaceEditorPlaceholder(input, placeholder, replacement) {
+        if (!supportsLgtmPlaceholder(input)) {
           return false;
         }
-        const index = input.value.indexOf(placeholder);
+        const index = contentEditor.getEditorText(input).indexOf(placeholder);
         if (index === -1) {
           return false;
         }
-        replaceTextRange(input, index, index + placeholder.length, replacement);
+        contentEditor.replaceEditorRange(input, index, index + placeholder.length, replacement);
         return true;
       }
-      function resolveLgtmPlaceholderAsync(input, placeholder) {
-        resolveLgtmCommandResult().then((lgtmResult) => {
+      function resolveLgtmPlaceholderAsync(input, placeholder, command) {
+        resolveLgtmCommandResult(command).then((lgtmResult) => {
           if (!lgtmResult?.success || !lgtmResult.imageUrl) {
+            replaceEditorPlaceholder(input, placeholder, "");
             return;
           }
-          replaceTextareaPlaceholder(input, placeholder, `![LGTM](${lgtmResult.imageUrl})`);
+          replaceEditorPlaceholder(input, placeholder, `![LGTM](${lgtmResult.imageUrl})`);
         }).catch((error) => {
           console.error("[GitHub Mentions+] LGTM placeholder replacement error:", error);
         });
       }
-      async function executeCommand(command, input, settings) {
+      async function executeCommand(command, input, settings, options = {}) {
         try {
           let result = "";
-          const cursor = input.selectionStart;
-          const text = input.value;
-          const beforeCursor = text.substring(0, cursor);
-          const afterCursor = text.substring(cursor);
-          const commandMatch = beforeCursor.match(/@!([a-zA-Z0-9-_]*)$/);
-          if (!commandMatch) {
+          const cursor = contentEditor.getCaretOffset(input);
+          const text = contentEditor.getEditorText(input);
+          const triggerDefinition = contentTriggers.getTriggerDefinition(settings?.triggers);
+          const trigger = options.trigger || contentTriggers.matchCommandTrigger(text, cursor, triggerDefinition);
+          if (!trigger) {
             return false;
           }
-          const commandStart = cursor - commandMatch[0].length;
-          if (command === "lgtmrand" && input.matches?.("textarea")) {
+          const commandStart = trigger.start;
+          const isLgtmCommand = Object.hasOwn(LGTM_COMMAND_ACTIONS, command);
+          if (isLgtmCommand && supportsLgtmPlaceholder(input)) {
             const placeholder = createLgtmPlaceholder();
-            insertTextareaPlaceholder(input, commandStart, cursor, placeholder);
-            resolveLgtmPlaceholderAsync(input, placeholder);
+            contentEditor.replaceEditorRange(input, commandStart, cursor, placeholder);
+            resolveLgtmPlaceholderAsync(input, placeholder, command);
             return true;
           }
-          if (command === "lgtmrand") {
-            const lgtmResult = await resolveLgtmCommandResult();
+          if (isLgtmCommand) {
+            const lgtmResult = await resolveLgtmCommandResult(command);
             if (lgtmResult?.success && lgtmResult.imageUrl) {
               result = `![LGTM](${lgtmResult.imageUrl})`;
             } else {
@@ -920,15 +3313,28 @@
             const commandData = customCommands[command];
             if (commandData) {
               const template = typeof commandData === "object" ? commandData.content || "" : commandData;
-              result = applyCommandTemplate(template);
+              const params = typeof commandData === "object" ? sharedTemplates.normalizeCommandParams(commandData.params) : [];
+              const { values, missing } = sharedTemplates.buildArgumentValues(params, trigger.args || []);
+              if (trigger.args === null && missing.length > 0) {
+                contentEditor.replaceEditorRange(input, commandStart, cursor, `${triggerDefinition.command.sequence}${command}(`);
+                return true;
+              }
+              if (missing.length > 0) {
+                console.warn(`[GitHub Mentions+] ${sharedTemplates.formatMissingArgumentsMessage(missing)} for !${command}`);
+                return false;
+              }
+              const snippet = buildCommandSnippet(template, pageContextApi.getPageContext(), values);
+              if (!snippet) {
+                return false;
+              }
+              contentSnippets.insertSnippet(input, commandStart, cursor, snippet);
+              return true;
             }
           }
           if (!result) {
             return false;
           }
-          input.value = text.substring(0, commandStart) + result + afterCursor;
-          input.selectionStart = input.selectionEnd = commandStart + result.length;
-          dispatchInputEvent(input);
+          contentEditor.replaceEditorRange(input, commandStart, cursor, result);
           return true;
         } catch (error) {
           console.error("[GitHub Mentions+] Command execution error:", error);
@@ -937,20 +3343,26 @@
       }
       contentCommandsRoot.GitHubMentionsContent.getBuiltInCommands = getBuiltInCommands;
       contentCommandsRoot.GitHubMentionsContent.buildAvailableCommands = buildAvailableCommands;
+      contentCommandsRoot.GitHubMentionsContent.getCommandCategoryLabel = getCommandCategoryLabel;
       contentCommandsRoot.GitHubMentionsContent.applyCommandTemplate = applyCommandTemplate;
+      contentCommandsRoot.GitHubMentionsContent.describeCommandArguments = describeCommandArguments;
+      contentCommandsRoot.GitHubMentionsContent.acceptsCommandArguments = acceptsCommandArguments;
       contentCommandsRoot.GitHubMentionsContent.executeCommand = executeCommand;
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
           CURATED_LGTM_GIFS: sharedLgtm?.CURATED_LGTM_GIFS || [],
           getBuiltInCommands,
           buildAvailableCommands,
+          getCommandCategoryLabel,
           applyCommandTemplate,
+          describeCommandArguments,
+          acceptsCommandArguments,
           pickRandomLgtmGif,
           requestLgtmFromBackground,
           resolveLgtmCommandResult,
           executeCommand,
           createLgtmPlaceholder,
-          replaceTextareaPlaceholder
+          replaceEditorPlaceholder
         };
       }
     }
@@ -961,61 +3373,160 @@
     "content/users-source.js"(exports, module) {
       var contentUsersRoot = typeof window !== "undefined" ? window : globalThis;
       contentUsersRoot.GitHubMentionsContent = contentUsersRoot.GitHubMentionsContent || {};
+      function getUserSourcesApi() {
+        return contentUsersRoot.GitHubMentionsUserSources || (typeof module !== "undefined" && module.exports ? require_user_sources() : null);
+      }
+      function mergeUsersFromSettings(settings) {
+        const userSources = getUserSourcesApi();
+        if (!settings || !userSources) {
+          return { users: [], stats: [] };
+        }
+        const sourceResults = userSources.getConfiguredSources(settings).filter((source) => source.type !== "endpoint").map((source) => {
+          const parsed = userSources.parseSourceUsers(source);
+          if (parsed.error) {
+            console.error(`Failed to parse users from source "${source.name}":`, parsed.error);
+          }
+          return { source, users: parsed.users, error: parsed.error };
+        });
+        return userSources.mergeSourceUsers(sourceResults, settings.sourcePrecedence);
+      }
       async function parseUsersFromSettings(settings) {
-        if (!settings || !settings.directJsonData) {
-          return [];
+        return mergeUsersFromSettings(settings).users;
+      }
+      function requestDirectoryRefresh(force = false) {
+        if (typeof chrome === "undefined" || !chrome?.runtime?.sendMessage) {
+          return Promise.resolve(null);
         }
-        try {
-          const directUsers = JSON.parse(settings.directJsonData);
-          if (!Array.isArray(directUsers) || directUsers.length === 0) {
-            return [];
+        return new Promise((resolve) => {
+          try {
+            chrome.runtime.sendMessage(
+              { action: "refreshUserDirectory", force },
+              (response) => {
+                if (chrome.runtime.lastError) {
+                  resolve(null);
+                  return;
+                }
+                resolve(response || null);
+              }
+            );
+          } catch (error) {
+            resolve(null);
           }
-          if (!contentUsersRoot.GitHubMentionsSettings) {
-            return [];
+        });
+      }
+      var refreshRequestedFor = /* @__PURE__ */ new WeakSet();
+      function requestDirectoryRefreshOnce(settings) {
+        if (settings && typeof settings === "object") {
+          if (refreshRequestedFor.has(settings)) {
+            return Promise.resolve(null);
           }
-          return contentUsersRoot.GitHubMentionsSettings.normalizeUsersForCache(directUsers);
-        } catch (error) {
-          console.error("Failed to parse direct JSON data:", error);
-          return [];
+          refreshRequestedFor.add(settings);
+        }
+        return requestDirectoryRefresh();
+      }
+      async function getRemoteUsers(storage, currentCache, settings) {
+        const hasCache = Array.isArray(currentCache) && currentCache.length > 0;
+        if (hasCache && !await storage.isCacheExpired()) {
+          return currentCache;
         }
+        await (hasCache ? requestDirectoryRefresh() : requestDirectoryRefreshOnce(settings));
+        const cachedUsers = await storage.getCachedUsers();
+        if (!cachedUsers) {
+          return hasCache ? currentCache : [];
+        }
+        return cachedUsers.length > 0 || !hasCache ? cachedUsers : currentCache;
       }
       async function getUsersForSuggestions(storage, currentCache, fallbackSettings) {
         if (!storage) {
           return [];
         }
+        const currentSettings = fallbackSettings || await storage.getSettings();
+        if (getUserSourcesApi()?.hasEndpointSource(currentSettings)) {
+          return getRemoteUsers(storage, currentCache, currentSettings);
+        }
         if (Array.isArray(currentCache) && currentCache.length > 0) {
           return currentCache;
         }
-        const currentSettings = fallbackSettings || await storage.getSettings();
         if (!currentSettings) {
           return [];
         }
-        const validUsers = await parseUsersFromSettings(currentSettings);
-        if (validUsers.length > 0) {
-          await storage.setCachedUsers(validUsers);
-        }
-        return validUsers;
+        requestDirectoryRefreshOnce(currentSettings);
+        return mergeUsersFromSettings(currentSettings).users;
       }
       async function syncCachedUsersFromSettings(storage, settings) {
-        if (!settings?.directJsonData) {
-          return [];
+        if (getUserSourcesApi()?.hasEndpointSource(settings)) {
+          await requestDirectoryRefresh();
+          return storage?.getCachedUsers ? storage.getCachedUsers() : null;
         }
-        const validUsers = await parseUsersFromSettings(settings);
-        if (validUsers.length > 0 && storage?.setCachedUsers) {
-          try {
-            await storage.setCachedUsers(validUsers);
-          } catch (error) {
-            console.warn("Failed to update cache in content script, using in-memory cache only:", error);
-          }
+        requestDirectoryRefresh();
+        return mergeUsersFromSettings(settings).users;
+      }
+      function formatMentionText(entry) {
+        if (entry?.isGroup && Array.isArray(entry.members) && entry.members.length > 0) {
+          return `${entry.members.map((member) => `@${member}`).join(" ")} `;
         }
-        return validUsers;
+        return `@${entry?.username} `;
       }
+      contentUsersRoot.GitHubMentionsContent.formatMentionText = formatMentionText;
       contentUsersRoot.GitHubMentionsContent.parseUsersFromSettings = parseUsersFromSettings;
       contentUsersRoot.GitHubMentionsContent.getUsersForSuggestions = getUsersForSuggestions;
       contentUsersRoot.GitHubMentionsContent.syncCachedUsersFromSettings = syncCachedUsersFromSettings;
       if (typeof module !== "undefined" && module.exports) {
         module.exports = {
-          parseUsersFromSettings
+          formatMentionText,
+          mergeUsersFromSettings,
+          parseUsersFromSettings,
+          requestDirectoryRefresh,
+          getUsersForSuggestions,
+          syncCachedUsersFromSettings
+        };
+      }
+    }
+  });
+
+  // content/user-index.js
+  var require_user_index = __commonJS({
+    "content/user-index.js"(exports, module) {
+      var contentUserIndexRoot = typeof window !== "undefined" ? window : globalThis;
+      contentUserIndexRoot.GitHubMentionsContent = contentUserIndexRoot.GitHubMentionsContent || {};
+      var userIndexTriggers = contentUserIndexRoot.GitHubMentionsContent.selectRankedUsers ? contentUserIndexRoot.GitHubMentionsContent : typeof module !== "undefined" && module.exports ? require_triggers() : null;
+      function createUserSearchIndex(users) {
+        return {
+          users: Array.isArray(users) ? users : [],
+          searchEntries: [],
+          lastQuery: null,
+          lastMatches: null
+        };
+      }
+      function getUserSearchIndex(index, users) {
+        return index && index.users === users ? index : createUserSearchIndex(users);
+      }
+      function getSearchEntry(index, position) {
+        if (!index.searchEntries[position]) {
+          index.searchEntries[position] = userIndexTriggers.buildUserSearchEntry(index.users[position]);
+        }
+        return index.searchEntries[position];
+      }
+      function searchUserIndex(index, query, mentionStats = {}, now = Date.now(), options = {}) {
+        const foldedQuery = userIndexTriggers.foldSearchText(query);
+        const narrowed = foldedQuery && index.lastMatches && foldedQuery.startsWith(index.lastQuery);
+        const { results, total, matchedPositions } = userIndexTriggers.selectRankedUsers(index.users, query, mentionStats, now, {
+          limit: options.limit,
+          positions: narrowed ? index.lastMatches : void 0,
+          getSearchEntry: (position) => getSearchEntry(index, position)
+        });
+        index.lastQuery = foldedQuery || null;
+        index.lastMatches = foldedQuery ? matchedPositions : null;
+        return { results, total };
+      }
+      contentUserIndexRoot.GitHubMentionsContent.createUserSearchIndex = createUserSearchIndex;
+      contentUserIndexRoot.GitHubMentionsContent.getUserSearchIndex = getUserSearchIndex;
+      contentUserIndexRoot.GitHubMentionsContent.searchUserIndex = searchUserIndex;
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          createUserSearchIndex,
+          getUserSearchIndex,
+          searchUserIndex
         };
       }
     }
@@ -2290,43 +4801,88 @@
 
   // src/content-entry.js
   var import_settings = __toESM(require_settings());
+  var import_user_sources = __toESM(require_user_sources());
+  var import_user_cache = __toESM(require_user_cache());
 
   // utils/storage.js
   window.GitHubMentionsStorage = {};
+  var STORAGE_KEYS = {
+    USER_CACHE_META: "githubMentions_userCacheMeta",
+    SETTINGS: "githubMentions_settings",
+    CACHE_TIMESTAMP: "githubMentions_cacheTimestamp",
+    SOURCE_STATS: "githubMentions_sourceStats",
+    MENTION_STATS: "githubMentions_mentionStats",
+    LGTM_HISTORY: "githubMentions_lgtmHistory"
+  };
   var CACHE_DURATION = 60 * 60 * 1e3;
-  var MAX_CACHE_SIZE = 1024 * 1024;
+  window.GitHubMentionsStorage.STORAGE_KEYS = STORAGE_KEYS;
   window.GitHubMentionsStorage.getCachedUsers = async function() {
     try {
-      const result = await chrome.storage.local.get("githubMentions_userCache");
-      const cachedData = result.githubMentions_userCache;
-      if (!cachedData || !Array.isArray(cachedData)) {
-        return [];
+      const userCache = window.GitHubMentionsUserCache;
+      if (!userCache) {
+        return null;
+      }
+      const { users: cachedData } = await userCache.readUserCache(chrome.storage.local);
+      if (!cachedData) {
+        return null;
       }
       const validUsers = window.GitHubMentionsSettings ? window.GitHubMentionsSettings.normalizeUsersForCache(cachedData) : [];
       if (validUsers.length !== cachedData.length) {
         return [];
       }
       return validUsers;
+    } catch (error) {
+      return null;
+    }
+  };
+  window.GitHubMentionsStorage.getUserCacheInfo = async function() {
+    try {
+      return window.GitHubMentionsUserCache ? await window.GitHubMentionsUserCache.readUserCacheMeta(chrome.storage.local) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  window.GitHubMentionsStorage.getSourceStats = async function() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SOURCE_STATS);
+      const stats = result[STORAGE_KEYS.SOURCE_STATS];
+      return Array.isArray(stats) ? stats : [];
     } catch (error) {
       return [];
     }
   };
-  window.GitHubMentionsStorage.setCachedUsers = async function(users) {
+  window.GitHubMentionsStorage.getMentionStats = async function() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.MENTION_STATS);
+      const stats = result[STORAGE_KEYS.MENTION_STATS];
+      return stats && typeof stats === "object" && !Array.isArray(stats) ? stats : {};
+    } catch (error) {
+      return {};
+    }
+  };
+  window.GitHubMentionsStorage.setMentionStats = async function(stats) {
+    try {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.MENTION_STATS]: stats && typeof stats === "object" ? stats : {}
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  window.GitHubMentionsStorage.getLgtmHistory = async function() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.LGTM_HISTORY);
+      const history = result[STORAGE_KEYS.LGTM_HISTORY];
+      return window.GitHubMentionsLGTM ? window.GitHubMentionsLGTM.normalizeLgtmHistory(history) : Array.isArray(history) ? history : [];
+    } catch (error) {
+      return [];
+    }
+  };
+  window.GitHubMentionsStorage.setLgtmHistory = async function(history) {
     try {
-      if (!Array.isArray(users)) {
-        return false;
-      }
-      const validUsers = window.GitHubMentionsSettings ? window.GitHubMentionsSettings.normalizeUsersForCache(users) : [];
-      if (validUsers.length !== users.length) {
-        return false;
-      }
-      const dataSize = JSON.stringify(validUsers).length;
-      if (dataSize > 1024 * 1024) {
-        return false;
-      }
       await chrome.storage.local.set({
-        "githubMentions_userCache": validUsers,
-        "githubMentions_cacheTimestamp": Date.now()
+        [STORAGE_KEYS.LGTM_HISTORY]: Array.isArray(history) ? history : []
       });
       return true;
     } catch (error) {
@@ -2335,10 +4891,8 @@
   };
   window.GitHubMentionsStorage.clearCache = async function() {
     try {
-      await chrome.storage.local.remove([
-        "githubMentions_userCache",
-        "githubMentions_cacheTimestamp"
-      ]);
+      await window.GitHubMentionsUserCache?.clearUserCache(chrome.storage.local);
+      await chrome.storage.local.remove(STORAGE_KEYS.CACHE_TIMESTAMP);
       return true;
     } catch (error) {
       return false;
@@ -2347,29 +4901,19 @@
   window.GitHubMentionsStorage.getSettings = async function() {
     try {
       const result = await chrome.storage.local.get("githubMentions_settings");
-      if (window.GitHubMentionsSettings) {
-        return window.GitHubMentionsSettings.normalizeSettings(result.githubMentions_settings);
-      }
-      return result.githubMentions_settings || {
-        dataSource: "gui",
-        directJsonData: "",
-        enabled: true,
-        customCommands: {}
-      };
+      return window.GitHubMentionsSettings.normalizeSettings(result.githubMentions_settings);
     } catch (error) {
-      return window.GitHubMentionsSettings ? window.GitHubMentionsSettings.getDefaultSettings() : {
-        dataSource: "gui",
-        directJsonData: "",
-        enabled: true,
-        customCommands: {}
-      };
+      return window.GitHubMentionsSettings.getDefaultSettings();
     }
   };
   window.GitHubMentionsStorage.setSettings = async function(settings) {
     try {
-      const normalizedSettings = window.GitHubMentionsSettings ? window.GitHubMentionsSettings.normalizeSettings(settings) : settings;
+      const result = await chrome.storage.local.get("githubMentions_settings");
+      if (window.GitHubMentionsSettings.isNewerSettingsSchema(result.githubMentions_settings)) {
+        return false;
+      }
       await chrome.storage.local.set({
-        "githubMentions_settings": normalizedSettings
+        "githubMentions_settings": window.GitHubMentionsSettings.normalizeSettings(settings)
       });
       return true;
     } catch (error) {
@@ -2439,6 +4983,7 @@
 
   // src/content-entry.js
   var import_lgtm = __toESM(require_lgtm());
+  var import_templates = __toESM(require_templates());
 
   // utils/overlay/state.js
   var overlayStateRoot = typeof window !== "undefined" ? window : globalThis;
@@ -2451,11 +4996,19 @@
     selectedIndex: 0,
     currentSelectedIndex: 0,
     overlayItems: [],
+    visibleRows: 4,
+    comboboxInput: null,
+    savedComboboxAttributes: null,
+    liveRegion: null,
+    lastAnnouncement: null,
+    lastRender: null,
+    stopThemeObserver: null,
     lastKeyNavTime: 0,
     KEY_NAV_DELAY: 200
   };
 
   // src/content-entry.js
+  var import_theme = __toESM(require_theme());
   var import_anchor = __toESM(require_anchor());
 
   // utils/overlay/position.js
@@ -2534,6 +5087,7 @@
   var domRoot = typeof window !== "undefined" ? window : globalThis;
   domRoot.GitHubMentionsDOM = domRoot.GitHubMentionsDOM || {};
   [
+    "announce",
     "createOverlay",
     "getOverlay",
     "getSelectedBgColor",
@@ -2552,9 +5106,13 @@
   });
 
   // src/content-entry.js
+  var import_editor = __toESM(require_editor());
+  var import_snippets = __toESM(require_snippets());
   var import_triggers = __toESM(require_triggers());
+  var import_page_context = __toESM(require_page_context());
   var import_commands = __toESM(require_commands());
   var import_users_source = __toESM(require_users_source());
+  var import_user_index = __toESM(require_user_index());
 
   // content/app.js
   var contentAppRoot = typeof window !== "undefined" ? window : globalThis;
@@ -2563,9 +5121,12 @@
     const state = {
       activeInput: null,
       mentionStartPos: null,
+      pickerStartPos: null,
       isInitialized: false,
       settings: null,
       cachedUsers: [],
+      userIndex: null,
+      mentionStats: null,
       inputObserver: null
     };
     function getApi() {
@@ -2574,14 +5135,28 @@
         dom: contentAppRoot.GitHubMentionsDOM,
         triggers: contentAppRoot.GitHubMentionsContent,
         commands: contentAppRoot.GitHubMentionsContent,
-        usersSource: contentAppRoot.GitHubMentionsContent
+        editor: contentAppRoot.GitHubMentionsContent,
+        snippets: contentAppRoot.GitHubMentionsContent,
+        usersSource: contentAppRoot.GitHubMentionsContent,
+        userIndex: contentAppRoot.GitHubMentionsContent
       };
     }
+    function getDataSourceLabel(settings) {
+      const additionalCount = (settings.userSources || []).filter((source) => source.enabled !== false).length;
+      const additionalLabel = additionalCount > 0 ? ` and ${additionalCount} additional source(s)` : "";
+      if (settings.dataSource === "endpoint") {
+        return `HTTP endpoint${additionalLabel}`;
+      }
+      return `${settings.dataSource === "gui" ? "GUI table" : "direct JSON"}${additionalLabel}`;
+    }
     function isSupportedInput(input) {
       return Boolean(
         input && (input.matches?.("textarea") || input.matches?.('[contenteditable="true"]'))
       );
     }
+    function getTriggerDefinition() {
+      return getApi().triggers.getTriggerDefinition(state.settings?.triggers);
+    }
     function resetStaleActiveInput() {
       if (state.activeInput && state.activeInput.isConnected === false) {
         state.activeInput = null;
@@ -2589,64 +5164,161 @@
         getApi().dom.hideOverlay();
       }
     }
-    function insertMention(username) {
+    function getOverlayOptions() {
+      return {
+        visibleRows: state.settings?.visibleRows,
+        maxResults: state.settings?.maxResults
+      };
+    }
+    function recordMention(entry) {
+      const { storage, triggers } = getApi();
+      state.mentionStats = triggers.recordMentionUsage(state.mentionStats, entry);
+      storage.setMentionStats(state.mentionStats);
+    }
+    function insertMention(entry) {
       if (!state.activeInput) {
         return;
       }
       try {
-        const value = state.activeInput.value;
-        const cursor = state.activeInput.selectionStart;
-        const before = value.substring(0, state.mentionStartPos);
-        const after = value.substring(cursor);
-        const mentionText = `@${username} `;
-        state.activeInput.value = before + mentionText + after;
-        const newCursorPos = before.length + mentionText.length;
+        const { editor, usersSource } = getApi();
+        const cursor = editor.getCaretOffset(state.activeInput);
+        if (cursor === null || state.mentionStartPos === null) {
+          return;
+        }
         state.activeInput.focus();
-        state.activeInput.setSelectionRange(newCursorPos, newCursorPos);
-        state.activeInput.dispatchEvent(new Event("input", { bubbles: true }));
+        editor.replaceEditorRange(
+          state.activeInput,
+          state.mentionStartPos,
+          cursor,
+          usersSource.formatMentionText(entry)
+        );
+        state.pickerStartPos = null;
+        recordMention(entry);
       } catch (error) {
       }
     }
+    async function runCommand(item) {
+      const { dom, commands } = getApi();
+      if (item.argumentError) {
+        dom.announce(item.argumentError);
+        return false;
+      }
+      return commands.executeCommand(item.username, state.activeInput, state.settings);
+    }
+    function activateFocusedInput() {
+      resetStaleActiveInput();
+      const focused = document.activeElement;
+      if (isSupportedInput(focused) && focused !== state.activeInput) {
+        activateInput(focused);
+      }
+      return state.activeInput;
+    }
+    function findMentionQuery(text, cursor) {
+      const { triggers } = getApi();
+      const typedMention = triggers.matchMentionTrigger(text, cursor, getTriggerDefinition());
+      if (typedMention) {
+        return typedMention;
+      }
+      const pickerQuery = triggers.scanForPickerQuery(text, cursor, state.pickerStartPos);
+      if (pickerQuery === null) {
+        state.pickerStartPos = null;
+        return null;
+      }
+      return { query: pickerQuery, start: state.pickerStartPos };
+    }
+    async function openMentionPicker() {
+      const { editor } = getApi();
+      if (!state.settings?.enabled || !activateFocusedInput() || document.activeElement !== state.activeInput) {
+        return false;
+      }
+      const cursor = editor.getCaretOffset(state.activeInput);
+      if (cursor === null) {
+        return false;
+      }
+      state.pickerStartPos = cursor;
+      await refreshOverlayForActiveInput();
+      return true;
+    }
+    async function insertFromContextMenu(message) {
+      const { dom, editor } = getApi();
+      if (!activateFocusedInput()) {
+        return false;
+      }
+      const cursor = editor.getCaretOffset(state.activeInput);
+      if (cursor === null) {
+        return false;
+      }
+      dom.hideOverlay();
+      if (message.kind === "mention") {
+        const entry = state.cachedUsers.find((user) => user.username === message.username) || { username: message.username };
+        state.mentionStartPos = cursor;
+        insertMention(entry);
+        return true;
+      }
+      if (message.kind === "command") {
+        return getApi().commands.executeCommand(message.command, state.activeInput, state.settings, {
+          trigger: { start: cursor, args: null }
+        });
+      }
+      return false;
+    }
     async function refreshOverlayForActiveInput() {
-      const { dom, triggers, commands, usersSource, storage } = getApi();
+      const { dom, triggers, commands, editor, usersSource, userIndex, storage } = getApi();
       resetStaleActiveInput();
       if (!state.activeInput || !state.settings?.enabled) {
         return;
       }
-      const cursor = state.activeInput.selectionStart;
-      const text = state.activeInput.value;
-      const mentionQuery = triggers.scanForMentionTrigger(text, cursor);
-      const commandInfo = triggers.scanForCommandTrigger(text, cursor);
+      const cursor = editor.getCaretOffset(state.activeInput);
+      const text = editor.getEditorText(state.activeInput);
+      const mention = findMentionQuery(text, cursor);
+      const mentionQuery = mention ? mention.query : null;
+      const commandInfo = triggers.scanForCommandTrigger(text, cursor, getTriggerDefinition());
       if (mentionQuery !== null) {
-        state.mentionStartPos = cursor - mentionQuery.length - 2;
+        state.mentionStartPos = mention.start;
         const users = await usersSource.getUsersForSuggestions(storage, state.cachedUsers, state.settings);
         state.cachedUsers = users;
-        const matches = triggers.filterUsers(users, mentionQuery);
+        state.userIndex = userIndex.getUserSearchIndex(state.userIndex, users);
+        if (!state.mentionStats) {
+          state.mentionStats = await storage.getMentionStats();
+        }
+        const { results, total } = userIndex.searchUserIndex(state.userIndex, mentionQuery, state.mentionStats, Date.now(), {
+          limit: state.settings?.maxResults
+        });
+        const matches = results.map(({ user, ranges }) => ({ ...user, matchRanges: ranges }));
         if (matches.length > 0) {
-          dom.showOverlay(matches, (user) => insertMention(user.username), state.activeInput);
+          dom.showOverlay(matches, (user) => insertMention(user), state.activeInput, { ...getOverlayOptions(), totalCount: total });
           return;
         }
       }
       if (commandInfo) {
         const availableCommands = commands.buildAvailableCommands(state.settings?.customCommands);
-        const matches = triggers.filterCommands(availableCommands, commandInfo.query);
+        const matches = commandInfo.args ? availableCommands.filter((command) => command.command === commandInfo.command && commands.acceptsCommandArguments(command, commandInfo)) : triggers.filterCommands(availableCommands, commandInfo.query);
         if (matches.length > 0) {
           dom.showOverlay(
-            matches.map((command) => ({
-              username: command.command,
-              name: command.description || command.command,
-              isCommand: true,
-              emoji: command.emoji || null
-            })),
-            async (command) => {
-              await commands.executeCommand(command.username, state.activeInput, state.settings);
-            },
-            state.activeInput
+            matches.map((command) => {
+              const { hint, error } = commands.describeCommandArguments(command, commandInfo.args || null);
+              return {
+                username: command.command,
+                name: command.description || command.command,
+                isCommand: true,
+                emoji: command.emoji || null,
+                category: commands.getCommandCategoryLabel(command, availableCommands),
+                matchRanges: triggers.getCommandMatchRanges(command, commandInfo.query),
+                hint: error ? `${hint} \xB7 ${error}` : hint,
+                argumentError: error
+              };
+            }),
+            (command) => runCommand(command),
+            state.activeInput,
+            getOverlayOptions()
           );
           return;
         }
       }
       dom.hideOverlay();
+      if (mentionQuery !== null || commandInfo) {
+        dom.announce("No suggestions found.");
+      }
     }
     async function onKeyUp(event) {
       const { dom } = getApi();
@@ -2654,12 +5326,12 @@
       if (!state.activeInput || !state.settings?.enabled) {
         return;
       }
-      const navigationKeys = ["ArrowDown", "ArrowUp", "Enter", "Escape"];
+      const navigationKeys = ["ArrowDown", "ArrowUp", "PageDown", "PageUp", "Home", "End", "Enter", "Escape"];
       if (navigationKeys.includes(event.key)) {
         return;
       }
       const key = event.key;
-      const isRelevantKey = /^[a-zA-Z0-9-_]$/.test(key) || key === "@" || key === "!" || key === "Backspace" || key === "Delete" || key === "Escape" || key === "Enter";
+      const isRelevantKey = /^[\p{L}\p{M}\p{N}_-]$/u.test(key) || getTriggerDefinition().keys.has(key) || key === "Backspace" || key === "Delete" || key === "Escape" || key === "Enter";
       if (!isRelevantKey) {
         return;
       }
@@ -2675,16 +5347,16 @@
       }
     }
     function onInput() {
-      const { dom, triggers } = getApi();
+      const { dom, triggers, editor } = getApi();
       resetStaleActiveInput();
       if (!state.activeInput || !state.settings?.enabled) {
         return;
       }
-      const cursor = state.activeInput.selectionStart;
-      const text = state.activeInput.value;
-      const mentionQuery = triggers.scanForMentionTrigger(text, cursor);
-      const commandInfo = triggers.scanForCommandTrigger(text, cursor);
-      if (mentionQuery === null && !commandInfo) {
+      const cursor = editor.getCaretOffset(state.activeInput);
+      const text = editor.getEditorText(state.activeInput);
+      const mention = findMentionQuery(text, cursor);
+      const commandInfo = triggers.scanForCommandTrigger(text, cursor, getTriggerDefinition());
+      if (!mention && !commandInfo) {
         dom.hideOverlay();
         return;
       }
@@ -2698,14 +5370,24 @@
       }
       const action = dom.handleKeyNavigation(event);
       if (!action || typeof action !== "object" || !action.type) {
+        getApi().snippets.handleSnippetKeyDown(event, state.activeInput);
+        return;
+      }
+      if (action.type === "close") {
+        state.pickerStartPos = null;
         return;
       }
       if (action.type === "select" && action.item) {
         if (action.item.isCommand) {
-          contentAppRoot.GitHubMentionsContent.executeCommand(action.item.username, state.activeInput, state.settings);
-        } else {
-          insertMention(action.item.username);
+          if (action.item.argumentError) {
+            dom.announce(action.item.argumentError);
+            return;
+          }
+          dom.hideOverlay();
+          runCommand(action.item);
+          return;
         }
+        insertMention(action.item);
         dom.hideOverlay();
         return;
       }
@@ -2715,6 +5397,10 @@
         if (!isSupportedInput(input)) {
           return;
         }
+        if (state.activeInput !== input) {
+          getApi().snippets.endSnippetSession?.();
+          state.pickerStartPos = null;
+        }
         state.activeInput = input;
         input.dataset.mentionEnhanced = "true";
         if (input.dataset.mentionListenersBound === "true") {
@@ -2828,21 +5514,17 @@
           return;
         }
         switch (message.action || message.type) {
-          case "GMP_SETTINGS_UPDATED":
-            state.settings = contentAppRoot.GitHubMentionsSettings ? contentAppRoot.GitHubMentionsSettings.normalizeSettings(message.settings) : message.settings;
-            state.cachedUsers = state.settings?.directJsonData ? await usersSource.syncCachedUsersFromSettings(storage, state.settings) : [];
-            if (state.activeInput) {
-              await refreshOverlayForActiveInput();
-            }
-            return;
           case "refreshUsers": {
             const currentSettings = await storage.getSettings();
-            const validUsers = await usersSource.syncCachedUsersFromSettings(storage, currentSettings);
-            state.cachedUsers = validUsers;
+            const syncedUsers = await usersSource.syncCachedUsersFromSettings(storage, currentSettings);
+            if (syncedUsers) {
+              state.cachedUsers = syncedUsers;
+            }
+            const validUsers = state.cachedUsers || [];
             if (validUsers.length > 0) {
               sendResponse({
                 success: true,
-                message: `Successfully loaded ${validUsers.length} users from ${currentSettings.dataSource === "gui" ? "GUI table" : "direct JSON"}`,
+                message: `Successfully loaded ${validUsers.length} users from ${getDataSourceLabel(currentSettings)}`,
                 userCount: validUsers.length
               });
             } else {
@@ -2854,6 +5536,16 @@
             }
             return;
           }
+          case "openMentionPicker": {
+            const opened = await openMentionPicker();
+            sendResponse({ success: opened, message: opened ? "Opened" : "No editable field is focused" });
+            return;
+          }
+          case "contextMenuInsert": {
+            const inserted = await insertFromContextMenu(message);
+            sendResponse({ success: inserted, message: inserted ? "Inserted" : "No editable field is focused" });
+            return;
+          }
           default:
             sendResponse({ success: false, message: "Unknown action" });
         }
@@ -2862,6 +5554,26 @@
         sendResponse({ success: false, message: error.message || "Unexpected error" });
       }
     }
+    async function handleStorageChange(changes, areaName) {
+      const { storage, dom } = getApi();
+      if (areaName !== "local" || !storage?.STORAGE_KEYS || !changes) {
+        return;
+      }
+      const settingsChange = changes[storage.STORAGE_KEYS.SETTINGS];
+      const cacheMetaKey = contentAppRoot.GitHubMentionsUserCache?.USER_CACHE_META_KEY;
+      if (!settingsChange && !(cacheMetaKey && changes[cacheMetaKey])) {
+        return;
+      }
+      if (settingsChange) {
+        state.settings = contentAppRoot.GitHubMentionsSettings ? contentAppRoot.GitHubMentionsSettings.normalizeSettings(settingsChange.newValue) : settingsChange.newValue;
+      }
+      if (cacheMetaKey && changes[cacheMetaKey]) {
+        state.cachedUsers = await storage.getCachedUsers() || state.cachedUsers;
+      }
+      if (state.activeInput && dom?.isOverlayVisible()) {
+        await refreshOverlayForActiveInput();
+      }
+    }
     async function initialize() {
       const { storage, dom } = getApi();
       if (state.isInitialized) {
@@ -2873,7 +5585,7 @@
         }
         state.settings = await storage.getSettings();
         dom.createOverlay();
-        state.cachedUsers = await storage.getCachedUsers();
+        state.cachedUsers = await storage.getCachedUsers() || [];
         scanInputs();
         startInputObserver();
         state.isInitialized = true;
@@ -2886,6 +5598,7 @@
       handleMessage,
       handleResize,
       handleScroll,
+      handleStorageChange,
       handleVisibilityChange,
       initialize,
       scanInputs
@@ -2906,6 +5619,9 @@
     window.addEventListener("resize", () => app.handleResize());
     window.addEventListener("scroll", () => app.handleScroll(), true);
     window.addEventListener("beforeunload", () => app.cleanup());
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      app.handleStorageChange(changes, areaName);
+    });
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       app.handleMessage(message, sender, sendResponse);
       return true;
@@ -5,9 +5,12 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
   const state = {
     activeInput: null,
     mentionStartPos: null,
+    pickerStartPos: null,
     isInitialized: false,
     settings: null,
     cachedUsers: [],
+    userIndex: null,
+    mentionStats: null,
     inputObserver: null
   };
 
@@ -17,10 +20,23 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
       dom: contentAppRoot.GitHubMentionsDOM,
       triggers: contentAppRoot.GitHubMentionsContent,
       commands: contentAppRoot.GitHubMentionsContent,
-      usersSource: contentAppRoot.GitHubMentionsContent
+      editor: contentAppRoot.GitHubMentionsContent,
+      snippets: contentAppRoot.GitHubMentionsContent,
+      usersSource: contentAppRoot.GitHubMentionsContent,
+      userIndex: contentAppRoot.GitHubMentionsContent
     };
   }
 
+  function getDataSourceLabel(settings) {
+    const additionalCount = (settings.userSources || []).filter((source) => source.enabled !== false).length;
+    const additionalLabel = additionalCount > 0 ? ` and ${additionalCount} additional source(s)` : '';
+    if (settings.dataSource === 'endpoint') {
+      return `HTTP endpoint${additionalLabel}`;
+    }
+
+    return `${settings.dataSource === 'gui' ? 'GUI table' : 'direct JSON'}${additionalLabel}`;
+  }
+
   function isSupportedInput(input) {
     return Boolean(
       input &&
@@ -28,6 +44,10 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
     );
   }
 
+  function getTriggerDefinition() {
+    return getApi().triggers.getTriggerDefinition(state.settings?.triggers);
+  }
+
   function resetStaleActiveInput() {
     if (state.activeInput && state.activeInput.isConnected === false) {
       state.activeInput = null;
@@ -36,74 +56,210 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
     }
   }
 
-  function insertMention(username) {
+  function getOverlayOptions() {
+    return {
+      visibleRows: state.settings?.visibleRows,
+      maxResults: state.settings?.maxResults
+    };
+  }
+
+  function recordMention(entry) {
+    const { storage, triggers } = getApi();
+    state.mentionStats = triggers.recordMentionUsage(state.mentionStats, entry);
+    storage.setMentionStats(state.mentionStats);
+  }
+
+  function insertMention(entry) {
     if (!state.activeInput) {
       return;
     }
 
     try {
-      const value = state.activeInput.value;
-      const cursor = state.activeInput.selectionStart;
-      const before = value.substring(0, state.mentionStartPos);
-      const after = value.substring(cursor);
-      const mentionText = `@${username} `;
-
-      state.activeInput.value = before + mentionText + after;
-      const newCursorPos = before.length + mentionText.length;
+      const { editor, usersSource } = getApi();
+      const cursor = editor.getCaretOffset(state.activeInput);
+      if (cursor === null || state.mentionStartPos === null) {
+        return;
+      }
+
       state.activeInput.focus();
-      state.activeInput.setSelectionRange(newCursorPos, newCursorPos);
-      state.activeInput.dispatchEvent(new Event('input', { bubbles: true }));
+      editor.replaceEditorRange(
+        state.activeInput,
+        state.mentionStartPos,
+        cursor,
+        usersSource.formatMentionText(entry)
+      );
+      state.pickerStartPos = null;
+      recordMention(entry);
     } catch (error) {
       // ignore mention insertion failures
     }
   }
 
+  async function runCommand(item) {
+    const { dom, commands } = getApi();
+    if (item.argumentError) {
+      dom.announce(item.argumentError);
+      return false;
+    }
+
+    return commands.executeCommand(item.username, state.activeInput, state.settings);
+  }
+
+  /**
+   * Makes the focused field the active one when focus arrived without a
+   * `focusin` this script saw, e.g. before it was injected.
+   */
+  function activateFocusedInput() {
+    resetStaleActiveInput();
+    const focused = document.activeElement;
+    if (isSupportedInput(focused) && focused !== state.activeInput) {
+      activateInput(focused);
+    }
+    return state.activeInput;
+  }
+
+  /**
+   * The mention being typed: after the mention trigger, or after the caret
+   * position the shortcut picker was opened at. Picker mode ends once the text there no
+   * longer reads as a query.
+   * @returns {{query: string, start: number}|null}
+   */
+  function findMentionQuery(text, cursor) {
+    const { triggers } = getApi();
+    const typedMention = triggers.matchMentionTrigger(text, cursor, getTriggerDefinition());
+    if (typedMention) {
+      return typedMention;
+    }
+
+    const pickerQuery = triggers.scanForPickerQuery(text, cursor, state.pickerStartPos);
+    if (pickerQuery === null) {
+      state.pickerStartPos = null;
+      return null;
+    }
+    return { query: pickerQuery, start: state.pickerStartPos };
+  }
+
+  /**
+   * Opens the unfiltered mention list at the caret of the focused field, as if
+   * the mention trigger had been typed there but without inserting it.
+   * @returns {Promise<boolean>}
+   */
+  async function openMentionPicker() {
+    const { editor } = getApi();
+    if (!state.settings?.enabled || !activateFocusedInput() || document.activeElement !== state.activeInput) {
+      return false;
+    }
+
+    const cursor = editor.getCaretOffset(state.activeInput);
+    if (cursor === null) {
+      return false;
+    }
+
+    state.pickerStartPos = cursor;
+    await refreshOverlayForActiveInput();
+    return true;
+  }
+
+  /**
+   * Inserts a context menu choice at the caret of the field it was opened on,
+   * through the same paths as picking it from the overlay.
+   * @returns {Promise<boolean>}
+   */
+  async function insertFromContextMenu(message) {
+    const { dom, editor } = getApi();
+    if (!activateFocusedInput()) {
+      return false;
+    }
+
+    const cursor = editor.getCaretOffset(state.activeInput);
+    if (cursor === null) {
+      return false;
+    }
+
+    dom.hideOverlay();
+    if (message.kind === 'mention') {
+      const entry = state.cachedUsers.find((user) => user.username === message.username)
+        || { username: message.username };
+      state.mentionStartPos = cursor;
+      insertMention(entry);
+      return true;
+    }
+    if (message.kind === 'command') {
+      return getApi().commands.executeCommand(message.command, state.activeInput, state.settings, {
+        trigger: { start: cursor, args: null }
+      });
+    }
+    return false;
+  }
+
   async function refreshOverlayForActiveInput() {
-    const { dom, triggers, commands, usersSource, storage } = getApi();
+    const { dom, triggers, commands, editor, usersSource, userIndex, storage } = getApi();
     resetStaleActiveInput();
     if (!state.activeInput || !state.settings?.enabled) {
       return;
     }
 
-    const cursor = state.activeInput.selectionStart;
-    const text = state.activeInput.value;
-    const mentionQuery = triggers.scanForMentionTrigger(text, cursor);
-    const commandInfo = triggers.scanForCommandTrigger(text, cursor);
+    const cursor = editor.getCaretOffset(state.activeInput);
+    const text = editor.getEditorText(state.activeInput);
+    const mention = findMentionQuery(text, cursor);
+    const mentionQuery = mention ? mention.query : null;
+    const commandInfo = triggers.scanForCommandTrigger(text, cursor, getTriggerDefinition());
 
     if (mentionQuery !== null) {
-      state.mentionStartPos = cursor - mentionQuery.length - 2;
+      state.mentionStartPos = mention.start;
       const users = await usersSource.getUsersForSuggestions(storage, state.cachedUsers, state.settings);
       state.cachedUsers = users;
-      const matches = triggers.filterUsers(users, mentionQuery);
+      state.userIndex = userIndex.getUserSearchIndex(state.userIndex, users);
+      if (!state.mentionStats) {
+        state.mentionStats = await storage.getMentionStats();
+      }
+      const { results, total } = userIndex.searchUserIndex(state.userIndex, mentionQuery, state.mentionStats, Date.now(), {
+        limit: state.settings?.maxResults
+      });
+      const matches = results.map(({ user, ranges }) => ({ ...user, matchRanges: ranges }));
 
       if (matches.length > 0) {
-        dom.showOverlay(matches, (user) => insertMention(user.username), state.activeInput);
+        dom.showOverlay(matches, (user) => insertMention(user), state.activeInput, { ...getOverlayOptions(), totalCount: total });
         return;
       }
     }
 
     if (commandInfo) {
       const availableCommands = commands.buildAvailableCommands(state.settings?.customCommands);
-      const matches = triggers.filterCommands(availableCommands, commandInfo.query);
+      // Once arguments are being typed only the exact command is relevant, and
+      // only while it takes more; otherwise `@!lgtm thanks` is plain prose.
+      const matches = commandInfo.args
+        ? availableCommands.filter((command) => command.command === commandInfo.command
+          && commands.acceptsCommandArguments(command, commandInfo))
+        : triggers.filterCommands(availableCommands, commandInfo.query);
 
       if (matches.length > 0) {
         dom.showOverlay(
-          matches.map((command) => ({
-            username: command.command,
-            name: command.description || command.command,
-            isCommand: true,
-            emoji: command.emoji || null
-          })),
-          async (command) => {
-            await commands.executeCommand(command.username, state.activeInput, state.settings);
-          },
-          state.activeInput
+          matches.map((command) => {
+            const { hint, error } = commands.describeCommandArguments(command, commandInfo.args || null);
+            return {
+              username: command.command,
+              name: command.description || command.command,
+              isCommand: true,
+              emoji: command.emoji || null,
+              category: commands.getCommandCategoryLabel(command, availableCommands),
+              matchRanges: triggers.getCommandMatchRanges(command, commandInfo.query),
+              hint: error ? `${hint} · ${error}` : hint,
+              argumentError: error
+            };
+          }),
+          (command) => runCommand(command),
+          state.activeInput,
+          getOverlayOptions()
         );
         return;
       }
     }
 
     dom.hideOverlay();
+    if (mentionQuery !== null || commandInfo) {
+      dom.announce('No suggestions found.');
+    }
   }
 
   async function onKeyUp(event) {
@@ -113,15 +269,14 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
       return;
     }
 
-    const navigationKeys = ['ArrowDown', 'ArrowUp', 'Enter', 'Escape'];
+    const navigationKeys = ['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp', 'Home', 'End', 'Enter', 'Escape'];
     if (navigationKeys.includes(event.key)) {
       return;
     }
 
     const key = event.key;
-    const isRelevantKey = /^[a-zA-Z0-9-_]$/.test(key) ||
-      key === '@' ||
-      key === '!' ||
+    const isRelevantKey = /^[\p{L}\p{M}\p{N}_-]$/u.test(key) ||
+      getTriggerDefinition().keys.has(key) ||
       key === 'Backspace' ||
       key === 'Delete' ||
       key === 'Escape' ||
@@ -145,18 +300,18 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
   }
 
   function onInput() {
-    const { dom, triggers } = getApi();
+    const { dom, triggers, editor } = getApi();
     resetStaleActiveInput();
     if (!state.activeInput || !state.settings?.enabled) {
       return;
     }
 
-    const cursor = state.activeInput.selectionStart;
-    const text = state.activeInput.value;
-    const mentionQuery = triggers.scanForMentionTrigger(text, cursor);
-    const commandInfo = triggers.scanForCommandTrigger(text, cursor);
+    const cursor = editor.getCaretOffset(state.activeInput);
+    const text = editor.getEditorText(state.activeInput);
+    const mention = findMentionQuery(text, cursor);
+    const commandInfo = triggers.scanForCommandTrigger(text, cursor, getTriggerDefinition());
 
-    if (mentionQuery === null && !commandInfo) {
+    if (!mention && !commandInfo) {
       dom.hideOverlay();
       return;
     }
@@ -173,15 +328,27 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
 
     const action = dom.handleKeyNavigation(event);
     if (!action || typeof action !== 'object' || !action.type) {
+      getApi().snippets.handleSnippetKeyDown(event, state.activeInput);
+      return;
+    }
+
+    if (action.type === 'close') {
+      state.pickerStartPos = null;
       return;
     }
 
     if (action.type === 'select' && action.item) {
       if (action.item.isCommand) {
-        contentAppRoot.GitHubMentionsContent.executeCommand(action.item.username, state.activeInput, state.settings);
-      } else {
-        insertMention(action.item.username);
+        if (action.item.argumentError) {
+          dom.announce(action.item.argumentError);
+          return;
+        }
+        // Hide first: a command that opens its argument list re-shows the overlay.
+        dom.hideOverlay();
+        runCommand(action.item);
+        return;
       }
+      insertMention(action.item);
       dom.hideOverlay();
       return;
     }
@@ -193,6 +360,10 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
         return;
       }
 
+      if (state.activeInput !== input) {
+        getApi().snippets.endSnippetSession?.();
+        state.pickerStartPos = null;
+      }
       state.activeInput = input;
       input.dataset.mentionEnhanced = 'true';
 
@@ -332,27 +503,18 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
       }
 
       switch (message.action || message.type) {
-        case 'GMP_SETTINGS_UPDATED':
-          state.settings = contentAppRoot.GitHubMentionsSettings
-            ? contentAppRoot.GitHubMentionsSettings.normalizeSettings(message.settings)
-            : message.settings;
-          state.cachedUsers = state.settings?.directJsonData
-            ? await usersSource.syncCachedUsersFromSettings(storage, state.settings)
-            : [];
-          if (state.activeInput) {
-            await refreshOverlayForActiveInput();
-          }
-          return;
-
         case 'refreshUsers': {
           const currentSettings = await storage.getSettings();
-          const validUsers = await usersSource.syncCachedUsersFromSettings(storage, currentSettings);
-          state.cachedUsers = validUsers;
+          const syncedUsers = await usersSource.syncCachedUsersFromSettings(storage, currentSettings);
+          if (syncedUsers) {
+            state.cachedUsers = syncedUsers;
+          }
+          const validUsers = state.cachedUsers || [];
 
           if (validUsers.length > 0) {
             sendResponse({
               success: true,
-              message: `Successfully loaded ${validUsers.length} users from ${currentSettings.dataSource === 'gui' ? 'GUI table' : 'direct JSON'}`,
+              message: `Successfully loaded ${validUsers.length} users from ${getDataSourceLabel(currentSettings)}`,
               userCount: validUsers.length
             });
           } else {
@@ -365,6 +527,18 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
           return;
         }
 
+        case 'openMentionPicker': {
+          const opened = await openMentionPicker();
+          sendResponse({ success: opened, message: opened ? 'Opened' : 'No editable field is focused' });
+          return;
+        }
+
+        case 'contextMenuInsert': {
+          const inserted = await insertFromContextMenu(message);
+          sendResponse({ success: inserted, message: inserted ? 'Inserted' : 'No editable field is focused' });
+          return;
+        }
+
         default:
           sendResponse({ success: false, message: 'Unknown action' });
       }
@@ -374,6 +548,38 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
     }
   }
 
+  /**
+   * Keeps this tab in step with storage whoever wrote it: the popup, a backup
+   * import, settings sync or a background directory refresh.
+   */
+  async function handleStorageChange(changes, areaName) {
+    const { storage, dom } = getApi();
+    if (areaName !== 'local' || !storage?.STORAGE_KEYS || !changes) {
+      return;
+    }
+
+    const settingsChange = changes[storage.STORAGE_KEYS.SETTINGS];
+    const cacheMetaKey = contentAppRoot.GitHubMentionsUserCache?.USER_CACHE_META_KEY;
+    if (!settingsChange && !(cacheMetaKey && changes[cacheMetaKey])) {
+      return;
+    }
+
+    if (settingsChange) {
+      state.settings = contentAppRoot.GitHubMentionsSettings
+        ? contentAppRoot.GitHubMentionsSettings.normalizeSettings(settingsChange.newValue)
+        : settingsChange.newValue;
+    }
+    if (cacheMetaKey && changes[cacheMetaKey]) {
+      // null means another write is in progress; its meta item fires again when done
+      state.cachedUsers = (await storage.getCachedUsers()) || state.cachedUsers;
+    }
+    // Only an open list needs redrawing; a focused field with no list must not
+    // trigger suggestion lookups, which can ask for yet another refresh
+    if (state.activeInput && dom?.isOverlayVisible()) {
+      await refreshOverlayForActiveInput();
+    }
+  }
+
   async function initialize() {
     const { storage, dom } = getApi();
     if (state.isInitialized) {
@@ -387,7 +593,7 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
 
       state.settings = await storage.getSettings();
       dom.createOverlay();
-      state.cachedUsers = await storage.getCachedUsers();
+      state.cachedUsers = (await storage.getCachedUsers()) || [];
       scanInputs();
       startInputObserver();
       state.isInitialized = true;
@@ -402,6 +608,7 @@ contentAppRoot.GitHubMentionsContent.createApp = function() {
     handleMessage,
     handleResize,
     handleScroll,
+    handleStorageChange,
     handleVisibilityChange,
     initialize,
     scanInputs
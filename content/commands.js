@@ -3,12 +3,54 @@ contentCommandsRoot.GitHubMentionsContent = contentCommandsRoot.GitHubMentionsCo
 
 const sharedLgtm = contentCommandsRoot.GitHubMentionsLGTM
   || (typeof module !== 'undefined' && module.exports ? require('../utils/lgtm.js') : null);
+const contentEditor = contentCommandsRoot.GitHubMentionsContent.replaceEditorRange
+  ? contentCommandsRoot.GitHubMentionsContent
+  : (typeof module !== 'undefined' && module.exports ? require('./editor.js') : null);
+const sharedSettings = contentCommandsRoot.GitHubMentionsSettings?.groupCommandsByCategory
+  ? contentCommandsRoot.GitHubMentionsSettings
+  : (typeof module !== 'undefined' && module.exports ? require('../utils/settings.js') : null);
+const sharedTemplates = contentCommandsRoot.GitHubMentionsTemplates?.renderTemplate
+  ? contentCommandsRoot.GitHubMentionsTemplates
+  : (typeof module !== 'undefined' && module.exports ? require('../utils/templates.js') : null);
+const contentTriggers = contentCommandsRoot.GitHubMentionsContent.matchCommandTrigger
+  ? contentCommandsRoot.GitHubMentionsContent
+  : (typeof module !== 'undefined' && module.exports ? require('./triggers.js') : null);
+const contentSnippets = contentCommandsRoot.GitHubMentionsContent.insertSnippet
+  ? contentCommandsRoot.GitHubMentionsContent
+  : (typeof module !== 'undefined' && module.exports ? require('./snippets.js') : null);
+const pageContextApi = contentCommandsRoot.GitHubMentionsContent.getPageContext
+  ? contentCommandsRoot.GitHubMentionsContent
+  : (typeof module !== 'undefined' && module.exports ? require('./page-context.js') : null);
+
+function pickRandomLgtmGif(randomFn = Math.random, bannedUrls = []) {
+  const pool = (sharedLgtm?.getCuratedLgtmPool() || []).filter((url) => !bannedUrls.includes(url));
+  return pool.length > 0 ? sharedLgtm.pickRandomLgtmGif(null, randomFn, pool) || null : null;
+}
+
+/**
+ * Banned images are flagged in the LGTM history, which content scripts can
+ * read from extension storage even when the background is unreachable.
+ */
+async function getBannedLgtmUrls() {
+  const storage = contentCommandsRoot.GitHubMentionsStorage;
+  if (!storage?.getLgtmHistory || !sharedLgtm) {
+    return [];
+  }
+
+  return sharedLgtm.getBannedLgtmUrls(await storage.getLgtmHistory());
+}
+
+const LGTM_COMMAND_ACTIONS = {
+  lgtmrand: 'fetchRandomLGTM',
+  lgtmfav: 'pickFavoriteLGTM'
+};
 
-function pickRandomLgtmGif(randomFn = Math.random) {
-  return sharedLgtm?.pickRandomLgtmGif(null, randomFn) || null;
+function getCurrentRepo() {
+  const { owner, repo } = pageContextApi.getPageContext();
+  return owner && repo ? `${owner}/${repo}` : '';
 }
 
-function requestLgtmFromBackground() {
+function requestLgtmFromBackground(action = 'fetchRandomLGTM') {
   if (!chrome?.runtime?.sendMessage) {
     return Promise.resolve(null);
   }
@@ -16,7 +58,7 @@ function requestLgtmFromBackground() {
   return new Promise((resolve) => {
     try {
       chrome.runtime.sendMessage(
-        { action: 'fetchRandomLGTM' },
+        { action, repo: getCurrentRepo() },
         (response) => {
           if (chrome.runtime.lastError) {
             resolve(null);
@@ -32,13 +74,19 @@ function requestLgtmFromBackground() {
   });
 }
 
-async function resolveLgtmCommandResult() {
-  const backgroundResult = await requestLgtmFromBackground();
+async function resolveLgtmCommandResult(command = 'lgtmrand') {
+  const backgroundResult = await requestLgtmFromBackground(LGTM_COMMAND_ACTIONS[command]);
   if (backgroundResult?.success && backgroundResult.imageUrl) {
     return backgroundResult;
   }
 
-  const curatedGif = pickRandomLgtmGif();
+  // Favorites live in extension storage; there is nothing to fall back to.
+  if (command === 'lgtmfav') {
+    console.warn(`[GitHub Mentions+] !lgtmfav: ${backgroundResult?.message || 'favorites are unavailable'}`);
+    return null;
+  }
+
+  const curatedGif = pickRandomLgtmGif(Math.random, await getBannedLgtmUrls());
   if (!curatedGif) {
     return null;
   }
@@ -52,11 +100,20 @@ async function resolveLgtmCommandResult() {
   };
 }
 
+const BUILT_IN_COMMAND_CATEGORY = 'Built-in';
+const UNCATEGORIZED_COMMAND_CATEGORY = 'Uncategorized';
+
 function getBuiltInCommands() {
   return [
+    {
+      command: 'lgtmfav',
+      description: 'Insert a random LGTM image from your favorites',
+      category: BUILT_IN_COMMAND_CATEGORY
+    },
     {
       command: 'lgtmrand',
-      description: 'Insert a random LGTM GIF from GIPHY'
+      description: 'Insert a random LGTM image from your LGTM providers',
+      category: BUILT_IN_COMMAND_CATEGORY
     }
   ];
 }
@@ -65,136 +122,192 @@ function sortCommandsAlphabetically(commands) {
   return [...commands].sort((left, right) => left.command.localeCompare(right.command));
 }
 
+/**
+ * Overlay header for a command, or null when no custom command has a
+ * category and the list should stay flat.
+ */
+function getCommandCategoryLabel(command, commands) {
+  const hasCustomCategories = commands.some((entry) => entry.category && entry.category !== BUILT_IN_COMMAND_CATEGORY);
+  if (!hasCustomCategories) {
+    return null;
+  }
+
+  return command.category || UNCATEGORIZED_COMMAND_CATEGORY;
+}
+
 function buildAvailableCommands(customCommands) {
   const safeCommands = customCommands && typeof customCommands === 'object'
     ? customCommands
     : {};
 
-  const userCommands = Object.keys(safeCommands).map((commandName) => {
+  const userCommands = sharedSettings.groupCommandsByCategory(safeCommands).flatMap(({ names }) => names.map((commandName) => {
     const commandData = safeCommands[commandName];
     const content = typeof commandData === 'object'
       ? commandData.content || ''
       : commandData || '';
 
+    const params = typeof commandData === 'object' ? sharedTemplates.normalizeCommandParams(commandData.params) : [];
+    const category = sharedSettings.getCommandCategory(commandData);
+
     return {
       command: commandName,
       description: content.substring(0, 50) + '...',
-      emoji: typeof commandData === 'object' ? commandData.emoji || null : null
+      emoji: typeof commandData === 'object' ? commandData.emoji || null : null,
+      ...(params.length > 0 ? { params } : {}),
+      ...(category ? { category } : {})
     };
-  });
+  }));
 
   return [
-    ...sortCommandsAlphabetically(userCommands),
+    ...userCommands,
     ...sortCommandsAlphabetically(getBuiltInCommands())
-  ].slice(0, 10);
-}
-
-function applyCommandTemplate(template, date = new Date()) {
-  return String(template || '')
-    .replace(/\$\{timestamp\}/g, date.toISOString())
-    .replace(/\$\{date\}/g, date.toLocaleDateString())
-    .replace(/\$\{time\}/g, date.toLocaleTimeString());
+  ];
 }
 
-function createLgtmPlaceholder() {
-  const token = `ghmp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
-  return `<!-- GHMP_LGTM:${token} -->`;
+/**
+ * Renders a custom command template. Unknown variables are left as typed and
+ * logged so a misspelled `${pr.nubmer}` is visible instead of vanishing; the
+ * popup and command pack imports reject them before they are stored.
+ * @param {string} template
+ * @param {Date} [date]
+ * @param {Object} [pageContext] - From `getPageContext`
+ * @param {Object<string, string>} [argumentValues] - From `buildArgumentValues`
+ * @returns {string}
+ */
+function applyCommandTemplate(template, date = new Date(), pageContext = {}, argumentValues = {}) {
+  return renderCommandTemplate(template, { ...sharedTemplates.buildTemplateValues(date, pageContext), ...argumentValues });
 }
 
-function dispatchInputEvent(input) {
-  input.dispatchEvent(new Event('input', { bubbles: true }));
-}
+function renderCommandTemplate(template, values) {
+  const { text, unknown } = sharedTemplates.renderTemplate(template, values);
 
-function replaceTextRange(input, start, end, replacement) {
-  const originalValue = input.value;
-  const before = originalValue.slice(0, start);
-  const after = originalValue.slice(end);
-  const delta = replacement.length - (end - start);
-  const selectionStart = input.selectionStart;
-  const selectionEnd = input.selectionEnd;
+  if (unknown.length > 0) {
+    console.warn(`[GitHub Mentions+] ${sharedTemplates.formatUnknownVariablesMessage(unknown)}`);
+  }
 
-  input.value = before + replacement + after;
+  return text;
+}
 
-  if (typeof selectionStart === 'number' && typeof selectionEnd === 'number') {
-    let nextSelectionStart = selectionStart;
-    let nextSelectionEnd = selectionEnd;
+/**
+ * Renders a template for snippet insertion: substituted values are escaped so
+ * only tab stops written in the template itself become stops.
+ */
+function buildCommandSnippet(template, pageContext, argumentValues) {
+  const values = { ...sharedTemplates.buildTemplateValues(new Date(), pageContext), ...argumentValues };
+  const escapedValues = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [name, contentSnippets.escapeSnippetText(value)])
+  );
+  return renderCommandTemplate(template, escapedValues);
+}
 
-    if (selectionStart > end) {
-      nextSelectionStart += delta;
-    } else if (selectionStart >= start) {
-      nextSelectionStart = start + replacement.length;
-    }
+/**
+ * Signature hint and argument problems for an entry from
+ * `buildAvailableCommands`. `args` is null while no arguments have been typed.
+ * @returns {{hint: string|null, error: string|null}}
+ */
+function describeCommandArguments(command, args) {
+  const params = command?.params || [];
+  if (params.length === 0) {
+    return { hint: null, error: null };
+  }
 
-    if (selectionEnd > end) {
-      nextSelectionEnd += delta;
-    } else if (selectionEnd >= start) {
-      nextSelectionEnd = start + replacement.length;
-    }
+  const { missing } = sharedTemplates.buildArgumentValues(params, args || []);
+  return {
+    hint: `(${sharedTemplates.formatCommandParams(params)})`,
+    error: args && missing.length > 0 ? sharedTemplates.formatMissingArgumentsMessage(missing) : null
+  };
+}
 
-    input.selectionStart = nextSelectionStart;
-    input.selectionEnd = nextSelectionEnd;
+/**
+ * Whether typed arguments still belong to `command`, from a
+ * `scanForCommandTrigger` result. Space-separated arguments end once every
+ * parameter has a value and another separator follows; the rest of the line
+ * is prose again.
+ * @returns {boolean}
+ */
+function acceptsCommandArguments(command, commandInfo) {
+  const params = command?.params || [];
+  if (params.length === 0) {
+    return false;
+  }
+  if (commandInfo.form !== 'space') {
+    return true;
   }
 
-  dispatchInputEvent(input);
+  const typed = commandInfo.args.length;
+  return typed < params.length || (typed === params.length && !commandInfo.argumentEnded);
+}
+
+function createLgtmPlaceholder() {
+  const token = `ghmp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  return `<!-- GHMP_LGTM:${token} -->`;
 }
 
-function insertTextareaPlaceholder(input, commandStart, commandEnd, placeholder) {
-  replaceTextRange(input, commandStart, commandEnd, placeholder);
+function supportsLgtmPlaceholder(input) {
+  return Boolean(input?.matches?.('textarea')) || contentEditor.isContentEditableInput(input);
 }
 
-function replaceTextareaPlaceholder(input, placeholder, replacement) {
-  if (!input?.matches?.('textarea')) {
+function replaceEditorPlaceholder(input, placeholder, replacement) {
+  if (!supportsLgtmPlaceholder(input)) {
     return false;
   }
 
-  const index = input.value.indexOf(placeholder);
+  const index = contentEditor.getEditorText(input).indexOf(placeholder);
   if (index === -1) {
     return false;
   }
 
-  replaceTextRange(input, index, index + placeholder.length, replacement);
+  contentEditor.replaceEditorRange(input, index, index + placeholder.length, replacement);
   return true;
 }
 
-function resolveLgtmPlaceholderAsync(input, placeholder) {
-  resolveLgtmCommandResult()
+function resolveLgtmPlaceholderAsync(input, placeholder, command) {
+  resolveLgtmCommandResult(command)
     .then((lgtmResult) => {
       if (!lgtmResult?.success || !lgtmResult.imageUrl) {
+        replaceEditorPlaceholder(input, placeholder, '');
         return;
       }
 
-      replaceTextareaPlaceholder(input, placeholder, `![LGTM](${lgtmResult.imageUrl})`);
+      replaceEditorPlaceholder(input, placeholder, `![LGTM](${lgtmResult.imageUrl})`);
     })
     .catch((error) => {
       console.error('[GitHub Mentions+] LGTM placeholder replacement error:', error);
     });
 }
 
-async function executeCommand(command, input, settings) {
+/**
+ * Runs `command` in place of the trigger typed before the caret. Callers with
+ * no typed trigger, such as the context menu, pass `options.trigger` instead.
+ * @param {Object} [options]
+ * @param {{start: number, args: string[]|null}} [options.trigger]
+ * @returns {Promise<boolean>} Whether anything was inserted
+ */
+async function executeCommand(command, input, settings, options = {}) {
   try {
     let result = '';
 
-    const cursor = input.selectionStart;
-    const text = input.value;
-    const beforeCursor = text.substring(0, cursor);
-    const afterCursor = text.substring(cursor);
-    const commandMatch = beforeCursor.match(/@!([a-zA-Z0-9-_]*)$/);
+    const cursor = contentEditor.getCaretOffset(input);
+    const text = contentEditor.getEditorText(input);
+    const triggerDefinition = contentTriggers.getTriggerDefinition(settings?.triggers);
+    const trigger = options.trigger || contentTriggers.matchCommandTrigger(text, cursor, triggerDefinition);
 
-    if (!commandMatch) {
+    if (!trigger) {
       return false;
     }
 
-    const commandStart = cursor - commandMatch[0].length;
+    const commandStart = trigger.start;
 
-    if (command === 'lgtmrand' && input.matches?.('textarea')) {
+    const isLgtmCommand = Object.hasOwn(LGTM_COMMAND_ACTIONS, command);
+    if (isLgtmCommand && supportsLgtmPlaceholder(input)) {
       const placeholder = createLgtmPlaceholder();
-      insertTextareaPlaceholder(input, commandStart, cursor, placeholder);
-      resolveLgtmPlaceholderAsync(input, placeholder);
+      contentEditor.replaceEditorRange(input, commandStart, cursor, placeholder);
+      resolveLgtmPlaceholderAsync(input, placeholder, command);
       return true;
     }
 
-    if (command === 'lgtmrand') {
-      const lgtmResult = await resolveLgtmCommandResult();
+    if (isLgtmCommand) {
+      const lgtmResult = await resolveLgtmCommandResult(command);
       if (lgtmResult?.success && lgtmResult.imageUrl) {
         result = `![LGTM](${lgtmResult.imageUrl})`;
       } else {
@@ -207,7 +320,28 @@ async function executeCommand(command, input, settings) {
         const template = typeof commandData === 'object'
           ? commandData.content || ''
           : commandData;
-        result = applyCommandTemplate(template);
+        const params = typeof commandData === 'object' ? sharedTemplates.normalizeCommandParams(commandData.params) : [];
+        const { values, missing } = sharedTemplates.buildArgumentValues(params, trigger.args || []);
+
+        // Picking a command that needs arguments opens its argument list
+        // instead of inserting a half-filled snippet.
+        if (trigger.args === null && missing.length > 0) {
+          contentEditor.replaceEditorRange(input, commandStart, cursor, `${triggerDefinition.command.sequence}${command}(`);
+          return true;
+        }
+
+        if (missing.length > 0) {
+          console.warn(`[GitHub Mentions+] ${sharedTemplates.formatMissingArgumentsMessage(missing)} for !${command}`);
+          return false;
+        }
+
+        const snippet = buildCommandSnippet(template, pageContextApi.getPageContext(), values);
+        if (!snippet) {
+          return false;
+        }
+
+        contentSnippets.insertSnippet(input, commandStart, cursor, snippet);
+        return true;
       }
     }
 
@@ -215,9 +349,7 @@ async function executeCommand(command, input, settings) {
       return false;
     }
 
-    input.value = text.substring(0, commandStart) + result + afterCursor;
-    input.selectionStart = input.selectionEnd = commandStart + result.length;
-    dispatchInputEvent(input);
+    contentEditor.replaceEditorRange(input, commandStart, cursor, result);
     return true;
   } catch (error) {
     console.error('[GitHub Mentions+] Command execution error:', error);
@@ -227,7 +359,10 @@ async function executeCommand(command, input, settings) {
 
 contentCommandsRoot.GitHubMentionsContent.getBuiltInCommands = getBuiltInCommands;
 contentCommandsRoot.GitHubMentionsContent.buildAvailableCommands = buildAvailableCommands;
+contentCommandsRoot.GitHubMentionsContent.getCommandCategoryLabel = getCommandCategoryLabel;
 contentCommandsRoot.GitHubMentionsContent.applyCommandTemplate = applyCommandTemplate;
+contentCommandsRoot.GitHubMentionsContent.describeCommandArguments = describeCommandArguments;
+contentCommandsRoot.GitHubMentionsContent.acceptsCommandArguments = acceptsCommandArguments;
 contentCommandsRoot.GitHubMentionsContent.executeCommand = executeCommand;
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -235,12 +370,15 @@ if (typeof module !== 'undefined' && module.exports) {
     CURATED_LGTM_GIFS: sharedLgtm?.CURATED_LGTM_GIFS || [],
     getBuiltInCommands,
     buildAvailableCommands,
+    getCommandCategoryLabel,
     applyCommandTemplate,
+    describeCommandArguments,
+    acceptsCommandArguments,
     pickRandomLgtmGif,
     requestLgtmFromBackground,
     resolveLgtmCommandResult,
     executeCommand,
     createLgtmPlaceholder,
-    replaceTextareaPlaceholder
+    replaceEditorPlaceholder
   };
 }
@@ -0,0 +1,257 @@
+const contentEditorRoot = typeof window !== 'undefined' ? window : globalThis;
+contentEditorRoot.GitHubMentionsContent = contentEditorRoot.GitHubMentionsContent || {};
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+function isContentEditableInput(input) {
+  return Boolean(
+    input &&
+    !input.matches?.('textarea') &&
+    (input.isContentEditable === true || input.matches?.('[contenteditable="true"]'))
+  );
+}
+
+function isLineBreak(node) {
+  return node?.nodeName === 'BR';
+}
+
+/**
+ * Flattens a contenteditable root into text segments. Text nodes contribute
+ * their data and `<br>` elements contribute a single "\n", so offsets line up
+ * with the string returned by `getEditorText`.
+ * @returns {{node: Object, start: number, end: number, isBreak: boolean}[]}
+ */
+function collectTextSegments(root) {
+  const segments = [];
+  let offset = 0;
+
+  function walk(node) {
+    Array.from(node.childNodes || []).forEach((child) => {
+      if (child.nodeType === TEXT_NODE) {
+        const length = child.data.length;
+        segments.push({ node: child, start: offset, end: offset + length, isBreak: false });
+        offset += length;
+      } else if (isLineBreak(child)) {
+        segments.push({ node: child, start: offset, end: offset + 1, isBreak: true });
+        offset += 1;
+      } else if (child.nodeType === ELEMENT_NODE) {
+        walk(child);
+      }
+    });
+  }
+
+  walk(root);
+  return segments;
+}
+
+function getOffsetFromPoint(root, container, pointOffset) {
+  let offset = 0;
+  let found = null;
+
+  function walk(node) {
+    const children = Array.from(node.childNodes || []);
+    for (let index = 0; index <= children.length; index += 1) {
+      if (node === container && index === pointOffset) {
+        found = offset;
+        return true;
+      }
+
+      const child = children[index];
+      if (!child) {
+        break;
+      }
+
+      if (child.nodeType === TEXT_NODE) {
+        if (child === container) {
+          found = offset + pointOffset;
+          return true;
+        }
+        offset += child.data.length;
+      } else if (isLineBreak(child)) {
+        offset += 1;
+      } else if (child.nodeType === ELEMENT_NODE && walk(child)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  return walk(root) ? found : null;
+}
+
+function getPointFromOffset(root, targetOffset) {
+  const segments = collectTextSegments(root);
+  const textSegment = segments.find((segment) => (
+    !segment.isBreak && targetOffset >= segment.start && targetOffset <= segment.end
+  ));
+  if (textSegment) {
+    return { node: textSegment.node, offset: targetOffset - textSegment.start };
+  }
+
+  const nextSegment = segments.find((segment) => segment.start >= targetOffset);
+  if (nextSegment) {
+    const parent = nextSegment.node.parentNode;
+    return { node: parent, offset: Array.from(parent.childNodes).indexOf(nextSegment.node) };
+  }
+
+  return { node: root, offset: root.childNodes.length };
+}
+
+function getEditorText(input) {
+  if (!isContentEditableInput(input)) {
+    return input.value;
+  }
+
+  return collectTextSegments(input)
+    .map((segment) => (segment.isBreak ? '\n' : segment.node.data))
+    .join('');
+}
+
+/**
+ * Returns the selection as text offsets, or null when the editor does not
+ * currently own the document selection.
+ * @returns {{start: number, end: number}|null}
+ */
+function getEditorSelection(input) {
+  if (!isContentEditableInput(input)) {
+    if (typeof input.selectionStart !== 'number') {
+      return null;
+    }
+
+    return {
+      start: input.selectionStart,
+      end: typeof input.selectionEnd === 'number' ? input.selectionEnd : input.selectionStart
+    };
+  }
+
+  const selection = input.ownerDocument?.getSelection?.();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  if (!input.contains(range.startContainer) || !input.contains(range.endContainer)) {
+    return null;
+  }
+
+  const start = getOffsetFromPoint(input, range.startContainer, range.startOffset);
+  const end = getOffsetFromPoint(input, range.endContainer, range.endOffset);
+  if (start === null) {
+    return null;
+  }
+
+  return { start, end: end === null ? start : end };
+}
+
+function getCaretOffset(input) {
+  return getEditorSelection(input)?.start ?? null;
+}
+
+function setEditorSelection(input, start, end = start) {
+  if (!isContentEditableInput(input)) {
+    input.selectionStart = start;
+    input.selectionEnd = end;
+    return;
+  }
+
+  const ownerDocument = input.ownerDocument;
+  const selection = ownerDocument?.getSelection?.();
+  if (!selection || typeof ownerDocument.createRange !== 'function') {
+    return;
+  }
+
+  const startPoint = getPointFromOffset(input, start);
+  const endPoint = getPointFromOffset(input, end);
+  const range = ownerDocument.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function replaceContentEditableRange(root, start, end, replacement) {
+  let inserted = false;
+
+  collectTextSegments(root).forEach((segment) => {
+    if (segment.end < start || segment.start > end) {
+      return;
+    }
+
+    if (segment.isBreak) {
+      if (segment.start >= start && segment.end <= end) {
+        segment.node.parentNode.removeChild(segment.node);
+      }
+      return;
+    }
+
+    const data = segment.node.data;
+    const localStart = Math.max(start - segment.start, 0);
+    const localEnd = Math.min(end - segment.start, data.length);
+    segment.node.data = data.slice(0, localStart) + (inserted ? '' : replacement) + data.slice(localEnd);
+    inserted = true;
+  });
+
+  if (!inserted && replacement) {
+    const point = getPointFromOffset(root, start);
+    const textNode = root.ownerDocument.createTextNode(replacement);
+    point.node.insertBefore(textNode, point.node.childNodes[point.offset] || null);
+  }
+}
+
+function shiftOffset(offset, start, end, replacement) {
+  if (offset > end) {
+    return offset + replacement.length - (end - start);
+  }
+
+  return offset >= start ? start + replacement.length : offset;
+}
+
+function dispatchInputEvent(input) {
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Replaces the text between two offsets in a textarea or contenteditable
+ * editor. A selection inside the replaced range moves to the end of the
+ * replacement; a selection after it shifts by the length change.
+ */
+function replaceEditorRange(input, start, end, replacement) {
+  const selection = getEditorSelection(input);
+
+  if (isContentEditableInput(input)) {
+    replaceContentEditableRange(input, start, end, replacement);
+  } else {
+    const value = input.value;
+    input.value = value.slice(0, start) + replacement + value.slice(end);
+  }
+
+  if (selection) {
+    setEditorSelection(
+      input,
+      shiftOffset(selection.start, start, end, replacement),
+      shiftOffset(selection.end, start, end, replacement)
+    );
+  }
+
+  dispatchInputEvent(input);
+}
+
+contentEditorRoot.GitHubMentionsContent.isContentEditableInput = isContentEditableInput;
+contentEditorRoot.GitHubMentionsContent.getEditorText = getEditorText;
+contentEditorRoot.GitHubMentionsContent.getEditorSelection = getEditorSelection;
+contentEditorRoot.GitHubMentionsContent.getCaretOffset = getCaretOffset;
+contentEditorRoot.GitHubMentionsContent.setEditorSelection = setEditorSelection;
+contentEditorRoot.GitHubMentionsContent.replaceEditorRange = replaceEditorRange;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isContentEditableInput,
+    getEditorText,
+    getEditorSelection,
+    getCaretOffset,
+    setEditorSelection,
+    replaceEditorRange
+  };
+}
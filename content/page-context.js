@@ -0,0 +1,58 @@
+const contentPageRoot = typeof window !== 'undefined' ? window : globalThis;
+contentPageRoot.GitHubMentionsContent = contentPageRoot.GitHubMentionsContent || {};
+
+function getTemplatesApi() {
+  return contentPageRoot.GitHubMentionsTemplates?.parseGitHubUrl
+    ? contentPageRoot.GitHubMentionsTemplates
+    : (typeof module !== 'undefined' && module.exports ? require('../utils/templates.js') : null);
+}
+
+// Classic and React pull request views render these differently, so each
+// field tries both before falling back to the document title.
+const PR_TITLE_SELECTORS = ['.js-issue-title', '[data-testid="issue-title"]', '.gh-header-title .markdown-title'];
+const PR_AUTHOR_SELECTORS = ['.gh-header-meta .author', '[data-testid="issue-body-header-author"]', '.pull-header-username'];
+const HEAD_BRANCH_SELECTORS = ['.gh-header-meta .head-ref', '.commit-ref.head-ref', '[data-testid="head-ref"]'];
+
+// "Fix login by octocat · Pull Request #12 · owner/repo"
+const PR_DOCUMENT_TITLE_PATTERN = /^(.*) by ([\w-]+(?:\[bot\])?) · Pull Request #\d+/;
+
+function readText(doc, selectors) {
+  for (const selector of selectors) {
+    const text = doc?.querySelector?.(selector)?.textContent?.trim();
+    if (text) {
+      return text.replace(/\s+/g, ' ');
+    }
+  }
+  return '';
+}
+
+/**
+ * Collects the values page-context template variables resolve to. Anything
+ * the page does not show comes back as an empty string.
+ * @param {Document} [doc]
+ * @param {Location|URL} [location]
+ * @returns {{url: string, owner: string, repo: string, prNumber: string, prTitle: string, prAuthor: string, branch: string, issueNumber: string}}
+ */
+function getPageContext(doc = contentPageRoot.document, location = contentPageRoot.location) {
+  const url = location?.href || '';
+  const details = getTemplatesApi().parseGitHubUrl(url);
+  const context = { url, ...details, prTitle: '', prAuthor: '' };
+
+  if (!details.prNumber) {
+    return context;
+  }
+
+  const titleMatch = String(doc?.title || '').match(PR_DOCUMENT_TITLE_PATTERN);
+  context.prTitle = readText(doc, PR_TITLE_SELECTORS) || titleMatch?.[1] || '';
+  context.prAuthor = readText(doc, PR_AUTHOR_SELECTORS) || titleMatch?.[2] || '';
+  context.branch = readText(doc, HEAD_BRANCH_SELECTORS).split(':').pop() || context.branch;
+  return context;
+}
+
+contentPageRoot.GitHubMentionsContent.getPageContext = getPageContext;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getPageContext
+  };
+}
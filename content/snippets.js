@@ -0,0 +1,178 @@
+const contentSnippetsRoot = typeof window !== 'undefined' ? window : globalThis;
+contentSnippetsRoot.GitHubMentionsContent = contentSnippetsRoot.GitHubMentionsContent || {};
+
+const snippetEditor = contentSnippetsRoot.GitHubMentionsContent.replaceEditorRange
+  ? contentSnippetsRoot.GitHubMentionsContent
+  : (typeof module !== 'undefined' && module.exports ? require('./editor.js') : null);
+
+// `$1`, `${1}`, `${1:default}`, `$0` and `${cursor}`; `\$` is a literal dollar.
+const SNIPPET_TOKEN_PATTERN = /\\\$|\$(\d+)|\$\{(\d+)(?::([^{}]*))?\}|\$\{cursor\}/g;
+
+let activeSession = null;
+
+/**
+ * Expands tab stops in a snippet. Stops are returned in visiting order: 1, 2,
+ * … and then the final caret position (`$0`/`${cursor}`, or the end of the
+ * text). A number used twice becomes a stop only where it first appears;
+ * later copies insert the same default text.
+ * @param {string} snippet
+ * @returns {{text: string, stops: {start: number, end: number}[]}}
+ */
+function parseSnippet(snippet) {
+  const source = String(snippet || '');
+  const numbered = new Map();
+  const defaults = new Map();
+  let finalStop = null;
+  let text = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(SNIPPET_TOKEN_PATTERN)) {
+    text += source.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (match[0] === '\\$') {
+      text += '$';
+      continue;
+    }
+
+    const number = match[1] ?? match[2] ?? '0';
+    if (match[3] !== undefined && !defaults.has(number)) {
+      defaults.set(number, match[3]);
+    }
+    const value = defaults.get(number) || '';
+    const start = text.length;
+    text += value;
+
+    if (number === '0') {
+      finalStop = finalStop || { start, end: start + value.length };
+    } else if (!numbered.has(number)) {
+      numbered.set(number, { start, end: start + value.length });
+    }
+  }
+  text += source.slice(lastIndex);
+
+  const stops = [...numbered.entries()]
+    .sort(([left], [right]) => Number(left) - Number(right))
+    .map(([, stop]) => stop);
+  stops.push(finalStop || { start: text.length, end: text.length });
+  return { text, stops };
+}
+
+/**
+ * Escapes text substituted into a snippet so a `$1` in a PR title stays text.
+ */
+function escapeSnippetText(value) {
+  return String(value ?? '').replace(/\$/g, '\\$');
+}
+
+/**
+ * Moves a session to its next or previous stop. Text typed into the current
+ * stop since the last move is measured from the editor length and shifts the
+ * stop's end and every stop after it.
+ * @param {{stops: {start: number, end: number}[], index: number, textLength: number}} session
+ * @param {number} direction - 1 for Tab, -1 for Shift+Tab
+ * @param {number} textLength - Current editor text length
+ * @returns {{session: Object|null, selection: {start: number, end: number}}}
+ */
+function moveSnippetSession(session, direction, textLength) {
+  const delta = textLength - session.textLength;
+  const current = session.stops[session.index];
+  const stops = session.stops.map((stop, index) => {
+    if (index === session.index) {
+      return { start: stop.start, end: stop.end + delta };
+    }
+    if (stop.start >= current.end) {
+      return { start: stop.start + delta, end: stop.end + delta };
+    }
+    return stop;
+  });
+
+  const index = Math.max(0, Math.min(session.index + direction, stops.length - 1));
+  const isFinal = index === stops.length - 1;
+  return {
+    session: isFinal ? null : { ...session, stops, index, textLength },
+    selection: stops[index]
+  };
+}
+
+/**
+ * Replaces `start`–`end` with an expanded snippet and selects its first stop.
+ * A session for Tab/Shift+Tab is kept only while stops remain.
+ */
+function insertSnippet(input, start, end, snippet) {
+  const { text, stops } = parseSnippet(snippet);
+  snippetEditor.replaceEditorRange(input, start, end, text);
+
+  const absoluteStops = stops.map((stop) => ({ start: start + stop.start, end: start + stop.end }));
+  snippetEditor.setEditorSelection(input, absoluteStops[0].start, absoluteStops[0].end);
+
+  activeSession = absoluteStops.length > 1
+    ? { input, stops: absoluteStops, index: 0, textLength: snippetEditor.getEditorText(input).length }
+    : null;
+}
+
+function getActiveSnippetSession() {
+  return activeSession;
+}
+
+function endSnippetSession() {
+  activeSession = null;
+}
+
+function isSelectionInCurrentStop(session, selection, textLength) {
+  const current = session.stops[session.index];
+  const currentEnd = current.end + textLength - session.textLength;
+  return Boolean(selection) && selection.start >= current.start && selection.end <= currentEnd;
+}
+
+/**
+ * Handles Tab, Shift+Tab and Escape while a snippet session is active.
+ * Moving the caret out of the current stop ends the session so Tab goes
+ * back to its normal behavior.
+ * @returns {boolean} True when the key was consumed
+ */
+function handleSnippetKeyDown(event, input) {
+  if (!activeSession || activeSession.input !== input) {
+    return false;
+  }
+
+  if (event.key === 'Escape') {
+    endSnippetSession();
+    event.preventDefault();
+    return true;
+  }
+
+  if (event.key !== 'Tab' || event.altKey || event.ctrlKey || event.metaKey) {
+    return false;
+  }
+
+  const textLength = snippetEditor.getEditorText(input).length;
+  if (!isSelectionInCurrentStop(activeSession, snippetEditor.getEditorSelection(input), textLength)) {
+    endSnippetSession();
+    return false;
+  }
+
+  event.preventDefault();
+  const { session, selection } = moveSnippetSession(activeSession, event.shiftKey ? -1 : 1, textLength);
+  activeSession = session ? { ...session, input } : null;
+  snippetEditor.setEditorSelection(input, selection.start, selection.end);
+  return true;
+}
+
+contentSnippetsRoot.GitHubMentionsContent.parseSnippet = parseSnippet;
+contentSnippetsRoot.GitHubMentionsContent.escapeSnippetText = escapeSnippetText;
+contentSnippetsRoot.GitHubMentionsContent.insertSnippet = insertSnippet;
+contentSnippetsRoot.GitHubMentionsContent.endSnippetSession = endSnippetSession;
+contentSnippetsRoot.GitHubMentionsContent.handleSnippetKeyDown = handleSnippetKeyDown;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseSnippet,
+    escapeSnippetText,
+    moveSnippetSession,
+    insertSnippet,
+    getActiveSnippetSession,
+    endSnippetSession,
+    handleSnippetKeyDown
+  };
+}
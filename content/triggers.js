@@ -1,67 +1,855 @@
 const contentTriggersRoot = typeof window !== 'undefined' ? window : globalThis;
 contentTriggersRoot.GitHubMentionsContent = contentTriggersRoot.GitHubMentionsContent || {};
 
-function scanForMentionTrigger(text, pos) {
+const triggerSettingsApi = contentTriggersRoot.GitHubMentionsSettings?.normalizeTriggers
+  ? contentTriggersRoot.GitHubMentionsSettings
+  : (typeof module !== 'undefined' && module.exports ? require('../utils/settings.js') : null);
+
+const QUERY_CHARACTER_CLASS = '[\\p{L}\\p{M}\\p{N}_-]';
+// Variable-length lookbehind, so the match still starts at the sequence itself
+const LINE_START_LOOKBEHIND = '(?<=(?:^|\\n)[ \\t]*)';
+
+let lastTriggerDefinition = null;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function createTriggerDefinition(triggers) {
+  const prefix = (trigger) => `${trigger.lineStart ? LINE_START_LOOKBEHIND : ''}${escapeRegExp(trigger.sequence)}`;
+  // Space-separated arguments stop at the command trigger's first character so
+  // an earlier trigger on the line can't swallow a later one. A line-start
+  // trigger can't follow on the same line, so its arguments run to the line end.
+  const argumentStop = triggers.command.lineStart ? '' : escapeRegExp([...triggers.command.sequence][0]);
+
+  return {
+    mention: {
+      ...triggers.mention,
+      pattern: new RegExp(`${prefix(triggers.mention)}(${QUERY_CHARACTER_CLASS}*)$`, 'u')
+    },
+    command: {
+      ...triggers.command,
+      pattern: new RegExp(
+        `${prefix(triggers.command)}([a-zA-Z0-9_\\-]*)(?:\\(([^()\\n]*)\\)?|[ \\t]+([^\\n${argumentStop}]*))?$`,
+        'u'
+      )
+    },
+    // Keys that can complete a trigger, for the keyup filter
+    keys: new Set([...triggers.mention.sequence, ...triggers.command.sequence])
+  };
+}
+
+/**
+ * The one trigger definition scanning, command execution and the keyup filter
+ * share, compiled from `settings.triggers` (defaults when omitted). The last
+ * definition is reused while the settings stay the same.
+ * @param {Object} [triggers] - `settings.triggers`
+ * @returns {{mention: Object, command: Object, keys: Set<string>}}
+ */
+function getTriggerDefinition(triggers) {
+  const normalized = triggerSettingsApi.normalizeTriggers(triggers);
+  const key = JSON.stringify(normalized);
+  if (lastTriggerDefinition?.key !== key) {
+    lastTriggerDefinition = { key, definition: createTriggerDefinition(normalized) };
+  }
+  return lastTriggerDefinition.definition;
+}
+
+/**
+ * Finds the mention trigger ending at `pos`.
+ * @returns {{start: number, query: string}|null}
+ */
+function matchMentionTrigger(text, pos, definition = getTriggerDefinition()) {
   try {
-    const slice = text.substring(0, pos);
-    const match = slice.match(/@@([a-zA-Z0-9-_]*)$/);
-    return match ? match[1] : null;
+    const match = text.substring(0, pos).match(definition.mention.pattern);
+    return match ? { start: match.index, query: match[1] } : null;
   } catch (error) {
     return null;
   }
 }
 
-function scanForCommandTrigger(text, pos) {
+function scanForMentionTrigger(text, pos, definition = getTriggerDefinition()) {
+  const match = matchMentionTrigger(text, pos, definition);
+  return match ? match.query : null;
+}
+
+/**
+ * Query typed since the mention picker was opened at `start` without a
+ * trigger, or null once the caret left that word.
+ * @returns {string|null}
+ */
+function scanForPickerQuery(text, pos, start) {
+  if (start === null || start === undefined || pos < start) {
+    return null;
+  }
+
+  const query = text.substring(start, pos);
+  return /^[\p{L}\p{M}\p{N}_-]*$/u.test(query) ? query : null;
+}
+
+/**
+ * Splits typed command arguments. Double quotes keep separators inside one
+ * argument: `@!deploy("eu west", v1)`.
+ * @param {string} argsText
+ * @param {string} form - "paren" splits on commas, "space" on whitespace
+ * @returns {string[]}
+ */
+function parseCommandArguments(argsText, form) {
+  const args = [];
+  let current = '';
+  let quoted = false;
+  let hasContent = false;
+  const isSeparator = form === 'paren' ? (char) => char === ',' : (char) => /\s/.test(char);
+
+  for (const char of String(argsText || '')) {
+    if (char === '"') {
+      quoted = !quoted;
+      hasContent = true;
+    } else if (!quoted && isSeparator(char)) {
+      if (form === 'paren' || hasContent) {
+        args.push(current.trim());
+      }
+      current = '';
+      hasContent = false;
+    } else {
+      current += char;
+      hasContent = hasContent || !/\s/.test(char);
+    }
+  }
+
+  if (hasContent || (form === 'paren' && args.length > 0)) {
+    args.push(current.trim());
+  }
+  return args;
+}
+
+/**
+ * Whether space-separated arguments end in an unquoted separator, so the last
+ * one is complete and the next character starts a new argument.
+ */
+function endsWithArgumentSeparator(argsText) {
+  return /\s$/.test(argsText) && (argsText.match(/"/g) || []).length % 2 === 0;
+}
+
+/**
+ * Finds the command trigger ending at `pos`, including any typed arguments:
+ * `@!name`, `@!name(a, b` / `@!name(a, b)` or `@!name a b` with the default
+ * trigger. `argumentEnded` is set once space-form arguments end in a separator.
+ * @returns {{start: number, command: string, args: string[]|null, form: string|null, argumentEnded: boolean}|null}
+ */
+function matchCommandTrigger(text, pos, definition = getTriggerDefinition()) {
   try {
     const slice = text.substring(0, pos);
-    const match = slice.match(/@!([a-zA-Z0-9-_]*)$/);
-    return match ? { command: match[1], query: match[1] } : null;
+    const match = slice.match(definition.command.pattern);
+    if (!match) {
+      return null;
+    }
+
+    const form = match[2] !== undefined ? 'paren' : (match[3] !== undefined ? 'space' : null);
+    if (form && !match[1]) {
+      return null;
+    }
+
+    return {
+      start: match.index,
+      command: match[1],
+      args: form ? parseCommandArguments(form === 'paren' ? match[2] : match[3], form) : null,
+      form,
+      argumentEnded: form === 'space' && endsWithArgumentSeparator(match[3])
+    };
   } catch (error) {
     return null;
   }
 }
 
-function filterUsers(users, query) {
-  if (!Array.isArray(users) || users.length === 0) {
+function scanForCommandTrigger(text, pos, definition = getTriggerDefinition()) {
+  const match = matchCommandTrigger(text, pos, definition);
+  if (!match) {
+    return null;
+  }
+
+  return match.form
+    ? { command: match.command, query: match.command, args: match.args, form: match.form, argumentEnded: match.argumentEnded }
+    : { command: match.command, query: match.command };
+}
+
+const MATCH_SCORES = {
+  exactUsername: 1000,
+  usernamePrefix: 900,
+  namePrefix: 800,
+  wordPrefix: 700,
+  wordInitials: 600,
+  usernameSubstring: 400,
+  nameSubstring: 350,
+  fuzzy: 100
+};
+const MAX_FUZZY_BONUS = 150;
+const MAX_USAGE_BONUS = 50;
+const USAGE_HALF_LIFE = 7 * 24 * 60 * 60 * 1000; // 1 week in milliseconds
+const MAX_MENTION_STATS = 500;
+
+const HANGUL_SYLLABLE_START = 0xAC00;
+const HANGUL_SYLLABLE_END = 0xD7A3;
+const HANGUL_CHOSUNG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+// Revised Romanization of Korean, indexed like the Unicode syllable block.
+const ROMANIZED_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const ROMANIZED_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const ROMANIZED_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+// Latin letters that Unicode normalization does not decompose into a base letter.
+const LATIN_FOLDS = { ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', đ: 'd', Đ: 'D', ł: 'l', Ł: 'L', ı: 'i' };
+const MAX_SEARCH_VARIANT_CACHE = 5000;
+const searchVariantCache = new Map();
+
+function range(start, length) {
+  return Array.from({ length }, (_, index) => start + index);
+}
+
+function isHangulSyllable(char) {
+  const code = char.charCodeAt(0);
+  return code >= HANGUL_SYLLABLE_START && code <= HANGUL_SYLLABLE_END;
+}
+
+function isHangulJamo(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x3131 && code <= 0x318E;
+}
+
+function toCompatibilityJamo(char) {
+  const code = char.charCodeAt(0);
+  if (code >= 0x1100 && code <= 0x1112) {
+    return HANGUL_CHOSUNG[code - 0x1100];
+  }
+  if (code >= 0x1161 && code <= 0x1175) {
+    return String.fromCharCode(0x314F + code - 0x1161);
+  }
+  return char;
+}
+
+/**
+ * Folds full-width/half-width forms to their plain equivalents and strips
+ * Latin diacritics, leaving Hangul untouched.
+ */
+function foldSearchChar(char) {
+  // Plain ASCII is already folded; skipping normalization here keeps building
+  // the search index for a large directory cheap.
+  if (char.length === 1 && char.charCodeAt(0) < 0x80) {
+    return char;
+  }
+
+  if (isHangulSyllable(char) || isHangulJamo(char)) {
+    return char;
+  }
+
+  if (LATIN_FOLDS[char]) {
+    return LATIN_FOLDS[char];
+  }
+
+  const compatible = Array.from(char.normalize('NFKC')).map(toCompatibilityJamo).join('');
+  if (Array.from(compatible).some((part) => isHangulSyllable(part) || isHangulJamo(part))) {
+    return compatible;
+  }
+
+  return compatible.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+function foldSearchText(text) {
+  return Array.from(String(text || '')).map(foldSearchChar).join('').toLowerCase();
+}
+
+function getHangulParts(char) {
+  const offset = char.charCodeAt(0) - HANGUL_SYLLABLE_START;
+  return {
+    initial: Math.floor(offset / 588),
+    medial: Math.floor((offset % 588) / 28),
+    final: offset % 28
+  };
+}
+
+function toChosung(char) {
+  return isHangulSyllable(char) ? HANGUL_CHOSUNG[getHangulParts(char).initial] : foldSearchChar(char);
+}
+
+function toRomanized(char) {
+  if (!isHangulSyllable(char)) {
+    return foldSearchChar(char);
+  }
+
+  const { initial, medial, final } = getHangulParts(char);
+  return ROMANIZED_INITIALS[initial] + ROMANIZED_MEDIALS[medial] + ROMANIZED_FINALS[final];
+}
+
+/**
+ * Collapses consonants that romanizations spell inconsistently (Kim/Gim,
+ * Tae/Dae, Park/Bak-style p/b, r/l), keeping the string length unchanged.
+ */
+function loosenRomanization(text) {
+  return text.replace(/k/g, 'g').replace(/t/g, 'd').replace(/p/g, 'b').replace(/r/g, 'l');
+}
+
+function isWordStart(text, index) {
+  if (index === 0) {
+    return true;
+  }
+
+  const previous = text[index - 1];
+  const current = text[index];
+  return /[\s\-_.]/.test(previous) || (previous === previous.toLowerCase() && current !== current.toLowerCase());
+}
+
+/**
+ * Transforms `text` character by character into a searchable string and
+ * remembers which original index each searchable character came from, so
+ * match positions can be reported against the original text.
+ * @returns {{text: string, sourceIndexes: number[], wordStarts: boolean[], loose: boolean}}
+ */
+function buildSearchVariant(text, transformChar, loose = false) {
+  if (!loose && /^[\x00-\x7f]*$/.test(text)) {
+    return buildAsciiSearchVariant(text);
+  }
+
+  let searchText = '';
+  const sourceIndexes = [];
+  const wordStarts = [];
+  let sourceIndex = 0;
+
+  for (const char of text) {
+    const transformed = transformChar(char).toLowerCase();
+    const startsWord = !/[\s\-_.]/.test(char) && isWordStart(text, sourceIndex);
+    for (let unit = 0; unit < transformed.length; unit += 1) {
+      sourceIndexes.push(sourceIndex);
+      wordStarts.push(startsWord && unit === 0);
+    }
+    searchText += transformed;
+    sourceIndex += char.length;
+  }
+
+  return {
+    text: loose ? loosenRomanization(searchText) : searchText,
+    sourceIndexes,
+    wordStarts,
+    loose
+  };
+}
+
+/**
+ * `buildSearchVariant` for plain ASCII, which every transform leaves as is
+ * apart from case. Most directories are ASCII, so this keeps indexing 50k+
+ * users cheap.
+ */
+function buildAsciiSearchVariant(text) {
+  const isSeparator = (code) => code === 45 || code === 46 || code === 95 || code === 32 || (code >= 9 && code <= 13);
+  const isUpper = (code) => code >= 65 && code <= 90;
+  const sourceIndexes = new Array(text.length);
+  const wordStarts = new Array(text.length);
+  let previous = -1;
+  for (let index = 0; index < text.length; index += 1) {
+    const code = text.charCodeAt(index);
+    sourceIndexes[index] = index;
+    wordStarts[index] = !isSeparator(code) && (previous === -1 || isSeparator(previous) || (!isUpper(previous) && isUpper(code)));
+    previous = code;
+  }
+
+  return { text: text.toLowerCase(), sourceIndexes, wordStarts, loose: false };
+}
+
+function computeSearchVariants(text) {
+  const variants = [buildSearchVariant(text, foldSearchChar)];
+  if (/[\uAC00-\uD7A3]/.test(text)) {
+    variants.push(buildSearchVariant(text, toChosung));
+    variants.push(buildSearchVariant(text, toRomanized, true));
+  }
+  return variants;
+}
+
+function getSearchVariants(text) {
+  if (searchVariantCache.has(text)) {
+    return searchVariantCache.get(text);
+  }
+
+  const variants = computeSearchVariants(text);
+  if (searchVariantCache.size >= MAX_SEARCH_VARIANT_CACHE) {
+    searchVariantCache.clear();
+  }
+  searchVariantCache.set(text, variants);
+  return variants;
+}
+
+/**
+ * Matches the query as consecutive prefixes of the words in `text`, so "js"
+ * matches "Jane Smith" and "jasm" matches "JAne SMith".
+ * @returns {number[]|null} Matched character positions
+ */
+function matchWordPrefixes(text, wordStarts, query) {
+  const starts = [];
+  for (let index = 0; index < text.length; index += 1) {
+    if (wordStarts[index]) {
+      starts.push(index);
+    }
+  }
+  // (wordIndex, queryIndex) pairs already known not to match; without this a
+  // long name with many similar words backtracks exponentially
+  const failed = new Set();
+
+  function matchFrom(wordIndex, queryIndex) {
+    if (queryIndex === query.length) {
+      return [];
+    }
+    const key = wordIndex * (query.length + 1) + queryIndex;
+    if (failed.has(key)) {
+      return null;
+    }
+
+    for (let index = wordIndex; index < starts.length; index += 1) {
+      const wordStart = starts[index];
+      const maxLength = Math.min(query.length - queryIndex, text.length - wordStart);
+      for (let length = maxLength; length > 0; length -= 1) {
+        if (text.substr(wordStart, length) !== query.substr(queryIndex, length)) {
+          continue;
+        }
+
+        const rest = matchFrom(index + 1, queryIndex + length);
+        if (rest) {
+          return [...range(wordStart, length), ...rest];
+        }
+      }
+    }
+
+    failed.add(key);
+    return null;
+  }
+
+  return matchFrom(0, 0);
+}
+
+function matchSubsequence(text, wordStarts, query) {
+  const positions = [];
+  let searchFrom = 0;
+
+  for (const char of query) {
+    const index = text.indexOf(char, searchFrom);
+    if (index === -1) {
+      return null;
+    }
+    positions.push(index);
+    searchFrom = index + 1;
+  }
+
+  let bonus = 0;
+  positions.forEach((position, index) => {
+    if (index > 0 && position === positions[index - 1] + 1) {
+      bonus += 8;
+    }
+    if (wordStarts[position]) {
+      bonus += 6;
+    }
+  });
+
+  const gaps = positions[positions.length - 1] - positions[0] + 1 - positions.length;
+  return {
+    positions,
+    score: MATCH_SCORES.fuzzy + Math.max(0, Math.min(MAX_FUZZY_BONUS, bonus - gaps))
+  };
+}
+
+function scoreSearchVariant(variant, query, isUsername) {
+  const { text, wordStarts } = variant;
+  if (isUsername && text === query) {
+    return { score: MATCH_SCORES.exactUsername, positions: range(0, query.length) };
+  }
+
+  if (text.startsWith(query)) {
+    return {
+      score: isUsername ? MATCH_SCORES.usernamePrefix : MATCH_SCORES.namePrefix,
+      positions: range(0, query.length)
+    };
+  }
+
+  const wordPositions = matchWordPrefixes(text, wordStarts, query);
+  if (wordPositions) {
+    const isSingleWord = wordPositions.every((position, index) => index === 0 || position === wordPositions[index - 1] + 1);
+    return {
+      score: isSingleWord ? MATCH_SCORES.wordPrefix : MATCH_SCORES.wordInitials,
+      positions: wordPositions
+    };
+  }
+
+  const substringIndex = text.indexOf(query);
+  if (substringIndex !== -1) {
+    return {
+      score: isUsername ? MATCH_SCORES.usernameSubstring : MATCH_SCORES.nameSubstring,
+      positions: range(substringIndex, query.length)
+    };
+  }
+
+  return matchSubsequence(text, wordStarts, query);
+}
+
+/**
+ * Scores `text` against an already folded query using every search variant
+ * (folded text, Hangul initial consonants, romanized Hangul) and reports the
+ * best match with positions in the original text.
+ */
+function scoreField(text, query, isUsername, variants = null) {
+  if (typeof text !== 'string' || !text) {
+    return null;
+  }
+
+  let best = null;
+  (variants || getSearchVariants(text)).forEach((variant) => {
+    const match = scoreSearchVariant(variant, variant.loose ? loosenRomanization(query) : query, isUsername);
+    if (match && (!best || match.score > best.score)) {
+      best = {
+        score: match.score,
+        positions: [...new Set(match.positions.map((position) => variant.sourceIndexes[position]))]
+      };
+    }
+  });
+
+  return best;
+}
+
+function getMentionUsageKey(user) {
+  return `${user?.isGroup ? 'group:' : ''}${String(user?.username || '').toLowerCase()}`;
+}
+
+/**
+ * Converts mention history into a bonus that is always smaller than the gap
+ * between two match tiers, so usage only reorders comparable matches.
+ */
+function getUsageBonus(usage, now = Date.now()) {
+  if (!usage || !usage.count) {
+    return 0;
+  }
+
+  const frequency = Math.min(Math.log2(1 + usage.count) * 5, MAX_USAGE_BONUS / 2);
+  const age = Math.max(0, now - (usage.lastUsed || 0));
+  const recency = (MAX_USAGE_BONUS / 2) * Math.pow(0.5, age / USAGE_HALF_LIFE);
+  return frequency + recency;
+}
+
+/**
+ * Scores a user against a query. Higher is better; null means no match.
+ * @param {Object} user - Directory entry with `username` and `name`
+ * @param {string} query - Text typed after the trigger
+ * @param {Object} [mentionStats] - Usage keyed by `getMentionUsageKey`
+ * @param {number} [now] - Current time, for recency decay
+ * @param {Object} [searchEntry] - From `buildUserSearchEntry`, to reuse its variants
+ * @returns {{score: number, field: string|null, positions: number[]}|null}
+ */
+function scoreUserMatch(user, query, mentionStats = {}, now = Date.now(), searchEntry = null) {
+  return scoreFoldedUserMatch(user, foldSearchText(query), mentionStats, now, searchEntry);
+}
+
+function scoreFoldedUserMatch(user, lowerQuery, mentionStats, now, searchEntry) {
+  const usageBonus = mentionStats ? getUsageBonus(mentionStats[getMentionUsageKey(user)], now) : 0;
+  if (!lowerQuery) {
+    return { score: usageBonus, field: null, positions: [] };
+  }
+
+  const usernameMatch = scoreField(user.username, lowerQuery, true, searchEntry?.username);
+  const nameMatch = user.name !== user.username ? scoreField(user.name, lowerQuery, false, searchEntry?.name) : null;
+  const best = !nameMatch || (usernameMatch && usernameMatch.score >= nameMatch.score)
+    ? (usernameMatch && { ...usernameMatch, field: 'username' })
+    : { ...nameMatch, field: 'name' };
+
+  if (!best) {
+    return null;
+  }
+
+  return { ...best, score: best.score + usageBonus };
+}
+
+/**
+ * Collapses sorted character positions into `[start, end)` ranges so the
+ * overlay can emphasize runs of matched text.
+ * @param {number[]} positions - Matched indexes in the displayed string
+ * @returns {number[][]}
+ */
+function toMatchRanges(positions) {
+  const ranges = [];
+  [...new Set(positions || [])].sort((left, right) => left - right).forEach((position) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1] = position + 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  });
+  return ranges;
+}
+
+function getFieldMatchRanges(text, query, isUsername) {
+  const lowerQuery = foldSearchText(query);
+  if (!text || !lowerQuery) {
     return [];
   }
+  return toMatchRanges(scoreField(text, lowerQuery, isUsername)?.positions);
+}
+
+/**
+ * Finds what to emphasize in each overlay column. Both columns are matched
+ * independently, so a row shows every place the query hit.
+ * @returns {{username: number[][], name: number[][]}}
+ */
+function getUserMatchRanges(user, query) {
+  return {
+    username: getFieldMatchRanges(user?.username, query, true),
+    name: getFieldMatchRanges(user?.name, query, false)
+  };
+}
+
+/**
+ * Keeps `results` sorted best first (higher score, then earlier directory
+ * position) and at most `limit` long, so ranking a large directory costs
+ * O(n log limit) instead of a full sort.
+ */
+function insertRankedResult(results, result, limit) {
+  const isBetter = (left, right) => left.score > right.score || (left.score === right.score && left.index < right.index);
+  if (results.length >= limit && !isBetter(result, results[results.length - 1])) {
+    return;
+  }
+
+  let low = 0;
+  let high = results.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (isBetter(results[middle], result)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  results.splice(low, 0, result);
+  if (results.length > limit) {
+    results.pop();
+  }
+}
+
+/**
+ * Collects the best `limit` matches among `positions` of `users` and how many
+ * matched in total. Each user is checked once: the cheap subsequence test on
+ * its search entry, then scoring with the same variants. Highlight ranges are
+ * computed only for the returned rows.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Rows to return; all matches when omitted
+ * @param {number[]} [options.positions] - Indexes into `users` to consider
+ * @param {function(number): Object} [options.getSearchEntry] - Cached `buildUserSearchEntry` result per index
+ * @returns {{results: Object[], total: number, matchedPositions: number[]}}
+ */
+function selectRankedUsers(users, query, mentionStats = {}, now = Date.now(), options = {}) {
+  const list = Array.isArray(users) ? users : [];
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : Infinity;
+  const positions = options.positions || range(0, list.length);
+  const getSearchEntry = options.getSearchEntry || ((position) => buildUserSearchEntry(list[position]));
+  const foldedQuery = foldSearchText(query);
+  const looseQuery = loosenRomanization(foldedQuery);
+  const stats = mentionStats && Object.keys(mentionStats).length > 0 ? mentionStats : null;
+  const top = [];
+  const matchedPositions = [];
+
+  positions.forEach((position) => {
+    const user = list[position];
+    const searchEntry = foldedQuery ? getSearchEntry(position) : null;
+    if (searchEntry && !matchesUserSearchEntry(searchEntry, foldedQuery, looseQuery)) {
+      return;
+    }
+
+    const match = scoreFoldedUserMatch(user, foldedQuery, stats, now, searchEntry);
+    if (!match) {
+      return;
+    }
+    matchedPositions.push(position);
+    if (limit === Infinity) {
+      top.push({ index: position, score: match.score, match });
+    } else {
+      insertRankedResult(top, { index: position, score: match.score, match }, limit);
+    }
+  });
+  if (limit === Infinity) {
+    top.sort((left, right) => right.score - left.score || left.index - right.index);
+  }
+
+  return {
+    results: top.map(({ index, match }) => ({ user: list[index], ...match, ranges: getUserMatchRanges(list[index], query) })),
+    total: matchedPositions.length,
+    matchedPositions
+  };
+}
+
+/**
+ * Ranks matching users best first. Equal scores keep directory order.
+ * @returns {{user: Object, score: number, field: string|null, positions: number[], ranges: Object}[]}
+ */
+function rankUsers(users, query, mentionStats = {}, now = Date.now()) {
+  return selectRankedUsers(users, query, mentionStats, now).results;
+}
+
+function filterUsers(users, query, mentionStats = {}, now = Date.now()) {
+  return rankUsers(users, query, mentionStats, now).map(({ user }) => user);
+}
+
+/**
+ * Computes a user's search variants once, for both the subsequence
+ * pre-filter and scoring.
+ * @returns {{username: Object[]|null, name: Object[]|null, texts: string[]}}
+ */
+function buildUserSearchEntry(user) {
+  const variantsOf = (text) => (typeof text === 'string' && text ? computeSearchVariants(text) : null);
+  const username = variantsOf(user?.username);
+  const name = user?.name !== user?.username ? variantsOf(user?.name) : null;
+  return {
+    username,
+    name,
+    texts: [...(username || []), ...(name || [])].map((variant) => variant.text)
+  };
+}
+
+function isSubsequence(text, query) {
+  let searchFrom = 0;
+  for (const char of query) {
+    const index = text.indexOf(char, searchFrom);
+    if (index === -1) {
+      return false;
+    }
+    searchFrom = index + char.length;
+  }
+  return true;
+}
+
+/**
+ * Cheap pre-filter before scoring; may accept users that do not match, but
+ * never rejects one that does, since every match tier implies the folded
+ * query is a subsequence of one of the variants.
+ * @param {Object} searchEntry - From `buildUserSearchEntry`
+ * @param {string} foldedQuery - Query passed through `foldSearchText`
+ * @param {string} [looseQuery] - `loosenRomanization(foldedQuery)`, when already known
+ */
+function matchesUserSearchEntry(searchEntry, foldedQuery, looseQuery = loosenRomanization(foldedQuery)) {
+  return searchEntry.texts.some((text) => isSubsequence(text, foldedQuery) || isSubsequence(text, looseQuery));
+}
 
-  if (!query) {
-    return users;
+/**
+ * Records a mention and returns the updated stats, keeping only the most
+ * recently used entries.
+ */
+function recordMentionUsage(mentionStats, user, now = Date.now()) {
+  const key = getMentionUsageKey(user);
+  const nextStats = { ...(mentionStats || {}) };
+  nextStats[key] = {
+    count: (nextStats[key]?.count || 0) + 1,
+    lastUsed: now
+  };
+
+  const keys = Object.keys(nextStats);
+  if (keys.length > MAX_MENTION_STATS) {
+    keys
+      .sort((left, right) => (nextStats[right].lastUsed || 0) - (nextStats[left].lastUsed || 0))
+      .slice(MAX_MENTION_STATS)
+      .forEach((staleKey) => delete nextStats[staleKey]);
   }
 
-  const lowerQuery = query.toLowerCase();
-  return users.filter((user) =>
-    user.username.toLowerCase().includes(lowerQuery) ||
-    user.name.toLowerCase().includes(lowerQuery)
+  return nextStats;
+}
+
+// Description and category hits count for less than any match on the name,
+// and only substring-or-better matches count there so long descriptions don't
+// turn every query into a fuzzy hit.
+const COMMAND_FIELD_WEIGHTS = { command: 1, description: 0.5, category: 0.4 };
+
+function scoreCommandText(text, lowerQuery) {
+  const score = text ? scoreField(text, lowerQuery, false)?.score || 0 : 0;
+  return score >= MATCH_SCORES.nameSubstring ? score : 0;
+}
+
+function scoreCommandMatch(command, lowerQuery) {
+  return Math.max(
+    (scoreField(command.command, lowerQuery, true)?.score || 0) * COMMAND_FIELD_WEIGHTS.command,
+    scoreCommandText(command.description, lowerQuery) * COMMAND_FIELD_WEIGHTS.description,
+    scoreCommandText(command.category, lowerQuery) * COMMAND_FIELD_WEIGHTS.category
   );
 }
 
+/**
+ * Matches commands on name, description and category. Results are ranked,
+ * then kept together by category (ordered by each category's best match) so
+ * overlay headers never repeat.
+ */
 function filterCommands(commands, query) {
   if (!Array.isArray(commands) || commands.length === 0) {
     return [];
   }
 
-  if (!query) {
-    return commands.slice(0, 10);
+  const lowerQuery = foldSearchText(query);
+  if (!lowerQuery) {
+    return commands.slice();
   }
 
-  const lowerQuery = query.toLowerCase();
-  return commands.filter((command) =>
-    command.command.toLowerCase().includes(lowerQuery)
-  ).slice(0, 10);
+  const ranked = commands
+    .map((command, index) => ({ command, index, score: scoreCommandMatch(command, lowerQuery) }))
+    .filter(({ score }) => score > 0)
+    .sort((left, right) => right.score - left.score || left.index - right.index)
+    .map(({ command }) => command);
+
+  const groups = new Map();
+  ranked.forEach((command) => {
+    const category = command.category || '';
+    groups.set(category, [...(groups.get(category) || []), command]);
+  });
+  return [...groups.values()].flat();
+}
+
+/**
+ * Match ranges for a command row, in the same shape as `getUserMatchRanges`.
+ * Commands without a description show their name in both columns.
+ */
+function getCommandMatchRanges(command, query) {
+  const commandRanges = getFieldMatchRanges(command?.command, query, true);
+  return {
+    username: commandRanges,
+    name: command?.description ? getFieldMatchRanges(command.description, query, false) : commandRanges
+  };
 }
 
+contentTriggersRoot.GitHubMentionsContent.getTriggerDefinition = getTriggerDefinition;
+contentTriggersRoot.GitHubMentionsContent.matchMentionTrigger = matchMentionTrigger;
 contentTriggersRoot.GitHubMentionsContent.scanForMentionTrigger = scanForMentionTrigger;
+contentTriggersRoot.GitHubMentionsContent.scanForPickerQuery = scanForPickerQuery;
 contentTriggersRoot.GitHubMentionsContent.scanForCommandTrigger = scanForCommandTrigger;
+contentTriggersRoot.GitHubMentionsContent.matchCommandTrigger = matchCommandTrigger;
+contentTriggersRoot.GitHubMentionsContent.parseCommandArguments = parseCommandArguments;
+contentTriggersRoot.GitHubMentionsContent.scoreUserMatch = scoreUserMatch;
+contentTriggersRoot.GitHubMentionsContent.rankUsers = rankUsers;
 contentTriggersRoot.GitHubMentionsContent.filterUsers = filterUsers;
+contentTriggersRoot.GitHubMentionsContent.foldSearchText = foldSearchText;
+contentTriggersRoot.GitHubMentionsContent.selectRankedUsers = selectRankedUsers;
+contentTriggersRoot.GitHubMentionsContent.buildUserSearchEntry = buildUserSearchEntry;
+contentTriggersRoot.GitHubMentionsContent.matchesUserSearchEntry = matchesUserSearchEntry;
+contentTriggersRoot.GitHubMentionsContent.recordMentionUsage = recordMentionUsage;
 contentTriggersRoot.GitHubMentionsContent.filterCommands = filterCommands;
+contentTriggersRoot.GitHubMentionsContent.getUserMatchRanges = getUserMatchRanges;
+contentTriggersRoot.GitHubMentionsContent.getCommandMatchRanges = getCommandMatchRanges;
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    getTriggerDefinition,
+    matchMentionTrigger,
     scanForMentionTrigger,
+    scanForPickerQuery,
     scanForCommandTrigger,
+    matchCommandTrigger,
+    parseCommandArguments,
+    foldSearchText,
+    getMentionUsageKey,
+    scoreUserMatch,
+    rankUsers,
     filterUsers,
-    filterCommands
+    selectRankedUsers,
+    buildUserSearchEntry,
+    matchesUserSearchEntry,
+    recordMentionUsage,
+    filterCommands,
+    toMatchRanges,
+    getUserMatchRanges,
+    getCommandMatchRanges
   };
 }
@@ -0,0 +1,69 @@
+const contentUserIndexRoot = typeof window !== 'undefined' ? window : globalThis;
+contentUserIndexRoot.GitHubMentionsContent = contentUserIndexRoot.GitHubMentionsContent || {};
+
+const userIndexTriggers = contentUserIndexRoot.GitHubMentionsContent.selectRankedUsers
+  ? contentUserIndexRoot.GitHubMentionsContent
+  : (typeof module !== 'undefined' && module.exports ? require('./triggers.js') : null);
+
+/**
+ * In-memory search index over the cached directory. Search variants are built
+ * on first use, and a query that extends the previous one only rechecks the
+ * users that previous query matched.
+ */
+function createUserSearchIndex(users) {
+  return {
+    users: Array.isArray(users) ? users : [],
+    searchEntries: [],
+    lastQuery: null,
+    lastMatches: null
+  };
+}
+
+/**
+ * Reuses `index` while it still covers `users`; a new cache array means the
+ * directory changed and the index starts over.
+ */
+function getUserSearchIndex(index, users) {
+  return index && index.users === users ? index : createUserSearchIndex(users);
+}
+
+function getSearchEntry(index, position) {
+  if (!index.searchEntries[position]) {
+    index.searchEntries[position] = userIndexTriggers.buildUserSearchEntry(index.users[position]);
+  }
+  return index.searchEntries[position];
+}
+
+/**
+ * Same ranking as `rankUsers` over the whole directory, but only the best
+ * `options.limit` rows are kept and highlighted, and growing queries only
+ * rescan the previous matches.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Rows the overlay will show
+ * @returns {{results: Object[], total: number}}
+ */
+function searchUserIndex(index, query, mentionStats = {}, now = Date.now(), options = {}) {
+  const foldedQuery = userIndexTriggers.foldSearchText(query);
+  const narrowed = foldedQuery && index.lastMatches && foldedQuery.startsWith(index.lastQuery);
+  const { results, total, matchedPositions } = userIndexTriggers.selectRankedUsers(index.users, query, mentionStats, now, {
+    limit: options.limit,
+    positions: narrowed ? index.lastMatches : undefined,
+    getSearchEntry: (position) => getSearchEntry(index, position)
+  });
+
+  index.lastQuery = foldedQuery || null;
+  index.lastMatches = foldedQuery ? matchedPositions : null;
+  return { results, total };
+}
+
+contentUserIndexRoot.GitHubMentionsContent.createUserSearchIndex = createUserSearchIndex;
+contentUserIndexRoot.GitHubMentionsContent.getUserSearchIndex = getUserSearchIndex;
+contentUserIndexRoot.GitHubMentionsContent.searchUserIndex = searchUserIndex;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createUserSearchIndex,
+    getUserSearchIndex,
+    searchUserIndex
+  };
+}
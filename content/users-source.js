@@ -1,26 +1,85 @@
 const contentUsersRoot = typeof window !== 'undefined' ? window : globalThis;
 contentUsersRoot.GitHubMentionsContent = contentUsersRoot.GitHubMentionsContent || {};
 
+function getUserSourcesApi() {
+  return contentUsersRoot.GitHubMentionsUserSources
+    || (typeof module !== 'undefined' && module.exports ? require('../utils/user-sources.js') : null);
+}
+
+function mergeUsersFromSettings(settings) {
+  const userSources = getUserSourcesApi();
+  if (!settings || !userSources) {
+    return { users: [], stats: [] };
+  }
+
+  const sourceResults = userSources.getConfiguredSources(settings)
+    .filter((source) => source.type !== 'endpoint')
+    .map((source) => {
+      const parsed = userSources.parseSourceUsers(source);
+      if (parsed.error) {
+        console.error(`Failed to parse users from source "${source.name}":`, parsed.error);
+      }
+      return { source, users: parsed.users, error: parsed.error };
+    });
+
+  return userSources.mergeSourceUsers(sourceResults, settings.sourcePrecedence);
+}
+
 async function parseUsersFromSettings(settings) {
-  if (!settings || !settings.directJsonData) {
-    return [];
+  return mergeUsersFromSettings(settings).users;
+}
+
+function requestDirectoryRefresh(force = false) {
+  if (typeof chrome === 'undefined' || !chrome?.runtime?.sendMessage) {
+    return Promise.resolve(null);
   }
 
-  try {
-    const directUsers = JSON.parse(settings.directJsonData);
-    if (!Array.isArray(directUsers) || directUsers.length === 0) {
-      return [];
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(
+        { action: 'refreshUserDirectory', force },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            resolve(null);
+            return;
+          }
+
+          resolve(response || null);
+        }
+      );
+    } catch (error) {
+      resolve(null);
     }
+  });
+}
+
+// Settings objects a suggestion lookup already asked the background to load.
+// An empty or failing directory stays empty after its refresh, so asking again
+// on every keystroke would only rewrite the same cache over and over.
+const refreshRequestedFor = new WeakSet();
 
-    if (!contentUsersRoot.GitHubMentionsSettings) {
-      return [];
+function requestDirectoryRefreshOnce(settings) {
+  if (settings && typeof settings === 'object') {
+    if (refreshRequestedFor.has(settings)) {
+      return Promise.resolve(null);
     }
+    refreshRequestedFor.add(settings);
+  }
+  return requestDirectoryRefresh();
+}
 
-    return contentUsersRoot.GitHubMentionsSettings.normalizeUsersForCache(directUsers);
-  } catch (error) {
-    console.error('Failed to parse direct JSON data:', error);
-    return [];
+async function getRemoteUsers(storage, currentCache, settings) {
+  const hasCache = Array.isArray(currentCache) && currentCache.length > 0;
+  if (hasCache && !(await storage.isCacheExpired())) {
+    return currentCache;
+  }
+
+  await (hasCache ? requestDirectoryRefresh() : requestDirectoryRefreshOnce(settings));
+  const cachedUsers = await storage.getCachedUsers();
+  if (!cachedUsers) {
+    return hasCache ? currentCache : [];
   }
+  return cachedUsers.length > 0 || !hasCache ? cachedUsers : currentCache;
 }
 
 async function getUsersForSuggestions(storage, currentCache, fallbackSettings) {
@@ -28,46 +87,60 @@ async function getUsersForSuggestions(storage, currentCache, fallbackSettings) {
     return [];
   }
 
+  const currentSettings = fallbackSettings || await storage.getSettings();
+  if (getUserSourcesApi()?.hasEndpointSource(currentSettings)) {
+    return getRemoteUsers(storage, currentCache, currentSettings);
+  }
+
   if (Array.isArray(currentCache) && currentCache.length > 0) {
     return currentCache;
   }
 
-  const currentSettings = fallbackSettings || await storage.getSettings();
   if (!currentSettings) {
     return [];
   }
 
-  const validUsers = await parseUsersFromSettings(currentSettings);
-  if (validUsers.length > 0) {
-    await storage.setCachedUsers(validUsers);
-  }
-
-  return validUsers;
+  // The background is the only writer of the chunked cache; until its refresh
+  // lands, suggestions come straight from the settings
+  requestDirectoryRefreshOnce(currentSettings);
+  return mergeUsersFromSettings(currentSettings).users;
 }
 
+/**
+ * Asks the background to rebuild the cached directory from `settings`.
+ * @returns {Promise<Object[]|null>} The users, or null when the cache could not
+ * be read back yet
+ */
 async function syncCachedUsersFromSettings(storage, settings) {
-  if (!settings?.directJsonData) {
-    return [];
+  if (getUserSourcesApi()?.hasEndpointSource(settings)) {
+    await requestDirectoryRefresh();
+    return storage?.getCachedUsers ? storage.getCachedUsers() : null;
   }
 
-  const validUsers = await parseUsersFromSettings(settings);
-  if (validUsers.length > 0 && storage?.setCachedUsers) {
-    try {
-      await storage.setCachedUsers(validUsers);
-    } catch (error) {
-      console.warn('Failed to update cache in content script, using in-memory cache only:', error);
-    }
+  requestDirectoryRefresh();
+  return mergeUsersFromSettings(settings).users;
+}
+
+function formatMentionText(entry) {
+  if (entry?.isGroup && Array.isArray(entry.members) && entry.members.length > 0) {
+    return `${entry.members.map((member) => `@${member}`).join(' ')} `;
   }
 
-  return validUsers;
+  return `@${entry?.username} `;
 }
 
+contentUsersRoot.GitHubMentionsContent.formatMentionText = formatMentionText;
 contentUsersRoot.GitHubMentionsContent.parseUsersFromSettings = parseUsersFromSettings;
 contentUsersRoot.GitHubMentionsContent.getUsersForSuggestions = getUsersForSuggestions;
 contentUsersRoot.GitHubMentionsContent.syncCachedUsersFromSettings = syncCachedUsersFromSettings;
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    parseUsersFromSettings
+    formatMentionText,
+    mergeUsersFromSettings,
+    parseUsersFromSettings,
+    requestDirectoryRefresh,
+    getUsersForSuggestions,
+    syncCachedUsersFromSettings
   };
 }
@@ -20,6 +20,10 @@ if (app) {
   window.addEventListener('scroll', () => app.handleScroll(), true);
   window.addEventListener('beforeunload', () => app.cleanup());
 
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    app.handleStorageChange(changes, areaName);
+  });
+
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     app.handleMessage(message, sender, sendResponse);
     return true;
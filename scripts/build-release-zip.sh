@@ -36,6 +36,11 @@ cp "$ROOT_DIR/browserAction/popup.bundle.js" "$OUT_DIR/browserAction/"
 cp -R "$ROOT_DIR/icons" "$OUT_DIR/"
 mkdir -p "$OUT_DIR/utils"
 cp "$ROOT_DIR/utils/lgtm.js" "$OUT_DIR/utils/"
+cp "$ROOT_DIR/utils/settings.js" "$OUT_DIR/utils/"
+cp "$ROOT_DIR/utils/user-sources.js" "$OUT_DIR/utils/"
+cp "$ROOT_DIR/utils/command-packs.js" "$OUT_DIR/utils/"
+cp "$ROOT_DIR/utils/settings-sync.js" "$OUT_DIR/utils/"
+cp "$ROOT_DIR/utils/user-cache.js" "$OUT_DIR/utils/"
 
 (
   cd "$OUT_DIR"
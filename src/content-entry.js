@@ -18,17 +18,25 @@ contentEntryRoot.GitHubMentionsVendor = {
 };
 
 import '../utils/settings.js';
+import '../utils/user-sources.js';
+import '../utils/user-cache.js';
 import '../utils/storage.js';
 import '../utils/api.js';
 import '../utils/lgtm.js';
+import '../utils/templates.js';
 import '../utils/overlay/state.js';
+import '../utils/overlay/theme.js';
 import '../utils/overlay/anchor.js';
 import '../utils/overlay/position.js';
 import '../utils/overlay/render.js';
 import '../utils/overlay/navigation.js';
 import '../utils/dom.js';
+import '../content/editor.js';
+import '../content/snippets.js';
 import '../content/triggers.js';
+import '../content/page-context.js';
 import '../content/commands.js';
 import '../content/users-source.js';
+import '../content/user-index.js';
 import '../content/app.js';
 import '../content_script.js';
@@ -1,9 +1,21 @@
 import '../utils/settings.js';
+import '../utils/lgtm.js';
+import '../utils/user-sources.js';
+import '../utils/user-cache.js';
 import '../utils/storage.js';
+import '../utils/templates.js';
+import '../utils/command-packs.js';
 import '../browserAction/popup/shared.js';
 import '../browserAction/popup/status-ui.js';
 import '../browserAction/popup/users-table.js';
+import '../browserAction/popup/sources-manager.js';
+import '../browserAction/popup/lgtm-providers-manager.js';
+import '../browserAction/popup/lgtm-gallery-manager.js';
 import '../browserAction/popup/commands-manager.js';
+import '../browserAction/popup/command-packs-manager.js';
+import '../browserAction/popup/custom-hosts-manager.js';
+import '../browserAction/popup/shortcut-manager.js';
 import '../browserAction/popup/backup-manager.js';
+import '../browserAction/popup/sync-manager.js';
 import '../browserAction/popup/settings-form.js';
 import '../browserAction/script.js';
@@ -149,3 +149,180 @@ test('mutation observer rescans when a matching input node is added', async () =
 
   assert.equal(secondInput.dataset.mentionEnhanced, 'true');
 });
+
+test('handleStorageChange applies settings and reloads the user cache written by other contexts', async () => {
+  const createApp = loadCreateApp();
+  const cacheReads = [];
+  const normalized = [];
+
+  globalThis.window = globalThis;
+  globalThis.document = createDocument([]);
+  globalThis.GitHubMentionsUserCache = { USER_CACHE_META_KEY: 'githubMentions_userCacheMeta' };
+  globalThis.GitHubMentionsSettings = {
+    normalizeSettings(settings) {
+      normalized.push(settings);
+      return { ...settings, normalized: true };
+    }
+  };
+  globalThis.GitHubMentionsStorage = {
+    STORAGE_KEYS: { SETTINGS: 'githubMentions_settings' },
+    async getCachedUsers() {
+      cacheReads.push(true);
+      return [{ username: 'octocat', name: 'Octo Cat' }];
+    }
+  };
+
+  const app = createApp();
+  await app.handleStorageChange({ githubMentions_settings: { newValue: { enabled: false } } }, 'local');
+  assert.deepEqual(normalized, [{ enabled: false }]);
+  assert.equal(cacheReads.length, 0);
+
+  await app.handleStorageChange({ githubMentions_userCacheMeta: { newValue: { revision: 2 } } }, 'local');
+  assert.equal(cacheReads.length, 1);
+
+  await app.handleStorageChange({ githubMentions_userCacheMeta: { newValue: { revision: 3 } } }, 'sync');
+  await app.handleStorageChange({ githubMentions_mentionStats: { newValue: {} } }, 'local');
+  assert.equal(cacheReads.length, 1);
+  assert.equal(normalized.length, 1);
+
+  delete globalThis.GitHubMentionsUserCache;
+  delete globalThis.GitHubMentionsSettings;
+});
+
+test('handleMessage inserts context menu choices at the caret of the focused field', async () => {
+  const input = { ...createInput(), focus() {} };
+  const createApp = loadCreateApp();
+  const content = globalThis.GitHubMentionsContent;
+  const replacements = [];
+  const executed = [];
+  const responses = [];
+
+  globalThis.window = globalThis;
+  globalThis.document = createDocument([input]);
+  globalThis.GitHubMentionsAPI = {};
+  globalThis.GitHubMentionsDOM = { hideOverlay() {} };
+  globalThis.GitHubMentionsStorage = {
+    setMentionStats() {}
+  };
+  Object.assign(content, {
+    getCaretOffset: () => 7,
+    replaceEditorRange: (target, start, end, text) => replacements.push([start, end, text]),
+    formatMentionText: (entry) => `@${entry.username} `,
+    recordMentionUsage: (stats, entry) => ({ ...stats, [entry.username]: { count: 1 } }),
+    executeCommand: async (...args) => {
+      executed.push(args);
+      return true;
+    }
+  });
+
+  const app = createApp();
+  await app.handleMessage({ action: 'contextMenuInsert', kind: 'mention', username: 'octocat' }, {}, (response) => responses.push(response));
+  await app.handleMessage({ action: 'contextMenuInsert', kind: 'command', command: 'standup' }, {}, (response) => responses.push(response));
+
+  assert.deepEqual(replacements, [[7, 7, '@octocat ']]);
+  assert.equal(executed[0][0], 'standup');
+  assert.equal(executed[0][1], input);
+  assert.deepEqual(executed[0][3], { trigger: { start: 7, args: null } });
+  assert.deepEqual(responses.map((response) => response.success), [true, true]);
+
+  globalThis.document.activeElement = null;
+  const idleApp = createApp();
+  await idleApp.handleMessage({ action: 'contextMenuInsert', kind: 'mention', username: 'octocat' }, {}, (response) => responses.push(response));
+  assert.equal(responses[2].success, false);
+
+  ['getCaretOffset', 'replaceEditorRange', 'formatMentionText', 'recordMentionUsage', 'executeCommand']
+    .forEach((name) => delete content[name]);
+  delete globalThis.GitHubMentionsAPI;
+});
+
+test('openMentionPicker lists users at the caret and filters by what is typed after it', async () => {
+  const input = { ...createInput(), focus() {} };
+  const createApp = loadCreateApp();
+  const content = globalThis.GitHubMentionsContent;
+  const { scanForMentionTrigger, scanForPickerQuery, scanForCommandTrigger } = require('../content/triggers.js');
+  const editorState = { text: 'cc ', caret: 3 };
+  const shown = [];
+  const replacements = [];
+  const responses = [];
+  let hidden = 0;
+  let visible = false;
+
+  globalThis.window = globalThis;
+  globalThis.document = createDocument([input]);
+  globalThis.GitHubMentionsAPI = {};
+  globalThis.GitHubMentionsDOM = {
+    showOverlay(items, onSelect) {
+      visible = true;
+      shown.push({ items: items.map((item) => item.username), onSelect });
+    },
+    hideOverlay() {
+      visible = false;
+      hidden += 1;
+    },
+    isOverlayVisible() {
+      return visible;
+    },
+    announce() {}
+  };
+  const users = [{ username: 'octocat' }, { username: 'hubot' }];
+  globalThis.GitHubMentionsStorage = {
+    STORAGE_KEYS: { SETTINGS: 'githubMentions_settings' },
+    async getSettings() {
+      return { enabled: true };
+    },
+    async getCachedUsers() {
+      return users;
+    },
+    async getMentionStats() {
+      return {};
+    },
+    setMentionStats() {}
+  };
+  Object.assign(content, {
+    getCaretOffset: () => editorState.caret,
+    getEditorText: () => editorState.text,
+    replaceEditorRange: (target, start, end, text) => replacements.push([start, end, text]),
+    getUsersForSuggestions: async () => users,
+    getUserSearchIndex: () => null,
+    searchUserIndex: (index, query) => {
+      const results = users
+        .filter((user) => user.username.includes(query))
+        .map((user) => ({ user, ranges: [] }));
+      return { results, total: results.length };
+    },
+    formatMentionText: (entry) => `@${entry.username} `,
+    recordMentionUsage: () => ({}),
+    scanForMentionTrigger,
+    scanForPickerQuery,
+    scanForCommandTrigger
+  });
+
+  const app = createApp();
+  await app.initialize();
+  await app.handleMessage({ action: 'openMentionPicker' }, {}, (response) => responses.push(response));
+  assert.equal(responses[0].success, true);
+  assert.deepEqual(shown[0].items, ['octocat', 'hubot']);
+
+  // A settings change refreshes the overlay the same way typing does
+  editorState.text = 'cc hu';
+  editorState.caret = 5;
+  await app.handleStorageChange({ githubMentions_settings: { newValue: { enabled: true } } }, 'local');
+  assert.deepEqual(shown.at(-1).items, ['hubot']);
+
+  shown.at(-1).onSelect(users[1]);
+  assert.deepEqual(replacements, [[3, 5, '@hubot ']]);
+
+  // With the list closed, storage changes leave the field alone
+  visible = false;
+  const shownBefore = shown.length;
+  editorState.text = 'cc @hubot @@h';
+  editorState.caret = 13;
+  await app.handleStorageChange({ githubMentions_userCacheMeta: { newValue: { revision: 2 } } }, 'local');
+  await app.handleStorageChange({ githubMentions_settings: { newValue: { enabled: true } } }, 'local');
+  assert.equal(shown.length, shownBefore);
+
+  ['getCaretOffset', 'getEditorText', 'replaceEditorRange', 'getUsersForSuggestions', 'getUserSearchIndex',
+    'searchUserIndex', 'formatMentionText', 'recordMentionUsage', 'scanForMentionTrigger', 'scanForPickerQuery',
+    'scanForCommandTrigger'].forEach((name) => delete content[name]);
+  delete globalThis.GitHubMentionsAPI;
+});
@@ -1,5 +1,6 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const http = require('node:http');
 
 globalThis.chrome = {
   runtime: {
@@ -12,13 +13,31 @@ globalThis.chrome = {
 const {
   CURATED_LGTM_GIFS,
   FALLBACK_LGTM_GIF,
+  fetchRandomLGTMFromEndpoint,
   fetchRandomLGTMFromReloaded,
+  pickRandomLgtmFromPool,
   pickRandomCuratedLgtm,
   shouldBypassReloadedResult,
   fetchRandomLGTM,
+  pickFavoriteLGTM,
+  fetchEndpointUsers,
+  fetchCommandPack,
+  refreshUserDirectory,
+  haveDirectorySettingsChanged,
+  migrateStoredSettings,
+  registerCustomHostScripts,
+  buildContextMenuItems,
+  getContextMenuInsertMessage,
+  rebuildContextMenus,
+  syncCommandPacks,
+  syncSettings,
+  setSettingsSyncEnabled,
+  getSettingsSyncStatus,
+  resetEndpointAttempts,
   setLastDeliveredLgtmUrl,
   getLastDeliveredLgtmUrl
 } = require('../background.js');
+const { readUserCache } = require('../utils/user-cache.js');
 
 test('fetchRandomLGTMFromReloaded normalizes success response', async () => {
   const result = await fetchRandomLGTMFromReloaded(async () => ({
@@ -101,3 +120,677 @@ test('fallback constant remains available as final safety net', () => {
   assert.equal(typeof FALLBACK_LGTM_GIF, 'string');
   assert.ok(FALLBACK_LGTM_GIF.includes('giphy.gif'));
 });
+
+test('fetchRandomLGTMFromEndpoint reads the image url at the configured field path', async () => {
+  const fetchImpl = async () => ({
+    ok: true,
+    json: async () => ({ data: { images: [{ url: 'https://example.com/nested.gif' }] } })
+  });
+
+  const result = await fetchRandomLGTMFromEndpoint({
+    url: 'https://example.com/lgtm.json',
+    imagePath: 'data.images[0].url'
+  }, fetchImpl);
+  assert.deepEqual(result, { success: true, imageUrl: 'https://example.com/nested.gif', source: 'endpoint' });
+
+  const missing = await fetchRandomLGTMFromEndpoint({
+    url: 'https://example.com/lgtm.json',
+    imagePath: 'imageUrl'
+  }, fetchImpl, { silent: true });
+  assert.equal(missing.success, false);
+  assert.match(missing.message, /no image URL at "imageUrl"/);
+});
+
+test('pickRandomLgtmFromPool avoids the excluded url and reports empty lists', () => {
+  const pool = ['https://example.com/a.gif', 'https://example.com/b.gif'];
+  assert.equal(pickRandomLgtmFromPool(pool, 'custom-list', pool[0], () => 0).imageUrl, pool[1]);
+  assert.equal(pickRandomLgtmFromPool([], 'custom-list').success, false);
+});
+
+test('fetchRandomLGTM follows the configured provider chain', async () => {
+  setLastDeliveredLgtmUrl(null);
+  let requestCount = 0;
+  const providers = [
+    { type: 'endpoint', url: 'https://example.com/lgtm.json', imagePath: 'gif' },
+    { type: 'list', urls: ['https://example.com/mine.gif'] }
+  ];
+  const options = {
+    providers,
+    fetchImpl: async () => {
+      requestCount += 1;
+      return { ok: true, json: async () => ({ gif: 'https://example.com/endpoint.gif' }) };
+    },
+    randomFn: () => 0,
+    silent: true
+  };
+
+  const first = await fetchRandomLGTM(options);
+  assert.deepEqual(first, { success: true, imageUrl: 'https://example.com/endpoint.gif', source: 'endpoint' });
+
+  const second = await fetchRandomLGTM(options);
+  assert.deepEqual(second, { success: true, imageUrl: 'https://example.com/mine.gif', source: 'custom-list' });
+  assert.equal(requestCount, 2);
+
+  const repeated = await fetchRandomLGTM({ ...options, providers: [providers[1]] });
+  assert.equal(repeated.imageUrl, 'https://example.com/mine.gif');
+  assert.equal(getLastDeliveredLgtmUrl(), 'https://example.com/mine.gif');
+});
+
+test('fetchRandomLGTM reads the provider chain from settings and supports curated-only', async () => {
+  setLastDeliveredLgtmUrl(null);
+  const storage = createStorageStub({
+    githubMentions_settings: { lgtmProviders: [{ type: 'curated' }] }
+  });
+
+  const result = await fetchRandomLGTM({
+    storage,
+    fetchImpl: async () => {
+      throw new Error('curated-only must not fetch');
+    },
+    randomFn: () => 0
+  });
+
+  assert.equal(result.source, 'curated');
+  assert.equal(CURATED_LGTM_GIFS.includes(result.imageUrl), true);
+});
+
+function startStubServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+function createStorageStub(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    async get(keys) {
+      if (keys === null) {
+        return { ...data };
+      }
+      return Object.fromEntries([].concat(keys).filter((key) => key in data).map((key) => [key, data[key]]));
+    },
+    async set(values) {
+      Object.assign(data, values);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete data[key]);
+    }
+  };
+}
+
+test('fetchEndpointUsers loads and normalizes users from a stub server', async () => {
+  const server = await startStubServer((request, response) => {
+    response.setHeader('Content-Type', 'application/json');
+    response.end(JSON.stringify([
+      { username: 'octocat', name: 'Octo Cat' },
+      { username: 'hubot', profile: 'https://example.com/hubot.png' },
+      { name: 'missing username' }
+    ]));
+  });
+
+  try {
+    const result = await fetchEndpointUsers(`${server.url}/users.json`);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.users, [
+      { username: 'octocat', name: 'Octo Cat', avatar: '' },
+      { username: 'hubot', name: 'hubot', avatar: 'https://example.com/hubot.png' }
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchEndpointUsers reports non-array and failed responses', async () => {
+  const server = await startStubServer((request, response) => {
+    if (request.url === '/missing') {
+      response.statusCode = 404;
+      response.end('not found');
+      return;
+    }
+
+    response.end(JSON.stringify({ users: [] }));
+  });
+
+  try {
+    const objectResult = await fetchEndpointUsers(`${server.url}/object`);
+    assert.equal(objectResult.success, false);
+    assert.match(objectResult.message, /JSON array/);
+
+    const missingResult = await fetchEndpointUsers(`${server.url}/missing`);
+    assert.equal(missingResult.success, false);
+    assert.match(missingResult.message, /404/);
+  } finally {
+    await server.close();
+  }
+
+  const invalidResult = await fetchEndpointUsers('ftp://example.com/users.json');
+  assert.equal(invalidResult.success, false);
+});
+
+test('refreshUserDirectory writes the user cache and honors endpoint cache duration', async () => {
+  let requestCount = 0;
+  const server = await startStubServer((request, response) => {
+    requestCount += 1;
+    response.end(JSON.stringify([{ username: 'octocat', name: 'Octo Cat' }]));
+  });
+  const storage = createStorageStub({
+    githubMentions_settings: {
+      dataSource: 'endpoint',
+      endpointUrl: `${server.url}/users.json`
+    }
+  });
+
+  try {
+    resetEndpointAttempts();
+    const now = 1_000_000;
+    const first = await refreshUserDirectory({ storage, now });
+    assert.equal(first.success, true);
+    assert.equal(first.userCount, 1);
+    assert.deepEqual((await readUserCache(storage)).users, [
+      { username: 'octocat', name: 'Octo Cat', avatar: '' }
+    ]);
+    assert.equal(storage.data.githubMentions_userCacheMeta.userCount, 1);
+    assert.equal(storage.data.githubMentions_cacheTimestamp, now);
+
+    const cached = await refreshUserDirectory({ storage, now: now + 1000 });
+    assert.equal(cached.userCount, 1);
+    assert.equal(requestCount, 1);
+
+    const expired = await refreshUserDirectory({ storage, now: now + 2 * 60 * 60 * 1000 });
+    assert.equal(expired.success, true);
+    assert.equal(requestCount, 2);
+
+    await refreshUserDirectory({ storage, now: now + 2 * 60 * 60 * 1000 + 1, force: true });
+    assert.equal(requestCount, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('refreshUserDirectory caches directories larger than the old 1MB ceiling', async () => {
+  const directory = Array.from({ length: 20000 }, (_, index) => ({
+    username: `employee${index}`,
+    name: `Employee ${index}`,
+    avatar: `https://avatars.example.com/u/${index}?s=64`
+  }));
+  const server = await startStubServer((request, response) => {
+    response.end(JSON.stringify(directory));
+  });
+  const storage = createStorageStub({
+    githubMentions_settings: { dataSource: 'endpoint', endpointUrl: `${server.url}/users.json` }
+  });
+
+  try {
+    resetEndpointAttempts();
+    const result = await refreshUserDirectory({ storage, now: 1_000 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.userCount, 20000);
+    const meta = storage.data.githubMentions_userCacheMeta;
+    assert.equal(meta.bytes > 1024 * 1024, true);
+    assert.equal(meta.chunkCount > 1, true);
+    assert.equal((await readUserCache(storage)).users.length, 20000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('refreshUserDirectory merges every configured source with per-source stats', async () => {
+  const server = await startStubServer((request, response) => {
+    response.end(JSON.stringify([
+      { username: 'Octocat', name: 'Partner Octo', avatar: 'https://example.com/partner.png' },
+      { username: 'partner', name: 'Partner Person' }
+    ]));
+  });
+  const storage = createStorageStub({
+    githubMentions_settings: {
+      dataSource: 'gui',
+      directJsonData: JSON.stringify([{ username: 'octocat', name: 'Octo Cat' }]),
+      userSources: [
+        {
+          id: 'contractors',
+          name: 'Contractors',
+          type: 'direct',
+          jsonData: JSON.stringify([{ username: 'contractor', name: 'Con Tractor' }])
+        },
+        { id: 'partners', name: 'Partners', type: 'endpoint', url: `${server.url}/partners.json` },
+        { id: 'disabled', name: 'Disabled', type: 'direct', enabled: false, jsonData: '[{"username":"ghost"}]' }
+      ]
+    }
+  });
+
+  try {
+    resetEndpointAttempts();
+    const result = await refreshUserDirectory({ storage, now: 1_000 });
+
+    assert.equal(result.success, true);
+    assert.deepEqual((await readUserCache(storage)).users, [
+      { username: 'octocat', name: 'Octo Cat', avatar: 'https://example.com/partner.png' },
+      { username: 'contractor', name: 'Con Tractor', avatar: '' },
+      { username: 'partner', name: 'Partner Person', avatar: '' }
+    ]);
+    assert.deepEqual(
+      storage.data.githubMentions_sourceStats.map(({ id, count, uniqueCount }) => ({ id, count, uniqueCount })),
+      [
+        { id: 'primary', count: 1, uniqueCount: 1 },
+        { id: 'contractors', count: 1, uniqueCount: 1 },
+        { id: 'partners', count: 2, uniqueCount: 1 }
+      ]
+    );
+    assert.equal(storage.data.githubMentions_sourceCache.partners.users.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('refreshUserDirectory keeps other sources when an endpoint fails', async () => {
+  const storage = createStorageStub({
+    githubMentions_settings: {
+      dataSource: 'direct',
+      directJsonData: JSON.stringify([{ username: 'octocat', name: 'Octo Cat' }]),
+      userSources: [{ id: 'broken', name: 'Broken', type: 'endpoint', url: 'https://example.invalid/users.json' }]
+    }
+  });
+
+  resetEndpointAttempts();
+  const result = await refreshUserDirectory({
+    storage,
+    silent: true,
+    fetchImpl: async () => {
+      throw new Error('network failed');
+    }
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.userCount, 1);
+  assert.equal(storage.data.githubMentions_sourceStats[1].error, 'network failed');
+});
+
+test('fetchCommandPack validates the pack returned by the server', async () => {
+  const server = await startStubServer((request, response) => {
+    if (request.url === '/invalid') {
+      response.end(JSON.stringify({ name: 'Broken', commands: [] }));
+      return;
+    }
+
+    response.end(JSON.stringify({
+      name: 'Review kit',
+      version: '1.0.0',
+      commands: [{ name: 'nit', content: '**nit:** ', emoji: '🧹', category: 'Review' }]
+    }));
+  });
+
+  try {
+    const result = await fetchCommandPack(`${server.url}/pack.json`);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.pack, {
+      name: 'Review kit',
+      version: '1.0.0',
+      commands: { nit: { content: '**nit:** ', emoji: '🧹', category: 'Review' } }
+    });
+
+    const invalid = await fetchCommandPack(`${server.url}/invalid`);
+    assert.equal(invalid.success, false);
+    assert.match(invalid.message, /no commands/);
+  } finally {
+    await server.close();
+  }
+
+  assert.equal((await fetchCommandPack('file:///pack.json')).success, false);
+});
+
+test('syncCommandPacks applies due packs and keeps conflicting local edits', async () => {
+  let requestCount = 0;
+  const server = await startStubServer((request, response) => {
+    requestCount += 1;
+    response.end(JSON.stringify({
+      name: 'Review kit',
+      version: '2.0.0',
+      commands: {
+        nit: { content: 'nit v2' },
+        ship: { content: 'ship v2' },
+        fresh: { content: 'fresh' }
+      }
+    }));
+  });
+  const now = 10 * 24 * 60 * 60 * 1000;
+  const storage = createStorageStub({
+    githubMentions_settings: {
+      customCommands: {
+        nit: { content: 'nit v1', emoji: null },
+        ship: { content: 'my ship', emoji: null }
+      },
+      commandPacks: [{
+        id: 'pack-review',
+        name: 'Review kit',
+        version: '1.0.0',
+        url: `${server.url}/pack.json`,
+        autoSync: true,
+        lastSynced: now - 2 * 24 * 60 * 60 * 1000,
+        commands: {
+          nit: { content: 'nit v1', emoji: null },
+          ship: { content: 'ship v1', emoji: null }
+        }
+      }]
+    }
+  });
+
+  try {
+    const result = await syncCommandPacks({ storage, now, silent: true });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.packs[0].diff, { added: ['fresh'], changed: ['nit'], conflicts: ['ship'], unchanged: [] });
+
+    const settings = storage.data.githubMentions_settings;
+    assert.equal(settings.customCommands.nit.content, 'nit v2');
+    assert.equal(settings.customCommands.ship.content, 'my ship');
+    assert.equal(settings.customCommands.fresh.content, 'fresh');
+    assert.equal(settings.commandPacks[0].version, '2.0.0');
+    assert.equal(settings.commandPacks[0].lastSynced, now);
+    assert.deepEqual(Object.keys(settings.commandPacks[0].commands).sort(), ['fresh', 'nit']);
+
+    await syncCommandPacks({ storage, now: now + 1000, silent: true });
+    assert.equal(requestCount, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchRandomLGTM records deliveries and skips banned images', async () => {
+  setLastDeliveredLgtmUrl(null);
+  const banned = CURATED_LGTM_GIFS[0];
+  const storage = createStorageStub({
+    githubMentions_settings: { lgtmProviders: [{ type: 'reloaded' }, { type: 'curated' }] },
+    githubMentions_lgtmHistory: [{ url: banned, repo: 'acme/app', timestamp: 1, banned: true }]
+  });
+
+  const result = await fetchRandomLGTM({
+    storage,
+    repo: 'acme/web',
+    now: 500,
+    fetchImpl: async () => ({ ok: true, json: async () => ({ imageUrl: banned }) }),
+    randomFn: () => 0
+  });
+
+  assert.equal(result.source, 'curated');
+  assert.equal(result.imageUrl, CURATED_LGTM_GIFS[1]);
+  assert.equal(pickRandomCuratedLgtm(null, () => 0, [banned]).imageUrl, CURATED_LGTM_GIFS[1]);
+  assert.equal(shouldBypassReloadedResult({ success: true, imageUrl: banned }, [banned]), true);
+  assert.deepEqual(storage.data.githubMentions_lgtmHistory[0], {
+    url: CURATED_LGTM_GIFS[1],
+    repo: 'acme/web',
+    timestamp: 500,
+    favorite: false,
+    banned: false
+  });
+  assert.equal(storage.data.githubMentions_lgtmHistory[1].banned, true);
+});
+
+test('pickFavoriteLGTM picks from favorites and reports an empty list', async () => {
+  setLastDeliveredLgtmUrl(null);
+  const empty = await pickFavoriteLGTM({ storage: createStorageStub() });
+  assert.equal(empty.success, false);
+  assert.match(empty.message, /No favorite/);
+
+  const storage = createStorageStub({
+    githubMentions_lgtmHistory: [
+      { url: 'https://example.com/fav.gif', timestamp: 1, favorite: true },
+      { url: 'https://example.com/other.gif', timestamp: 2 }
+    ]
+  });
+  const result = await pickFavoriteLGTM({ storage, repo: 'acme/app', now: 10, randomFn: () => 0 });
+  assert.deepEqual(result, { success: true, imageUrl: 'https://example.com/fav.gif', source: 'favorites' });
+  assert.deepEqual(storage.data.githubMentions_lgtmHistory.map((entry) => entry.url), [
+    'https://example.com/fav.gif',
+    'https://example.com/other.gif'
+  ]);
+  assert.equal(storage.data.githubMentions_lgtmHistory[0].favorite, true);
+});
+
+test('settings sync pushes from one browser and pulls into another without touching the user cache', async () => {
+  const syncStorage = createStorageStub();
+  const laptop = createStorageStub({
+    githubMentions_settings: {
+      directJsonData: '[{"username":"hubot","name":"Hubot"}]',
+      customCommands: { ship: { content: 'Ship it', emoji: null } }
+    },
+    githubMentions_userCache: [{ username: 'octocat' }],
+    githubMentions_sourceCache: { partners: { url: 'https://example.com/p.json', users: [{ username: 'partner' }] } }
+  });
+  const desktop = createStorageStub({
+    githubMentions_settings: { customCommands: {} }
+  });
+
+  const pushed = await setSettingsSyncEnabled(true, { storage: laptop, syncStorage, now: 1000 });
+  assert.deepEqual(pushed, { success: true, action: 'push', conflict: false });
+  assert.equal(Object.keys(syncStorage.data).some((key) => JSON.stringify(syncStorage.data[key]).includes('octocat')), false);
+  assert.equal(JSON.stringify(syncStorage.data).includes('partner'), false);
+
+  const pulled = await setSettingsSyncEnabled(true, { storage: desktop, syncStorage, now: 2000 });
+  assert.equal(pulled.action, 'pull');
+  assert.deepEqual(desktop.data.githubMentions_settings.customCommands, { ship: { content: 'Ship it', emoji: null } });
+  assert.equal(desktop.data.githubMentions_settings.directJsonData, '[{"username":"hubot","name":"Hubot"}]');
+
+  assert.equal((await syncSettings({ storage: desktop, syncStorage, now: 3000 })).action, 'none');
+
+  desktop.data.githubMentions_settings = { ...desktop.data.githubMentions_settings, maxResults: 10 };
+  assert.equal((await syncSettings({ storage: desktop, syncStorage, now: 4000 })).action, 'push');
+  assert.equal((await syncSettings({ storage: laptop, syncStorage, now: 5000 })).action, 'pull');
+  assert.equal(laptop.data.githubMentions_settings.maxResults, 10);
+
+  const status = await getSettingsSyncStatus({ storage: laptop });
+  assert.equal(status.enabled, true);
+  assert.equal(status.syncedAt, 4000);
+});
+
+test('settings sync resolves concurrent edits with last-writer-wins and logs the conflict', async () => {
+  const syncStorage = createStorageStub();
+  const laptop = createStorageStub({ githubMentions_settings: {} });
+  const desktop = createStorageStub({ githubMentions_settings: {} });
+  await setSettingsSyncEnabled(true, { storage: laptop, syncStorage, now: 1000 });
+  await setSettingsSyncEnabled(true, { storage: desktop, syncStorage, now: 1100 });
+
+  laptop.data.githubMentions_settings = { ...laptop.data.githubMentions_settings, visibleRows: 6 };
+  await syncSettings({ storage: laptop, syncStorage, now: 2000, localChangedAt: 2000 });
+
+  desktop.data.githubMentions_settings = { ...desktop.data.githubMentions_settings, visibleRows: 8 };
+  const result = await syncSettings({ storage: desktop, syncStorage, now: 3000, localChangedAt: 1500 });
+
+  assert.deepEqual(result, { success: true, action: 'pull', conflict: true });
+  assert.equal(desktop.data.githubMentions_settings.visibleRows, 6);
+  assert.equal(desktop.data.githubMentions_syncConflicts.length, 1);
+  assert.equal(desktop.data.githubMentions_syncConflicts[0].winner, 'remote');
+});
+
+test('settings sync keeps large settings local when they exceed the sync quota', async () => {
+  const syncStorage = createStorageStub();
+  const storage = createStorageStub({
+    githubMentions_settings: { directJsonData: 'x'.repeat(150 * 1024) }
+  });
+
+  const result = await setSettingsSyncEnabled(true, { storage, syncStorage, now: 1000 });
+  assert.equal(result.success, false);
+  assert.match(result.message, /sync limit/);
+  assert.deepEqual(syncStorage.data, {});
+});
+
+test('migrateStoredSettings writes legacy settings back at the current schema version once', async () => {
+  const storage = createStorageStub({
+    githubMentions_settings: { customCommands: { ship: 'Ship it' } }
+  });
+
+  const first = await migrateStoredSettings({ storage });
+  assert.deepEqual(first, { migrated: true, fromVersion: 0, applied: [1, 2], error: null });
+  assert.deepEqual(storage.data.githubMentions_settings.customCommands, { ship: { content: 'Ship it', emoji: null } });
+  assert.equal(storage.data.githubMentions_settings.schemaVersion, 2);
+
+  assert.equal((await migrateStoredSettings({ storage })).migrated, false);
+  assert.equal((await migrateStoredSettings({ storage: createStorageStub() })).migrated, false);
+});
+
+test('settings sync does not pull settings from a newer schema version', async () => {
+  const syncStorage = createStorageStub();
+  const newer = createStorageStub({ githubMentions_settings: { maxResults: 10 } });
+  await setSettingsSyncEnabled(true, { storage: newer, syncStorage, now: 1000 });
+  const meta = syncStorage.data.githubMentions_syncMeta;
+  const snapshot = JSON.parse(syncStorage.data.githubMentions_syncChunk_0);
+  syncStorage.data.githubMentions_syncChunk_0 = JSON.stringify({ ...snapshot, schemaVersion: 99 });
+  syncStorage.data.githubMentions_syncMeta = { ...meta, updatedAt: 5000 };
+
+  const older = createStorageStub({ githubMentions_settings: { maxResults: 20 } });
+  const result = await setSettingsSyncEnabled(true, { storage: older, syncStorage, now: 6000 });
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /schema version 99/);
+  assert.equal(older.data.githubMentions_settings.maxResults, 20);
+});
+
+test('haveDirectorySettingsChanged only reacts to settings that feed the user directory', () => {
+  const settings = { dataSource: 'gui', directJsonData: '[]', customCommands: {} };
+
+  assert.equal(haveDirectorySettingsChanged(settings, { ...settings, customCommands: { ship: { content: 'Ship it' } } }), false);
+  assert.equal(haveDirectorySettingsChanged(settings, { ...settings, maxResults: 10 }), false);
+  assert.equal(haveDirectorySettingsChanged(settings, { ...settings, directJsonData: '[{"username":"octocat"}]' }), true);
+  assert.equal(haveDirectorySettingsChanged(settings, {
+    ...settings,
+    userSources: [{ id: 'partners', name: 'Partners', type: 'endpoint', url: 'https://example.com/users.json' }]
+  }), true);
+  assert.equal(haveDirectorySettingsChanged(undefined, { customCommands: {} }), false);
+});
+
+test('registerCustomHostScripts registers the content script on granted custom hosts only', async () => {
+  const calls = [];
+  let registered = [{ id: 'githubMentions_customHosts' }];
+  const scripting = {
+    async getRegisteredContentScripts(filter) {
+      calls.push(['get', filter.ids]);
+      return registered;
+    },
+    async unregisterContentScripts(filter) {
+      calls.push(['unregister', filter.ids]);
+      registered = [];
+    },
+    async registerContentScripts(scripts) {
+      calls.push(['register', scripts]);
+      registered = scripts;
+    }
+  };
+  const permissions = {
+    async contains({ origins }) {
+      return !origins[0].includes('pending.example');
+    }
+  };
+  const storage = createStorageStub({
+    githubMentions_settings: { customHosts: ['git.corp.example', 'pending.example', 'github.com'] }
+  });
+
+  const result = await registerCustomHostScripts({ storage, scripting, permissions });
+
+  assert.deepEqual(result, { hosts: ['git.corp.example'] });
+  assert.deepEqual(calls, [
+    ['get', ['githubMentions_customHosts']],
+    ['unregister', ['githubMentions_customHosts']],
+    ['register', [{
+      id: 'githubMentions_customHosts',
+      matches: ['https://git.corp.example/*', 'http://git.corp.example/*'],
+      js: ['content.bundle.js'],
+      persistAcrossSessions: true
+    }]]
+  ]);
+
+  calls.length = 0;
+  storage.data.githubMentions_settings = { customHosts: [] };
+  assert.deepEqual(await registerCustomHostScripts({ storage, scripting, permissions }), { hosts: [] });
+  assert.deepEqual(calls.map(([name]) => name), ['get', 'unregister']);
+});
+
+test('buildContextMenuItems lists directory users and custom commands on GitHub editable fields', () => {
+  const settings = {
+    customHosts: ['git.corp.example'],
+    customCommands: {
+      standup: { content: 'Standup notes', emoji: '📝', category: 'Team' },
+      ship: { content: 'Shipping it' }
+    }
+  };
+  const users = [
+    { username: 'octocat', name: 'Octo Cat' },
+    { username: 'hubot', name: 'hubot' },
+    { username: 'octocat', name: 'Duplicate' }
+  ];
+
+  const items = buildContextMenuItems(settings, users);
+
+  assert.deepEqual(items[0], {
+    id: 'githubMentions_mention',
+    title: 'Mention user…',
+    contexts: ['editable'],
+    documentUrlPatterns: ['*://*.github.com/*', 'https://git.corp.example/*', 'http://git.corp.example/*']
+  });
+  assert.deepEqual(items.slice(1).map(({ id, parentId, title }) => [id, parentId, title]), [
+    ['githubMentions_command', undefined, 'Insert command'],
+    ['githubMentions_mention:octocat', 'githubMentions_mention', '@octocat (Octo Cat)'],
+    ['githubMentions_mention:hubot', 'githubMentions_mention', '@hubot'],
+    ['githubMentions_command:standup', 'githubMentions_command', '📝 !standup'],
+    ['githubMentions_command:ship', 'githubMentions_command', '!ship']
+  ]);
+
+  const manyUsers = Array.from({ length: 60 }, (_, index) => ({ username: `user${index}` }));
+  const capped = buildContextMenuItems({ customHosts: [], customCommands: {} }, manyUsers);
+  const mentionItems = capped.filter((item) => item.parentId === 'githubMentions_mention');
+  assert.equal(mentionItems.length, 51);
+  assert.deepEqual(mentionItems.at(-1), {
+    ...mentionItems.at(-1),
+    title: '10 more; search them from the field',
+    enabled: false
+  });
+  assert.equal(capped.find((item) => item.parentId === 'githubMentions_command').enabled, false);
+});
+
+test('getContextMenuInsertMessage maps clicked items to content script messages', () => {
+  assert.deepEqual(getContextMenuInsertMessage('githubMentions_mention:octocat'), {
+    action: 'contextMenuInsert',
+    kind: 'mention',
+    username: 'octocat'
+  });
+  assert.deepEqual(getContextMenuInsertMessage('githubMentions_command:deploy:prod'), {
+    action: 'contextMenuInsert',
+    kind: 'command',
+    command: 'deploy:prod'
+  });
+  assert.equal(getContextMenuInsertMessage('githubMentions_mention'), null);
+  assert.equal(getContextMenuInsertMessage('githubMentions_command:empty'), null);
+  assert.equal(getContextMenuInsertMessage('other:item'), null);
+});
+
+test('rebuildContextMenus replaces the menu from stored settings and the user cache', async () => {
+  const storage = createStorageStub({
+    githubMentions_settings: { customCommands: { ship: { content: 'Shipping it' } } },
+    githubMentions_userCache: [{ username: 'octocat' }]
+  });
+  const calls = [];
+  const contextMenus = {
+    async removeAll() {
+      calls.push('removeAll');
+    },
+    create(item, callback) {
+      calls.push(item.id);
+      callback();
+    }
+  };
+
+  assert.deepEqual(await rebuildContextMenus({ storage, contextMenus }), { itemCount: 4 });
+  assert.deepEqual(calls, [
+    'removeAll',
+    'githubMentions_mention',
+    'githubMentions_command',
+    'githubMentions_mention:octocat',
+    'githubMentions_command:ship'
+  ]);
+});
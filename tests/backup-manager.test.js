@@ -1,18 +1,8 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-globalThis.GitHubMentionsSettings = {
-  normalizeSettings(settings) {
-    return {
-      dataSource: settings?.dataSource || 'gui',
-      directJsonData: settings?.directJsonData || '',
-      enabled: settings?.enabled !== false,
-      customCommands: settings?.customCommands || {}
-    };
-  }
-};
-
-const { buildSettingsExportPayload } = require('../browserAction/popup/backup-manager.js');
+const { SETTINGS_SCHEMA_VERSION } = require('../utils/settings.js');
+const { buildSettingsExportPayload, parseSettingsImportPayload } = require('../browserAction/popup/backup-manager.js');
 
 test('buildSettingsExportPayload produces normalized JSON export shape', () => {
   const payload = buildSettingsExportPayload({
@@ -23,5 +13,35 @@ test('buildSettingsExportPayload produces normalized JSON export shape', () => {
   assert.equal(payload.version, 1);
   assert.equal(payload.app, 'github-mentions-plus');
   assert.equal(payload.settings.dataSource, 'direct');
+  assert.equal(payload.settings.schemaVersion, SETTINGS_SCHEMA_VERSION);
   assert.ok(payload.exportedAt);
 });
+
+test('parseSettingsImportPayload migrates settings and rejects unusable backups', () => {
+  assert.deepEqual(parseSettingsImportPayload({ version: 1, settings: { dataSource: 'direct' } }).settings.dataSource, 'direct');
+  assert.equal(parseSettingsImportPayload({ version: 1 }).error, 'Invalid import file.');
+  assert.equal(parseSettingsImportPayload(null).error, 'Invalid import file.');
+  assert.match(parseSettingsImportPayload({ version: 2, settings: {} }).error, /newer version/);
+  assert.match(parseSettingsImportPayload({ version: 1, settings: { schemaVersion: SETTINGS_SCHEMA_VERSION + 1 } }).error, /Update the extension first/);
+});
+
+test('parseSettingsImportPayload upgrades string commands from old backups', () => {
+  const { settings, error } = parseSettingsImportPayload({
+    version: 1,
+    app: 'github-mentions-plus',
+    settings: {
+      dataSource: 'gui',
+      customCommands: {
+        ship: 'Ship it! :rocket:',
+        deploy: { content: 'Deploying ${1}', emoji: '🚀' }
+      }
+    }
+  });
+
+  assert.equal(error, null);
+  assert.equal(settings.schemaVersion, SETTINGS_SCHEMA_VERSION);
+  assert.deepEqual(settings.customCommands, {
+    ship: { content: 'Ship it! :rocket:', emoji: null },
+    deploy: { content: 'Deploying ${1}', emoji: '🚀' }
+  });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  findCommandPackSubscription,
+  upsertCommandPack
+} = require('../browserAction/popup/command-packs-manager.js');
+
+const packs = [
+  { id: 'remote', name: 'Review kit', url: 'https://example.com/pack.json' },
+  { id: 'local', name: 'Review kit', url: '' }
+];
+
+test('findCommandPackSubscription matches URL packs by URL and file packs by name', () => {
+  assert.equal(findCommandPackSubscription(packs, { name: 'Other' }, 'https://example.com/pack.json').id, 'remote');
+  assert.equal(findCommandPackSubscription(packs, { name: 'Review kit' }, '').id, 'local');
+  assert.equal(findCommandPackSubscription(packs, { name: 'Other' }, ''), null);
+  assert.equal(findCommandPackSubscription(undefined, { name: 'Review kit' }, ''), null);
+});
+
+test('upsertCommandPack replaces an existing pack in place or appends a new one', () => {
+  assert.deepEqual(upsertCommandPack(packs, { id: 'remote', name: 'Updated' }).map((pack) => pack.name), ['Updated', 'Review kit']);
+  assert.deepEqual(upsertCommandPack(packs, { id: 'new', name: 'New' }).map((pack) => pack.id), ['remote', 'local', 'new']);
+});
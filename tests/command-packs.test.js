@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  applyCommandPack,
+  diffCommandPack,
+  formatCommandPackDiff,
+  isCommandPackSyncDue,
+  parseCommandPack
+} = require('../utils/command-packs.js');
+
+function createPack(commands, overrides = {}) {
+  return parseCommandPack({ name: 'Review kit', version: '1.0.0', commands, ...overrides }).pack;
+}
+
+test('parseCommandPack accepts command arrays and maps', () => {
+  const fromArray = parseCommandPack({
+    name: ' Review kit ',
+    version: 2,
+    commands: [
+      { name: 'nit', content: '**nit:** ', emoji: '🧹', category: ' Review ' },
+      { name: 'deploy', content: 'Deploy ${env}', params: [{ name: 'env', default: 'staging' }] }
+    ]
+  });
+  assert.equal(fromArray.error, null);
+  assert.deepEqual(fromArray.pack, {
+    name: 'Review kit',
+    version: '2',
+    commands: {
+      nit: { content: '**nit:** ', emoji: '🧹', category: 'Review' },
+      deploy: { content: 'Deploy ${env}', emoji: null, params: [{ name: 'env', default: 'staging' }] }
+    }
+  });
+
+  const fromMap = parseCommandPack({ name: 'Kit', commands: { ship: 'Ship it' } });
+  assert.deepEqual(fromMap.pack.commands, { ship: { content: 'Ship it', emoji: null } });
+  assert.equal(fromMap.pack.version, '');
+});
+
+test('parseCommandPack rejects packs without a name, commands or valid entries', () => {
+  assert.match(parseCommandPack([]).error, /JSON object/);
+  assert.match(parseCommandPack({ commands: { ok: 'ok' } }).error, /name/);
+  assert.match(parseCommandPack({ name: 'Kit', commands: {} }).error, /no commands/);
+  assert.match(parseCommandPack({ name: 'Kit', commands: [{ name: 'bad name', content: 'x' }] }).error, /Invalid command name/);
+  assert.match(parseCommandPack({ name: 'Kit', commands: { empty: { content: '  ' } } }).error, /no content/);
+  assert.equal(
+    parseCommandPack({ name: 'Kit', commands: { review: 'PR #${pr.nubmer}' } }).error,
+    'Command "review": Unknown template variable: ${pr.nubmer}'
+  );
+  assert.match(
+    parseCommandPack({ name: 'Kit', commands: { deploy: { content: 'Deploy ${env} to $1', params: [{ name: 'env' }] } } }).error,
+    /^Command "deploy": Commands with parameters can't use numbered tab stops \(\$1\)/
+  );
+});
+
+test('diffCommandPack separates pack updates from local edits', () => {
+  const subscription = {
+    commands: {
+      nit: { content: 'nit v1', emoji: null },
+      ship: { content: 'ship v1', emoji: null }
+    }
+  };
+  const local = {
+    nit: { content: 'nit v1', emoji: null },
+    ship: { content: 'my ship', emoji: null },
+    same: 'same',
+    mine: { content: 'mine', emoji: null }
+  };
+  const pack = createPack({ nit: 'nit v2', ship: 'ship v2', same: { content: 'same', emoji: null }, mine: 'theirs', fresh: 'fresh' });
+
+  assert.deepEqual(diffCommandPack(local, pack, subscription), {
+    added: ['fresh'],
+    changed: ['nit'],
+    conflicts: ['mine', 'ship'],
+    unchanged: ['same']
+  });
+  assert.deepEqual(diffCommandPack(local, pack).conflicts, ['mine', 'nit', 'ship']);
+});
+
+test('formatCommandPackDiff summarizes the counts', () => {
+  assert.equal(formatCommandPackDiff({ added: ['a'], changed: [], conflicts: ['b'], unchanged: [] }), '1 added, 0 changed, 1 conflict');
+  assert.equal(formatCommandPackDiff({ added: [], changed: ['a'], conflicts: [], unchanged: ['b', 'c'] }), '0 added, 1 changed, 0 conflicts, 2 unchanged');
+});
+
+test('applyCommandPack keeps conflicts unless overwriting and tracks installed commands', () => {
+  const local = { ship: { content: 'my ship', emoji: null }, other: 'keep' };
+  const pack = createPack({ ship: 'ship', fresh: 'fresh' });
+
+  const kept = applyCommandPack(local, pack, { url: 'https://example.com/pack.json', autoSync: true, now: 42 });
+  assert.deepEqual(kept.customCommands, {
+    ship: { content: 'my ship', emoji: null },
+    other: 'keep',
+    fresh: { content: 'fresh', emoji: null }
+  });
+  assert.deepEqual(Object.keys(kept.subscription.commands), ['fresh']);
+  assert.match(kept.subscription.id, /^pack-/);
+  assert.equal(kept.subscription.autoSync, true);
+  assert.equal(kept.subscription.lastSynced, 42);
+  assert.deepEqual(local, { ship: { content: 'my ship', emoji: null }, other: 'keep' });
+
+  const overwritten = applyCommandPack(local, pack, { subscription: kept.subscription, overwriteConflicts: true, now: 43 });
+  assert.equal(overwritten.customCommands.ship.content, 'ship');
+  assert.deepEqual(Object.keys(overwritten.subscription.commands).sort(), ['fresh', 'ship']);
+  assert.equal(overwritten.subscription.id, kept.subscription.id);
+  assert.equal(overwritten.subscription.url, 'https://example.com/pack.json');
+
+  const fromFile = applyCommandPack({}, pack, { url: '', autoSync: true });
+  assert.equal(fromFile.subscription.autoSync, false);
+});
+
+test('isCommandPackSyncDue only schedules auto-sync URL packs once a day', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const subscription = { url: 'https://example.com/pack.json', autoSync: true, lastSynced: day };
+
+  assert.equal(isCommandPackSyncDue(subscription, day + 1000), false);
+  assert.equal(isCommandPackSyncDue(subscription, 2 * day), true);
+  assert.equal(isCommandPackSyncDue({ ...subscription, autoSync: false }, 3 * day), false);
+  assert.equal(isCommandPackSyncDue({ ...subscription, url: '' }, 3 * day), false);
+});
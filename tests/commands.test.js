@@ -4,12 +4,15 @@ const assert = require('node:assert/strict');
 const {
   CURATED_LGTM_GIFS,
   buildAvailableCommands,
+  getCommandCategoryLabel,
   applyCommandTemplate,
+  describeCommandArguments,
+  acceptsCommandArguments,
   resolveLgtmCommandResult,
   executeCommand
 } = require('../content/commands.js');
 
-const { handleKeyNavigation } = require('../utils/overlay/navigation.js');
+const { getNavigationIndex, handleKeyNavigation } = require('../utils/overlay/navigation.js');
 
 test('buildAvailableCommands lists custom commands first in alphabetical order, then built-ins', () => {
   const commands = buildAvailableCommands({
@@ -42,7 +45,22 @@ test('buildAvailableCommands lists custom commands first in alphabetical order,
     description: 'Last one...',
     emoji: '🦓'
   });
-  assert.equal(commands[3].command, 'lgtmrand');
+  assert.deepEqual(commands.slice(3).map((command) => command.command), ['lgtmfav', 'lgtmrand']);
+});
+
+test('buildAvailableCommands keeps every command and orders them by category', () => {
+  const customCommands = Object.fromEntries(Array.from({ length: 12 }, (_, index) => [`cmd${String(index).padStart(2, '0')}`, 'x']));
+  customCommands.ship = { content: 'Shipping', category: 'Release' };
+
+  const commands = buildAvailableCommands(customCommands);
+  assert.equal(commands.length, 15);
+  assert.deepEqual(commands[0], { command: 'ship', description: 'Shipping...', emoji: null, category: 'Release' });
+  assert.equal(commands[14].command, 'lgtmrand');
+
+  assert.equal(getCommandCategoryLabel(commands[1], commands), 'Uncategorized');
+  assert.equal(getCommandCategoryLabel(commands[13], commands), 'Built-in');
+  const uncategorized = buildAvailableCommands({ review: 'x' });
+  assert.equal(getCommandCategoryLabel(uncategorized[0], uncategorized), null);
 });
 
 test('applyCommandTemplate replaces supported variables', () => {
@@ -53,6 +71,25 @@ test('applyCommandTemplate replaces supported variables', () => {
   assert.ok(rendered.length > '${timestamp} ${date} ${time}'.length);
 });
 
+test('applyCommandTemplate resolves page context and warns about unknown variables', () => {
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+
+  try {
+    const rendered = applyCommandTemplate('Reviewed ${owner}/${repo}#${pr.number} ${reviewer}', new Date(), {
+      owner: 'octo',
+      repo: 'hello',
+      prNumber: '42'
+    });
+
+    assert.equal(rendered, 'Reviewed octo/hello#42 ${reviewer}');
+    assert.deepEqual(warnings, ['[GitHub Mentions+] Unknown template variable: ${reviewer}']);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
 test('executeCommand replaces the full @! trigger including the at sign', async () => {
   const input = {
     value: 'Please check @!review',
@@ -73,6 +110,105 @@ test('executeCommand replaces the full @! trigger including the at sign', async
   assert.equal(input.value, 'Please check approved');
 });
 
+function createTextInput(value) {
+  return {
+    value,
+    selectionStart: value.length,
+    selectionEnd: value.length,
+    dispatchEvent() {}
+  };
+}
+
+const deployCommands = {
+  customCommands: {
+    deploy: {
+      content: 'Deploying ${2} to ${env}',
+      params: [{ name: 'env' }, { name: 'version', default: 'latest' }]
+    }
+  }
+};
+
+test('executeCommand fills parameters from parenthesized and space-separated arguments', async () => {
+  const paren = createTextInput('Ship @!deploy(staging, v1.2)');
+  assert.equal(await executeCommand('deploy', paren, deployCommands), true);
+  assert.equal(paren.value, 'Ship Deploying v1.2 to staging');
+
+  const spaced = createTextInput('Ship @!deploy prod');
+  assert.equal(await executeCommand('deploy', spaced, deployCommands), true);
+  assert.equal(spaced.value, 'Ship Deploying latest to prod');
+});
+
+test('executeCommand opens the argument list instead of inserting without required arguments', async () => {
+  const input = createTextInput('Ship @!dep');
+  assert.equal(await executeCommand('deploy', input, deployCommands), true);
+  assert.equal(input.value, 'Ship @!deploy(');
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const blank = createTextInput('Ship @!deploy(, v2)');
+    assert.equal(await executeCommand('deploy', blank, deployCommands), false);
+    assert.equal(blank.value, 'Ship @!deploy(, v2)');
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test('executeCommand follows the configured command trigger', async () => {
+  const settings = {
+    ...deployCommands,
+    triggers: { mention: { sequence: ';;' }, command: { sequence: '/', lineStart: true } }
+  };
+
+  const spaced = createTextInput('Notes\n/deploy prod');
+  assert.equal(await executeCommand('deploy', spaced, settings), true);
+  assert.equal(spaced.value, 'Notes\nDeploying latest to prod');
+
+  const partial = createTextInput('/dep');
+  assert.equal(await executeCommand('deploy', partial, settings), true);
+  assert.equal(partial.value, '/deploy(');
+
+  const inline = createTextInput('Ship @!deploy prod');
+  assert.equal(await executeCommand('deploy', inline, settings), false);
+  assert.equal(inline.value, 'Ship @!deploy prod');
+});
+
+test('executeCommand selects the first tab stop and keeps substituted dollars literal', async () => {
+  const input = createTextInput('Notes @!notes');
+  const success = await executeCommand('notes', input, {
+    customCommands: {
+      notes: { content: '${1:Summary} for ${reason}: $2', params: [{ name: 'reason', default: 'a $5 fix' }] }
+    }
+  });
+
+  assert.equal(success, true);
+  assert.equal(input.value, 'Notes Summary for a $5 fix: ');
+  assert.deepEqual([input.selectionStart, input.selectionEnd], [6, 13]);
+});
+
+test('describeCommandArguments shows the signature and missing arguments', () => {
+  const [deploy] = buildAvailableCommands(deployCommands.customCommands);
+
+  assert.deepEqual(describeCommandArguments(deploy, null), { hint: '(env, version=latest)', error: null });
+  assert.deepEqual(describeCommandArguments(deploy, []), {
+    hint: '(env, version=latest)',
+    error: 'Missing required argument: env'
+  });
+  assert.deepEqual(describeCommandArguments({ command: 'lgtmrand' }, ['x']), { hint: null, error: null });
+});
+
+test('acceptsCommandArguments stops taking space-separated arguments once every parameter is filled', () => {
+  const [deploy] = buildAvailableCommands(deployCommands.customCommands);
+  const space = (args, argumentEnded = false) => ({ command: 'deploy', args, form: 'space', argumentEnded });
+
+  assert.equal(acceptsCommandArguments(deploy, space(['prod'], true)), true);
+  assert.equal(acceptsCommandArguments(deploy, space(['prod', 'v2'])), true);
+  assert.equal(acceptsCommandArguments(deploy, space(['prod', 'v2'], true)), false);
+  assert.equal(acceptsCommandArguments(deploy, space(['prod', 'v2', 'please'])), false);
+  assert.equal(acceptsCommandArguments(deploy, { command: 'deploy', args: ['prod', 'v2', 'x'], form: 'paren', argumentEnded: false }), true);
+  assert.equal(acceptsCommandArguments({ command: 'lgtmrand' }, space(['thanks'])), false);
+});
+
 test('resolveLgtmCommandResult falls back to curated content when background messaging fails', async () => {
   globalThis.chrome = {
     runtime: {
@@ -98,6 +234,33 @@ test('resolveLgtmCommandResult falls back to curated content when background mes
   }
 });
 
+test('resolveLgtmCommandResult skips banned images in the curated fallback', async () => {
+  globalThis.chrome = {
+    runtime: {
+      lastError: { message: 'No receiving end' },
+      sendMessage(_message, callback) {
+        callback(undefined);
+      }
+    }
+  };
+  globalThis.GitHubMentionsStorage = {
+    async getLgtmHistory() {
+      return [{ url: CURATED_LGTM_GIFS[0], repo: 'octo/repo', timestamp: 1, banned: true }];
+    }
+  };
+
+  const originalRandom = Math.random;
+  Math.random = () => 0;
+
+  try {
+    const result = await resolveLgtmCommandResult();
+    assert.equal(result.imageUrl, CURATED_LGTM_GIFS[1]);
+  } finally {
+    Math.random = originalRandom;
+    delete globalThis.GitHubMentionsStorage;
+  }
+});
+
 test('executeCommand inserts curated LGTM fallback when runtime request fails', async () => {
   globalThis.chrome = {
     runtime: {
@@ -199,6 +362,139 @@ test('executeCommand replaces only the matching LGTM placeholder after async res
   assert.equal(input.selectionEnd, input.value.length);
 });
 
+function createContentEditable(text) {
+  const selection = {
+    ranges: [],
+    get rangeCount() {
+      return this.ranges.length;
+    },
+    getRangeAt(index) {
+      return this.ranges[index];
+    },
+    removeAllRanges() {
+      this.ranges = [];
+    },
+    addRange(range) {
+      this.ranges.push(range);
+    }
+  };
+  const ownerDocument = {
+    getSelection() {
+      return selection;
+    },
+    createRange() {
+      return {
+        setStart(node, offset) {
+          this.startContainer = node;
+          this.startOffset = offset;
+        },
+        setEnd(node, offset) {
+          this.endContainer = node;
+          this.endOffset = offset;
+        }
+      };
+    }
+  };
+  const input = {
+    nodeType: 1,
+    nodeName: 'DIV',
+    ownerDocument,
+    childNodes: [],
+    matches(selector) {
+      return selector === '[contenteditable="true"]';
+    },
+    contains(node) {
+      return node === input || input.childNodes.includes(node);
+    },
+    dispatchEvent() {}
+  };
+  const textNode = { nodeType: 3, nodeName: '#text', data: text, parentNode: input };
+  input.childNodes.push(textNode);
+
+  const range = ownerDocument.createRange();
+  range.setStart(textNode, text.length);
+  range.setEnd(textNode, text.length);
+  selection.addRange(range);
+
+  return { input, textNode, selection };
+}
+
+test('executeCommand asks for a favorite for lgtmfav and drops the placeholder when there is none', async () => {
+  let sentMessage;
+  let resolver;
+  globalThis.chrome = {
+    runtime: {
+      lastError: null,
+      sendMessage(message, callback) {
+        sentMessage = message;
+        resolver = callback;
+      }
+    }
+  };
+
+  const input = {
+    value: 'Please check @!lgtmfav',
+    selectionStart: 'Please check @!lgtmfav'.length,
+    selectionEnd: 'Please check @!lgtmfav'.length,
+    dispatchEvent() {},
+    matches(selector) {
+      return selector === 'textarea';
+    }
+  };
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(await executeCommand('lgtmfav', input, {}), true);
+    assert.equal(sentMessage.action, 'pickFavoriteLGTM');
+
+    resolver({ success: false, message: 'No favorite LGTM images yet' });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(input.value, 'Please check ');
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test('executeCommand replaces the trigger inside contenteditable editors', async () => {
+  const { input, textNode, selection } = createContentEditable('Please check @!review');
+
+  const success = await executeCommand('review', input, {
+    customCommands: {
+      review: {
+        content: 'approved'
+      }
+    }
+  });
+
+  assert.equal(success, true);
+  assert.equal(textNode.data, 'Please check approved');
+  assert.equal(selection.getRangeAt(0).startOffset, 'Please check approved'.length);
+});
+
+test('executeCommand resolves the LGTM placeholder inside contenteditable editors', async () => {
+  let resolver;
+  globalThis.chrome = {
+    runtime: {
+      lastError: null,
+      sendMessage(_message, callback) {
+        resolver = callback;
+      }
+    }
+  };
+
+  const { input, textNode } = createContentEditable('Please check @!lgtmrand');
+
+  const success = await executeCommand('lgtmrand', input, {});
+  assert.equal(success, true);
+  assert.match(textNode.data, /^Please check <!-- GHMP_LGTM:[a-z0-9-]+ -->$/);
+
+  resolver({ success: true, imageUrl: 'https://example.com/lgtm.gif' });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(textNode.data, 'Please check ![LGTM](https://example.com/lgtm.gif)');
+});
+
 function createNavigationEnvironment(items) {
   globalThis.GitHubMentionsOverlay = {
     state: {
@@ -245,3 +541,29 @@ test('navigation selects commands on plain enter', () => {
     item: { username: 'review', name: 'Review', isCommand: true }
   });
 });
+
+test('getNavigationIndex wraps arrows and clamps page and Home/End keys', () => {
+  assert.equal(getNavigationIndex('ArrowDown', 9, 10, 4), 0);
+  assert.equal(getNavigationIndex('ArrowUp', 0, 10, 4), 9);
+  assert.equal(getNavigationIndex('PageDown', 3, 10, 4), 7);
+  assert.equal(getNavigationIndex('PageDown', 8, 10, 4), 9);
+  assert.equal(getNavigationIndex('PageUp', 2, 10, 4), 0);
+  assert.equal(getNavigationIndex('Home', 6, 10, 4), 0);
+  assert.equal(getNavigationIndex('End', 1, 10, 4), 9);
+  assert.equal(getNavigationIndex('Tab', 1, 10, 4), null);
+});
+
+test('navigation moves a page at a time with PageDown', () => {
+  createNavigationEnvironment(Array.from({ length: 10 }, (_, index) => ({ username: `user${index}` })));
+  globalThis.GitHubMentionsOverlay.state.visibleRows = 4;
+
+  const action = handleKeyNavigation(createEnterEvent({ key: 'PageDown' }));
+  assert.deepEqual(action, { type: 'move' });
+  assert.equal(globalThis.GitHubMentionsOverlay.state.selectedIndex, 4);
+});
+
+test('navigation closes the list on Alt+ArrowUp', () => {
+  createNavigationEnvironment([{ username: 'octocat' }, { username: 'hubot' }]);
+  const action = handleKeyNavigation(createEnterEvent({ key: 'ArrowUp', altKey: true }));
+  assert.deepEqual(action, { type: 'close' });
+});
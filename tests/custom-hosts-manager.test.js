@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../utils/settings.js');
+const { addCustomHost } = require('../browserAction/popup/custom-hosts-manager.js');
+
+test('addCustomHost normalizes the input and appends new hosts', () => {
+  assert.deepEqual(addCustomHost(['ghe.example.org'], 'https://Git.Corp.Example/org'), {
+    hosts: ['ghe.example.org', 'git.corp.example'],
+    host: 'git.corp.example',
+    error: null
+  });
+});
+
+test('addCustomHost rejects invalid, github.com and duplicate hosts', () => {
+  assert.match(addCustomHost([], 'github.com').error, /already supported/);
+  assert.match(addCustomHost([], 'git.corp.example:8443').error, /hostname/);
+  assert.deepEqual(addCustomHost(['git.corp.example'], 'git.corp.example'), {
+    hosts: ['git.corp.example'],
+    host: 'git.corp.example',
+    error: 'git.corp.example is already added'
+  });
+});
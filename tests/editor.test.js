@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isContentEditableInput,
+  getEditorText,
+  getEditorSelection,
+  getCaretOffset,
+  setEditorSelection,
+  replaceEditorRange
+} = require('../content/editor.js');
+
+function createFakeDocument() {
+  const selection = {
+    ranges: [],
+    get rangeCount() {
+      return this.ranges.length;
+    },
+    getRangeAt(index) {
+      return this.ranges[index];
+    },
+    removeAllRanges() {
+      this.ranges = [];
+    },
+    addRange(range) {
+      this.ranges.push(range);
+    }
+  };
+
+  const ownerDocument = {
+    selection,
+    getSelection() {
+      return selection;
+    },
+    createRange() {
+      return {
+        setStart(node, offset) {
+          this.startContainer = node;
+          this.startOffset = offset;
+        },
+        setEnd(node, offset) {
+          this.endContainer = node;
+          this.endOffset = offset;
+        }
+      };
+    },
+    createTextNode(data) {
+      return { nodeType: 3, nodeName: '#text', data, parentNode: null, ownerDocument };
+    }
+  };
+
+  return ownerDocument;
+}
+
+function createElement(ownerDocument, nodeName, children = [], attributes = {}) {
+  const element = {
+    nodeType: 1,
+    nodeName,
+    childNodes: [],
+    parentNode: null,
+    ownerDocument,
+    events: [],
+    matches(selector) {
+      if (selector === 'textarea') {
+        return nodeName === 'TEXTAREA';
+      }
+      return selector === '[contenteditable="true"]' && attributes.contenteditable === 'true';
+    },
+    contains(node) {
+      for (let current = node; current; current = current.parentNode) {
+        if (current === element) {
+          return true;
+        }
+      }
+      return false;
+    },
+    appendChild(child) {
+      return element.insertBefore(child, null);
+    },
+    insertBefore(child, reference) {
+      child.parentNode = element;
+      const index = reference ? element.childNodes.indexOf(reference) : -1;
+      if (index === -1) {
+        element.childNodes.push(child);
+      } else {
+        element.childNodes.splice(index, 0, child);
+      }
+      return child;
+    },
+    removeChild(child) {
+      element.childNodes.splice(element.childNodes.indexOf(child), 1);
+      child.parentNode = null;
+      return child;
+    },
+    dispatchEvent(event) {
+      element.events.push(event.type);
+    }
+  };
+
+  children.forEach((child) => element.appendChild(
+    typeof child === 'string' ? ownerDocument.createTextNode(child) : child
+  ));
+  return element;
+}
+
+function createEditable(ownerDocument, children) {
+  return createElement(ownerDocument, 'DIV', children, { contenteditable: 'true' });
+}
+
+function placeCaret(ownerDocument, node, offset) {
+  const range = ownerDocument.createRange();
+  range.setStart(node, offset);
+  range.setEnd(node, offset);
+  ownerDocument.selection.removeAllRanges();
+  ownerDocument.selection.addRange(range);
+}
+
+function createTextarea(value, selectionStart = value.length) {
+  const events = [];
+  return {
+    value,
+    selectionStart,
+    selectionEnd: selectionStart,
+    events,
+    matches(selector) {
+      return selector === 'textarea';
+    },
+    dispatchEvent(event) {
+      events.push(event.type);
+    }
+  };
+}
+
+test('isContentEditableInput distinguishes textareas from contenteditable nodes', () => {
+  const ownerDocument = createFakeDocument();
+  assert.equal(isContentEditableInput(createTextarea('')), false);
+  assert.equal(isContentEditableInput(createEditable(ownerDocument, [])), true);
+});
+
+test('textarea editing replaces a range and moves the caret after the replacement', () => {
+  const input = createTextarea('Hi @@oc there', 'Hi @@oc'.length);
+
+  assert.equal(getEditorText(input), 'Hi @@oc there');
+  assert.equal(getCaretOffset(input), 7);
+
+  replaceEditorRange(input, 3, 7, '@octocat ');
+
+  assert.equal(input.value, 'Hi @octocat  there');
+  assert.equal(input.selectionStart, 12);
+  assert.equal(input.selectionEnd, 12);
+  assert.deepEqual(input.events, ['input']);
+});
+
+test('contenteditable text counts line breaks and nested elements', () => {
+  const ownerDocument = createFakeDocument();
+  const strong = createElement(ownerDocument, 'STRONG', ['bold']);
+  const input = createEditable(ownerDocument, [
+    'one',
+    createElement(ownerDocument, 'BR'),
+    strong,
+    ' two'
+  ]);
+
+  assert.equal(getEditorText(input), 'one\nbold two');
+
+  placeCaret(ownerDocument, input.childNodes[3], 2);
+  assert.deepEqual(getEditorSelection(input), { start: 10, end: 10 });
+
+  placeCaret(ownerDocument, input, 2);
+  assert.equal(getCaretOffset(input), 4);
+});
+
+test('contenteditable selection outside the editor is ignored', () => {
+  const ownerDocument = createFakeDocument();
+  const input = createEditable(ownerDocument, ['text']);
+  const other = createEditable(ownerDocument, ['other']);
+
+  placeCaret(ownerDocument, other.childNodes[0], 1);
+  assert.equal(getEditorSelection(input), null);
+});
+
+test('contenteditable editing replaces text across nodes and places the caret', () => {
+  const ownerDocument = createFakeDocument();
+  const input = createEditable(ownerDocument, [
+    'Hi @@',
+    createElement(ownerDocument, 'SPAN', ['oc']),
+    ' there'
+  ]);
+  placeCaret(ownerDocument, input.childNodes[1].childNodes[0], 2);
+
+  replaceEditorRange(input, 3, 7, '@octocat ');
+
+  assert.equal(getEditorText(input), 'Hi @octocat  there');
+  assert.deepEqual(getEditorSelection(input), { start: 12, end: 12 });
+  assert.deepEqual(input.events, ['input']);
+});
+
+test('contenteditable editing removes line breaks inside the range', () => {
+  const ownerDocument = createFakeDocument();
+  const input = createEditable(ownerDocument, [
+    'a',
+    createElement(ownerDocument, 'BR'),
+    'b'
+  ]);
+
+  replaceEditorRange(input, 1, 2, ' ');
+
+  assert.equal(getEditorText(input), 'a b');
+  assert.equal(input.childNodes.some((node) => node.nodeName === 'BR'), false);
+});
+
+test('contenteditable editing inserts a text node into an empty editor', () => {
+  const ownerDocument = createFakeDocument();
+  const input = createEditable(ownerDocument, []);
+  setEditorSelection(input, 0);
+
+  replaceEditorRange(input, 0, 0, '@octocat ');
+
+  assert.equal(getEditorText(input), '@octocat ');
+  assert.equal(getCaretOffset(input), 9);
+});
+
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidEndpointUrl } = require('../utils/settings.js');
+const { getLgtmProviderValidationError } = require('../browserAction/popup/lgtm-providers-manager.js');
+
+test('getLgtmProviderValidationError checks endpoint and list urls', () => {
+  assert.equal(getLgtmProviderValidationError({ type: 'reloaded' }, isValidEndpointUrl), null);
+  assert.equal(getLgtmProviderValidationError({ type: 'endpoint', url: 'https://example.com/lgtm.json', imagePath: 'imageUrl' }, isValidEndpointUrl), null);
+  assert.match(getLgtmProviderValidationError({ type: 'endpoint', url: 'ftp://example.com', imagePath: 'imageUrl' }, isValidEndpointUrl), /http\(s\) URL/);
+  assert.match(getLgtmProviderValidationError({ type: 'list', urls: [] }, isValidEndpointUrl), /at least one URL/);
+  assert.match(getLgtmProviderValidationError({ type: 'list', urls: ['https://example.com/a.gif', 'nope'] }, isValidEndpointUrl), /"nope"/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MAX_LGTM_HISTORY,
+  getBannedLgtmUrls,
+  getFavoriteLgtmUrls,
+  normalizeLgtmHistory,
+  readResponseField,
+  recordLgtmHistory,
+  removeLgtmHistoryEntry,
+  updateLgtmHistoryEntry
+} = require('../utils/lgtm.js');
+
+test('readResponseField follows dotted and indexed paths', () => {
+  const data = { data: { images: [{ url: 'a.gif' }] } };
+  assert.equal(readResponseField(data, 'data.images[0].url'), 'a.gif');
+  assert.equal(readResponseField(data, 'data.images.0.url'), 'a.gif');
+  assert.equal(readResponseField(data, 'data.missing.url'), undefined);
+});
+
+test('recordLgtmHistory moves repeats to the top and keeps their flags', () => {
+  const history = [
+    { url: 'a.gif', repo: 'acme/app', timestamp: 2, favorite: true },
+    { url: 'b.gif', repo: 'acme/app', timestamp: 1 }
+  ];
+
+  assert.deepEqual(recordLgtmHistory(history, { url: 'b.gif', repo: 'acme/web', timestamp: 3 }), [
+    { url: 'b.gif', repo: 'acme/web', timestamp: 3, favorite: false, banned: false },
+    { url: 'a.gif', repo: 'acme/app', timestamp: 2, favorite: true, banned: false }
+  ]);
+  assert.deepEqual(recordLgtmHistory(history, { url: 'a.gif', timestamp: 4 })[0].favorite, true);
+});
+
+test('recordLgtmHistory trims the oldest entries that are neither favorite nor banned', () => {
+  const history = Array.from({ length: MAX_LGTM_HISTORY }, (_, index) => ({
+    url: `${index}.gif`,
+    timestamp: MAX_LGTM_HISTORY - index,
+    favorite: index === MAX_LGTM_HISTORY - 1
+  }));
+
+  const next = recordLgtmHistory(history, { url: 'new.gif', timestamp: 1000 });
+  assert.equal(next.length, MAX_LGTM_HISTORY);
+  assert.equal(next[0].url, 'new.gif');
+  assert.equal(next.at(-1).url, `${MAX_LGTM_HISTORY - 1}.gif`);
+  assert.equal(next.some((entry) => entry.url === `${MAX_LGTM_HISTORY - 2}.gif`), false);
+});
+
+test('favorite and banned are exclusive and entries can be removed', () => {
+  const history = normalizeLgtmHistory([{ url: 'a.gif', timestamp: 1 }, { url: 'a.gif', timestamp: 0 }, { url: '' }]);
+  assert.equal(history.length, 1);
+
+  const favorited = updateLgtmHistoryEntry(history, 'a.gif', { favorite: true });
+  assert.deepEqual(getFavoriteLgtmUrls(favorited), ['a.gif']);
+
+  const banned = updateLgtmHistoryEntry(favorited, 'a.gif', { banned: true });
+  assert.deepEqual(getFavoriteLgtmUrls(banned), []);
+  assert.deepEqual(getBannedLgtmUrls(banned), ['a.gif']);
+  assert.deepEqual(getBannedLgtmUrls(updateLgtmHistoryEntry(banned, 'a.gif', { favorite: true })), []);
+
+  assert.deepEqual(removeLgtmHistoryEntry(banned, 'a.gif'), []);
+});
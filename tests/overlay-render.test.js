@@ -2,6 +2,17 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 
 const {
+  announce,
+  attachCombobox,
+  detachCombobox,
+  formatResultCountAnnouncement,
+  getListboxLabel,
+  formatMemberCount,
+  formatMoreResults,
+  getAvatarUrl,
+  getOverlayLayout,
+  groupOverlayItems,
+  splitByMatchRanges,
   getScopedOverlayHost,
   isChangesOverlayPath
 } = require('../utils/overlay/render.js');
@@ -78,3 +89,164 @@ test('getScopedOverlayHost returns null without a matching ancestor', () => {
 
   assert.equal(getScopedOverlayHost(textarea), null);
 });
+
+test('formatMemberCount pluralizes the group member label', () => {
+  assert.equal(formatMemberCount(1), '1 member');
+  assert.equal(formatMemberCount(3), '3 members');
+});
+
+test('getOverlayLayout caps rendered rows and counts truncated matches', () => {
+  const users = Array.from({ length: 12 }, (_, index) => ({ username: `user${index}` }));
+
+  const layout = getOverlayLayout(users, { visibleRows: 5, maxResults: 8 });
+  assert.equal(layout.items.length, 8);
+  assert.equal(layout.visibleRows, 5);
+  assert.equal(layout.hiddenCount, 4);
+  assert.equal(formatMoreResults(layout.hiddenCount), '4 more…');
+
+  const short = getOverlayLayout(users.slice(0, 2), {});
+  assert.equal(short.items.length, 2);
+  assert.equal(short.visibleRows, 2);
+  assert.equal(short.hiddenCount, 0);
+
+  // The search already kept only the shown rows; the rest are still counted
+  const preselected = getOverlayLayout(users.slice(0, 8), { maxResults: 8, totalCount: 300 });
+  assert.equal(preselected.items.length, 8);
+  assert.equal(preselected.hiddenCount, 292);
+});
+
+function createAttributeNode(initialAttributes = {}) {
+  const attributes = { ...initialAttributes };
+  return {
+    attributes,
+    getAttribute(name) {
+      return Object.hasOwn(attributes, name) ? attributes[name] : null;
+    },
+    setAttribute(name, value) {
+      attributes[name] = String(value);
+    },
+    removeAttribute(name) {
+      delete attributes[name];
+    }
+  };
+}
+
+function resetOverlayState() {
+  globalThis.GitHubMentionsOverlay.state = {
+    comboboxInput: null,
+    savedComboboxAttributes: null,
+    liveRegion: null,
+    lastAnnouncement: null
+  };
+}
+
+test('attachCombobox wires the input to the listbox and detach restores prior values', () => {
+  resetOverlayState();
+  const input = createAttributeNode({ 'aria-expanded': 'false', 'aria-controls': 'github-owned-list' });
+
+  attachCombobox(input);
+  assert.deepEqual(input.attributes, {
+    role: 'combobox',
+    'aria-expanded': 'true',
+    'aria-controls': 'github-mentions-listbox',
+    'aria-autocomplete': 'list'
+  });
+
+  input.setAttribute('aria-activedescendant', 'github-mentions-option-2');
+  detachCombobox();
+  assert.deepEqual(input.attributes, {
+    'aria-expanded': 'false',
+    'aria-controls': 'github-owned-list'
+  });
+});
+
+test('attachCombobox releases the previous input when focus moves to another one', () => {
+  resetOverlayState();
+  const first = createAttributeNode();
+  const second = createAttributeNode();
+
+  attachCombobox(first);
+  attachCombobox(second);
+
+  assert.deepEqual(first.attributes, {});
+  assert.equal(second.attributes.role, 'combobox');
+  assert.equal(second.attributes['aria-expanded'], 'true');
+});
+
+test('announce writes to a polite live region and skips repeated messages', () => {
+  resetOverlayState();
+  const appended = [];
+  globalThis.document = {
+    body: {
+      appendChild(node) {
+        appended.push(node);
+        node.isConnected = true;
+      }
+    },
+    createElement() {
+      return { ...createAttributeNode(), style: {}, textContent: '' };
+    }
+  };
+
+  announce('3 suggestions available.');
+  announce('3 suggestions available.');
+
+  assert.equal(appended.length, 1);
+  assert.equal(appended[0].attributes.role, 'status');
+  assert.equal(appended[0].attributes['aria-live'], 'polite');
+  assert.equal(appended[0].textContent, '3 suggestions available.');
+
+  announce('1 suggestion available.');
+  assert.equal(appended.length, 1);
+  assert.equal(appended[0].textContent, '1 suggestion available.');
+});
+
+test('result count announcements mention truncated matches', () => {
+  assert.equal(formatResultCountAnnouncement(1), '1 suggestion available. Use up and down arrows to choose.');
+  assert.equal(formatResultCountAnnouncement(50, 12), '50 suggestions shown, 12 more. Use up and down arrows to choose.');
+});
+
+test('getListboxLabel distinguishes commands from mentions', () => {
+  assert.equal(getListboxLabel([{ isCommand: true }]), 'Command suggestions');
+  assert.equal(getListboxLabel([{ username: 'octocat' }, { isCommand: true }]), 'Mention suggestions');
+});
+
+test('splitByMatchRanges separates matched segments and honors a prefix offset', () => {
+  assert.deepEqual(splitByMatchRanges('Bob Jones', [[4, 6]]), [
+    { text: 'Bob ', matched: false },
+    { text: 'Jo', matched: true },
+    { text: 'nes', matched: false }
+  ]);
+  assert.deepEqual(splitByMatchRanges('!lgtm', [[0, 4]], 1), [
+    { text: '!', matched: false },
+    { text: 'lgtm', matched: true }
+  ]);
+  assert.deepEqual(splitByMatchRanges('octocat'), [{ text: 'octocat', matched: false }]);
+});
+
+test('groupOverlayItems splits consecutive categories and leaves plain lists untitled', () => {
+  const groups = groupOverlayItems([
+    { username: 'deploy', category: 'Release' },
+    { username: 'ship', category: 'Release' },
+    { username: 'lgtmrand', category: 'Built-in' }
+  ]);
+
+  assert.deepEqual(groups.map(({ category, entries }) => [category, entries.map(({ index }) => index)]), [
+    ['Release', [0, 1]],
+    ['Built-in', [2]]
+  ]);
+  assert.deepEqual(groupOverlayItems([{ username: 'a' }, { username: 'b' }]).map(({ category }) => category), [null]);
+});
+
+test('getAvatarUrl falls back to the avatar route of the current GitHub host', () => {
+  const user = { username: 'octocat' };
+
+  assert.equal(getAvatarUrl({ ...user, avatar: 'https://example.com/a.png' }), 'https://example.com/a.png');
+  assert.equal(getAvatarUrl(user, { hostname: 'github.com', origin: 'https://github.com' }), 'https://github.com/octocat.png');
+  assert.equal(getAvatarUrl(user, { hostname: 'gist.github.com', origin: 'https://gist.github.com' }), 'https://github.com/octocat.png');
+  assert.equal(
+    getAvatarUrl(user, { hostname: 'git.corp.example', origin: 'https://git.corp.example' }),
+    'https://git.corp.example/octocat.png'
+  );
+  assert.equal(getAvatarUrl(user, null), 'https://github.com/octocat.png');
+});
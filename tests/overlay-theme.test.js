@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  THEME_ATTRIBUTES,
+  THEME_PALETTES,
+  getGitHubThemeName,
+  getPaletteForTheme,
+  observeThemeChanges
+} = require('../utils/overlay/theme.js');
+
+function createRootElement(attributes = {}) {
+  return {
+    getAttribute(name) {
+      return Object.hasOwn(attributes, name) ? attributes[name] : null;
+    }
+  };
+}
+
+test('getGitHubThemeName follows an explicit GitHub color mode over the OS preference', () => {
+  const root = createRootElement({
+    'data-color-mode': 'light',
+    'data-light-theme': 'light_high_contrast',
+    'data-dark-theme': 'dark_dimmed'
+  });
+
+  assert.equal(getGitHubThemeName(root, true), 'light_high_contrast');
+  assert.equal(getGitHubThemeName(createRootElement({
+    'data-color-mode': 'dark',
+    'data-dark-theme': 'dark_dimmed'
+  }), false), 'dark_dimmed');
+});
+
+test('getGitHubThemeName uses the OS preference in auto mode and without attributes', () => {
+  const root = createRootElement({
+    'data-color-mode': 'auto',
+    'data-light-theme': 'light_tritanopia',
+    'data-dark-theme': 'dark_high_contrast'
+  });
+
+  assert.equal(getGitHubThemeName(root, true), 'dark_high_contrast');
+  assert.equal(getGitHubThemeName(root, false), 'light_tritanopia');
+  assert.equal(getGitHubThemeName(createRootElement(), true), 'dark');
+  assert.equal(getGitHubThemeName(null, false), 'light');
+});
+
+test('getPaletteForTheme covers colorblind variants and unknown future themes', () => {
+  assert.equal(getPaletteForTheme('dark_dimmed').background, THEME_PALETTES.dark_dimmed.background);
+  assert.deepEqual(getPaletteForTheme('dark_colorblind'), { themeName: 'dark_colorblind', ...THEME_PALETTES.dark });
+  assert.deepEqual(getPaletteForTheme('light_tritanopia'), { themeName: 'light_tritanopia', ...THEME_PALETTES.light });
+  assert.equal(getPaletteForTheme('dark_future').isDarkMode, true);
+  assert.equal(getPaletteForTheme('sepia').isDarkMode, false);
+});
+
+test('observeThemeChanges watches theme attributes and the OS color scheme', () => {
+  const observers = [];
+  const mediaListeners = new Set();
+  globalThis.document = { documentElement: createRootElement() };
+  globalThis.MutationObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.disconnected = false;
+      observers.push(this);
+    }
+
+    observe(target, options) {
+      this.target = target;
+      this.options = options;
+    }
+
+    disconnect() {
+      this.disconnected = true;
+    }
+  };
+  globalThis.matchMedia = () => ({
+    matches: false,
+    addEventListener(_type, listener) {
+      mediaListeners.add(listener);
+    },
+    removeEventListener(_type, listener) {
+      mediaListeners.delete(listener);
+    }
+  });
+
+  let changes = 0;
+  const stop = observeThemeChanges(() => {
+    changes += 1;
+  });
+
+  assert.equal(observers[0].target, globalThis.document.documentElement);
+  assert.deepEqual(observers[0].options, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+
+  observers[0].callback([]);
+  mediaListeners.forEach((listener) => listener());
+  assert.equal(changes, 2);
+
+  stop();
+  assert.equal(observers[0].disconnected, true);
+  assert.equal(mediaListeners.size, 0);
+});
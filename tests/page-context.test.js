@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPageContext } = require('../content/page-context.js');
+
+function createDocument(title, texts = {}) {
+  return {
+    title,
+    querySelector(selector) {
+      return Object.hasOwn(texts, selector) ? { textContent: texts[selector] } : null;
+    }
+  };
+}
+
+test('getPageContext reads pull request details from the page', () => {
+  const doc = createDocument('ignored', {
+    '.js-issue-title': '\n  Fix   login\n',
+    '.gh-header-meta .author': 'mona',
+    '.gh-header-meta .head-ref': 'mona:fix-login'
+  });
+
+  assert.deepEqual(getPageContext(doc, { href: 'https://github.com/octo/hello/pull/42' }), {
+    url: 'https://github.com/octo/hello/pull/42',
+    owner: 'octo',
+    repo: 'hello',
+    prNumber: '42',
+    issueNumber: '',
+    branch: 'fix-login',
+    prTitle: 'Fix login',
+    prAuthor: 'mona'
+  });
+});
+
+test('getPageContext falls back to the document title for pull requests', () => {
+  const doc = createDocument('Fix login by dependabot[bot] · Pull Request #42 · octo/hello');
+  const context = getPageContext(doc, { href: 'https://github.com/octo/hello/pull/42/files' });
+
+  assert.equal(context.prTitle, 'Fix login');
+  assert.equal(context.prAuthor, 'dependabot[bot]');
+});
+
+test('getPageContext leaves pull request fields empty on issues', () => {
+  const doc = createDocument('Crash on start · Issue #7 · octo/hello', { '.js-issue-title': 'Crash on start' });
+  const context = getPageContext(doc, { href: 'https://github.com/octo/hello/issues/7' });
+
+  assert.equal(context.issueNumber, '7');
+  assert.equal(context.prTitle, '');
+  assert.equal(context.prAuthor, '');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SYNC_CHUNK_PREFIX,
+  SYNC_ITEM_BYTES,
+  SYNC_META_KEY,
+  appendSyncConflict,
+  buildSyncItems,
+  getByteLength,
+  getStaleSyncChunkKeys,
+  hashSettings,
+  readSyncItems,
+  resolveSyncDirection,
+  splitIntoSyncChunks
+} = require('../utils/settings-sync.js');
+
+test('splitIntoSyncChunks keeps every encoded chunk within the byte limit', () => {
+  const text = `${'a'.repeat(50)}"\\\\${'김'.repeat(40)}🎉${'b'.repeat(30)}`;
+  const chunks = splitIntoSyncChunks(text, 40);
+
+  assert.equal(chunks.join(''), text);
+  chunks.forEach((chunk) => assert.ok(getByteLength(JSON.stringify(chunk)) <= 40));
+  assert.deepEqual(splitIntoSyncChunks('', 40), ['']);
+});
+
+test('buildSyncItems and readSyncItems round-trip chunked settings', () => {
+  const settings = { customCommands: { big: { content: 'x'.repeat(20000), emoji: null } } };
+  const { items, error } = buildSyncItems(settings, { updatedAt: 5, deviceId: 'device-a' });
+
+  assert.equal(error, null);
+  assert.equal(items[SYNC_META_KEY].chunkCount, 3);
+  Object.entries(items).forEach(([key, value]) => {
+    assert.ok(getByteLength(key) + getByteLength(JSON.stringify(value)) <= SYNC_ITEM_BYTES);
+  });
+  assert.deepEqual(readSyncItems(items), { settings, meta: items[SYNC_META_KEY] });
+
+  const partial = { ...items };
+  delete partial[`${SYNC_CHUNK_PREFIX}1`];
+  assert.equal(readSyncItems(partial), null);
+  assert.equal(readSyncItems({}), null);
+});
+
+test('buildSyncItems rejects settings over the total sync quota', () => {
+  const { items, error } = buildSyncItems({ directJsonData: 'x'.repeat(120 * 1024) }, { updatedAt: 1, deviceId: 'd' });
+  assert.equal(items, null);
+  assert.match(error, /over the 100KB sync limit/);
+});
+
+test('getStaleSyncChunkKeys lists chunks beyond the new count', () => {
+  const items = {
+    [SYNC_META_KEY]: {},
+    [`${SYNC_CHUNK_PREFIX}0`]: '',
+    [`${SYNC_CHUNK_PREFIX}1`]: '',
+    [`${SYNC_CHUNK_PREFIX}2`]: ''
+  };
+  assert.deepEqual(getStaleSyncChunkKeys(items, 1), [`${SYNC_CHUNK_PREFIX}1`, `${SYNC_CHUNK_PREFIX}2`]);
+});
+
+test('resolveSyncDirection pushes, pulls and lets the newer write win conflicts', () => {
+  assert.deepEqual(resolveSyncDirection({ localChanged: false, syncedAt: 0, remoteUpdatedAt: null }), { action: 'push', conflict: false });
+  assert.deepEqual(resolveSyncDirection({ localChanged: false, syncedAt: 5, remoteUpdatedAt: 5 }), { action: 'none', conflict: false });
+  assert.deepEqual(resolveSyncDirection({ localChanged: true, localUpdatedAt: 9, syncedAt: 5, remoteUpdatedAt: 5 }), { action: 'push', conflict: false });
+  assert.deepEqual(resolveSyncDirection({ localChanged: false, syncedAt: 5, remoteUpdatedAt: 7 }), { action: 'pull', conflict: false });
+  assert.deepEqual(resolveSyncDirection({ localChanged: true, localUpdatedAt: 9, syncedAt: 5, remoteUpdatedAt: 7 }), { action: 'push', conflict: true });
+  assert.deepEqual(resolveSyncDirection({ localChanged: true, localUpdatedAt: 6, syncedAt: 5, remoteUpdatedAt: 7 }), { action: 'pull', conflict: true });
+});
+
+test('hashSettings and appendSyncConflict', () => {
+  assert.equal(hashSettings({ a: 1 }), hashSettings({ a: 1 }));
+  assert.notEqual(hashSettings({ a: 1 }), hashSettings({ a: 2 }));
+
+  const log = Array.from({ length: 25 }, (_, index) => ({ timestamp: index }));
+  const next = appendSyncConflict(log, { timestamp: 99 });
+  assert.equal(next.length, 20);
+  assert.equal(next[0].timestamp, 99);
+});
@@ -1,11 +1,29 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
+const fs = require('node:fs');
+const path = require('node:path');
+
 const {
+  SETTINGS_MIGRATIONS,
+  SETTINGS_SCHEMA_VERSION,
   getDefaultSettings,
+  getSettingsSchemaVersion,
+  isNewerSettingsSchema,
+  migrateSettings,
+  groupCommandsByCategory,
+  isValidEndpointUrl,
+  getCustomHostOrigins,
+  normalizeCommandPacks,
+  normalizeCustomHost,
+  normalizeCustomHosts,
+  normalizeLgtmProviders,
+  normalizeTriggers,
+  validateTriggers,
   normalizeSettings,
   normalizeUserForCache,
-  normalizeUsersForCache
+  normalizeUsersForCache,
+  validateDirectJsonUsers
 } = require('../utils/settings.js');
 
 test('normalizeSettings applies defaults and preserves supported fields', () => {
@@ -17,13 +35,92 @@ test('normalizeSettings applies defaults and preserves supported fields', () =>
   }), {
     dataSource: 'direct',
     directJsonData: '[1]',
+    endpointUrl: '',
+    userSources: [],
+    sourcePrecedence: 'first',
+    visibleRows: 4,
+    maxResults: 50,
     enabled: false,
-    customCommands: { ok: 'yes' }
+    customCommands: { ok: { content: 'yes', emoji: null } },
+    commandPacks: [],
+    lgtmProviders: [{ type: 'reloaded' }, { type: 'curated' }],
+    customHosts: [],
+    triggers: {
+      mention: { sequence: '@@', lineStart: false },
+      command: { sequence: '@!', lineStart: false }
+    },
+    schemaVersion: SETTINGS_SCHEMA_VERSION
   });
 
   assert.deepEqual(normalizeSettings(null), getDefaultSettings());
 });
 
+test('normalizeSettings keeps the endpoint data source and trims its url', () => {
+  const settings = normalizeSettings({
+    dataSource: 'endpoint',
+    endpointUrl: '  https://example.com/users.json  '
+  });
+
+  assert.equal(settings.dataSource, 'endpoint');
+  assert.equal(settings.endpointUrl, 'https://example.com/users.json');
+  assert.equal(normalizeSettings({ dataSource: 'ftp' }).dataSource, 'gui');
+});
+
+test('normalizeSettings keeps valid additional user sources in order', () => {
+  const settings = normalizeSettings({
+    userSources: [
+      { id: 'partners', name: ' Partners ', type: 'endpoint', url: ' https://example.com/p.json ' },
+      { id: 'bogus', type: 'ldap' },
+      { id: 'partners', name: 'Duplicate', type: 'direct' },
+      { id: 'file', type: 'file', enabled: false, jsonData: '[]', fileName: 'team.json' }
+    ],
+    sourcePrecedence: 'last'
+  });
+
+  assert.deepEqual(settings.userSources, [
+    { id: 'partners', name: 'Partners', type: 'endpoint', enabled: true, jsonData: '', url: 'https://example.com/p.json', fileName: '' },
+    { id: 'file', name: 'file', type: 'file', enabled: false, jsonData: '[]', url: '', fileName: 'team.json' }
+  ]);
+  assert.equal(settings.sourcePrecedence, 'last');
+  assert.equal(normalizeSettings({ sourcePrecedence: 'random' }).sourcePrecedence, 'first');
+});
+
+test('normalizeSettings gives legacy sources the same ids on every read', () => {
+  const legacy = {
+    userSources: [
+      { name: 'Partners', type: 'endpoint', url: 'https://example.com/p.json' },
+      { id: 'source-1', name: 'Team', type: 'direct' }
+    ]
+  };
+
+  const first = normalizeSettings(legacy);
+  assert.deepEqual(first.userSources.map((source) => source.id), ['source-2', 'source-1']);
+  assert.deepEqual(normalizeSettings(legacy), first);
+  assert.deepEqual(normalizeSettings(first), first);
+
+  // Current settings get their ids when a source is created
+  assert.deepEqual(normalizeSettings({ ...first, userSources: [{ name: 'New', type: 'direct' }] }).userSources, []);
+});
+
+test('normalizeSettings clamps suggestion list sizes to whole numbers in range', () => {
+  const settings = normalizeSettings({ visibleRows: '7', maxResults: 2.6 });
+  assert.equal(settings.visibleRows, 7);
+  assert.equal(settings.maxResults, 3);
+
+  assert.equal(normalizeSettings({ visibleRows: 0 }).visibleRows, 1);
+  assert.equal(normalizeSettings({ maxResults: 10000 }).maxResults, 500);
+  assert.equal(normalizeSettings({ visibleRows: 'many' }).visibleRows, 4);
+  assert.equal(normalizeSettings({ maxResults: '' }).maxResults, 50);
+});
+
+test('isValidEndpointUrl only accepts http(s) urls', () => {
+  assert.equal(isValidEndpointUrl('https://example.com/users.json'), true);
+  assert.equal(isValidEndpointUrl('http://localhost:8080/users'), true);
+  assert.equal(isValidEndpointUrl('file:///etc/passwd'), false);
+  assert.equal(isValidEndpointUrl('not a url'), false);
+  assert.equal(isValidEndpointUrl(''), false);
+});
+
 test('normalizeUsersForCache fills missing name and maps profile to avatar', () => {
   assert.deepEqual(normalizeUserForCache({
     username: 'octocat',
@@ -44,3 +141,185 @@ test('normalizeUsersForCache fills missing name and maps profile to avatar', ()
     { username: 'hubot', name: 'hubot', avatar: 'https://example.com/hubot.png' }
   ]);
 });
+
+test('normalizeUsersForCache turns group entries into deduplicated member lists', () => {
+  assert.deepEqual(normalizeUsersForCache([
+    { username: 'alice' },
+    { group: ' frontend ', members: ['alice', '@Bob', 'bob', ' '] },
+    { group: 'empty', members: [] },
+    { group: 'backend', members: 'carol, dave' }
+  ]), [
+    { username: 'alice', name: 'alice', avatar: '' },
+    { username: 'frontend', name: 'frontend', avatar: '', isGroup: true, members: ['alice', 'Bob'] },
+    { username: 'backend', name: 'backend', avatar: '', isGroup: true, members: ['carol', 'dave'] }
+  ]);
+});
+
+test('validateDirectJsonUsers accepts groups alongside users', () => {
+  assert.equal(validateDirectJsonUsers([
+    { username: 'alice', name: 'Alice' },
+    { group: 'frontend', members: ['alice'] }
+  ]), true);
+  assert.equal(validateDirectJsonUsers([{ group: 'frontend', members: [] }]), false);
+});
+
+test('groupCommandsByCategory sorts categories with uncategorized commands last', () => {
+  assert.deepEqual(groupCommandsByCategory({
+    ship: { content: 'x', category: 'Release' },
+    nit: { content: 'x', category: ' Reviews ' },
+    hello: 'plain',
+    approve: { content: 'x', category: 'Reviews' },
+    alpha: { content: 'x' }
+  }), [
+    { category: 'Release', names: ['ship'] },
+    { category: 'Reviews', names: ['approve', 'nit'] },
+    { category: '', names: ['alpha', 'hello'] }
+  ]);
+});
+
+test('normalizeCommandPacks drops unnamed and duplicate packs and disables auto-sync without a url', () => {
+  const packs = normalizeCommandPacks([
+    { id: 'pack-1', name: ' Review kit ', version: '1.0.0', url: ' https://example.com/pack.json ', autoSync: true, lastSynced: 5, commands: { nit: { content: 'nit' } } },
+    { id: 'pack-1', name: 'Duplicate' },
+    { name: 'Local', autoSync: true, commands: [] },
+    { url: 'https://example.com/unnamed.json' },
+    null
+  ]);
+
+  assert.equal(packs.length, 2);
+  assert.deepEqual(packs[0], {
+    id: 'pack-1',
+    name: 'Review kit',
+    version: '1.0.0',
+    url: 'https://example.com/pack.json',
+    autoSync: true,
+    lastSynced: 5,
+    commands: { nit: { content: 'nit' } }
+  });
+  assert.match(packs[1].id, /^pack-/);
+  assert.equal(packs[1].autoSync, false);
+  assert.deepEqual(packs[1].commands, {});
+});
+
+test('normalizeLgtmProviders keeps valid providers and falls back to the default chain', () => {
+  assert.deepEqual(normalizeLgtmProviders([
+    { type: 'endpoint', url: ' https://example.com/lgtm.json ', imagePath: ' ' },
+    { type: 'list', urls: [' https://example.com/a.gif ', '', 5] },
+    { type: 'curated', extra: true },
+    { type: 'giphy' }
+  ]), [
+    { type: 'endpoint', url: 'https://example.com/lgtm.json', imagePath: 'imageUrl' },
+    { type: 'list', urls: ['https://example.com/a.gif'] },
+    { type: 'curated' }
+  ]);
+  assert.deepEqual(normalizeLgtmProviders([{ type: 'giphy' }]), [{ type: 'reloaded' }, { type: 'curated' }]);
+});
+
+function readSettingsFixture(version) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'settings', `v${version}.json`), 'utf8'));
+}
+
+test('every settings migration step turns its input fixture into its output fixture', () => {
+  assert.equal(SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version, SETTINGS_SCHEMA_VERSION);
+
+  SETTINGS_MIGRATIONS.forEach((step, index) => {
+    assert.equal(step.version, index + 1, 'steps are consecutive');
+    const input = readSettingsFixture(step.version - 1);
+    assert.deepEqual(
+      { ...step.migrate(input), schemaVersion: step.version },
+      readSettingsFixture(step.version),
+      `step to v${step.version}: ${step.description}`
+    );
+  });
+});
+
+test('migrateSettings upgrades the oldest fixture through every step', () => {
+  const result = migrateSettings(readSettingsFixture(0));
+
+  assert.equal(result.error, null);
+  assert.equal(result.fromVersion, 0);
+  assert.deepEqual(result.applied, SETTINGS_MIGRATIONS.map((step) => step.version));
+  assert.deepEqual(result.settings, normalizeSettings(readSettingsFixture(SETTINGS_SCHEMA_VERSION)));
+  assert.equal(result.settings.schemaVersion, SETTINGS_SCHEMA_VERSION);
+});
+
+test('migrateSettings leaves current settings alone and refuses newer schemas', () => {
+  const current = normalizeSettings(readSettingsFixture(SETTINGS_SCHEMA_VERSION));
+  assert.deepEqual(migrateSettings(current), { settings: current, fromVersion: SETTINGS_SCHEMA_VERSION, applied: [], error: null });
+
+  const newer = migrateSettings({ ...current, schemaVersion: SETTINGS_SCHEMA_VERSION + 1, futureField: true });
+  assert.equal(newer.settings, null);
+  assert.match(newer.error, /Update the extension first/);
+});
+
+test('normalizeSettings only migrates settings older than the current schema', () => {
+  const userSources = [{ name: 'Team', type: 'direct', jsonData: '[]' }];
+
+  assert.deepEqual(normalizeSettings({ userSources }).userSources.map((source) => source.id), ['source-1']);
+  assert.deepEqual(normalizeSettings({ userSources, schemaVersion: SETTINGS_SCHEMA_VERSION }).userSources, []);
+});
+
+test('normalizeSettings keeps the version and unknown fields of newer schemas', () => {
+  const current = normalizeSettings(readSettingsFixture(SETTINGS_SCHEMA_VERSION));
+  const stored = { ...current, maxResults: 9000, schemaVersion: SETTINGS_SCHEMA_VERSION + 1, futureField: { nested: true } };
+  const normalized = normalizeSettings(stored);
+
+  assert.equal(isNewerSettingsSchema(stored), true);
+  assert.equal(isNewerSettingsSchema(current), false);
+  assert.equal(normalized.schemaVersion, SETTINGS_SCHEMA_VERSION + 1);
+  assert.deepEqual(normalized.futureField, { nested: true });
+  // Known fields are still safe for this version to read
+  assert.equal(normalized.maxResults, 500);
+  assert.deepEqual(normalizeSettings(normalized), normalized);
+});
+
+test('getSettingsSchemaVersion treats unversioned or invalid settings as version 0', () => {
+  assert.equal(getSettingsSchemaVersion({}), 0);
+  assert.equal(getSettingsSchemaVersion({ schemaVersion: '1' }), 0);
+  assert.equal(getSettingsSchemaVersion({ schemaVersion: -2 }), 0);
+  assert.equal(getSettingsSchemaVersion(null), 0);
+  assert.equal(getSettingsSchemaVersion({ schemaVersion: 1 }), 1);
+});
+
+test('normalizeCustomHost reduces addresses to a GitHub Enterprise hostname', () => {
+  assert.equal(normalizeCustomHost('git.corp.example'), 'git.corp.example');
+  assert.equal(normalizeCustomHost(' https://Git.Corp.Example/org/repo '), 'git.corp.example');
+  assert.equal(normalizeCustomHost('http://ghe/'), 'ghe');
+  assert.equal(normalizeCustomHost('github.com'), null);
+  assert.equal(normalizeCustomHost('gist.github.com'), null);
+  assert.equal(normalizeCustomHost('git.corp.example:8443'), null);
+  assert.equal(normalizeCustomHost('ftp://git.corp.example'), null);
+  assert.equal(normalizeCustomHost('not a host'), null);
+  assert.equal(normalizeCustomHost(''), null);
+});
+
+test('normalizeCustomHosts drops invalid and duplicate hosts', () => {
+  assert.deepEqual(
+    normalizeCustomHosts(['git.corp.example', 'https://git.corp.example/', 'github.com', 42, 'ghe.example.org']),
+    ['git.corp.example', 'ghe.example.org']
+  );
+  assert.deepEqual(getCustomHostOrigins('ghe.example.org'), ['https://ghe.example.org/*', 'http://ghe.example.org/*']);
+});
+
+test('validateTriggers rejects unusable and conflicting trigger pairs', () => {
+  const trigger = (sequence, lineStart = false) => ({ sequence, lineStart });
+
+  assert.equal(validateTriggers({ mention: trigger(';;'), command: trigger('/', true) }), null);
+  assert.match(validateTriggers({ mention: trigger('@'), command: trigger('@!') }), /conflict/);
+  assert.match(validateTriggers({ mention: trigger('!!'), command: trigger('!!', true) }), /conflict/);
+  assert.match(validateTriggers({ mention: trigger('@a'), command: trigger('@!') }), /^Mention trigger must be/);
+  assert.match(validateTriggers({ mention: trigger('@@'), command: trigger('! ') }), /^Command trigger must be/);
+  assert.match(validateTriggers({ mention: trigger('@@'), command: trigger('') }), /^Command trigger must be/);
+});
+
+test('normalizeTriggers fills in defaults and falls back when the pair is invalid', () => {
+  assert.deepEqual(normalizeTriggers({ mention: { sequence: ' ;; ' }, command: { sequence: '/', lineStart: true } }), {
+    mention: { sequence: ';;', lineStart: false },
+    command: { sequence: '/', lineStart: true }
+  });
+  assert.deepEqual(normalizeTriggers({ mention: { sequence: '@!' } }), {
+    mention: { sequence: '@@', lineStart: false },
+    command: { sequence: '@!', lineStart: false }
+  });
+  assert.deepEqual(normalizeTriggers(undefined), normalizeTriggers({}));
+});
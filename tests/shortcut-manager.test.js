@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  PICKER_COMMAND_NAME,
+  normalizeShortcut,
+  getShortcutSettingsUrl
+} = require('../browserAction/popup/shortcut-manager.js');
+
+test('normalizeShortcut canonicalizes typed shortcuts', () => {
+  assert.deepEqual(normalizeShortcut('ctrl + shift + m'), { shortcut: 'Ctrl+Shift+M', error: null });
+  assert.deepEqual(normalizeShortcut('Shift+Cmd+period'), { shortcut: 'Command+Shift+Period', error: null });
+  assert.deepEqual(normalizeShortcut('f2'), { shortcut: 'F2', error: null });
+  assert.deepEqual(normalizeShortcut('  '), { shortcut: '', error: null });
+});
+
+test('normalizeShortcut rejects shortcuts browsers refuse', () => {
+  assert.match(normalizeShortcut('Shift+M').error, /need Ctrl, Alt/);
+  assert.match(normalizeShortcut('Hyper+M').error, /not a modifier/);
+  assert.match(normalizeShortcut('Ctrl+Shift+Tab').error, /cannot be used/);
+  assert.match(normalizeShortcut('Ctrl+Alt+Shift+M').error, /at most two/);
+});
+
+test('getShortcutSettingsUrl picks the shortcuts page of the browser', () => {
+  assert.equal(getShortcutSettingsUrl('Mozilla/5.0 Chrome/120.0 Safari/537.36'), 'chrome://extensions/shortcuts');
+  assert.equal(getShortcutSettingsUrl('Mozilla/5.0 Chrome/120.0 Safari/537.36 Edg/120.0'), 'edge://extensions/shortcuts');
+});
+
+test('the popup rebinds the command declared in the manifest', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+  assert.ok(manifest.commands[PICKER_COMMAND_NAME].description);
+  // Not Ctrl+Shift+M: Firefox uses it for responsive design mode
+  assert.equal(manifest.commands[PICKER_COMMAND_NAME].suggested_key.default, 'Alt+Shift+M');
+});
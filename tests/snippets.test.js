@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseSnippet,
+  escapeSnippetText,
+  moveSnippetSession,
+  insertSnippet,
+  getActiveSnippetSession,
+  endSnippetSession,
+  handleSnippetKeyDown
+} = require('../content/snippets.js');
+
+function createTextarea(value = '') {
+  return {
+    value,
+    selectionStart: value.length,
+    selectionEnd: value.length,
+    dispatchEvent() {}
+  };
+}
+
+function createKeyEvent(key, options = {}) {
+  return {
+    key,
+    shiftKey: false,
+    altKey: false,
+    ctrlKey: false,
+    metaKey: false,
+    defaultPrevented: false,
+    preventDefault() {
+      this.defaultPrevented = true;
+    },
+    ...options
+  };
+}
+
+function typeAtSelection(input, text) {
+  input.value = input.value.slice(0, input.selectionStart) + text + input.value.slice(input.selectionEnd);
+  input.selectionStart += text.length;
+  input.selectionEnd = input.selectionStart;
+}
+
+test('parseSnippet expands stops in visiting order and ends at the final stop', () => {
+  assert.deepEqual(parseSnippet('Title: ${1:summary}\nRisk: $2\n${cursor}\n'), {
+    text: 'Title: summary\nRisk: \n\n',
+    stops: [{ start: 7, end: 14 }, { start: 21, end: 21 }, { start: 22, end: 22 }]
+  });
+  assert.deepEqual(parseSnippet('$2 then ${1:a}').stops, [{ start: 6, end: 7 }, { start: 0, end: 0 }, { start: 7, end: 7 }]);
+  assert.deepEqual(parseSnippet('plain text'), { text: 'plain text', stops: [{ start: 10, end: 10 }] });
+});
+
+test('parseSnippet repeats defaults for reused numbers and keeps escaped dollars', () => {
+  assert.deepEqual(parseSnippet('${1:x} and ${1}, costs \\$1'), {
+    text: 'x and x, costs $1',
+    stops: [{ start: 0, end: 1 }, { start: 17, end: 17 }]
+  });
+  assert.equal(parseSnippet(escapeSnippetText('Fix $1 bug')).text, 'Fix $1 bug');
+});
+
+test('moveSnippetSession shifts later stops by the text typed into the current one', () => {
+  const session = { stops: [{ start: 0, end: 0 }, { start: 5, end: 5 }, { start: 9, end: 9 }], index: 0, textLength: 9 };
+
+  const next = moveSnippetSession(session, 1, 12);
+  assert.deepEqual(next.selection, { start: 8, end: 8 });
+  assert.deepEqual(next.session.stops, [{ start: 0, end: 3 }, { start: 8, end: 8 }, { start: 12, end: 12 }]);
+
+  const last = moveSnippetSession(next.session, 1, 12);
+  assert.equal(last.session, null);
+  assert.deepEqual(last.selection, { start: 12, end: 12 });
+});
+
+test('Tab and Shift+Tab walk the stops of an inserted snippet in a textarea', () => {
+  const input = createTextarea('> @!review');
+  insertSnippet(input, 2, 10, '**${1:verdict}**: $2${cursor}');
+
+  assert.equal(input.value, '> **verdict**: ');
+  assert.deepEqual([input.selectionStart, input.selectionEnd], [4, 11]);
+
+  typeAtSelection(input, 'LGTM');
+  const tab = createKeyEvent('Tab');
+  assert.equal(handleSnippetKeyDown(tab, input), true);
+  assert.equal(tab.defaultPrevented, true);
+  assert.deepEqual([input.selectionStart, input.selectionEnd], [12, 12]);
+
+  assert.equal(handleSnippetKeyDown(createKeyEvent('Tab', { shiftKey: true }), input), true);
+  assert.deepEqual([input.selectionStart, input.selectionEnd], [4, 8]);
+
+  handleSnippetKeyDown(createKeyEvent('Tab'), input);
+  typeAtSelection(input, 'ship it');
+  handleSnippetKeyDown(createKeyEvent('Tab'), input);
+  assert.equal(input.value, '> **LGTM**: ship it');
+  assert.equal(input.selectionStart, input.value.length);
+  assert.equal(getActiveSnippetSession(), null);
+});
+
+test('Escape and moving the caret away end snippet mode', () => {
+  const input = createTextarea('');
+  insertSnippet(input, 0, 0, '$1 and $2');
+  assert.equal(handleSnippetKeyDown(createKeyEvent('Escape'), input), true);
+  assert.equal(getActiveSnippetSession(), null);
+  assert.equal(handleSnippetKeyDown(createKeyEvent('Tab'), input), false);
+
+  insertSnippet(input, 0, input.value.length, '$1 and $2');
+  input.selectionStart = input.selectionEnd = input.value.length;
+  const tab = createKeyEvent('Tab');
+  assert.equal(handleSnippetKeyDown(tab, input), false);
+  assert.equal(tab.defaultPrevented, false);
+  assert.equal(getActiveSnippetSession(), null);
+});
+
+test('snippets without stops leave the caret at the end and start no session', () => {
+  const input = createTextarea('@!done');
+  insertSnippet(input, 0, 6, 'Done!');
+
+  assert.equal(input.value, 'Done!');
+  assert.equal(input.selectionStart, 5);
+  assert.equal(getActiveSnippetSession(), null);
+  endSnippetSession();
+});
+
+function createEditable(text) {
+  const selection = {
+    ranges: [],
+    get rangeCount() {
+      return this.ranges.length;
+    },
+    getRangeAt(index) {
+      return this.ranges[index];
+    },
+    removeAllRanges() {
+      this.ranges = [];
+    },
+    addRange(range) {
+      this.ranges.push(range);
+    }
+  };
+  const ownerDocument = {
+    getSelection: () => selection,
+    createRange() {
+      return {
+        setStart(node, offset) {
+          this.startContainer = node;
+          this.startOffset = offset;
+        },
+        setEnd(node, offset) {
+          this.endContainer = node;
+          this.endOffset = offset;
+        }
+      };
+    }
+  };
+  const editable = {
+    nodeType: 1,
+    nodeName: 'DIV',
+    childNodes: [],
+    ownerDocument,
+    matches: (selector) => selector === '[contenteditable="true"]',
+    contains(node) {
+      return node === editable || node.parentNode === editable;
+    },
+    dispatchEvent() {}
+  };
+  const textNode = { nodeType: 3, nodeName: '#text', data: text, parentNode: editable };
+  editable.childNodes.push(textNode);
+  return { editable, textNode, selection };
+}
+
+test('tab stops work in contenteditable editors', () => {
+  const { editable, textNode, selection } = createEditable('see @!todo');
+  insertSnippet(editable, 4, 10, '- [ ] ${1:task}$0');
+
+  assert.equal(textNode.data, 'see - [ ] task');
+  assert.equal(selection.ranges[0].startOffset, 10);
+  assert.equal(selection.ranges[0].endOffset, 14);
+
+  assert.equal(handleSnippetKeyDown(createKeyEvent('Tab'), editable), true);
+  assert.equal(selection.ranges[0].startOffset, 14);
+  assert.equal(getActiveSnippetSession(), null);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidEndpointUrl } = require('../utils/settings.js');
+const {
+  getSourceValidationError,
+  moveSource
+} = require('../browserAction/popup/sources-manager.js');
+
+function createSource(overrides = {}) {
+  return {
+    id: 'team',
+    name: 'Team',
+    type: 'direct',
+    enabled: true,
+    jsonData: '[]',
+    url: '',
+    fileName: '',
+    ...overrides
+  };
+}
+
+test('getSourceValidationError validates each source type', () => {
+  assert.equal(getSourceValidationError(createSource(), isValidEndpointUrl), null);
+  assert.match(getSourceValidationError(createSource({ name: '' }), isValidEndpointUrl), /needs a name/);
+  assert.match(getSourceValidationError(createSource({ jsonData: '{}' }), isValidEndpointUrl), /JSON array/);
+  assert.match(getSourceValidationError(createSource({ jsonData: '[' }), isValidEndpointUrl), /invalid JSON/);
+  assert.match(getSourceValidationError(createSource({ type: 'file', jsonData: '' }), isValidEndpointUrl), /no file/);
+  assert.match(getSourceValidationError(createSource({ type: 'endpoint', url: 'nope' }), isValidEndpointUrl), /valid http/);
+  assert.equal(getSourceValidationError(createSource({ type: 'endpoint', url: 'https://example.com' }), isValidEndpointUrl), null);
+});
+
+test('moveSource reorders within bounds', () => {
+  const sources = [createSource({ id: 'a' }), createSource({ id: 'b' }), createSource({ id: 'c' })];
+
+  assert.deepEqual(moveSource(sources, 2, -1).map((source) => source.id), ['a', 'c', 'b']);
+  assert.equal(moveSource(sources, 0, -1), sources);
+});
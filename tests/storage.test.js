@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stored = {};
+globalThis.window = globalThis;
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(key) {
+        return { [key]: stored[key] };
+      },
+      async set(items) {
+        Object.assign(stored, items);
+      }
+    }
+  }
+};
+
+const { SETTINGS_SCHEMA_VERSION, getDefaultSettings } = require('../utils/settings.js');
+require('../utils/storage.js');
+
+test('setSettings refuses to overwrite settings from a newer schema', async () => {
+  const newer = { enabled: true, futureField: 'kept', schemaVersion: SETTINGS_SCHEMA_VERSION + 1 };
+  stored.githubMentions_settings = newer;
+
+  assert.equal(await globalThis.GitHubMentionsStorage.setSettings({ enabled: false }), false);
+  assert.equal(stored.githubMentions_settings, newer);
+
+  const read = await globalThis.GitHubMentionsStorage.getSettings();
+  assert.equal(read.futureField, 'kept');
+  assert.equal(read.schemaVersion, SETTINGS_SCHEMA_VERSION + 1);
+
+  stored.githubMentions_settings = { enabled: true, schemaVersion: SETTINGS_SCHEMA_VERSION };
+  assert.equal(await globalThis.GitHubMentionsStorage.setSettings({ enabled: false }), true);
+  assert.equal(stored.githubMentions_settings.enabled, false);
+});
+
+test('getSettings falls back to the shared defaults', async () => {
+  delete stored.githubMentions_settings;
+  assert.deepEqual(await globalThis.GitHubMentionsStorage.getSettings(), getDefaultSettings());
+
+  const { get } = globalThis.chrome.storage.local;
+  globalThis.chrome.storage.local.get = async () => {
+    throw new Error('storage unavailable');
+  };
+  try {
+    assert.deepEqual(await globalThis.GitHubMentionsStorage.getSettings(), getDefaultSettings());
+  } finally {
+    globalThis.chrome.storage.local.get = get;
+  }
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TEMPLATE_VARIABLES,
+  getTemplateVariables,
+  findUnknownTemplateVariables,
+  formatUnknownVariablesMessage,
+  findConflictingTabStops,
+  parseCommandParams,
+  formatCommandParams,
+  buildArgumentValues,
+  parseGitHubUrl,
+  buildTemplateValues,
+  renderTemplate
+} = require('../utils/templates.js');
+
+test('parseGitHubUrl reads pull request, issue and branch urls', () => {
+  assert.deepEqual(parseGitHubUrl('https://github.com/octo/hello/pull/42/files'), {
+    owner: 'octo',
+    repo: 'hello',
+    prNumber: '42',
+    issueNumber: '',
+    branch: ''
+  });
+  assert.equal(parseGitHubUrl('https://github.com/octo/hello/issues/7').issueNumber, '7');
+  assert.equal(parseGitHubUrl('https://github.com/octo/hello/tree/release%2F1.0').branch, 'release/1.0');
+  assert.equal(parseGitHubUrl('https://github.com/octo/hello/compare/main...feature-x').branch, 'feature-x');
+  assert.equal(parseGitHubUrl('https://github.com/octo/hello/tree/100%').branch, '100%');
+});
+
+test('parseGitHubUrl ignores GitHub-owned paths and invalid urls', () => {
+  assert.equal(parseGitHubUrl('https://github.com/settings/profile').owner, '');
+  assert.equal(parseGitHubUrl('https://github.com/notifications').repo, '');
+  assert.equal(parseGitHubUrl('not a url').owner, '');
+});
+
+test('renderTemplate fills page variables and reports unknown ones', () => {
+  const values = buildTemplateValues(new Date('2026-03-30T12:34:56.000Z'), {
+    owner: 'octo',
+    repo: 'hello',
+    prNumber: '42',
+    prTitle: 'Fix login',
+    prAuthor: 'mona',
+    branch: 'fix-login',
+    url: 'https://github.com/octo/hello/pull/42'
+  });
+
+  assert.deepEqual(
+    renderTemplate('${owner}/${repo}#${pr.number} "${pr.title}" by @${pr.author} on ${branch} ${issue.number}|${pr.nubmer}', values),
+    { text: 'octo/hello#42 "Fix login" by @mona on fix-login |${pr.nubmer}', unknown: ['pr.nubmer'] }
+  );
+  assert.equal(renderTemplate('${timestamp}', values).text, '2026-03-30T12:34:56.000Z');
+});
+
+test('every documented variable has a value and unknown names are listed once', () => {
+  const values = buildTemplateValues(new Date());
+  assert.ok(TEMPLATE_VARIABLES.every(({ name }) => Object.hasOwn(values, name)));
+
+  assert.deepEqual(getTemplateVariables('${repo} ${ repo } ${foo}'), ['repo', 'foo']);
+  assert.deepEqual(findUnknownTemplateVariables('${repo} ${foo} ${bar} ${foo}'), ['foo', 'bar']);
+  assert.equal(formatUnknownVariablesMessage(['foo']), 'Unknown template variable: ${foo}');
+  assert.equal(formatUnknownVariablesMessage(['foo', 'bar']), 'Unknown template variables: ${foo}, ${bar}');
+});
+
+test('parseCommandParams reads required and defaulted parameters', () => {
+  const { params, error } = parseCommandParams(' env , version=latest, note= ');
+
+  assert.equal(error, null);
+  assert.deepEqual(params, [{ name: 'env' }, { name: 'version', default: 'latest' }, { name: 'note', default: '' }]);
+  assert.equal(formatCommandParams(params), 'env, version=latest, note=');
+  assert.deepEqual(parseCommandParams(''), { params: [], error: null });
+});
+
+test('parseCommandParams rejects invalid, duplicate and built-in names', () => {
+  assert.equal(parseCommandParams('1st').error, 'Invalid parameter name "1st"');
+  assert.equal(parseCommandParams('env, env=prod').error, 'Duplicate parameter "env"');
+  assert.equal(parseCommandParams('repo').error, 'Parameter "repo" conflicts with a built-in variable');
+});
+
+test('buildArgumentValues fills positions and names, applying defaults', () => {
+  const params = [{ name: 'env' }, { name: 'version', default: 'latest' }];
+
+  assert.deepEqual(buildArgumentValues(params, ['staging']), {
+    values: { 1: 'staging', env: 'staging', 2: 'latest', version: 'latest' },
+    missing: []
+  });
+  assert.deepEqual(buildArgumentValues(params, ['', 'v2']).missing, ['env']);
+  assert.deepEqual(findUnknownTemplateVariables('${1} ${version} ${envs} ${env}', params), ['envs']);
+});
+
+test('findConflictingTabStops rejects numbered tab stops only in commands with parameters', () => {
+  const params = [{ name: 'env' }];
+
+  assert.deepEqual(findConflictingTabStops('${1} ${env} ${cursor} \\$2 $0', params), []);
+  assert.deepEqual(findConflictingTabStops('${1}: $1 ${2} ${1:title} $1', params), ['$1', '${2}', '${1:title}']);
+  assert.deepEqual(findConflictingTabStops('$1 ${2} ${1:title}'), []);
+});
+
+test('tab stops are neither rendered nor reported as unknown variables', () => {
+  assert.deepEqual(findUnknownTemplateVariables('${1:title} ${2} ${cursor} ${repo}'), []);
+  assert.deepEqual(renderTemplate('${repo}: ${1:title}${cursor}', { repo: 'hello' }), {
+    text: 'hello: ${1:title}${cursor}',
+    unknown: []
+  });
+});
@@ -2,10 +2,22 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 
 const {
+  getTriggerDefinition,
+  matchMentionTrigger,
   scanForMentionTrigger,
+  scanForPickerQuery,
   scanForCommandTrigger,
+  matchCommandTrigger,
+  parseCommandArguments,
+  foldSearchText,
+  scoreUserMatch,
+  rankUsers,
   filterUsers,
-  filterCommands
+  recordMentionUsage,
+  filterCommands,
+  toMatchRanges,
+  getUserMatchRanges,
+  getCommandMatchRanges
 } = require('../content/triggers.js');
 
 test('scanForMentionTrigger returns query after double-at', () => {
@@ -13,11 +25,89 @@ test('scanForMentionTrigger returns query after double-at', () => {
   assert.equal(scanForMentionTrigger('hello @tig', 10), null);
 });
 
+test('scanForMentionTrigger accepts non-ASCII queries', () => {
+  assert.equal(scanForMentionTrigger('hi @@ㄱㅌ', 7), 'ㄱㅌ');
+  assert.equal(scanForMentionTrigger('hi @@김태', 7), '김태');
+  assert.equal(scanForMentionTrigger('hi @@josé', 9), 'josé');
+});
+
+test('getTriggerDefinition compiles configured mention and command triggers', () => {
+  const definition = getTriggerDefinition({
+    mention: { sequence: ';;' },
+    command: { sequence: '/', lineStart: true }
+  });
+
+  assert.deepEqual(matchMentionTrigger('cc ;;oct', 8, definition), { start: 3, query: 'oct' });
+  assert.equal(scanForMentionTrigger('cc @@oct', 8, definition), null);
+  assert.deepEqual(matchCommandTrigger('notes\n  /deploy eu/west v1', 26, definition), {
+    start: 8,
+    command: 'deploy',
+    args: ['eu/west', 'v1'],
+    form: 'space',
+    argumentEnded: false
+  });
+  assert.equal(scanForCommandTrigger('see /deploy', 11, definition), null);
+  assert.equal(scanForCommandTrigger('run @!lgt', 9, definition), null);
+  assert.deepEqual([...definition.keys].sort(), ['/', ';']);
+  assert.equal(getTriggerDefinition({ mention: { sequence: ';;' }, command: { sequence: '/', lineStart: true } }), definition);
+});
+
+test('default triggers apply when no definition is passed', () => {
+  assert.deepEqual(matchMentionTrigger('hi @@tig', 8), { start: 3, query: 'tig' });
+  assert.deepEqual([...getTriggerDefinition().keys].sort(), ['!', '@']);
+});
+
+test('scanForPickerQuery reads the word typed since the picker opened', () => {
+  assert.equal(scanForPickerQuery('cc ', 3, 3), '');
+  assert.equal(scanForPickerQuery('cc oct', 6, 3), 'oct');
+  assert.equal(scanForPickerQuery('cc josé', 7, 3), 'josé');
+  assert.equal(scanForPickerQuery('cc oct cat', 10, 3), null);
+  assert.equal(scanForPickerQuery('cc', 2, 3), null);
+  assert.equal(scanForPickerQuery('cc oct', 6, null), null);
+});
+
 test('scanForCommandTrigger returns command info after bang', () => {
   assert.deepEqual(scanForCommandTrigger('run @!lgt', 9), { command: 'lgt', query: 'lgt' });
   assert.equal(scanForCommandTrigger('run !lgt', 8), null);
 });
 
+test('scanForCommandTrigger captures parenthesized and space-separated arguments', () => {
+  assert.deepEqual(scanForCommandTrigger('go @!deploy(staging, v1.2)', 27), {
+    command: 'deploy',
+    query: 'deploy',
+    args: ['staging', 'v1.2'],
+    form: 'paren',
+    argumentEnded: false
+  });
+  assert.deepEqual(scanForCommandTrigger('go @!deploy staging', 19).args, ['staging']);
+  assert.deepEqual(scanForCommandTrigger('go @!deploy(', 12).args, []);
+  assert.equal(scanForCommandTrigger('go @! staging', 13), null);
+});
+
+test('scanForCommandTrigger notes when the last space-separated argument is finished', () => {
+  assert.equal(scanForCommandTrigger('go @!deploy staging', 19).argumentEnded, false);
+  assert.equal(scanForCommandTrigger('go @!deploy staging ', 20).argumentEnded, true);
+  assert.equal(scanForCommandTrigger('go @!deploy "eu ', 16).argumentEnded, false);
+  assert.equal(scanForCommandTrigger('go @!deploy "eu west" ', 22).argumentEnded, true);
+});
+
+test('matchCommandTrigger starts at the latest trigger on the line', () => {
+  const text = 'see @!a x then @!deploy(prod)';
+  assert.deepEqual(matchCommandTrigger(text, text.length), {
+    start: 15,
+    command: 'deploy',
+    args: ['prod'],
+    form: 'paren',
+    argumentEnded: false
+  });
+});
+
+test('parseCommandArguments keeps quoted separators and blank positions', () => {
+  assert.deepEqual(parseCommandArguments('"eu, west", , v1', 'paren'), ['eu, west', '', 'v1']);
+  assert.deepEqual(parseCommandArguments('  staging  "v 1" ', 'space'), ['staging', 'v 1']);
+  assert.deepEqual(parseCommandArguments('', 'paren'), []);
+});
+
 test('filter helpers match usernames and commands case-insensitively', () => {
   assert.deepEqual(filterUsers([
     { username: 'tigeryoo', name: 'Tiger Yoo' },
@@ -33,3 +123,190 @@ test('filter helpers match usernames and commands case-insensitively', () => {
     { command: 'lgtmrand' }
   ]);
 });
+
+test('filterCommands searches names, descriptions and categories without a cap', () => {
+  const commands = [
+    { command: 'ship', description: 'Release notes for deploy...', category: 'Release' },
+    { command: 'nit', description: 'Minor nit...', category: 'Reviews' },
+    { command: 'deploy', description: 'Deploy now...', category: 'Release' },
+    { command: 'approve', description: 'Approved...', category: 'Reviews' },
+    { command: 'lgtmrand', description: 'Random GIF', category: 'Built-in' }
+  ];
+
+  assert.deepEqual(filterCommands(commands, 'deploy').map(({ command }) => command), ['deploy', 'ship']);
+  assert.deepEqual(filterCommands(commands, 'review').map(({ command }) => command), ['nit', 'approve']);
+  assert.deepEqual(filterCommands(commands, 'ap').map(({ command }) => command), ['approve']);
+
+  const many = Array.from({ length: 25 }, (_, index) => ({ command: `cmd${index}` }));
+  assert.equal(filterCommands(many, '').length, 25);
+  assert.equal(filterCommands(many, 'cmd').length, 25);
+});
+
+test('filterCommands keeps each category together, ordered by its best match', () => {
+  const commands = [
+    { command: 'deploy-notes', category: 'Docs' },
+    { command: 'deploy', category: 'Release' },
+    { command: 'deploy-docs', category: 'Docs' }
+  ];
+
+  assert.deepEqual(
+    filterCommands(commands, 'deploy').map(({ command }) => command),
+    ['deploy', 'deploy-notes', 'deploy-docs']
+  );
+});
+
+const rankingUsers = [
+  { username: 'jonas', name: 'Jonas' },
+  { username: 'jsmith', name: 'John Smith' },
+  { username: 'jane-doe', name: 'Jane Smith' },
+  { username: 'ajs', name: 'Ajs Sub' },
+  { username: 'js', name: 'Exact' }
+];
+
+test('rankUsers orders exact, prefix, word initials, substring and fuzzy matches', () => {
+  const ranked = rankUsers(rankingUsers, 'js');
+
+  assert.deepEqual(ranked.map(({ user }) => user.username), ['js', 'jsmith', 'jane-doe', 'ajs', 'jonas']);
+  assert.ok(ranked.every((entry, index) => index === 0 || ranked[index - 1].score >= entry.score));
+  assert.deepEqual(ranked[2], {
+    user: rankingUsers[2],
+    score: 600,
+    field: 'name',
+    positions: [0, 5],
+    ranges: { username: [], name: [[0, 1], [5, 6]] }
+  });
+});
+
+test('scoreUserMatch matches word prefixes in usernames and display names', () => {
+  assert.equal(scoreUserMatch({ username: 'jane-doe', name: 'Jane Doe' }, 'doe').score, 700);
+  assert.equal(scoreUserMatch({ username: 'jdoe', name: 'Jane Smith' }, 'jasm').field, 'name');
+  assert.deepEqual(scoreUserMatch({ username: 'octocat', name: 'Octo Cat' }, 'oct').positions, [0, 1, 2]);
+});
+
+test('scoreUserMatch handles long names whose words all share a prefix', () => {
+  const user = { username: 'longname', name: Array.from({ length: 60 }, () => 'Aa').join(' ') };
+
+  const startedAt = Date.now();
+  assert.equal(scoreUserMatch(user, `${'a'.repeat(40)}b`), null);
+  assert.equal(scoreUserMatch(user, 'a'.repeat(40)).field, 'name');
+  assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt}ms`);
+});
+
+test('scoreUserMatch accepts subsequence matches below every substring match', () => {
+  const fuzzy = scoreUserMatch({ username: 'tigeryoo', name: 'tigeryoo' }, 'tgy');
+  const substring = scoreUserMatch({ username: 'mytiger', name: 'mytiger' }, 'tig');
+
+  assert.deepEqual(fuzzy.positions, [0, 2, 5]);
+  assert.ok(fuzzy.score < substring.score);
+  assert.equal(scoreUserMatch({ username: 'octocat', name: 'Octo Cat' }, 'xyz'), null);
+});
+
+test('rankUsers breaks ties by mention frequency and recency', () => {
+  const now = Date.UTC(2026, 0, 15);
+  const users = [
+    { username: 'alice', name: 'Alice' },
+    { username: 'alina', name: 'Alina' },
+    { username: 'alvin', name: 'Alvin' }
+  ];
+  const mentionStats = {
+    alina: { count: 1, lastUsed: now - 60 * 1000 },
+    alvin: { count: 12, lastUsed: now - 60 * 24 * 60 * 60 * 1000 }
+  };
+
+  assert.deepEqual(
+    rankUsers(users, 'al', mentionStats, now).map(({ user }) => user.username),
+    ['alina', 'alvin', 'alice']
+  );
+  assert.deepEqual(
+    filterUsers(users, '', mentionStats, now).map((user) => user.username),
+    ['alina', 'alvin', 'alice']
+  );
+  assert.equal(
+    rankUsers([{ username: 'zed-al', name: 'Zed' }, ...users], 'al', mentionStats, now)[0].user.username,
+    'alina'
+  );
+});
+
+test('usage never lifts a weaker match above a stronger tier', () => {
+  const now = Date.UTC(2026, 0, 15);
+  const ranked = rankUsers([
+    { username: 'xalice', name: 'Xalice' },
+    { username: 'alice', name: 'Alice' }
+  ], 'al', { xalice: { count: 1000, lastUsed: now } }, now);
+
+  assert.equal(ranked[0].user.username, 'alice');
+});
+
+test('recordMentionUsage counts mentions and keeps groups apart from users', () => {
+  let stats = recordMentionUsage({}, { username: 'Alice' }, 10);
+  stats = recordMentionUsage(stats, { username: 'alice' }, 20);
+  stats = recordMentionUsage(stats, { username: 'alice', isGroup: true, members: ['bob'] }, 30);
+
+  assert.deepEqual(stats, {
+    alice: { count: 2, lastUsed: 20 },
+    'group:alice': { count: 1, lastUsed: 30 }
+  });
+});
+
+test('foldSearchText strips diacritics and folds full-width forms', () => {
+  assert.equal(foldSearchText('José Müller'), 'jose muller');
+  assert.equal(foldSearchText('ＴＩＧＥＲ１'), 'tiger1');
+  assert.equal(foldSearchText('ﾀﾛｳ'), 'タロウ');
+  assert.equal(foldSearchText('Søren Groß'), 'soren gross');
+  assert.equal(foldSearchText('김ㄱ'), '김ㄱ');
+});
+
+test('scoreUserMatch finds Hangul names by initial consonants', () => {
+  const user = { username: 'tkkim', name: '김태권' };
+
+  assert.deepEqual(scoreUserMatch(user, 'ㄱㅌ'), { score: 800, field: 'name', positions: [0, 1] });
+  assert.deepEqual(scoreUserMatch(user, 'ㅌㄱ').positions, [1, 2]);
+  assert.deepEqual(scoreUserMatch(user, '태권').positions, [1, 2]);
+  assert.equal(scoreUserMatch(user, 'ㄴ'), null);
+});
+
+test('scoreUserMatch finds Hangul names by loose romanization', () => {
+  const user = { username: 'ktg', name: '김태권' };
+
+  assert.deepEqual(scoreUserMatch(user, 'gimtaegwon'), { score: 800, field: 'name', positions: [0, 1, 2] });
+  assert.equal(scoreUserMatch(user, 'kimtae').score, 800);
+  assert.deepEqual(scoreUserMatch(user, 'kwon').positions, [2]);
+});
+
+test('scoreUserMatch ignores diacritics and width in names and usernames', () => {
+  assert.deepEqual(scoreUserMatch({ username: 'jmuller', name: 'José Müller' }, 'mull'), {
+    score: 700,
+    field: 'name',
+    positions: [5, 6, 7, 8]
+  });
+  assert.equal(scoreUserMatch({ username: 'ｔｉｇｅｒ', name: 'Tiger' }, 'tiger').score, 1000);
+  assert.equal(scoreUserMatch({ username: 'renee', name: 'Renée' }, 'renée').score, 1000);
+});
+
+test('toMatchRanges merges consecutive positions', () => {
+  assert.deepEqual(toMatchRanges([5, 0, 1, 2, 7, 6]), [[0, 3], [5, 8]]);
+  assert.deepEqual(toMatchRanges([]), []);
+});
+
+test('getUserMatchRanges marks matches in both columns', () => {
+  assert.deepEqual(getUserMatchRanges({ username: 'bjones', name: 'Bob Jones' }, 'jo'), {
+    username: [[1, 3]],
+    name: [[4, 6]]
+  });
+  assert.deepEqual(getUserMatchRanges({ username: 'tkkim', name: '김태권' }, 'ㄱㅌ'), {
+    username: [],
+    name: [[0, 2]]
+  });
+  assert.deepEqual(getUserMatchRanges({ username: 'octocat', name: 'Octo Cat' }, ''), { username: [], name: [] });
+});
+
+test('getCommandMatchRanges reuses command ranges when there is no description', () => {
+  assert.deepEqual(getCommandMatchRanges({ command: 'lgtmrand', description: 'Random LGTM image' }, 'lgtm'), {
+    username: [[0, 4]],
+    name: [[7, 11]]
+  });
+  assert.deepEqual(getCommandMatchRanges({ command: 'approve' }, 'prov'), {
+    username: [[2, 6]],
+    name: [[2, 6]]
+  });
+});
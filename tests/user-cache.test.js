@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  USER_CACHE_META_KEY,
+  LEGACY_USER_CACHE_KEY,
+  USER_CACHE_MAX_BYTES,
+  splitUsersIntoChunks,
+  buildUserCacheItems,
+  assembleUserCache,
+  readUserCacheMeta,
+  readUserCache,
+  writeUserCache,
+  clearUserCache,
+  formatByteSize,
+  describeUserCacheUsage
+} = require('../utils/user-cache.js');
+
+function createStorageStub(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    async get(keys) {
+      return Object.fromEntries([].concat(keys).filter((key) => key in data).map((key) => [key, data[key]]));
+    },
+    async set(values) {
+      Object.assign(data, values);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete data[key]);
+    }
+  };
+}
+
+function createUsers(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    username: `user${index}`,
+    name: `User Number ${index}`,
+    avatar: `https://avatars.example.com/u/${index}?s=64`
+  }));
+}
+
+test('splitUsersIntoChunks keeps order and every chunk under the byte limit', () => {
+  const users = createUsers(500);
+  const { chunks, bytes } = splitUsersIntoChunks(users, 4096);
+
+  assert.equal(chunks.length > 1, true);
+  assert.deepEqual(chunks.flat(), users);
+  chunks.forEach((chunk) => assert.equal(JSON.stringify(chunk).length <= 4096, true));
+  assert.equal(bytes, users.reduce((sum, user) => sum + JSON.stringify(user).length + 1, 0));
+});
+
+test('buildUserCacheItems rejects lists over the cache limit', () => {
+  const avatar = 'x'.repeat(1024 * 1024);
+  const users = Array.from({ length: USER_CACHE_MAX_BYTES / (1024 * 1024) + 1 }, (_, index) => ({
+    username: `user${index}`,
+    name: 'User',
+    avatar
+  }));
+
+  const result = buildUserCacheItems(users, { revision: 1, timestamp: 0 });
+  assert.equal(result.items, null);
+  assert.match(result.error, /over the 64 MB cache limit/);
+});
+
+test('writeUserCache stores 50k users in chunks that read back in order', async () => {
+  const storage = createStorageStub({ [LEGACY_USER_CACHE_KEY]: [{ username: 'old', name: 'Old' }] });
+  const users = createUsers(50000);
+
+  const written = await writeUserCache(storage, users, { now: 1000, extraItems: { timestamp: 1000 } });
+  assert.equal(written.success, true);
+  assert.equal(written.meta.userCount, 50000);
+  assert.equal(written.meta.chunkCount > 1, true);
+  assert.equal(storage.data.timestamp, 1000);
+  assert.equal(LEGACY_USER_CACHE_KEY in storage.data, false);
+
+  const read = await readUserCache(storage);
+  assert.equal(read.users.length, 50000);
+  assert.deepEqual(read.users[49999], users[49999]);
+});
+
+test('writeUserCache bumps the revision and removes chunks a smaller list no longer needs', async () => {
+  const storage = createStorageStub();
+  const first = await writeUserCache(storage, createUsers(20000), { now: 1 });
+  const second = await writeUserCache(storage, createUsers(3), { now: 2 });
+
+  assert.equal(second.meta.revision, first.meta.revision + 1);
+  assert.equal(second.meta.chunkCount, 1);
+  assert.deepEqual(
+    Object.keys(storage.data).filter((key) => key !== USER_CACHE_META_KEY),
+    ['githubMentions_userCacheChunk_0']
+  );
+  assert.equal((await readUserCache(storage)).users.length, 3);
+});
+
+test('writeUserCache leaves the meta item alone when the list is unchanged', async () => {
+  const storage = createStorageStub();
+  const first = await writeUserCache(storage, [], { now: 1 });
+  const writes = [];
+  const set = storage.set;
+  storage.set = async (values) => {
+    writes.push(Object.keys(values));
+    return set(values);
+  };
+
+  const again = await writeUserCache(storage, [], { now: 2, extraItems: { timestamp: 2 } });
+  assert.equal(again.success, true);
+  assert.equal(again.meta.revision, first.meta.revision);
+  assert.deepEqual(writes, [['timestamp']]);
+
+  const changed = await writeUserCache(storage, createUsers(1), { now: 3 });
+  assert.equal(changed.meta.revision, first.meta.revision + 1);
+});
+
+test('assembleUserCache returns null while chunks from another revision are present', () => {
+  const meta = { revision: 2, chunkCount: 2 };
+  assert.equal(assembleUserCache(meta, {
+    githubMentions_userCacheChunk_0: { revision: 2, users: [{ username: 'a' }] },
+    githubMentions_userCacheChunk_1: { revision: 1, users: [{ username: 'b' }] }
+  }), null);
+  assert.equal(assembleUserCache(meta, {
+    githubMentions_userCacheChunk_0: { revision: 2, users: [{ username: 'a' }] }
+  }), null);
+});
+
+test('readUserCache and readUserCacheMeta fall back to the legacy single item', async () => {
+  const legacy = [{ username: 'octocat', name: 'Octo Cat', avatar: '' }];
+  const storage = createStorageStub({ [LEGACY_USER_CACHE_KEY]: legacy });
+
+  assert.deepEqual(await readUserCache(storage), { users: legacy, meta: null });
+  const meta = await readUserCacheMeta(storage);
+  assert.equal(meta.version, 0);
+  assert.equal(meta.userCount, 1);
+  assert.equal(meta.bytes, JSON.stringify(legacy).length);
+});
+
+test('clearUserCache removes the meta item and every chunk', async () => {
+  const storage = createStorageStub({ other: true });
+  await writeUserCache(storage, createUsers(20000), { now: 1 });
+  await clearUserCache(storage);
+
+  assert.deepEqual(Object.keys(storage.data), ['other']);
+  assert.equal(await readUserCacheMeta(storage), null);
+});
+
+test('describeUserCacheUsage reports the size against the limit', () => {
+  assert.equal(formatByteSize(512), '512 B');
+  assert.equal(formatByteSize(1536), '1.5 KB');
+  assert.equal(formatByteSize(3.45 * 1024 * 1024), '3.5 MB');
+  assert.equal(describeUserCacheUsage(null), 'Empty (limit 64 MB)');
+  assert.equal(
+    describeUserCacheUsage({ version: 1, bytes: 2 * 1024 * 1024, chunkCount: 4 }),
+    '2 MB of 64 MB (4 chunks)'
+  );
+  assert.equal(
+    describeUserCacheUsage({ version: 0, bytes: 2048, chunkCount: 0 }),
+    '2 KB of 64 MB (legacy single item)'
+  );
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rankUsers } = require('../content/triggers.js');
+const {
+  createUserSearchIndex,
+  getUserSearchIndex,
+  searchUserIndex
+} = require('../content/user-index.js');
+
+const users = [
+  { username: 'alice', name: 'Alice Anderson' },
+  { username: 'jsmith', name: 'Jane Smith' },
+  { username: 'kimminsu', name: '김민수' },
+  { username: 'bob', name: 'Bob Brown' },
+  { username: 'zoe', name: 'Zoë Zhang' }
+];
+
+test('searchUserIndex ranks exactly like rankUsers over the whole directory', () => {
+  ['', 'a', 'js', 'jasm', 'ㄱㅁ', 'gim', 'zoe', 'xyz'].forEach((query) => {
+    const index = createUserSearchIndex(users);
+    const { results, total } = searchUserIndex(index, query, {}, 0);
+    const expected = rankUsers(users, query, {}, 0);
+    assert.deepEqual(results, expected, `query "${query}"`);
+    assert.equal(total, expected.length, `query "${query}"`);
+  });
+});
+
+test('searchUserIndex keeps only the best rows but counts every match', () => {
+  const index = createUserSearchIndex(users);
+  const { results, total } = searchUserIndex(index, 'a', {}, 0, { limit: 2 });
+
+  assert.deepEqual(results, rankUsers(users, 'a', {}, 0).slice(0, 2));
+  assert.equal(total, rankUsers(users, 'a', {}, 0).length);
+});
+
+test('searchUserIndex narrows from the previous matches while the query grows', () => {
+  const index = createUserSearchIndex(users);
+
+  assert.deepEqual(searchUserIndex(index, 'b').results.map(({ user }) => user.username), ['bob']);
+  assert.deepEqual(index.lastMatches, [3]);
+
+  // Only the previous matches are rechecked, so a stale entry elsewhere is ignored
+  index.searchEntries[0] = { username: null, name: null, texts: ['bobby'] };
+  assert.deepEqual(searchUserIndex(index, 'bo').results.map(({ user }) => user.username), ['bob']);
+
+  // A query that does not extend the previous one rescans every user
+  assert.deepEqual(searchUserIndex(index, 'an').results.map(({ user }) => user.username), ['jsmith', 'zoe']);
+  assert.equal(searchUserIndex(index, '').total, users.length);
+  assert.equal(index.lastMatches, null);
+});
+
+test('getUserSearchIndex keeps the index until the directory array changes', () => {
+  const index = getUserSearchIndex(null, users);
+  assert.equal(getUserSearchIndex(index, users), index);
+  assert.notEqual(getUserSearchIndex(index, [...users]), index);
+});
+
+test('searchUserIndex answers each keystroke quickly in a 50k directory', () => {
+  const directory = Array.from({ length: 50000 }, (_, position) => ({
+    username: `user${position}`,
+    name: `Frank Fischer ${position}`
+  }));
+  const index = createUserSearchIndex(directory);
+
+  // The first keystroke also builds the search entries, so it gets more room
+  let startedAt = Date.now();
+  const first = searchUserIndex(index, 'f', {}, 0, { limit: 50 });
+  assert.ok(Date.now() - startedAt < 3000, `first keystroke took ${Date.now() - startedAt}ms`);
+  assert.equal(first.results.length, 50);
+  assert.equal(first.total, directory.length);
+
+  ['e', 'x', 'u', 'us', 'user4999', 'user49999'].forEach((query) => {
+    startedAt = Date.now();
+    searchUserIndex(index, query, {}, 0, { limit: 50 });
+    assert.ok(Date.now() - startedAt < 1000, `"${query}" took ${Date.now() - startedAt}ms`);
+  });
+
+  const { results } = searchUserIndex(index, 'user49999', {}, 0, { limit: 50 });
+  assert.equal(results[0].user.username, 'user49999');
+  assert.equal(index.lastMatches.length, 1);
+});
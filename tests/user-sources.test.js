@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getConfiguredSources,
+  hasEndpointSource,
+  parseSourceUsers,
+  mergeSourceUsers,
+  describeSourceStat
+} = require('../utils/user-sources.js');
+
+function createResult(id, users, error = null) {
+  return {
+    source: { id, name: id, type: 'direct' },
+    users,
+    error
+  };
+}
+
+test('getConfiguredSources puts the primary source first and skips disabled sources', () => {
+  const sources = getConfiguredSources({
+    dataSource: 'endpoint',
+    endpointUrl: 'https://example.com/users.json',
+    userSources: [
+      { id: 'team', name: 'Team', type: 'direct', jsonData: '[]' },
+      { id: 'off', name: 'Off', type: 'file', enabled: false }
+    ]
+  });
+
+  assert.deepEqual(sources.map((source) => source.id), ['primary', 'team']);
+  assert.equal(sources[0].url, 'https://example.com/users.json');
+  assert.equal(hasEndpointSource({ dataSource: 'gui', userSources: [] }), false);
+  assert.equal(hasEndpointSource({
+    dataSource: 'gui',
+    userSources: [{ id: 'api', type: 'endpoint', url: 'https://example.com' }]
+  }), true);
+});
+
+test('parseSourceUsers reports invalid JSON instead of throwing', () => {
+  assert.equal(parseSourceUsers({ jsonData: '{' }).users.length, 0);
+  assert.match(parseSourceUsers({ jsonData: '{' }).error, /Invalid JSON/);
+  assert.equal(parseSourceUsers({ jsonData: '{}' }).error, 'JSON must be an array');
+  assert.deepEqual(parseSourceUsers({ jsonData: '[{"username":"octocat"}]' }).users, [
+    { username: 'octocat', name: 'octocat', avatar: '' }
+  ]);
+});
+
+test('mergeSourceUsers dedupes usernames case-insensitively and lets earlier sources win', () => {
+  const merged = mergeSourceUsers([
+    createResult('contractors', [{ username: 'octocat', name: 'Octo Contractor', avatar: '' }]),
+    createResult('internal', [
+      { username: 'OctoCat', name: 'Octo Internal', avatar: 'https://example.com/octo.png' },
+      { username: 'hubot', name: 'hubot', avatar: '' }
+    ])
+  ], 'first');
+
+  assert.deepEqual(merged.users, [
+    { username: 'octocat', name: 'Octo Contractor', avatar: 'https://example.com/octo.png' },
+    { username: 'hubot', name: 'hubot', avatar: '' }
+  ]);
+  assert.deepEqual(merged.stats.map((stat) => [stat.id, stat.count, stat.uniqueCount]), [
+    ['contractors', 1, 1],
+    ['internal', 2, 1]
+  ]);
+});
+
+test('mergeSourceUsers lets later sources override with last precedence but ignores empty values', () => {
+  const merged = mergeSourceUsers([
+    createResult('contractors', [{ username: 'octocat', name: 'Octo Contractor', avatar: 'https://example.com/a.png' }]),
+    createResult('internal', [{ username: 'octocat', name: 'Octo Internal', avatar: '' }]),
+    createResult('partners', [{ username: 'octocat', name: 'octocat', avatar: '' }])
+  ], 'last');
+
+  assert.deepEqual(merged.users, [
+    { username: 'octocat', name: 'Octo Internal', avatar: 'https://example.com/a.png' }
+  ]);
+});
+
+test('describeSourceStat summarizes counts, merges and errors', () => {
+  assert.equal(
+    describeSourceStat({ name: 'Partners', type: 'endpoint', count: 5, uniqueCount: 3, error: null }),
+    'Partners (HTTP Endpoint): 5 users (2 merged)'
+  );
+  assert.equal(
+    describeSourceStat({ name: 'Team', type: 'direct', count: 0, uniqueCount: 0, error: 'Invalid JSON' }),
+    'Team (JSON): 0 users, Invalid JSON'
+  );
+});
+
+test('mergeSourceUsers keeps groups apart from users and unions their members', () => {
+  const group = (members) => ({ username: 'frontend', name: 'frontend', avatar: '', isGroup: true, members });
+  const { users } = mergeSourceUsers([
+    createResult('a', [{ username: 'frontend', name: 'Front End', avatar: '' }, group(['alice', 'bob'])]),
+    createResult('b', [group(['Bob', 'carol'])])
+  ]);
+
+  assert.equal(users.length, 2);
+  assert.equal(users[0].isGroup, undefined);
+  assert.deepEqual(users[1].members, ['alice', 'bob', 'carol']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatMentionText, getUsersForSuggestions } = require('../content/users-source.js');
+
+test('formatMentionText inserts a single mention for users', () => {
+  assert.equal(formatMentionText({ username: 'alice', name: 'Alice' }), '@alice ');
+});
+
+test('formatMentionText expands groups to every member', () => {
+  assert.equal(formatMentionText({
+    username: 'frontend',
+    isGroup: true,
+    members: ['alice', 'bob', 'carol']
+  }), '@alice @bob @carol ');
+});
+
+test('getUsersForSuggestions keeps the current users while the cache is mid-write', async () => {
+  const settings = { dataSource: 'endpoint', endpointUrl: 'https://example.com/users.json' };
+  const storage = {
+    async isCacheExpired() {
+      return true;
+    },
+    async getCachedUsers() {
+      return null;
+    }
+  };
+  const current = [{ username: 'octocat', name: 'Octo Cat' }];
+
+  assert.equal(await getUsersForSuggestions(storage, current, settings), current);
+  assert.deepEqual(await getUsersForSuggestions(storage, [], settings), []);
+});
+
+test('getUsersForSuggestions leaves cache writes to the background', async () => {
+  const messages = [];
+  globalThis.chrome = {
+    runtime: {
+      sendMessage(message, callback) {
+        messages.push(message);
+        callback({ success: true });
+      }
+    }
+  };
+  const settings = { dataSource: 'gui', directJsonData: JSON.stringify([{ username: 'octocat', name: 'Octo Cat' }]) };
+  const storage = {};
+
+  try {
+    const users = await getUsersForSuggestions(storage, [], settings);
+    assert.deepEqual(users.map((user) => user.username), ['octocat']);
+    assert.deepEqual(messages, [{ action: 'refreshUserDirectory', force: false }]);
+  } finally {
+    delete globalThis.chrome;
+  }
+});
+
+test('getUsersForSuggestions asks for an empty directory once per settings revision', async () => {
+  const messages = [];
+  globalThis.chrome = {
+    runtime: {
+      sendMessage(message, callback) {
+        messages.push(message);
+        callback({ success: false, userCount: 0 });
+      }
+    }
+  };
+  const storage = {
+    async isCacheExpired() {
+      return true;
+    },
+    async getCachedUsers() {
+      return [];
+    }
+  };
+  const remote = { dataSource: 'endpoint', endpointUrl: 'https://example.com/users.json' };
+  const local = { dataSource: 'gui', directJsonData: '[]' };
+
+  try {
+    for (let lookup = 0; lookup < 3; lookup += 1) {
+      assert.deepEqual(await getUsersForSuggestions(storage, [], remote), []);
+      assert.deepEqual(await getUsersForSuggestions(storage, [], local), []);
+    }
+    assert.equal(messages.length, 2);
+
+    // Saved settings are a new object, so they get their own refresh
+    await getUsersForSuggestions(storage, [], { ...local });
+    assert.equal(messages.length, 3);
+  } finally {
+    delete globalThis.chrome;
+  }
+});
@@ -1,7 +1,11 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
+require('../utils/settings.js');
+
 const {
+  isGroupRowBlank,
+  isGroupRowValid,
   isUserRowBlank,
   isUserRowValid
 } = require('../browserAction/popup/users-table.js');
@@ -19,3 +23,12 @@ test('isUserRowValid rejects rows missing username when other fields are filled'
 test('isUserRowValid accepts rows with username', () => {
   assert.equal(isUserRowValid({ username: 'tigeryoo', name: '', profile: '' }), true);
 });
+
+test('isGroupRowValid allows a blank row and requires a name with members otherwise', () => {
+  assert.equal(isGroupRowBlank({ group: '', members: '' }), true);
+  assert.equal(isGroupRowValid({ group: '', members: '' }), true);
+  assert.equal(isGroupRowValid({ group: 'frontend', members: '' }), false);
+  assert.equal(isGroupRowValid({ group: '', members: 'alice, bob' }), false);
+  assert.equal(isGroupRowValid({ group: 'frontend', members: ' , ' }), false);
+  assert.equal(isGroupRowValid({ group: 'frontend', members: 'alice, @bob' }), true);
+});
@@ -0,0 +1,200 @@
+(function initGitHubMentionsCommandPacks(root) {
+  const COMMAND_NAME_PATTERN = /^[a-zA-Z0-9-_]+$/;
+  const COMMAND_PACK_SYNC_INTERVAL = 24 * 60 * 60 * 1000; // 1 day in milliseconds
+
+  function getSettingsApi() {
+    return root.GitHubMentionsSettings
+      || (typeof module !== 'undefined' && module.exports ? require('./settings.js') : null);
+  }
+
+  function getTemplatesApi() {
+    return root.GitHubMentionsTemplates
+      || (typeof module !== 'undefined' && module.exports ? require('./templates.js') : null);
+  }
+
+  /**
+   * Normalizes one command from a pack or from `customCommands` into the
+   * stored object shape, so both sides of a diff compare field by field.
+   * @returns {{content: string, emoji: string|null, category?: string, params?: Object[]}|null}
+   */
+  function normalizePackCommand(commandData) {
+    const data = typeof commandData === 'string' ? { content: commandData } : commandData;
+    if (!data || typeof data !== 'object' || typeof data.content !== 'string' || !data.content.trim()) {
+      return null;
+    }
+
+    const category = getSettingsApi()?.getCommandCategory(data) || '';
+    const params = Array.isArray(data.params)
+      ? data.params
+        .filter((param) => param && typeof param.name === 'string')
+        .map((param) => (typeof param.default === 'string' ? { name: param.name, default: param.default } : { name: param.name }))
+      : [];
+
+    return {
+      content: data.content,
+      emoji: typeof data.emoji === 'string' && data.emoji ? data.emoji : null,
+      ...(params.length > 0 ? { params } : {}),
+      ...(category ? { category } : {})
+    };
+  }
+
+  function isSameCommand(left, right) {
+    return JSON.stringify(normalizePackCommand(left)) === JSON.stringify(normalizePackCommand(right));
+  }
+
+  /**
+   * Validates a command pack. `commands` may be an object keyed by command
+   * name (the `customCommands` shape) or an array of `{name, ...}` entries.
+   * @returns {{pack: {name: string, version: string, commands: Object}|null, error: string|null}}
+   */
+  function parseCommandPack(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { pack: null, error: 'Command pack must be a JSON object' };
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      return { pack: null, error: 'Command pack needs a name' };
+    }
+
+    const entries = Array.isArray(data.commands)
+      ? data.commands.map((command) => [command?.name, command])
+      : Object.entries(data.commands && typeof data.commands === 'object' ? data.commands : {});
+    if (entries.length === 0) {
+      return { pack: null, error: 'Command pack has no commands' };
+    }
+
+    const commands = {};
+    for (const [name, commandData] of entries) {
+      if (typeof name !== 'string' || !COMMAND_NAME_PATTERN.test(name)) {
+        return { pack: null, error: `Invalid command name "${name}"` };
+      }
+
+      const command = normalizePackCommand(commandData);
+      if (!command) {
+        return { pack: null, error: `Command "${name}" has no content` };
+      }
+      // Same check as saving a command in the popup
+      const templates = getTemplatesApi();
+      const unknown = templates ? templates.findUnknownTemplateVariables(command.content, command.params) : [];
+      if (unknown.length > 0) {
+        return { pack: null, error: `Command "${name}": ${templates.formatUnknownVariablesMessage(unknown)}` };
+      }
+      const tabStops = templates ? templates.findConflictingTabStops(command.content, command.params) : [];
+      if (tabStops.length > 0) {
+        return { pack: null, error: `Command "${name}": ${templates.formatConflictingTabStopsMessage(tabStops)}` };
+      }
+      commands[name] = command;
+    }
+
+    return {
+      pack: {
+        name: data.name.trim(),
+        version: typeof data.version === 'string' || typeof data.version === 'number' ? String(data.version).trim() : '',
+        commands
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Compares a pack with the local commands. A local command counts as
+   * "changed" only when it is still exactly what this pack installed last
+   * time; anything else with the same name is a conflict.
+   * @param {Object} customCommands
+   * @param {Object} pack - From `parseCommandPack`
+   * @param {Object} [subscription] - Existing subscription for this pack
+   * @returns {{added: string[], changed: string[], conflicts: string[], unchanged: string[]}}
+   */
+  function diffCommandPack(customCommands, pack, subscription = null) {
+    const local = customCommands && typeof customCommands === 'object' ? customCommands : {};
+    const installed = subscription?.commands || {};
+    const diff = { added: [], changed: [], conflicts: [], unchanged: [] };
+
+    Object.keys(pack.commands).sort((left, right) => left.localeCompare(right)).forEach((name) => {
+      if (!Object.hasOwn(local, name)) {
+        diff.added.push(name);
+      } else if (isSameCommand(local[name], pack.commands[name])) {
+        diff.unchanged.push(name);
+      } else if (Object.hasOwn(installed, name) && isSameCommand(local[name], installed[name])) {
+        diff.changed.push(name);
+      } else {
+        diff.conflicts.push(name);
+      }
+    });
+
+    return diff;
+  }
+
+  function formatCommandPackDiff(diff) {
+    const parts = [
+      `${diff.added.length} added`,
+      `${diff.changed.length} changed`,
+      `${diff.conflicts.length} ${diff.conflicts.length === 1 ? 'conflict' : 'conflicts'}`
+    ];
+    return diff.unchanged.length > 0 ? `${parts.join(', ')}, ${diff.unchanged.length} unchanged` : parts.join(', ');
+  }
+
+  /**
+   * Merges a pack into `customCommands` and returns the subscription to
+   * store. Conflicts are kept local unless `overwriteConflicts` is set; a
+   * skipped conflict is no longer tracked as installed by the pack.
+   * @param {Object} customCommands
+   * @param {Object} pack - From `parseCommandPack`
+   * @param {Object} options
+   * @param {Object|null} [options.subscription] - Existing subscription
+   * @param {string} [options.url] - Source URL; empty for file imports
+   * @param {boolean} [options.autoSync]
+   * @param {boolean} [options.overwriteConflicts]
+   * @param {number} [options.now]
+   * @returns {{customCommands: Object, subscription: Object, diff: Object}}
+   */
+  function applyCommandPack(customCommands, pack, options = {}) {
+    const diff = diffCommandPack(customCommands, pack, options.subscription);
+    const nextCommands = { ...(customCommands || {}) };
+    const installed = { ...(options.subscription?.commands || {}) };
+    const applied = [...diff.added, ...diff.changed, ...(options.overwriteConflicts ? diff.conflicts : [])];
+
+    applied.forEach((name) => {
+      nextCommands[name] = pack.commands[name];
+    });
+    [...applied, ...diff.unchanged].forEach((name) => {
+      installed[name] = pack.commands[name];
+    });
+    if (!options.overwriteConflicts) {
+      diff.conflicts.forEach((name) => delete installed[name]);
+    }
+
+    const url = options.url ?? options.subscription?.url ?? '';
+    return {
+      customCommands: nextCommands,
+      diff,
+      subscription: {
+        id: options.subscription?.id || getSettingsApi()?.createSourceId('pack'),
+        name: pack.name,
+        version: pack.version,
+        url,
+        autoSync: Boolean(url) && (options.autoSync ?? options.subscription?.autoSync ?? false),
+        lastSynced: options.now || Date.now(),
+        commands: installed
+      }
+    };
+  }
+
+  function isCommandPackSyncDue(subscription, now = Date.now()) {
+    return Boolean(subscription?.autoSync && subscription.url)
+      && (!subscription.lastSynced || now - subscription.lastSynced >= COMMAND_PACK_SYNC_INTERVAL);
+  }
+
+  root.GitHubMentionsCommandPacks = {
+    COMMAND_PACK_SYNC_INTERVAL,
+    normalizePackCommand,
+    parseCommandPack,
+    diffCommandPack,
+    formatCommandPackDiff,
+    applyCommandPack,
+    isCommandPackSyncDue
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = root.GitHubMentionsCommandPacks;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
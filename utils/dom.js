@@ -6,6 +6,7 @@ const domRoot = typeof window !== 'undefined' ? window : globalThis;
 domRoot.GitHubMentionsDOM = domRoot.GitHubMentionsDOM || {};
 
 [
+  'announce',
   'createOverlay',
   'getOverlay',
   'getSelectedBgColor',
@@ -9,13 +9,15 @@
     'https://media.giphy.com/media/QMHoU66sBXqqLqYvGO/giphy.gif'
   ];
 
+  const MAX_LGTM_HISTORY = 200;
+
   function getCuratedLgtmPool() {
     return curatedLgtmGifs.slice();
   }
 
-  function pickRandomLgtmGif(excludedUrl = null, randomFn = Math.random) {
-    const pool = getCuratedLgtmPool().filter((url) => url !== excludedUrl);
-    const targetPool = pool.length > 0 ? pool : getCuratedLgtmPool();
+  function pickRandomLgtmGif(excludedUrl = null, randomFn = Math.random, sourcePool = getCuratedLgtmPool()) {
+    const pool = sourcePool.filter((url) => url !== excludedUrl);
+    const targetPool = pool.length > 0 ? pool : sourcePool;
 
     if (targetPool.length === 0) {
       return null;
@@ -25,10 +27,106 @@
     return targetPool[index];
   }
 
+  /**
+   * Reads a value from a JSON response by a dotted path such as
+   * `data.images[0].url` (`data.images.0.url` works too).
+   */
+  function readResponseField(data, path) {
+    return String(path || '')
+      .replace(/\[(\d+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), data);
+  }
+
+  /**
+   * Keeps well-formed history entries, newest first, one per image URL.
+   * @returns {{url: string, repo: string, timestamp: number, favorite: boolean, banned: boolean}[]}
+   */
+  function normalizeLgtmHistory(history) {
+    const seenUrls = new Set();
+    return (Array.isArray(history) ? history : [])
+      .filter((entry) => entry && typeof entry.url === 'string' && entry.url.trim())
+      .map((entry) => ({
+        url: entry.url.trim(),
+        repo: typeof entry.repo === 'string' ? entry.repo : '',
+        timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : 0,
+        favorite: entry.favorite === true && entry.banned !== true,
+        banned: entry.banned === true
+      }))
+      .filter((entry) => {
+        if (seenUrls.has(entry.url)) {
+          return false;
+        }
+        seenUrls.add(entry.url);
+        return true;
+      })
+      .sort((left, right) => right.timestamp - left.timestamp);
+  }
+
+  /**
+   * Records a delivered image, moving an existing entry to the top while
+   * keeping its favorite/banned flags. Past `MAX_LGTM_HISTORY` the oldest
+   * entries that are neither favorite nor banned are dropped.
+   */
+  function recordLgtmHistory(history, { url, repo = '', timestamp = Date.now() }) {
+    const entries = normalizeLgtmHistory(history);
+    const existing = entries.find((entry) => entry.url === url);
+    const next = [
+      { url, repo, timestamp, favorite: existing?.favorite || false, banned: existing?.banned || false },
+      ...entries.filter((entry) => entry.url !== url)
+    ];
+
+    let overflow = next.length - MAX_LGTM_HISTORY;
+    for (let index = next.length - 1; index >= 0 && overflow > 0; index -= 1) {
+      if (!next[index].favorite && !next[index].banned) {
+        next.splice(index, 1);
+        overflow -= 1;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Favorites or bans an image. The two are exclusive: banning clears the
+   * favorite and favoriting lifts a ban.
+   */
+  function updateLgtmHistoryEntry(history, url, { favorite, banned }) {
+    return normalizeLgtmHistory(history).map((entry) => {
+      if (entry.url !== url) {
+        return entry;
+      }
+      if (banned !== undefined) {
+        return { ...entry, banned, favorite: banned ? false : entry.favorite };
+      }
+      return { ...entry, favorite, banned: favorite ? false : entry.banned };
+    });
+  }
+
+  function removeLgtmHistoryEntry(history, url) {
+    return normalizeLgtmHistory(history).filter((entry) => entry.url !== url);
+  }
+
+  function getFavoriteLgtmUrls(history) {
+    return normalizeLgtmHistory(history).filter((entry) => entry.favorite).map((entry) => entry.url);
+  }
+
+  function getBannedLgtmUrls(history) {
+    return normalizeLgtmHistory(history).filter((entry) => entry.banned).map((entry) => entry.url);
+  }
+
   root.GitHubMentionsLGTM = {
+    MAX_LGTM_HISTORY,
     CURATED_LGTM_GIFS: curatedLgtmGifs.slice(),
     getCuratedLgtmPool,
-    pickRandomLgtmGif
+    pickRandomLgtmGif,
+    readResponseField,
+    normalizeLgtmHistory,
+    recordLgtmHistory,
+    updateLgtmHistoryEntry,
+    removeLgtmHistoryEntry,
+    getFavoriteLgtmUrls,
+    getBannedLgtmUrls
   };
 
   if (typeof module !== 'undefined' && module.exports) {
@@ -5,6 +5,35 @@ function createNavigationAction(type, item) {
   return item ? { type, item } : { type };
 }
 
+/**
+ * Returns the index selected by a navigation key. Arrow keys wrap around,
+ * page and Home/End keys stop at the first and last item.
+ * @returns {number|null} Next index, or null for keys that do not move
+ */
+function getNavigationIndex(key, index, count, pageSize = 1) {
+  if (count <= 0) {
+    return null;
+  }
+
+  const step = Math.max(1, pageSize);
+  switch (key) {
+    case 'ArrowDown':
+      return (index + 1) % count;
+    case 'ArrowUp':
+      return (index - 1 + count) % count;
+    case 'PageDown':
+      return Math.min(count - 1, index + step);
+    case 'PageUp':
+      return Math.max(0, index - step);
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+}
+
 function handleKeyNavigation(event) {
   const overlayApi = overlayNavigationRoot.GitHubMentionsOverlay;
   const state = overlayApi.state;
@@ -25,23 +54,24 @@ function handleKeyNavigation(event) {
     return createNavigationAction('move');
   }
 
+  if (event.altKey && event.key === 'ArrowUp') {
+    event.preventDefault();
+    event.stopPropagation();
+    overlayApi.hideOverlay();
+    return createNavigationAction('close');
+  }
+
   switch (event.key) {
     case 'ArrowDown':
-      event.preventDefault();
-      event.stopPropagation();
-      if (state.overlayItems.length > 1) {
-        state.selectedIndex = (state.selectedIndex + 1) % state.overlayItems.length;
-        state.currentSelectedIndex = state.selectedIndex;
-        overlayApi.updateSelection();
-        state.lastKeyNavTime = now;
-      }
-      return createNavigationAction('move');
-
     case 'ArrowUp':
+    case 'PageDown':
+    case 'PageUp':
+    case 'Home':
+    case 'End':
       event.preventDefault();
       event.stopPropagation();
       if (state.overlayItems.length > 1) {
-        state.selectedIndex = (state.selectedIndex - 1 + state.overlayItems.length) % state.overlayItems.length;
+        state.selectedIndex = getNavigationIndex(event.key, state.selectedIndex, state.overlayItems.length, state.visibleRows);
         state.currentSelectedIndex = state.selectedIndex;
         overlayApi.updateSelection();
         state.lastKeyNavTime = now;
@@ -74,6 +104,7 @@ overlayNavigationRoot.GitHubMentionsOverlay.handleKeyNavigation = handleKeyNavig
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     createNavigationAction,
+    getNavigationIndex,
     handleKeyNavigation
   };
 }
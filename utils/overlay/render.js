@@ -39,25 +39,206 @@ function syncOverlayHost(activeInput) {
   return nextHost;
 }
 
-function getThemeColors() {
-  const isDarkMode = overlayRenderRoot.matchMedia && overlayRenderRoot.matchMedia('(prefers-color-scheme: dark)').matches;
+const LISTBOX_ID = 'github-mentions-listbox';
+const LIVE_REGION_ID = 'github-mentions-live-region';
+const COMBOBOX_ATTRIBUTES = ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant'];
+const DEFAULT_VISIBLE_ROWS = 4;
+const DEFAULT_MAX_RESULTS = 50;
+const FALLBACK_ROW_HEIGHT = 32;
+
+/**
+ * Avatar for a directory entry without one. GitHub serves `/<username>.png`
+ * on github.com and on GitHub Enterprise Server, so custom hosts use their
+ * own origin; github.com subdomains such as gist.github.com use github.com.
+ */
+function getAvatarUrl(user, location = overlayRenderRoot.location) {
+  if (user?.avatar) {
+    return user.avatar;
+  }
+
+  const hostname = location?.hostname || '';
+  const isGitHubDotCom = !hostname || hostname === 'github.com' || hostname.endsWith('.github.com');
+  const origin = isGitHubDotCom ? 'https://github.com' : location.origin;
+  return `${origin}/${user?.username}.png`;
+}
+
+function formatMoreResults(count) {
+  return `${count} more…`;
+}
+
+/**
+ * Splits the matches into the rendered rows and the number left out.
+ * `options.totalCount` covers matches the caller already dropped before
+ * rendering, e.g. when the search only kept the best rows.
+ * @returns {{items: Object[], visibleRows: number, hiddenCount: number}}
+ */
+function getOverlayLayout(users, options = {}) {
+  const maxResults = Number.isInteger(options.maxResults) && options.maxResults > 0
+    ? options.maxResults
+    : DEFAULT_MAX_RESULTS;
+  const visibleRows = Number.isInteger(options.visibleRows) && options.visibleRows > 0
+    ? options.visibleRows
+    : DEFAULT_VISIBLE_ROWS;
+  const items = users.slice(0, maxResults);
+  const totalCount = Number.isInteger(options.totalCount) ? Math.max(options.totalCount, users.length) : users.length;
+
   return {
-    isDarkMode,
-    background: isDarkMode ? '#04080d' : '#ffffff',
-    username: isDarkMode ? '#e3eaf1' : '#212529',
-    name: isDarkMode ? '#848b94' : '#4f5863',
-    border: isDarkMode ? '#353c44' : '#dde1e5'
+    items,
+    visibleRows: Math.min(visibleRows, items.length),
+    hiddenCount: totalCount - items.length
   };
 }
 
-function getSelectedBgColor(isDarkMode) {
-  return isDarkMode ? '#1f6feb' : '#9ec9f9ff';
+/**
+ * Splits rendered items into consecutive runs by `category`. Items without
+ * categories stay in a single untitled group.
+ * @returns {{category: string|null, entries: {item: Object, index: number}[]}[]}
+ */
+function groupOverlayItems(items) {
+  const groups = [];
+  items.forEach((item, index) => {
+    const category = item.category || null;
+    const last = groups[groups.length - 1];
+    if (last && last.category === category) {
+      last.entries.push({ item, index });
+    } else {
+      groups.push({ category, entries: [{ item, index }] });
+    }
+  });
+  return groups;
+}
+
+function getGroupLabelId(index) {
+  return `github-mentions-group-${index}`;
+}
+
+function createGroupHeader(category, index, colors) {
+  const header = document.createElement('div');
+  header.id = getGroupLabelId(index);
+  header.className = 'github-mentions-group-header';
+  header.textContent = category;
+  header.style.cssText = `
+    color: ${colors.name};
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.02em;
+    padding: 0.375rem 1rem 0.25rem;
+  `;
+  return header;
+}
+
+function getOptionId(index) {
+  return `github-mentions-option-${index}`;
+}
+
+function getListboxLabel(items) {
+  return items.length > 0 && items.every((item) => item.isCommand) ? 'Command suggestions' : 'Mention suggestions';
+}
+
+function formatResultCountAnnouncement(count, hiddenCount = 0) {
+  const noun = count === 1 ? 'suggestion' : 'suggestions';
+  if (hiddenCount > 0) {
+    return `${count} ${noun} shown, ${hiddenCount} more. Use up and down arrows to choose.`;
+  }
+  return `${count} ${noun} available. Use up and down arrows to choose.`;
+}
+
+function getLiveRegion() {
+  const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+  if (state.liveRegion?.isConnected) {
+    return state.liveRegion;
+  }
+
+  const liveRegion = document.createElement('div');
+  liveRegion.id = LIVE_REGION_ID;
+  liveRegion.setAttribute('role', 'status');
+  liveRegion.setAttribute('aria-live', 'polite');
+  liveRegion.setAttribute('aria-atomic', 'true');
+  liveRegion.style.cssText = `
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+    border: 0;
+  `;
+  document.body.appendChild(liveRegion);
+  state.liveRegion = liveRegion;
+  return liveRegion;
+}
+
+/**
+ * Announces a message through the polite live region, skipping repeats of
+ * the last announcement so typing does not re-read an unchanged count.
+ */
+function announce(message) {
+  const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+  if (!message || message === state.lastAnnouncement) {
+    return;
+  }
+
+  state.lastAnnouncement = message;
+  getLiveRegion().textContent = message;
+}
+
+/**
+ * Marks the active input as the combobox controlling the listbox, keeping
+ * any attribute values GitHub set so they can be restored on close.
+ */
+function attachCombobox(activeInput) {
+  const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+  if (state.comboboxInput && state.comboboxInput !== activeInput) {
+    detachCombobox();
+  }
+
+  if (!activeInput?.setAttribute) {
+    return;
+  }
+
+  if (state.comboboxInput !== activeInput) {
+    state.comboboxInput = activeInput;
+    state.savedComboboxAttributes = COMBOBOX_ATTRIBUTES.map((name) => [name, activeInput.getAttribute(name)]);
+  }
+
+  activeInput.setAttribute('role', 'combobox');
+  activeInput.setAttribute('aria-autocomplete', 'list');
+  activeInput.setAttribute('aria-controls', LISTBOX_ID);
+  activeInput.setAttribute('aria-expanded', 'true');
+}
+
+function detachCombobox() {
+  const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+  const input = state.comboboxInput;
+  if (input) {
+    (state.savedComboboxAttributes || []).forEach(([name, value]) => {
+      if (value === null) {
+        input.removeAttribute(name);
+      } else {
+        input.setAttribute(name, value);
+      }
+    });
+  }
+
+  state.comboboxInput = null;
+  state.savedComboboxAttributes = null;
+  state.lastAnnouncement = null;
+}
+
+function getOverlayColors() {
+  return overlayRenderRoot.GitHubMentionsOverlay.getThemeColors();
+}
+
+function getSelectedBgColor() {
+  return getOverlayColors().selected;
 }
 
 function updateSelection() {
   const state = overlayRenderRoot.GitHubMentionsOverlay.state;
-  const { isDarkMode } = getThemeColors();
-  const selectedBgColor = getSelectedBgColor(isDarkMode);
+  const colors = getOverlayColors();
   const defaultBgColor = 'transparent';
 
   if (state.selectedIndex < 0 || state.selectedIndex >= state.overlayItems.length) {
@@ -75,11 +256,17 @@ function updateSelection() {
     }
   }
 
+  const selectedItem = state.overlayItems[state.selectedIndex];
+  if (selectedItem && state.comboboxInput) {
+    state.comboboxInput.setAttribute('aria-activedescendant', selectedItem.id);
+  }
+
   state.overlayItems.forEach((item, index) => {
     try {
+      item.setAttribute('aria-selected', index === state.selectedIndex ? 'true' : 'false');
       if (index === state.selectedIndex) {
-        item.style.backgroundColor = selectedBgColor;
-        item.style.color = '#ffffff';
+        item.style.backgroundColor = colors.selected;
+        item.style.color = colors.selectedText;
         item.style.fontWeight = '600';
         item.style.boxShadow = '0 0 0 1px rgba(255,255,255,0.1)';
       } else {
@@ -94,19 +281,133 @@ function updateSelection() {
   });
 }
 
+function createGroupIcon(colors) {
+  const groupIcon = document.createElement('span');
+  groupIcon.className = 'github-mentions-group-icon';
+  groupIcon.textContent = '👥';
+  groupIcon.setAttribute('aria-hidden', 'true');
+  groupIcon.style.cssText = `
+    width: 16px;
+    height: 16px;
+    border-radius: 50%;
+    box-shadow: 0 0 0 1px ${colors.border};
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 10px;
+    margin-right: 0.5rem;
+    flex-shrink: 0;
+  `;
+  return groupIcon;
+}
+
+function formatMemberCount(count) {
+  return `${count} ${count === 1 ? 'member' : 'members'}`;
+}
+
+/**
+ * Splits display text into plain and matched segments. `offset` shifts the
+ * ranges when the text carries a prefix the matcher never saw, such as the
+ * "!" in front of command names.
+ * @param {string} text
+ * @param {number[][]} [ranges] - `[start, end)` pairs from the matcher
+ * @param {number} [offset]
+ * @returns {{text: string, matched: boolean}[]}
+ */
+function splitByMatchRanges(text, ranges = [], offset = 0) {
+  const value = String(text ?? '');
+  const segments = [];
+  let cursor = 0;
+
+  (ranges || []).forEach(([start, end]) => {
+    const from = Math.max(cursor, start + offset);
+    const to = Math.min(value.length, end + offset);
+    if (to <= from) {
+      return;
+    }
+    if (from > cursor) {
+      segments.push({ text: value.slice(cursor, from), matched: false });
+    }
+    segments.push({ text: value.slice(from, to), matched: true });
+    cursor = to;
+  });
+
+  if (cursor < value.length || segments.length === 0) {
+    segments.push({ text: value.slice(cursor), matched: false });
+  }
+  return segments;
+}
+
+function appendHighlightedText(element, text, ranges, offset = 0) {
+  splitByMatchRanges(text, ranges, offset).forEach((segment) => {
+    if (!segment.matched) {
+      element.appendChild(document.createTextNode(segment.text));
+      return;
+    }
+
+    const mark = document.createElement('mark');
+    mark.className = 'github-mentions-match';
+    mark.textContent = segment.text;
+    mark.style.cssText = `
+      background: transparent;
+      color: inherit;
+      font-weight: 700;
+      text-decoration: underline;
+      text-underline-offset: 2px;
+    `;
+    element.appendChild(mark);
+  });
+}
+
+function createMemberCount(user, colors) {
+  const memberCount = document.createElement('span');
+  memberCount.className = 'github-mentions-member-count';
+  memberCount.textContent = formatMemberCount(user.members?.length || 0);
+  memberCount.title = (user.members || []).map((member) => `@${member}`).join(' ');
+  memberCount.style.cssText = `
+    color: ${colors.name};
+    border: 1px solid ${colors.border};
+    border-radius: 1rem;
+    padding: 0 0.375rem;
+    font-size: 11px;
+    line-height: 1.4;
+    white-space: nowrap;
+    flex-shrink: 0;
+  `;
+  return memberCount;
+}
+
+function createCommandHint(user, colors) {
+  const hint = document.createElement('span');
+  hint.className = 'github-mentions-command-hint';
+  hint.textContent = user.hint;
+  hint.style.cssText = `
+    color: ${colors.name};
+    font-family: ui-monospace, SFMono-Regular, "SF Mono", Menlo, Consolas, monospace;
+    font-size: 11px;
+    line-height: 1.4;
+    white-space: nowrap;
+    flex-shrink: 0;
+  `;
+  return hint;
+}
+
 function createItem(user, index, onSelect, colors) {
   const state = overlayRenderRoot.GitHubMentionsOverlay.state;
   const item = document.createElement('div');
   const isSelected = index === state.selectedIndex;
   item.className = 'github-mentions-item';
+  item.id = getOptionId(index);
+  item.setAttribute('role', 'option');
+  item.setAttribute('aria-selected', isSelected ? 'true' : 'false');
   item.style.cssText = `
     display: flex;
     align-items: center;
     padding: 0.5rem;
     cursor: pointer;
     transition: all 0.15s ease;
-    background-color: ${isSelected ? getSelectedBgColor(colors.isDarkMode) : 'transparent'};
-    color: ${isSelected ? '#ffffff' : ''};
+    background-color: ${isSelected ? colors.selected : 'transparent'};
+    color: ${isSelected ? colors.selectedText : ''};
     font-weight: ${isSelected ? '600' : 'normal'};
     border-radius: 0.375rem;
     margin: 0 0.5rem;
@@ -142,15 +443,17 @@ function createItem(user, index, onSelect, colors) {
     flex: 1;
   `;
 
-  if (!user.isCommand) {
+  if (user.isGroup) {
+    item.appendChild(createGroupIcon(colors));
+  } else if (!user.isCommand) {
     const avatar = document.createElement('img');
-    avatar.src = user.avatar || `https://github.com/${user.username}.png`;
-    avatar.alt = `${user.name}'s avatar`;
+    avatar.src = getAvatarUrl(user);
+    avatar.alt = '';
     avatar.style.cssText = `
       width: 16px;
       height: 16px;
       border-radius: 50%;
-      box-shadow: 0 0 0 1px #d0d7de;
+      box-shadow: 0 0 0 1px ${colors.border};
       display: inline-block;
       line-height: 1;
       overflow: hidden;
@@ -164,6 +467,7 @@ function createItem(user, index, onSelect, colors) {
     item.appendChild(avatar);
   } else {
     const commandIcon = document.createElement('span');
+    commandIcon.setAttribute('aria-hidden', 'true');
     if (user.emoji) {
       commandIcon.textContent = user.emoji;
       commandIcon.style.cssText = `
@@ -183,7 +487,7 @@ function createItem(user, index, onSelect, colors) {
         height: 16px;
         border-radius: 50%;
         background-color: ${colors.username};
-        color: ${colors.isDarkMode ? '#04080d' : '#ffffff'};
+        color: ${colors.background};
         display: inline-flex;
         align-items: center;
         justify-content: center;
@@ -197,7 +501,11 @@ function createItem(user, index, onSelect, colors) {
   }
 
   const username = document.createElement('span');
-  username.textContent = user.isCommand ? `!${user.username}` : user.username;
+  if (user.isCommand) {
+    appendHighlightedText(username, `!${user.username}`, user.matchRanges?.username, 1);
+  } else {
+    appendHighlightedText(username, user.username, user.matchRanges?.username);
+  }
   username.style.cssText = `
     color: ${colors.username};
     font-family: -apple-system, "system-ui", "Segoe UI", "Noto Sans", Helvetica, Arial, sans-serif, "Apple Color Emoji", "Segoe UI Emoji";
@@ -207,7 +515,7 @@ function createItem(user, index, onSelect, colors) {
   `;
 
   const name = document.createElement('span');
-  name.textContent = user.name;
+  appendHighlightedText(name, user.name, user.matchRanges?.name);
   name.style.cssText = `
     color: ${colors.name};
     font-family: -apple-system, "system-ui", "Segoe UI", "Noto Sans", Helvetica, Arial, sans-serif, "Apple Color Emoji", "Segoe UI Emoji";
@@ -218,6 +526,12 @@ function createItem(user, index, onSelect, colors) {
 
   textContent.appendChild(username);
   textContent.appendChild(name);
+  if (user.isGroup) {
+    textContent.appendChild(createMemberCount(user, colors));
+  }
+  if (user.isCommand && user.hint) {
+    textContent.appendChild(createCommandHint(user, colors));
+  }
   item.appendChild(textContent);
   return item;
 }
@@ -229,7 +543,7 @@ function createOverlay(activeInput) {
     return state.overlay;
   }
 
-  const colors = getThemeColors();
+  const colors = getOverlayColors();
   state.overlay = document.createElement('div');
   state.overlay.id = 'github-mentions-overlay';
   state.overlay.style.cssText = `
@@ -254,31 +568,114 @@ function createOverlay(activeInput) {
       event.stopPropagation();
     });
   });
+  state.stopThemeObserver = overlayRenderRoot.GitHubMentionsOverlay.observeThemeChanges?.(restyleOverlay) || null;
   syncOverlayHost(activeInput);
   return state.overlay;
 }
 
-function showOverlay(users, onSelect, activeInput) {
+function applyOverlayColors(overlay, colors) {
+  overlay.style.color = colors.username;
+  overlay.style.background = colors.background;
+  overlay.style.border = `1px solid ${colors.border}`;
+  overlay.dataset.theme = colors.themeName;
+}
+
+/**
+ * Re-renders the open overlay with the current theme colors, keeping the
+ * highlighted row and scroll position.
+ */
+function restyleOverlay() {
+  const state = overlayRenderRoot.GitHubMentionsOverlay.state;
+  if (!isOverlayVisible() || !state.lastRender) {
+    return;
+  }
+
+  const { users, onSelect, activeInput, options } = state.lastRender;
+  const selectedIndex = state.selectedIndex;
+  const scrollTop = state.overlay.querySelector?.('.github-mentions-list')?.scrollTop || 0;
+  showOverlay(users, onSelect, activeInput, options);
+
+  const list = state.overlay.querySelector?.('.github-mentions-list');
+  if (list) {
+    list.scrollTop = scrollTop;
+  }
+  state.selectedIndex = selectedIndex;
+  updateSelection();
+}
+
+function createMoreFooter(hiddenCount, colors) {
+  const footer = document.createElement('div');
+  footer.className = 'github-mentions-more';
+  footer.textContent = formatMoreResults(hiddenCount);
+  footer.setAttribute('aria-hidden', 'true');
+  footer.style.cssText = `
+    color: ${colors.name};
+    border-top: 1px solid ${colors.border};
+    margin-top: 0.25rem;
+    padding: 0.375rem 1rem 0;
+    font-size: 12px;
+  `;
+  return footer;
+}
+
+function showOverlay(users, onSelect, activeInput, options = {}) {
   const state = overlayRenderRoot.GitHubMentionsOverlay.state;
   const overlay = createOverlay(activeInput);
   if (!overlay || !Array.isArray(users) || users.length === 0) {
     return;
   }
 
-  const colors = getThemeColors();
+  const colors = getOverlayColors();
+  const layout = getOverlayLayout(users, options);
+  applyOverlayColors(overlay, colors);
+  state.lastRender = { users, onSelect, activeInput, options };
   overlay.innerHTML = '';
   state.selectedIndex = 0;
   state.currentSelectedIndex = 0;
   state.overlayItems = [];
   state.lastKeyNavTime = 0;
+  state.visibleRows = layout.visibleRows;
+
+  const list = document.createElement('div');
+  list.id = LISTBOX_ID;
+  list.className = 'github-mentions-list';
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', getListboxLabel(layout.items));
+  list.style.cssText = `
+    overflow-y: auto;
+    overscroll-behavior: contain;
+  `;
+  overlay.appendChild(list);
+
+  groupOverlayItems(layout.items).forEach((group, groupIndex) => {
+    let container = list;
+    if (group.category) {
+      container = document.createElement('div');
+      container.setAttribute('role', 'group');
+      container.setAttribute('aria-labelledby', getGroupLabelId(groupIndex));
+      container.appendChild(createGroupHeader(group.category, groupIndex, colors));
+      list.appendChild(container);
+    }
 
-  users.slice(0, 4).forEach((user, index) => {
-    const item = createItem(user, index, onSelect, colors);
-    state.overlayItems.push(item);
-    overlay.appendChild(item);
+    group.entries.forEach(({ item: user, index }) => {
+      const item = createItem(user, index, onSelect, colors);
+      state.overlayItems.push(item);
+      container.appendChild(item);
+    });
   });
 
+  if (layout.hiddenCount > 0) {
+    overlay.appendChild(createMoreFooter(layout.hiddenCount, colors));
+  }
+
+  attachCombobox(activeInput);
+  updateSelection();
+  announce(formatResultCountAnnouncement(layout.items.length, layout.hiddenCount));
+
   overlay.style.display = 'block';
+  const rowHeight = state.overlayItems[0]?.offsetHeight || FALLBACK_ROW_HEIGHT;
+  list.style.maxHeight = `${rowHeight * layout.visibleRows}px`;
+  list.scrollTop = 0;
   overlayRenderRoot.GitHubMentionsOverlay.updateOverlayPosition?.(activeInput);
 }
 
@@ -291,6 +688,8 @@ function hideOverlay() {
   state.overlay.style.display = 'none';
   state.selectedIndex = 0;
   state.overlayItems = [];
+  state.lastRender = null;
+  detachCombobox();
 }
 
 function isOverlayVisible() {
@@ -306,6 +705,15 @@ function removeOverlay() {
     state.overlayHost = null;
     state.lastGoodPosition = null;
   }
+
+  state.stopThemeObserver?.();
+  state.stopThemeObserver = null;
+  state.lastRender = null;
+  detachCombobox();
+  if (state.liveRegion?.parentNode) {
+    state.liveRegion.parentNode.removeChild(state.liveRegion);
+  }
+  state.liveRegion = null;
 }
 
 function getOverlay() {
@@ -320,11 +728,12 @@ function getSelectedItem() {
   return null;
 }
 
-overlayRenderRoot.GitHubMentionsOverlay.getThemeColors = getThemeColors;
+overlayRenderRoot.GitHubMentionsOverlay.announce = announce;
 overlayRenderRoot.GitHubMentionsOverlay.getScopedOverlayHost = getScopedOverlayHost;
 overlayRenderRoot.GitHubMentionsOverlay.isChangesOverlayPath = isChangesOverlayPath;
 overlayRenderRoot.GitHubMentionsOverlay.getSelectedBgColor = getSelectedBgColor;
 overlayRenderRoot.GitHubMentionsOverlay.updateSelection = updateSelection;
+overlayRenderRoot.GitHubMentionsOverlay.restyleOverlay = restyleOverlay;
 overlayRenderRoot.GitHubMentionsOverlay.createOverlay = createOverlay;
 overlayRenderRoot.GitHubMentionsOverlay.showOverlay = showOverlay;
 overlayRenderRoot.GitHubMentionsOverlay.hideOverlay = hideOverlay;
@@ -335,6 +744,17 @@ overlayRenderRoot.GitHubMentionsOverlay.getSelectedItem = getSelectedItem;
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    announce,
+    attachCombobox,
+    detachCombobox,
+    formatResultCountAnnouncement,
+    getListboxLabel,
+    formatMemberCount,
+    formatMoreResults,
+    getAvatarUrl,
+    getOverlayLayout,
+    groupOverlayItems,
+    splitByMatchRanges,
     getScopedOverlayHost,
     isChangesOverlayPath
   };
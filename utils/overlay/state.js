@@ -9,6 +9,13 @@ overlayStateRoot.GitHubMentionsOverlay.state = {
   selectedIndex: 0,
   currentSelectedIndex: 0,
   overlayItems: [],
+  visibleRows: 4,
+  comboboxInput: null,
+  savedComboboxAttributes: null,
+  liveRegion: null,
+  lastAnnouncement: null,
+  lastRender: null,
+  stopThemeObserver: null,
   lastKeyNavTime: 0,
   KEY_NAV_DELAY: 200
 };
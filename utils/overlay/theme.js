@@ -0,0 +1,134 @@
+const overlayThemeRoot = typeof window !== 'undefined' ? window : globalThis;
+overlayThemeRoot.GitHubMentionsOverlay = overlayThemeRoot.GitHubMentionsOverlay || {};
+
+const THEME_ATTRIBUTES = ['data-color-mode', 'data-light-theme', 'data-dark-theme'];
+
+// Overlay colors for every GitHub appearance, keyed by the value GitHub writes to
+// `data-light-theme` / `data-dark-theme`.
+const THEME_PALETTES = {
+  light: {
+    isDarkMode: false,
+    background: '#ffffff',
+    username: '#212529',
+    name: '#4f5863',
+    border: '#dde1e5',
+    selected: '#9ec9f9ff',
+    selectedText: '#ffffff'
+  },
+  light_high_contrast: {
+    isDarkMode: false,
+    background: '#ffffff',
+    username: '#010409',
+    name: '#454c54',
+    border: '#20252c',
+    selected: '#0349b4',
+    selectedText: '#ffffff'
+  },
+  dark: {
+    isDarkMode: true,
+    background: '#04080d',
+    username: '#e3eaf1',
+    name: '#848b94',
+    border: '#353c44',
+    selected: '#1f6feb',
+    selectedText: '#ffffff'
+  },
+  dark_dimmed: {
+    isDarkMode: true,
+    background: '#2d333b',
+    username: '#adbac7',
+    name: '#768390',
+    border: '#444c56',
+    selected: '#316dca',
+    selectedText: '#ffffff'
+  },
+  dark_high_contrast: {
+    isDarkMode: true,
+    background: '#010409',
+    username: '#ffffff',
+    name: '#f0f3f6',
+    border: '#7a828e',
+    selected: '#409eff',
+    selectedText: '#010409'
+  }
+};
+
+// Colorblind and tritanopia themes only change status colors, so they share
+// the neutral palette of their base theme.
+const THEME_ALIASES = {
+  light_colorblind: 'light',
+  light_tritanopia: 'light',
+  dark_colorblind: 'dark',
+  dark_tritanopia: 'dark'
+};
+
+function prefersDarkColorScheme() {
+  return Boolean(overlayThemeRoot.matchMedia?.('(prefers-color-scheme: dark)').matches);
+}
+
+/**
+ * Resolves the active GitHub theme from the attributes on `<html>`. "auto"
+ * color mode follows the OS preference, and pages without the attributes fall
+ * back to it too.
+ * @returns {string} Theme name such as "light" or "dark_dimmed"
+ */
+function getGitHubThemeName(rootElement = overlayThemeRoot.document?.documentElement, prefersDark = prefersDarkColorScheme()) {
+  const colorMode = rootElement?.getAttribute?.('data-color-mode') || 'auto';
+  const isDark = colorMode === 'dark' || (colorMode !== 'light' && prefersDark);
+  const themeName = rootElement?.getAttribute?.(isDark ? 'data-dark-theme' : 'data-light-theme');
+  return themeName || (isDark ? 'dark' : 'light');
+}
+
+function getPaletteForTheme(themeName) {
+  const paletteName = THEME_PALETTES[themeName] ? themeName : THEME_ALIASES[themeName];
+  if (paletteName) {
+    return { themeName, ...THEME_PALETTES[paletteName] };
+  }
+
+  const fallbackName = String(themeName).startsWith('dark') ? 'dark' : 'light';
+  return { themeName, ...THEME_PALETTES[fallbackName] };
+}
+
+function getThemeColors() {
+  return getPaletteForTheme(getGitHubThemeName());
+}
+
+/**
+ * Calls `onChange` whenever GitHub's theme attributes or the OS color scheme
+ * change.
+ * @returns {Function} Stops observing
+ */
+function observeThemeChanges(onChange) {
+  const rootElement = overlayThemeRoot.document?.documentElement;
+  const cleanups = [];
+
+  if (rootElement && typeof overlayThemeRoot.MutationObserver === 'function') {
+    const observer = new overlayThemeRoot.MutationObserver(() => onChange());
+    observer.observe(rootElement, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+    cleanups.push(() => observer.disconnect());
+  }
+
+  const mediaQuery = overlayThemeRoot.matchMedia?.('(prefers-color-scheme: dark)');
+  if (mediaQuery?.addEventListener) {
+    const listener = () => onChange();
+    mediaQuery.addEventListener('change', listener);
+    cleanups.push(() => mediaQuery.removeEventListener('change', listener));
+  }
+
+  return () => cleanups.forEach((cleanup) => cleanup());
+}
+
+overlayThemeRoot.GitHubMentionsOverlay.getGitHubThemeName = getGitHubThemeName;
+overlayThemeRoot.GitHubMentionsOverlay.getThemeColors = getThemeColors;
+overlayThemeRoot.GitHubMentionsOverlay.observeThemeChanges = observeThemeChanges;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    THEME_ATTRIBUTES,
+    THEME_PALETTES,
+    getGitHubThemeName,
+    getPaletteForTheme,
+    getThemeColors,
+    observeThemeChanges
+  };
+}
@@ -0,0 +1,164 @@
+(function initGitHubMentionsSettingsSync(root) {
+  const SYNC_META_KEY = 'githubMentions_syncMeta';
+  const SYNC_CHUNK_PREFIX = 'githubMentions_syncChunk_';
+  // chrome.storage.sync allows 8,192 bytes per item and 102,400 in total;
+  // both limits count the key plus the JSON-encoded value.
+  const SYNC_ITEM_BYTES = 8192;
+  const SYNC_TOTAL_BYTES = 102400;
+  const MAX_SYNC_CONFLICTS = 20;
+
+  function getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  function getItemBytes(key, value) {
+    return getByteLength(key) + getByteLength(JSON.stringify(value));
+  }
+
+  /**
+   * Splits a string into pieces whose JSON encoding fits `maxBytes`. Code
+   * points are never split, so every piece is valid text on its own.
+   */
+  function splitIntoSyncChunks(text, maxBytes) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 2; // The surrounding quotes
+
+    for (const character of text) {
+      const characterBytes = getByteLength(JSON.stringify(character)) - 2;
+      if (currentBytes + characterBytes > maxBytes && current) {
+        chunks.push(current);
+        current = '';
+        currentBytes = 2;
+      }
+      current += character;
+      currentBytes += characterBytes;
+    }
+
+    if (current || chunks.length === 0) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  /**
+   * Builds the `chrome.storage.sync` items for a settings snapshot: one meta
+   * item plus numbered chunks of the serialized settings. The snapshot includes
+   * the users typed, pasted or uploaded into sources; what endpoints return is
+   * kept in the source and user caches, which stay local.
+   * @returns {{items: Object|null, error: string|null}}
+   */
+  function buildSyncItems(settings, { updatedAt, deviceId }) {
+    const chunkKeyBytes = getByteLength(`${SYNC_CHUNK_PREFIX}000`);
+    const chunks = splitIntoSyncChunks(JSON.stringify(settings), SYNC_ITEM_BYTES - chunkKeyBytes);
+    const items = {
+      [SYNC_META_KEY]: { version: 1, updatedAt, deviceId, chunkCount: chunks.length }
+    };
+    chunks.forEach((chunk, index) => {
+      items[`${SYNC_CHUNK_PREFIX}${index}`] = chunk;
+    });
+
+    const totalBytes = Object.entries(items).reduce((sum, [key, value]) => sum + getItemBytes(key, value), 0);
+    if (totalBytes > SYNC_TOTAL_BYTES) {
+      return {
+        items: null,
+        error: `Settings are ${Math.ceil(totalBytes / 1024)}KB, over the ${SYNC_TOTAL_BYTES / 1024}KB sync limit`
+      };
+    }
+    return { items, error: null };
+  }
+
+  /**
+   * Reassembles settings from sync items. Returns null while chunks are
+   * missing or unreadable, e.g. when another browser is midway through a write.
+   * @returns {{settings: Object, meta: Object}|null}
+   */
+  function readSyncItems(items) {
+    const meta = items?.[SYNC_META_KEY];
+    if (!meta || !Number.isInteger(meta.chunkCount) || meta.chunkCount < 1) {
+      return null;
+    }
+
+    const chunks = [];
+    for (let index = 0; index < meta.chunkCount; index += 1) {
+      const chunk = items[`${SYNC_CHUNK_PREFIX}${index}`];
+      if (typeof chunk !== 'string') {
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return { settings: JSON.parse(chunks.join('')), meta };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Lists chunk keys left over from a larger earlier snapshot.
+   */
+  function getStaleSyncChunkKeys(items, chunkCount) {
+    return Object.keys(items || {}).filter((key) => (
+      key.startsWith(SYNC_CHUNK_PREFIX) && Number(key.slice(SYNC_CHUNK_PREFIX.length)) >= chunkCount
+    ));
+  }
+
+  /**
+   * Short content hash used to tell real local edits from writes that only
+   * applied a pulled snapshot.
+   */
+  function hashSettings(settings) {
+    const text = JSON.stringify(settings);
+    let hash = 5381;
+    for (let index = 0; index < text.length; index += 1) {
+      hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  /**
+   * Decides which way to sync. When both sides changed since the last sync
+   * the newer write wins and the outcome is flagged as a conflict.
+   * @param {{localChanged: boolean, localUpdatedAt: number, syncedAt: number, remoteUpdatedAt: number|null}} state
+   * @returns {{action: 'push'|'pull'|'none', conflict: boolean}}
+   */
+  function resolveSyncDirection({ localChanged, localUpdatedAt, syncedAt, remoteUpdatedAt }) {
+    if (remoteUpdatedAt === null || remoteUpdatedAt === undefined) {
+      return { action: 'push', conflict: false };
+    }
+
+    const remoteChanged = remoteUpdatedAt > (syncedAt || 0);
+    if (remoteChanged && localChanged) {
+      return { action: localUpdatedAt > remoteUpdatedAt ? 'push' : 'pull', conflict: true };
+    }
+    if (remoteChanged) {
+      return { action: 'pull', conflict: false };
+    }
+    return { action: localChanged ? 'push' : 'none', conflict: false };
+  }
+
+  function appendSyncConflict(conflicts, entry) {
+    return [entry, ...(Array.isArray(conflicts) ? conflicts : [])].slice(0, MAX_SYNC_CONFLICTS);
+  }
+
+  root.GitHubMentionsSettingsSync = {
+    SYNC_META_KEY,
+    SYNC_CHUNK_PREFIX,
+    SYNC_ITEM_BYTES,
+    SYNC_TOTAL_BYTES,
+    MAX_SYNC_CONFLICTS,
+    getByteLength,
+    splitIntoSyncChunks,
+    buildSyncItems,
+    readSyncItems,
+    getStaleSyncChunkKeys,
+    hashSettings,
+    resolveSyncDirection,
+    appendSyncConflict
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = root.GitHubMentionsSettingsSync;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
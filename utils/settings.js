@@ -6,28 +6,452 @@ const settingsRoot = typeof window !== 'undefined' ? window : globalThis;
 settingsRoot.GitHubMentionsSettings = settingsRoot.GitHubMentionsSettings || {};
 const GitHubMentionsSettings = settingsRoot.GitHubMentionsSettings;
 
+const DATA_SOURCES = ['gui', 'direct', 'endpoint'];
+const USER_SOURCE_TYPES = ['gui', 'direct', 'endpoint', 'file'];
+const SOURCE_PRECEDENCES = ['first', 'last'];
+const VISIBLE_ROWS_RANGE = { min: 1, max: 20 };
+const MAX_RESULTS_RANGE = { min: 1, max: 500 };
+const LGTM_PROVIDER_TYPES = ['reloaded', 'endpoint', 'list', 'curated'];
+const DEFAULT_LGTM_IMAGE_PATH = 'imageUrl';
+const DEFAULT_LGTM_PROVIDERS = [{ type: 'reloaded' }, { type: 'curated' }];
+const SETTINGS_SCHEMA_VERSION = 2;
+const DEFAULT_TRIGGERS = {
+  mention: { sequence: '@@', lineStart: false },
+  command: { sequence: '@!', lineStart: false }
+};
+// Symbols only: a letter, digit, "_" or "-" would read as part of the query.
+const TRIGGER_SEQUENCE_PATTERN = /^[^\s\p{L}\p{M}\p{N}_-]{1,4}$/u;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+/**
+ * Upgrade steps in order, each producing `version` from the version before it.
+ * Steps only see raw stored data, so they must not rely on normalization.
+ * Add a step (and fixtures under tests/fixtures/settings) whenever the stored
+ * shape changes in a way normalizeSettings cannot infer.
+ */
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Convert string custom commands to {content, emoji} objects',
+    migrate(settings) {
+      const commands = settings.customCommands && typeof settings.customCommands === 'object'
+        ? settings.customCommands
+        : {};
+      const customCommands = {};
+      Object.entries(commands).forEach(([name, commandData]) => {
+        if (typeof commandData === 'string') {
+          customCommands[name] = { content: commandData, emoji: null };
+        } else if (commandData && typeof commandData === 'object') {
+          customCommands[name] = commandData;
+        }
+      });
+      return { ...settings, customCommands };
+    }
+  },
+  {
+    version: 2,
+    description: 'Give every additional user source a stable id',
+    migrate(settings) {
+      if (!Array.isArray(settings.userSources)) {
+        return settings;
+      }
+
+      const takenIds = new Set(settings.userSources
+        .map((source) => (typeof source?.id === 'string' ? source.id.trim() : ''))
+        .filter(Boolean));
+      let nextNumber = 1;
+      const userSources = settings.userSources.map((source) => {
+        if (!source || typeof source !== 'object' || (typeof source.id === 'string' && source.id.trim())) {
+          return source;
+        }
+        while (takenIds.has(`source-${nextNumber}`)) {
+          nextNumber += 1;
+        }
+        const id = `source-${nextNumber}`;
+        takenIds.add(id);
+        return { ...source, id };
+      });
+      return { ...settings, userSources };
+    }
+  }
+];
+
 const DEFAULT_SETTINGS = {
   dataSource: 'gui',
   directJsonData: '',
+  endpointUrl: '',
+  userSources: [],
+  sourcePrecedence: 'first',
+  visibleRows: 4,
+  maxResults: 50,
   enabled: true,
-  customCommands: {}
+  customCommands: {},
+  commandPacks: [],
+  lgtmProviders: DEFAULT_LGTM_PROVIDERS,
+  customHosts: [],
+  triggers: DEFAULT_TRIGGERS,
+  schemaVersion: SETTINGS_SCHEMA_VERSION
 };
 
 GitHubMentionsSettings.getDefaultSettings = function() {
   return {
     ...DEFAULT_SETTINGS,
-    customCommands: {}
+    userSources: [],
+    customCommands: {},
+    commandPacks: [],
+    lgtmProviders: DEFAULT_LGTM_PROVIDERS.map((provider) => ({ ...provider })),
+    customHosts: [],
+    triggers: GitHubMentionsSettings.normalizeTriggers(DEFAULT_TRIGGERS)
   };
 };
 
-GitHubMentionsSettings.normalizeSettings = function(settings) {
+GitHubMentionsSettings.getCommandCategory = function(commandData) {
+  return commandData && typeof commandData === 'object' && typeof commandData.category === 'string'
+    ? commandData.category.trim()
+    : '';
+};
+
+/**
+ * Groups custom command names by category for display. Categories sort
+ * alphabetically with uncategorized commands (category '') last; names sort
+ * alphabetically within each group.
+ * @param {Object} customCommands - Command data keyed by name
+ * @returns {{category: string, names: string[]}[]}
+ */
+GitHubMentionsSettings.groupCommandsByCategory = function(customCommands) {
+  const groups = new Map();
+  Object.keys(customCommands && typeof customCommands === 'object' ? customCommands : {}).forEach((name) => {
+    const category = GitHubMentionsSettings.getCommandCategory(customCommands[name]);
+    groups.set(category, [...(groups.get(category) || []), name]);
+  });
+
+  return [...groups.entries()]
+    .sort(([left], [right]) => (left === '') - (right === '') || left.localeCompare(right))
+    .map(([category, names]) => ({ category, names: names.sort((left, right) => left.localeCompare(right)) }));
+};
+
+GitHubMentionsSettings.createSourceId = function(prefix = 'src') {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Normalizes an additional user source. Ids are assigned when a source is
+ * created (or by the version 2 migration for older settings), so a source
+ * without one is invalid rather than given a fresh id on every read.
+ */
+GitHubMentionsSettings.normalizeUserSource = function(source) {
+  if (!source || typeof source !== 'object' || !USER_SOURCE_TYPES.includes(source.type)) {
+    return null;
+  }
+  if (typeof source.id !== 'string' || !source.id.trim()) {
+    return null;
+  }
+
+  return {
+    id: source.id.trim(),
+    name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : source.type,
+    type: source.type,
+    enabled: source.enabled !== false,
+    jsonData: typeof source.jsonData === 'string' ? source.jsonData : '',
+    url: typeof source.url === 'string' ? source.url.trim() : '',
+    fileName: typeof source.fileName === 'string' ? source.fileName : ''
+  };
+};
+
+GitHubMentionsSettings.normalizeUserSources = function(sources) {
+  if (!Array.isArray(sources)) {
+    return [];
+  }
+
+  const seenIds = new Set(['primary']);
+  return sources
+    .map((source) => GitHubMentionsSettings.normalizeUserSource(source))
+    .filter((source) => {
+      if (!source || seenIds.has(source.id)) {
+        return false;
+      }
+      seenIds.add(source.id);
+      return true;
+    });
+};
+
+/**
+ * Normalizes a command pack subscription. `commands` is the snapshot of what
+ * the pack last installed, used to tell pack updates from local edits.
+ */
+GitHubMentionsSettings.normalizeCommandPack = function(pack) {
+  if (!pack || typeof pack !== 'object' || typeof pack.name !== 'string' || !pack.name.trim()) {
+    return null;
+  }
+
+  const url = typeof pack.url === 'string' ? pack.url.trim() : '';
+  return {
+    id: typeof pack.id === 'string' && pack.id.trim()
+      ? pack.id.trim()
+      : GitHubMentionsSettings.createSourceId('pack'),
+    name: pack.name.trim(),
+    version: typeof pack.version === 'string' ? pack.version : '',
+    url,
+    autoSync: Boolean(url) && pack.autoSync === true,
+    lastSynced: Number.isFinite(pack.lastSynced) ? pack.lastSynced : 0,
+    commands: pack.commands && typeof pack.commands === 'object' && !Array.isArray(pack.commands) ? pack.commands : {}
+  };
+};
+
+GitHubMentionsSettings.normalizeCommandPacks = function(packs) {
+  if (!Array.isArray(packs)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return packs
+    .map((pack) => GitHubMentionsSettings.normalizeCommandPack(pack))
+    .filter((pack) => {
+      if (!pack || seenIds.has(pack.id)) {
+        return false;
+      }
+      seenIds.add(pack.id);
+      return true;
+    });
+};
+
+/**
+ * Normalizes one step of the LGTM provider chain: LGTM Reloaded, a custom
+ * JSON endpoint read at `imagePath`, a user-maintained GIF list, or the
+ * curated list bundled with the extension.
+ */
+GitHubMentionsSettings.normalizeLgtmProvider = function(provider) {
+  if (!provider || typeof provider !== 'object' || !LGTM_PROVIDER_TYPES.includes(provider.type)) {
+    return null;
+  }
+
+  if (provider.type === 'endpoint') {
+    return {
+      type: 'endpoint',
+      url: typeof provider.url === 'string' ? provider.url.trim() : '',
+      imagePath: typeof provider.imagePath === 'string' && provider.imagePath.trim()
+        ? provider.imagePath.trim()
+        : DEFAULT_LGTM_IMAGE_PATH
+    };
+  }
+
+  if (provider.type === 'list') {
+    return {
+      type: 'list',
+      urls: (Array.isArray(provider.urls) ? provider.urls : [])
+        .filter((url) => typeof url === 'string' && url.trim())
+        .map((url) => url.trim())
+    };
+  }
+
+  return { type: provider.type };
+};
+
+GitHubMentionsSettings.normalizeLgtmProviders = function(providers) {
+  const normalized = (Array.isArray(providers) ? providers : [])
+    .map((provider) => GitHubMentionsSettings.normalizeLgtmProvider(provider))
+    .filter(Boolean);
+
+  return normalized.length > 0 ? normalized : DEFAULT_LGTM_PROVIDERS.map((provider) => ({ ...provider }));
+};
+
+function isGitHubDotComHost(hostname) {
+  return hostname === 'github.com' || hostname.endsWith('.github.com');
+}
+
+/**
+ * Reduces a GitHub Enterprise Server address to its hostname, accepting a
+ * bare host or a pasted URL. github.com is covered by the manifest and is
+ * rejected, as are ports, which match patterns cannot express.
+ * @returns {string|null}
+ */
+GitHubMentionsSettings.normalizeCustomHost = function(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase();
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.port || parsed.username || parsed.password) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.replace(/\.$/, '');
+  return HOSTNAME_PATTERN.test(hostname) && !isGitHubDotComHost(hostname) ? hostname : null;
+};
+
+GitHubMentionsSettings.normalizeCustomHosts = function(hosts) {
+  const normalized = (Array.isArray(hosts) ? hosts : [])
+    .map((host) => GitHubMentionsSettings.normalizeCustomHost(host))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+/**
+ * Match patterns requested as optional host permissions and used to register
+ * the content script for a custom host.
+ */
+GitHubMentionsSettings.getCustomHostOrigins = function(host) {
+  return [`https://${host}/*`, `http://${host}/*`];
+};
+
+function normalizeTrigger(trigger, fallback) {
+  const sequence = typeof trigger?.sequence === 'string' ? trigger.sequence.trim() : '';
+  return {
+    sequence: sequence || fallback.sequence,
+    lineStart: trigger?.lineStart === true
+  };
+}
+
+/**
+ * Explains why a mention/command trigger pair cannot be used, or returns null.
+ * The two sequences may not start with one another, since typing the longer
+ * one would open both lists.
+ * @param {{mention: Object, command: Object}} triggers
+ * @returns {string|null}
+ */
+GitHubMentionsSettings.validateTriggers = function(triggers) {
+  const labels = { mention: 'Mention', command: 'Command' };
+  for (const kind of Object.keys(labels)) {
+    const sequence = triggers?.[kind]?.sequence;
+    if (typeof sequence !== 'string' || !TRIGGER_SEQUENCE_PATTERN.test(sequence)) {
+      return `${labels[kind]} trigger must be 1-4 symbols, without spaces, letters, digits, "_" or "-"`;
+    }
+  }
+
+  const mention = triggers.mention.sequence;
+  const command = triggers.command.sequence;
+  if (mention.startsWith(command) || command.startsWith(mention)) {
+    return `Mention trigger "${mention}" and command trigger "${command}" conflict; neither may start with the other`;
+  }
+  return null;
+};
+
+/**
+ * Trigger settings with defaults filled in. A pair that fails
+ * `validateTriggers` falls back to the defaults as a whole, since fixing only
+ * one side could still leave them conflicting.
+ * @returns {{mention: {sequence: string, lineStart: boolean}, command: {sequence: string, lineStart: boolean}}}
+ */
+GitHubMentionsSettings.normalizeTriggers = function(triggers) {
+  const normalized = {
+    mention: normalizeTrigger(triggers?.mention, DEFAULT_TRIGGERS.mention),
+    command: normalizeTrigger(triggers?.command, DEFAULT_TRIGGERS.command)
+  };
+  if (GitHubMentionsSettings.validateTriggers(normalized)) {
+    return {
+      mention: { ...DEFAULT_TRIGGERS.mention },
+      command: { ...DEFAULT_TRIGGERS.command }
+    };
+  }
+  return normalized;
+};
+
+GitHubMentionsSettings.isValidEndpointUrl = function(url) {
+  if (typeof url !== 'string' || url.trim() === '') {
+    return false;
+  }
+
+  try {
+    const parsed = new URL(url.trim());
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+GitHubMentionsSettings.normalizeIntegerSetting = function(value, fallback, { min, max }) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return fallback;
+  }
+
+  return Math.min(max, Math.max(min, Math.round(number)));
+};
+
+/**
+ * Schema version of stored settings. Settings saved before versioning have
+ * no `schemaVersion` and count as version 0.
+ */
+GitHubMentionsSettings.getSettingsSchemaVersion = function(settings) {
+  const version = settings && typeof settings === 'object' ? settings.schemaVersion : undefined;
+  return Number.isInteger(version) && version > 0 ? version : 0;
+};
+
+/**
+ * True for settings written by a newer version of the extension.
+ */
+GitHubMentionsSettings.isNewerSettingsSchema = function(settings) {
+  return GitHubMentionsSettings.getSettingsSchemaVersion(settings) > SETTINGS_SCHEMA_VERSION;
+};
+
+function applySettingsMigrations(settings, fromVersion) {
+  return SETTINGS_MIGRATIONS
+    .filter((step) => step.version > fromVersion)
+    .reduce((current, step) => ({ ...step.migrate(current), schemaVersion: step.version }), settings);
+}
+
+/**
+ * Upgrades stored or imported settings step by step and normalizes the result.
+ * Settings from a newer schema are refused rather than normalized, since that
+ * would silently drop the fields this version does not know about.
+ * @returns {{settings: Settings|null, fromVersion: number, applied: number[], error: string|null}}
+ */
+GitHubMentionsSettings.migrateSettings = function(settings) {
   const source = settings && typeof settings === 'object' ? settings : {};
+  const fromVersion = GitHubMentionsSettings.getSettingsSchemaVersion(source);
+  if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+    return {
+      settings: null,
+      fromVersion,
+      applied: [],
+      error: `Settings use schema version ${fromVersion}, but this version of the extension only understands up to ${SETTINGS_SCHEMA_VERSION}. Update the extension first.`
+    };
+  }
+
   return {
-    dataSource: source.dataSource === 'direct' ? 'direct' : 'gui',
+    settings: GitHubMentionsSettings.normalizeSettings(source),
+    fromVersion,
+    applied: SETTINGS_MIGRATIONS.filter((step) => step.version > fromVersion).map((step) => step.version),
+    error: null
+  };
+};
+
+/**
+ * Brings settings to the current schema. Pending migrations run first, so
+ * every read path sees upgraded data even before it has been written back.
+ * Settings from a newer schema keep their version and the fields this version
+ * does not know; `setSettings` refuses to overwrite them.
+ */
+GitHubMentionsSettings.normalizeSettings = function(settings) {
+  const raw = settings && typeof settings === 'object' ? settings : {};
+  const source = applySettingsMigrations(raw, GitHubMentionsSettings.getSettingsSchemaVersion(raw));
+  const normalized = {
+    dataSource: DATA_SOURCES.includes(source.dataSource) ? source.dataSource : 'gui',
     directJsonData: typeof source.directJsonData === 'string' ? source.directJsonData : '',
+    endpointUrl: typeof source.endpointUrl === 'string' ? source.endpointUrl.trim() : '',
+    userSources: GitHubMentionsSettings.normalizeUserSources(source.userSources),
+    sourcePrecedence: SOURCE_PRECEDENCES.includes(source.sourcePrecedence) ? source.sourcePrecedence : 'first',
+    visibleRows: GitHubMentionsSettings.normalizeIntegerSetting(source.visibleRows, DEFAULT_SETTINGS.visibleRows, VISIBLE_ROWS_RANGE),
+    maxResults: GitHubMentionsSettings.normalizeIntegerSetting(source.maxResults, DEFAULT_SETTINGS.maxResults, MAX_RESULTS_RANGE),
     enabled: source.enabled !== false,
-    customCommands: source.customCommands && typeof source.customCommands === 'object' ? source.customCommands : {}
+    customCommands: source.customCommands && typeof source.customCommands === 'object' ? source.customCommands : {},
+    commandPacks: GitHubMentionsSettings.normalizeCommandPacks(source.commandPacks),
+    lgtmProviders: GitHubMentionsSettings.normalizeLgtmProviders(source.lgtmProviders),
+    customHosts: GitHubMentionsSettings.normalizeCustomHosts(source.customHosts),
+    triggers: GitHubMentionsSettings.normalizeTriggers(source.triggers),
+    schemaVersion: SETTINGS_SCHEMA_VERSION
   };
+
+  return GitHubMentionsSettings.isNewerSettingsSchema(raw)
+    ? { ...raw, ...normalized, schemaVersion: raw.schemaVersion }
+    : normalized;
 };
 
 GitHubMentionsSettings.normalizeUserForCache = function(user) {
@@ -52,22 +476,72 @@ GitHubMentionsSettings.normalizeUserForCache = function(user) {
   };
 };
 
+GitHubMentionsSettings.isGroupEntry = function(entry) {
+  return Boolean(entry) && typeof entry === 'object' && (typeof entry.group === 'string' || entry.isGroup === true);
+};
+
+GitHubMentionsSettings.normalizeGroupMembers = function(members) {
+  const values = typeof members === 'string' ? members.split(/[\s,]+/) : members;
+  if (!Array.isArray(values)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return values
+    .map((member) => (typeof member === 'string' ? member.trim().replace(/^@/, '') : ''))
+    .filter((member) => {
+      const key = member.toLowerCase();
+      if (!member || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Normalizes a `{ group, members }` directory entry into the cached group shape,
+ * which shares `username`/`name` with users so it can be filtered alongside them.
+ */
+GitHubMentionsSettings.normalizeGroupForCache = function(entry) {
+  if (!GitHubMentionsSettings.isGroupEntry(entry)) {
+    return null;
+  }
+
+  const rawGroup = typeof entry.group === 'string' ? entry.group : entry.username;
+  const group = typeof rawGroup === 'string' ? rawGroup.trim().replace(/^@+/, '') : '';
+  const members = GitHubMentionsSettings.normalizeGroupMembers(entry.members);
+  if (!group || members.length === 0) {
+    return null;
+  }
+
+  return {
+    username: group,
+    name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : group,
+    avatar: '',
+    isGroup: true,
+    members
+  };
+};
+
+GitHubMentionsSettings.normalizeDirectoryEntry = function(entry) {
+  return GitHubMentionsSettings.isGroupEntry(entry)
+    ? GitHubMentionsSettings.normalizeGroupForCache(entry)
+    : GitHubMentionsSettings.normalizeUserForCache(entry);
+};
+
 GitHubMentionsSettings.normalizeUsersForCache = function(users) {
   if (!Array.isArray(users)) {
     return [];
   }
 
   return users
-    .map((user) => GitHubMentionsSettings.normalizeUserForCache(user))
+    .map((user) => GitHubMentionsSettings.normalizeDirectoryEntry(user))
     .filter(Boolean);
 };
 
-GitHubMentionsSettings.validateDirectJsonUsers = function(users) {
-  if (!Array.isArray(users) || users.length === 0) {
-    return false;
-  }
-
-  return users.every((user) =>
+function isValidDirectJsonUser(user) {
+  return Boolean(
     user &&
     typeof user === 'object' &&
     typeof user.username === 'string' &&
@@ -76,13 +550,58 @@ GitHubMentionsSettings.validateDirectJsonUsers = function(users) {
     user.name.trim() !== '' &&
     (user.avatar === undefined || typeof user.avatar === 'string')
   );
+}
+
+GitHubMentionsSettings.validateDirectJsonUsers = function(users) {
+  if (!Array.isArray(users) || users.length === 0) {
+    return false;
+  }
+
+  return users.every((entry) => (
+    GitHubMentionsSettings.isGroupEntry(entry)
+      ? Boolean(GitHubMentionsSettings.normalizeGroupForCache(entry))
+      : isValidDirectJsonUser(entry)
+  ));
 };
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    DATA_SOURCES,
+    DEFAULT_LGTM_IMAGE_PATH,
+    DEFAULT_LGTM_PROVIDERS,
     DEFAULT_SETTINGS,
+    DEFAULT_TRIGGERS,
+    LGTM_PROVIDER_TYPES,
+    MAX_RESULTS_RANGE,
+    SETTINGS_MIGRATIONS,
+    SETTINGS_SCHEMA_VERSION,
+    SOURCE_PRECEDENCES,
+    VISIBLE_ROWS_RANGE,
+    USER_SOURCE_TYPES,
     getDefaultSettings: GitHubMentionsSettings.getDefaultSettings,
+    getCommandCategory: GitHubMentionsSettings.getCommandCategory,
+    groupCommandsByCategory: GitHubMentionsSettings.groupCommandsByCategory,
+    isNewerSettingsSchema: GitHubMentionsSettings.isNewerSettingsSchema,
+    createSourceId: GitHubMentionsSettings.createSourceId,
+    normalizeCommandPack: GitHubMentionsSettings.normalizeCommandPack,
+    normalizeCommandPacks: GitHubMentionsSettings.normalizeCommandPacks,
+    normalizeLgtmProvider: GitHubMentionsSettings.normalizeLgtmProvider,
+    normalizeLgtmProviders: GitHubMentionsSettings.normalizeLgtmProviders,
+    normalizeCustomHost: GitHubMentionsSettings.normalizeCustomHost,
+    normalizeCustomHosts: GitHubMentionsSettings.normalizeCustomHosts,
+    getCustomHostOrigins: GitHubMentionsSettings.getCustomHostOrigins,
+    validateTriggers: GitHubMentionsSettings.validateTriggers,
+    normalizeTriggers: GitHubMentionsSettings.normalizeTriggers,
+    isValidEndpointUrl: GitHubMentionsSettings.isValidEndpointUrl,
+    getSettingsSchemaVersion: GitHubMentionsSettings.getSettingsSchemaVersion,
+    migrateSettings: GitHubMentionsSettings.migrateSettings,
     normalizeSettings: GitHubMentionsSettings.normalizeSettings,
+    normalizeUserSource: GitHubMentionsSettings.normalizeUserSource,
+    normalizeUserSources: GitHubMentionsSettings.normalizeUserSources,
+    isGroupEntry: GitHubMentionsSettings.isGroupEntry,
+    normalizeGroupMembers: GitHubMentionsSettings.normalizeGroupMembers,
+    normalizeGroupForCache: GitHubMentionsSettings.normalizeGroupForCache,
+    normalizeDirectoryEntry: GitHubMentionsSettings.normalizeDirectoryEntry,
     normalizeUserForCache: GitHubMentionsSettings.normalizeUserForCache,
     normalizeUsersForCache: GitHubMentionsSettings.normalizeUsersForCache,
     validateDirectJsonUsers: GitHubMentionsSettings.validateDirectJsonUsers
@@ -19,22 +19,101 @@ window.GitHubMentionsStorage = {};
  * @property {number} timestamp - Cache timestamp
  */
 
+/**
+ * @typedef {Object} UserCacheInfo
+ * @property {number} version - 1 for the chunked layout, 0 for the legacy single item
+ * @property {number} revision - Incremented on every write; chunks carry it too
+ * @property {number|null} timestamp - When the cache was written
+ * @property {number} userCount - Cached directory entries
+ * @property {number} chunkCount - Storage items holding the entries
+ * @property {number} bytes - Serialized size of the entries
+ */
+
+/**
+ * @typedef {Object} UserSource
+ * @property {string} id - Stable source identifier
+ * @property {string} name - Display name shown in the popup
+ * @property {string} type - Source type: "gui", "direct", "endpoint" or "file"
+ * @property {boolean} enabled - Whether the source is merged into suggestions
+ * @property {string} jsonData - User JSON for "direct" and "file" sources
+ * @property {string} url - Endpoint URL for "endpoint" sources
+ * @property {string} fileName - Name of the imported file for "file" sources
+ */
+
+/**
+ * @typedef {Object} CommandPack
+ * @property {string} id - Stable pack identifier
+ * @property {string} name - Pack name from the pack file
+ * @property {string} version - Pack version from the pack file
+ * @property {string} url - Source URL; empty for packs imported from a file
+ * @property {boolean} autoSync - Whether the background worker re-syncs the pack daily
+ * @property {number} lastSynced - Timestamp of the last import or sync
+ * @property {Object<string, Object>} commands - Commands as last installed by the pack
+ */
+
+/**
+ * @typedef {Object} LgtmProvider
+ * @property {string} type - "reloaded", "endpoint", "list" or "curated"
+ * @property {string} [url] - JSON endpoint URL for "endpoint" providers
+ * @property {string} [imagePath] - Field path to the image URL in the endpoint response
+ * @property {string[]} [urls] - GIF URLs for "list" providers
+ */
+
+/**
+ * @typedef {Object} LgtmHistoryEntry
+ * @property {string} url - Delivered image URL
+ * @property {string} repo - "owner/repo" the image was inserted in, if known
+ * @property {number} timestamp - When the image was last delivered
+ * @property {boolean} favorite - Whether lgtmfav may pick the image
+ * @property {boolean} banned - Whether the image is skipped by every provider
+ */
+
+/**
+ * @typedef {Object} SourceStat
+ * @property {string} id - Source identifier
+ * @property {string} name - Source display name
+ * @property {string} type - Source type
+ * @property {number} count - Valid users provided by the source
+ * @property {number} uniqueCount - Users not already provided by an earlier source
+ * @property {string|null} error - Last load error, if any
+ */
+
+/**
+ * @typedef {Object} MentionUsage
+ * @property {number} count - How many times the entry was inserted
+ * @property {number} lastUsed - Timestamp of the last insertion
+ */
+
 /**
  * @typedef {Object} Settings
- * @property {string} dataSource - Data source type: "direct" or "gui"
+ * @property {string} dataSource - Data source type: "direct", "gui" or "endpoint"
  * @property {string} directJsonData - Direct JSON data (used by both "direct" and "gui")
+ * @property {string} endpointUrl - HTTP endpoint returning a JSON user array (used by "endpoint")
+ * @property {UserSource[]} userSources - Additional named sources merged after the primary one
+ * @property {string} sourcePrecedence - Which source wins name/avatar conflicts: "first" or "last"
+ * @property {number} visibleRows - Suggestion rows shown before the list scrolls
+ * @property {number} maxResults - Maximum suggestions listed; the rest are summarized in a footer
  * @property {boolean} enabled - Whether extension is enabled
  * @property {Object<string, string>} customCommands - Custom command scripts
+ * @property {CommandPack[]} commandPacks - Imported command packs and their installed snapshots
+ * @property {LgtmProvider[]} lgtmProviders - Ordered sources tried by the lgtmrand command
+ * @property {string[]} customHosts - GitHub Enterprise Server hostnames the content script runs on
+ * @property {{mention: {sequence: string, lineStart: boolean}, command: {sequence: string, lineStart: boolean}}} triggers - Sequences that open the mention and command lists
+ * @property {number} schemaVersion - Settings schema version; see SETTINGS_MIGRATIONS in utils/settings.js
  */
 
 const STORAGE_KEYS = {
-  USER_CACHE: 'githubMentions_userCache',
+  USER_CACHE_META: 'githubMentions_userCacheMeta',
   SETTINGS: 'githubMentions_settings',
-  CACHE_TIMESTAMP: 'githubMentions_cacheTimestamp'
+  CACHE_TIMESTAMP: 'githubMentions_cacheTimestamp',
+  SOURCE_STATS: 'githubMentions_sourceStats',
+  MENTION_STATS: 'githubMentions_mentionStats',
+  LGTM_HISTORY: 'githubMentions_lgtmHistory'
 };
 
 const CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
-const MAX_CACHE_SIZE = 1024 * 1024; // 1MB limit
+
+window.GitHubMentionsStorage.STORAGE_KEYS = STORAGE_KEYS;
 
 /**
  * Get browser storage API (chrome.storage or browser.storage)
@@ -69,15 +148,20 @@ function validateUserData(data) {
 
 /**
  * Get cached user data
- * @returns {Promise<UserData[]>} Cached user data or empty array
+ * @returns {Promise<UserData[]|null>} Cached user data, or null while the cache
+ * cannot be read (e.g. another context is midway through writing it); callers
+ * keep the users they already have in that case
  */
 window.GitHubMentionsStorage.getCachedUsers = async function() {
   try {
-    const result = await chrome.storage.local.get('githubMentions_userCache');
-    const cachedData = result.githubMentions_userCache;
-    
-    if (!cachedData || !Array.isArray(cachedData)) {
-      return [];
+    const userCache = window.GitHubMentionsUserCache;
+    if (!userCache) {
+      return null;
+    }
+
+    const { users: cachedData } = await userCache.readUserCache(chrome.storage.local);
+    if (!cachedData) {
+      return null;
     }
 
     // Validate user data structure
@@ -91,40 +175,94 @@ window.GitHubMentionsStorage.getCachedUsers = async function() {
 
     return validUsers;
   } catch (error) {
-    return [];
+    return null;
   }
 };
 
 /**
- * Set cached user data
- * @param {UserData[]} users - User data to cache
- * @returns {Promise<boolean>} Success status
+ * Get the size of the user cache without loading it
+ * @returns {Promise<UserCacheInfo|null>} Cache description, or null when empty
  */
-window.GitHubMentionsStorage.setCachedUsers = async function(users) {
+window.GitHubMentionsStorage.getUserCacheInfo = async function() {
   try {
-    if (!Array.isArray(users)) {
-      return false;
-    }
-
-    const validUsers = window.GitHubMentionsSettings
-      ? window.GitHubMentionsSettings.normalizeUsersForCache(users)
-      : [];
+    return window.GitHubMentionsUserCache
+      ? await window.GitHubMentionsUserCache.readUserCacheMeta(chrome.storage.local)
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
 
-    if (validUsers.length !== users.length) {
-      return false;
-    }
+/**
+ * Get per-source counts from the last user directory merge
+ * @returns {Promise<SourceStat[]>} Source stats or empty array
+ */
+window.GitHubMentionsStorage.getSourceStats = async function() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.SOURCE_STATS);
+    const stats = result[STORAGE_KEYS.SOURCE_STATS];
+    return Array.isArray(stats) ? stats : [];
+  } catch (error) {
+    return [];
+  }
+};
 
-    // Check storage size limit (1MB)
-    const dataSize = JSON.stringify(validUsers).length;
-    if (dataSize > 1024 * 1024) {
-      return false;
-    }
+/**
+ * Get mention usage used to rank suggestions
+ * @returns {Promise<Object<string, MentionUsage>>} Usage keyed by lowercase username
+ */
+window.GitHubMentionsStorage.getMentionStats = async function() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.MENTION_STATS);
+    const stats = result[STORAGE_KEYS.MENTION_STATS];
+    return stats && typeof stats === 'object' && !Array.isArray(stats) ? stats : {};
+  } catch (error) {
+    return {};
+  }
+};
 
+/**
+ * Set mention usage used to rank suggestions
+ * @param {Object<string, MentionUsage>} stats - Usage to store
+ * @returns {Promise<boolean>} Success status
+ */
+window.GitHubMentionsStorage.setMentionStats = async function(stats) {
+  try {
     await chrome.storage.local.set({
-      'githubMentions_userCache': validUsers,
-      'githubMentions_cacheTimestamp': Date.now()
+      [STORAGE_KEYS.MENTION_STATS]: stats && typeof stats === 'object' ? stats : {}
     });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get delivered LGTM images, newest first
+ * @returns {Promise<LgtmHistoryEntry[]>} History entries or empty array
+ */
+window.GitHubMentionsStorage.getLgtmHistory = async function() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LGTM_HISTORY);
+    const history = result[STORAGE_KEYS.LGTM_HISTORY];
+    return window.GitHubMentionsLGTM
+      ? window.GitHubMentionsLGTM.normalizeLgtmHistory(history)
+      : (Array.isArray(history) ? history : []);
+  } catch (error) {
+    return [];
+  }
+};
 
+/**
+ * Set delivered LGTM images
+ * @param {LgtmHistoryEntry[]} history - History to store
+ * @returns {Promise<boolean>} Success status
+ */
+window.GitHubMentionsStorage.setLgtmHistory = async function(history) {
+  try {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.LGTM_HISTORY]: Array.isArray(history) ? history : []
+    });
     return true;
   } catch (error) {
     return false;
@@ -137,10 +275,8 @@ window.GitHubMentionsStorage.setCachedUsers = async function(users) {
  */
 window.GitHubMentionsStorage.clearCache = async function() {
   try {
-    await chrome.storage.local.remove([
-      'githubMentions_userCache',
-      'githubMentions_cacheTimestamp'
-    ]);
+    await window.GitHubMentionsUserCache?.clearUserCache(chrome.storage.local);
+    await chrome.storage.local.remove(STORAGE_KEYS.CACHE_TIMESTAMP);
     return true;
   } catch (error) {
     return false;
@@ -154,39 +290,27 @@ window.GitHubMentionsStorage.clearCache = async function() {
 window.GitHubMentionsStorage.getSettings = async function() {
   try {
     const result = await chrome.storage.local.get('githubMentions_settings');
-    if (window.GitHubMentionsSettings) {
-      return window.GitHubMentionsSettings.normalizeSettings(result.githubMentions_settings);
-    }
-    return result.githubMentions_settings || {
-      dataSource: 'gui',
-      directJsonData: '',
-      enabled: true,
-      customCommands: {}
-    };
+    return window.GitHubMentionsSettings.normalizeSettings(result.githubMentions_settings);
   } catch (error) {
-    return window.GitHubMentionsSettings
-      ? window.GitHubMentionsSettings.getDefaultSettings()
-      : {
-          dataSource: 'gui',
-          directJsonData: '',
-          enabled: true,
-          customCommands: {}
-        };
+    return window.GitHubMentionsSettings.getDefaultSettings();
   }
 };
 
 /**
- * Set extension settings
+ * Set extension settings. Settings stored by a newer version of the extension
+ * are left alone, since this version would drop the fields it does not know.
  * @param {Settings} settings - Settings to save
  * @returns {Promise<boolean>} Success status
  */
 window.GitHubMentionsStorage.setSettings = async function(settings) {
   try {
-    const normalizedSettings = window.GitHubMentionsSettings
-      ? window.GitHubMentionsSettings.normalizeSettings(settings)
-      : settings;
+    const result = await chrome.storage.local.get('githubMentions_settings');
+    if (window.GitHubMentionsSettings.isNewerSettingsSchema(result.githubMentions_settings)) {
+      return false;
+    }
+
     await chrome.storage.local.set({
-      'githubMentions_settings': normalizedSettings
+      'githubMentions_settings': window.GitHubMentionsSettings.normalizeSettings(settings)
     });
     return true;
   } catch (error) {
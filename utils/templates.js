@@ -0,0 +1,309 @@
+/**
+ * Shared command template helpers for GitHub Mentions+
+ */
+
+const templatesRoot = typeof window !== 'undefined' ? window : globalThis;
+templatesRoot.GitHubMentionsTemplates = templatesRoot.GitHubMentionsTemplates || {};
+const GitHubMentionsTemplates = templatesRoot.GitHubMentionsTemplates;
+
+// Everything a command template may reference. The popup's variable list,
+// the command content placeholder and save-time validation all read this
+// list, so new variables only need to be added here and resolved in
+// `buildTemplateValues`.
+const TEMPLATE_VARIABLES = [
+  { name: 'timestamp', description: 'Current ISO timestamp' },
+  { name: 'date', description: 'Current date' },
+  { name: 'time', description: 'Current time' },
+  { name: 'repo', description: 'Repository name' },
+  { name: 'owner', description: 'Repository owner' },
+  { name: 'pr.number', description: 'Pull request number' },
+  { name: 'pr.title', description: 'Pull request title' },
+  { name: 'pr.author', description: 'Pull request author' },
+  { name: 'branch', description: 'Pull request head branch, or the branch being browsed' },
+  { name: 'issue.number', description: 'Issue number' },
+  { name: 'url', description: 'Current page URL' }
+];
+
+GitHubMentionsTemplates.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+
+const TEMPLATE_VARIABLE_PATTERN = /\$\{([^{}]*)\}/g;
+// `$1`, `${1}` and `${1:default}`; `\$` is skipped as a literal dollar.
+const NUMBERED_TAB_STOP_PATTERN = /\\\$|\$([1-9]\d*)|\$\{([1-9]\d*)(:[^{}]*)?\}/g;
+
+// First path segments that belong to GitHub itself rather than an owner.
+const RESERVED_OWNER_SEGMENTS = new Set([
+  'codespaces', 'dashboard', 'explore', 'features', 'issues', 'login', 'marketplace', 'new',
+  'notifications', 'organizations', 'orgs', 'pulls', 'search', 'settings', 'sponsors', 'topics'
+]);
+
+GitHubMentionsTemplates.isKnownTemplateVariable = function(name) {
+  return TEMPLATE_VARIABLES.some((variable) => variable.name === name);
+};
+
+// Tab stops (`${1}`, `${1:default}`, `${cursor}`) share the `${...}` syntax but
+// are expanded after variables, so rendering leaves them in place.
+GitHubMentionsTemplates.isSnippetPlaceholder = function(name) {
+  return /^(cursor|\d+(:[^{}]*)?)$/.test(name);
+};
+
+/**
+ * Lists the distinct `${...}` variable names used in a template.
+ * @param {string} template
+ * @returns {string[]}
+ */
+GitHubMentionsTemplates.getTemplateVariables = function(template) {
+  const names = [];
+  for (const match of String(template || '').matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    const name = match[1].trim();
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+};
+
+/**
+ * Lists variables a template uses that neither the page nor the command's own
+ * parameters provide.
+ * @param {string} template
+ * @param {{name: string, default?: string}[]} [params]
+ * @returns {string[]}
+ */
+GitHubMentionsTemplates.findUnknownTemplateVariables = function(template, params = []) {
+  const paramNames = GitHubMentionsTemplates.getParamVariableNames(params);
+  return GitHubMentionsTemplates.getTemplateVariables(template)
+    .filter((name) => !GitHubMentionsTemplates.isKnownTemplateVariable(name)
+      && !paramNames.includes(name)
+      && !GitHubMentionsTemplates.isSnippetPlaceholder(name));
+};
+
+GitHubMentionsTemplates.formatUnknownVariablesMessage = function(names) {
+  const list = names.map((name) => `\${${name}}`).join(', ');
+  return `Unknown template ${names.length === 1 ? 'variable' : 'variables'}: ${list}`;
+};
+
+/**
+ * Lists numbered tab stops in a command that declares parameters. There
+ * `${1}` is the first argument, so a numbered stop would read as either and
+ * such commands are rejected; `${cursor}` stays available.
+ * @param {string} template
+ * @param {{name: string, default?: string}[]} [params]
+ * @returns {string[]} The stops as written, e.g. `$2` or `${1:title}`
+ */
+GitHubMentionsTemplates.findConflictingTabStops = function(template, params = []) {
+  const paramNames = GitHubMentionsTemplates.getParamVariableNames(params);
+  if (paramNames.length === 0) {
+    return [];
+  }
+
+  const stops = [];
+  for (const match of String(template || '').matchAll(NUMBERED_TAB_STOP_PATTERN)) {
+    const isArgument = match[2] !== undefined && match[3] === undefined && paramNames.includes(match[2]);
+    if (match[0] !== '\\$' && !isArgument && !stops.includes(match[0])) {
+      stops.push(match[0]);
+    }
+  }
+  return stops;
+};
+
+GitHubMentionsTemplates.formatConflictingTabStopsMessage = function(stops) {
+  return `Commands with parameters can't use numbered tab stops (${stops.join(', ')}); \${1} is the first argument there. Use \${cursor} instead.`;
+};
+
+const COMMAND_PARAM_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Parses a parameter signature such as `env, version=latest`. Parameters
+ * without a default are required.
+ * @param {string} signature
+ * @returns {{params: {name: string, default?: string}[], error: string|null}}
+ */
+GitHubMentionsTemplates.parseCommandParams = function(signature) {
+  const params = [];
+  const entries = String(signature || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const separatorIndex = entry.indexOf('=');
+    const name = (separatorIndex === -1 ? entry : entry.slice(0, separatorIndex)).trim();
+
+    if (!COMMAND_PARAM_NAME_PATTERN.test(name)) {
+      return { params: [], error: `Invalid parameter name "${name}"` };
+    }
+    if (GitHubMentionsTemplates.isKnownTemplateVariable(name)) {
+      return { params: [], error: `Parameter "${name}" conflicts with a built-in variable` };
+    }
+    if (params.some((param) => param.name === name)) {
+      return { params: [], error: `Duplicate parameter "${name}"` };
+    }
+
+    params.push(separatorIndex === -1 ? { name } : { name, default: entry.slice(separatorIndex + 1).trim() });
+  }
+
+  return { params, error: null };
+};
+
+GitHubMentionsTemplates.normalizeCommandParams = function(params) {
+  if (!Array.isArray(params)) {
+    return [];
+  }
+
+  return params
+    .filter((param) => param && COMMAND_PARAM_NAME_PATTERN.test(param.name))
+    .map((param) => (typeof param.default === 'string'
+      ? { name: param.name, default: param.default }
+      : { name: param.name }));
+};
+
+GitHubMentionsTemplates.formatCommandParams = function(params) {
+  return GitHubMentionsTemplates.normalizeCommandParams(params)
+    .map((param) => (Object.hasOwn(param, 'default') ? `${param.name}=${param.default}` : param.name))
+    .join(', ');
+};
+
+// Each parameter is reachable by position (`${1}`) and by name (`${env}`).
+GitHubMentionsTemplates.getParamVariableNames = function(params) {
+  return GitHubMentionsTemplates.normalizeCommandParams(params)
+    .flatMap((param, index) => [String(index + 1), param.name]);
+};
+
+/**
+ * Pairs typed arguments with declared parameters. Blank arguments fall back
+ * to the default; required parameters left blank are reported as missing.
+ * @param {{name: string, default?: string}[]} params
+ * @param {string[]} args - Positional arguments in typed order
+ * @returns {{values: Object<string, string>, missing: string[]}}
+ */
+GitHubMentionsTemplates.buildArgumentValues = function(params, args = []) {
+  const values = {};
+  const missing = [];
+
+  GitHubMentionsTemplates.normalizeCommandParams(params).forEach((param, index) => {
+    const typed = typeof args[index] === 'string' ? args[index] : '';
+    const value = typed || param.default || '';
+    if (!typed && !Object.hasOwn(param, 'default')) {
+      missing.push(param.name);
+    }
+    values[String(index + 1)] = value;
+    values[param.name] = value;
+  });
+
+  return { values, missing };
+};
+
+GitHubMentionsTemplates.formatMissingArgumentsMessage = function(names) {
+  return `Missing required ${names.length === 1 ? 'argument' : 'arguments'}: ${names.join(', ')}`;
+};
+
+/**
+ * Reads repository, pull request, issue and branch details from a GitHub URL.
+ * Fields the URL does not identify are left empty.
+ * @param {string} url
+ * @returns {{owner: string, repo: string, prNumber: string, issueNumber: string, branch: string}}
+ */
+GitHubMentionsTemplates.parseGitHubUrl = function(url) {
+  const details = { owner: '', repo: '', prNumber: '', issueNumber: '', branch: '' };
+
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return details;
+  }
+
+  const segments = pathname.split('/').filter(Boolean).map((segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      // A stray `%` (e.g. a branch named "100%") is not an escape
+      return segment;
+    }
+  });
+  if (segments.length < 2 || RESERVED_OWNER_SEGMENTS.has(segments[0].toLowerCase())) {
+    return details;
+  }
+
+  details.owner = segments[0];
+  details.repo = segments[1];
+
+  const [section, target] = segments.slice(2);
+  if (section === 'pull' && /^\d+$/.test(target || '')) {
+    details.prNumber = target;
+  } else if (section === 'issues' && /^\d+$/.test(target || '')) {
+    details.issueNumber = target;
+  } else if ((section === 'tree' || section === 'blob' || section === 'commits') && target) {
+    details.branch = target;
+  } else if (section === 'compare' && target) {
+    details.branch = target.split('...').pop();
+  }
+
+  return details;
+};
+
+/**
+ * Maps every known variable to its value for the given time and page.
+ * @param {Date} date
+ * @param {Object} [pageContext] - Output of `getPageContext` in the content script
+ * @returns {Object<string, string>}
+ */
+GitHubMentionsTemplates.buildTemplateValues = function(date = new Date(), pageContext = {}) {
+  const context = pageContext || {};
+  return {
+    timestamp: date.toISOString(),
+    date: date.toLocaleDateString(),
+    time: date.toLocaleTimeString(),
+    repo: context.repo || '',
+    owner: context.owner || '',
+    'pr.number': context.prNumber || '',
+    'pr.title': context.prTitle || '',
+    'pr.author': context.prAuthor || '',
+    branch: context.branch || '',
+    'issue.number': context.issueNumber || '',
+    url: context.url || ''
+  };
+};
+
+/**
+ * Substitutes known variables. Tab stops pass through; unknown names stay in
+ * the output untouched and are returned so the caller can report them.
+ * @returns {{text: string, unknown: string[]}}
+ */
+GitHubMentionsTemplates.renderTemplate = function(template, values) {
+  const unknown = [];
+  const text = String(template || '').replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, rawName) => {
+    const name = rawName.trim();
+    if (Object.hasOwn(values, name)) {
+      return values[name];
+    }
+    if (GitHubMentionsTemplates.isSnippetPlaceholder(rawName)) {
+      return placeholder;
+    }
+    if (!unknown.includes(name)) {
+      unknown.push(name);
+    }
+    return placeholder;
+  });
+
+  return { text, unknown };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEMPLATE_VARIABLES,
+    isKnownTemplateVariable: GitHubMentionsTemplates.isKnownTemplateVariable,
+    isSnippetPlaceholder: GitHubMentionsTemplates.isSnippetPlaceholder,
+    getTemplateVariables: GitHubMentionsTemplates.getTemplateVariables,
+    findUnknownTemplateVariables: GitHubMentionsTemplates.findUnknownTemplateVariables,
+    formatUnknownVariablesMessage: GitHubMentionsTemplates.formatUnknownVariablesMessage,
+    findConflictingTabStops: GitHubMentionsTemplates.findConflictingTabStops,
+    formatConflictingTabStopsMessage: GitHubMentionsTemplates.formatConflictingTabStopsMessage,
+    parseCommandParams: GitHubMentionsTemplates.parseCommandParams,
+    normalizeCommandParams: GitHubMentionsTemplates.normalizeCommandParams,
+    formatCommandParams: GitHubMentionsTemplates.formatCommandParams,
+    getParamVariableNames: GitHubMentionsTemplates.getParamVariableNames,
+    buildArgumentValues: GitHubMentionsTemplates.buildArgumentValues,
+    formatMissingArgumentsMessage: GitHubMentionsTemplates.formatMissingArgumentsMessage,
+    parseGitHubUrl: GitHubMentionsTemplates.parseGitHubUrl,
+    buildTemplateValues: GitHubMentionsTemplates.buildTemplateValues,
+    renderTemplate: GitHubMentionsTemplates.renderTemplate
+  };
+}
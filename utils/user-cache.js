@@ -0,0 +1,256 @@
+(function initGitHubMentionsUserCache(root) {
+  const USER_CACHE_META_KEY = 'githubMentions_userCacheMeta';
+  const USER_CACHE_CHUNK_PREFIX = 'githubMentions_userCacheChunk_';
+  // Single-item cache written before the chunked layout; still read so an
+  // upgrade keeps suggestions working until the next refresh rewrites it.
+  const LEGACY_USER_CACHE_KEY = 'githubMentions_userCache';
+  const USER_CACHE_CHUNK_BYTES = 512 * 1024;
+  // The manifest requests `unlimitedStorage`, so this is our own ceiling rather
+  // than the browser quota. It keeps a misbehaving endpoint from filling the disk.
+  const USER_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+  const encoder = new TextEncoder();
+
+  function getByteLength(text) {
+    return encoder.encode(text).length;
+  }
+
+  function getUserCacheChunkKey(index) {
+    return `${USER_CACHE_CHUNK_PREFIX}${index}`;
+  }
+
+  function getUserCacheChunkKeys(chunkCount) {
+    return Array.from({ length: Math.max(0, chunkCount || 0) }, (_, index) => getUserCacheChunkKey(index));
+  }
+
+  function hashText(hash, text) {
+    let next = hash;
+    for (let index = 0; index < text.length; index += 1) {
+      next = ((next * 33) ^ text.charCodeAt(index)) >>> 0;
+    }
+    return next;
+  }
+
+  /**
+   * Splits users into consecutive chunks whose serialized size stays under
+   * `maxBytes`, keeping directory order. `hash` identifies the list's content,
+   * so an unchanged list can skip the write.
+   * @returns {{chunks: Object[][], bytes: number, hash: string}}
+   */
+  function splitUsersIntoChunks(users, maxBytes = USER_CACHE_CHUNK_BYTES) {
+    const chunks = [];
+    let current = [];
+    let currentBytes = 2; // The surrounding brackets
+    let bytes = 0;
+    let hash = 5381;
+
+    users.forEach((user) => {
+      const json = JSON.stringify(user);
+      hash = hashText(hash, `${json},`);
+      const userBytes = getByteLength(json) + 1; // Plus the separating comma
+      if (currentBytes + userBytes > maxBytes && current.length > 0) {
+        chunks.push(current);
+        current = [];
+        currentBytes = 2;
+      }
+      current.push(user);
+      currentBytes += userBytes;
+      bytes += userBytes;
+    });
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+    return { chunks, bytes, hash: hash.toString(36) };
+  }
+
+  /**
+   * Builds the storage items for a user list: numbered chunks plus a meta item
+   * that names the revision every chunk must carry.
+   * @param {Object[]} users - Normalized directory entries
+   * @param {{revision: number, timestamp: number}} options
+   * @returns {{items: Object|null, meta: Object|null, error: string|null}}
+   */
+  function buildUserCacheItems(users, { revision, timestamp }) {
+    const { chunks, bytes, hash } = splitUsersIntoChunks(users);
+    if (bytes > USER_CACHE_MAX_BYTES) {
+      return {
+        items: null,
+        meta: null,
+        error: `Merged user list is ${formatByteSize(bytes)}, over the ${formatByteSize(USER_CACHE_MAX_BYTES)} cache limit`
+      };
+    }
+
+    const items = {};
+    chunks.forEach((chunk, index) => {
+      items[getUserCacheChunkKey(index)] = { revision, users: chunk };
+    });
+
+    return {
+      items,
+      meta: { version: 1, revision, timestamp, userCount: users.length, chunkCount: chunks.length, bytes, hash },
+      error: null
+    };
+  }
+
+  function isValidUserCacheMeta(meta) {
+    return Boolean(meta && typeof meta === 'object' && Number.isInteger(meta.chunkCount) && meta.chunkCount >= 0);
+  }
+
+  /**
+   * Reassembles users from chunk items. Returns null while a chunk is missing
+   * or belongs to another revision, i.e. while a write is in progress.
+   * @returns {Object[]|null}
+   */
+  function assembleUserCache(meta, items) {
+    const users = [];
+    for (const key of getUserCacheChunkKeys(meta.chunkCount)) {
+      const chunk = items?.[key];
+      if (!chunk || chunk.revision !== meta.revision || !Array.isArray(chunk.users)) {
+        return null;
+      }
+      users.push(...chunk.users);
+    }
+    return users;
+  }
+
+  /**
+   * Describes the cache without loading it; legacy caches are measured.
+   * @param {Object} storageArea - A `chrome.storage` area
+   * @returns {Promise<Object|null>} Meta item, or null when nothing is cached
+   */
+  async function readUserCacheMeta(storageArea) {
+    const stored = await storageArea.get([USER_CACHE_META_KEY, LEGACY_USER_CACHE_KEY]);
+    if (isValidUserCacheMeta(stored[USER_CACHE_META_KEY])) {
+      return stored[USER_CACHE_META_KEY];
+    }
+
+    const legacyUsers = stored[LEGACY_USER_CACHE_KEY];
+    if (!Array.isArray(legacyUsers)) {
+      return null;
+    }
+    return {
+      version: 0,
+      revision: 0,
+      timestamp: null,
+      userCount: legacyUsers.length,
+      chunkCount: 0,
+      bytes: getByteLength(JSON.stringify(legacyUsers))
+    };
+  }
+
+  /**
+   * Reads the cached users. `users` is null while another context is midway
+   * through a write; callers keep what they already have until it finishes.
+   * @param {Object} storageArea - A `chrome.storage` area
+   * @returns {Promise<{users: Object[]|null, meta: Object|null}>}
+   */
+  async function readUserCache(storageArea) {
+    const stored = await storageArea.get([USER_CACHE_META_KEY, LEGACY_USER_CACHE_KEY]);
+    const meta = stored[USER_CACHE_META_KEY];
+    if (!isValidUserCacheMeta(meta)) {
+      const legacyUsers = stored[LEGACY_USER_CACHE_KEY];
+      return { users: Array.isArray(legacyUsers) ? legacyUsers : [], meta: null };
+    }
+
+    const chunkKeys = getUserCacheChunkKeys(meta.chunkCount);
+    const chunks = chunkKeys.length > 0 ? await storageArea.get(chunkKeys) : {};
+    return { users: assembleUserCache(meta, chunks), meta };
+  }
+
+  /**
+   * Replaces the cached users. Chunks are written before the meta item so
+   * readers never see a meta item whose chunks are missing; chunks left over
+   * from a larger previous list and the legacy item are removed afterwards.
+   * When the list is unchanged only `extraItems` are written, so tabs that
+   * watch the meta item are not told to reload the same directory.
+   * @param {Object} storageArea - A `chrome.storage` area
+   * @param {Object[]} users - Normalized directory entries
+   * @param {Object} [options]
+   * @param {number} [options.now]
+   * @param {Object} [options.extraItems] - Written together with the meta item
+   * @returns {Promise<{success: boolean, meta: Object|null, error: string|null}>}
+   */
+  async function writeUserCache(storageArea, users, options = {}) {
+    const now = options.now || Date.now();
+    const previous = (await storageArea.get(USER_CACHE_META_KEY))[USER_CACHE_META_KEY];
+    const previousChunkCount = isValidUserCacheMeta(previous) ? previous.chunkCount : 0;
+    const revision = (Number.isInteger(previous?.revision) ? previous.revision : 0) + 1;
+
+    const { items, meta, error } = buildUserCacheItems(users, { revision, timestamp: now });
+    if (error) {
+      return { success: false, meta: null, error };
+    }
+    if (isValidUserCacheMeta(previous) && previous.hash === meta.hash && previous.userCount === meta.userCount) {
+      if (options.extraItems) {
+        await storageArea.set(options.extraItems);
+      }
+      return { success: true, meta: previous, error: null };
+    }
+
+    if (Object.keys(items).length > 0) {
+      await storageArea.set(items);
+    }
+    await storageArea.set({ ...(options.extraItems || {}), [USER_CACHE_META_KEY]: meta });
+
+    const staleKeys = getUserCacheChunkKeys(previousChunkCount).slice(meta.chunkCount);
+    await storageArea.remove([...staleKeys, LEGACY_USER_CACHE_KEY]);
+    return { success: true, meta, error: null };
+  }
+
+  async function clearUserCache(storageArea) {
+    const meta = await readUserCacheMeta(storageArea);
+    await storageArea.remove([
+      USER_CACHE_META_KEY,
+      LEGACY_USER_CACHE_KEY,
+      ...getUserCacheChunkKeys(meta?.chunkCount)
+    ]);
+  }
+
+  function formatByteSize(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+      return `${Number((bytes / 1024).toFixed(1))} KB`;
+    }
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+  }
+
+  /**
+   * Popup summary of the cache size, e.g. "3.4 MB of 64 MB (7 chunks)".
+   */
+  function describeUserCacheUsage(meta) {
+    const limit = formatByteSize(USER_CACHE_MAX_BYTES);
+    if (!meta) {
+      return `Empty (limit ${limit})`;
+    }
+
+    const layout = meta.version === 0
+      ? 'legacy single item'
+      : `${meta.chunkCount} ${meta.chunkCount === 1 ? 'chunk' : 'chunks'}`;
+    return `${formatByteSize(meta.bytes)} of ${limit} (${layout})`;
+  }
+
+  root.GitHubMentionsUserCache = {
+    USER_CACHE_META_KEY,
+    USER_CACHE_CHUNK_PREFIX,
+    LEGACY_USER_CACHE_KEY,
+    USER_CACHE_CHUNK_BYTES,
+    USER_CACHE_MAX_BYTES,
+    getUserCacheChunkKeys,
+    splitUsersIntoChunks,
+    buildUserCacheItems,
+    assembleUserCache,
+    readUserCacheMeta,
+    readUserCache,
+    writeUserCache,
+    clearUserCache,
+    formatByteSize,
+    describeUserCacheUsage
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = root.GitHubMentionsUserCache;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,163 @@
+(function initGitHubMentionsUserSources(root) {
+  const PRIMARY_SOURCE_ID = 'primary';
+
+  const SOURCE_TYPE_LABELS = {
+    gui: 'Local GUI',
+    direct: 'JSON',
+    endpoint: 'HTTP Endpoint',
+    file: 'File'
+  };
+
+  function getSettingsApi() {
+    return root.GitHubMentionsSettings
+      || (typeof module !== 'undefined' && module.exports ? require('./settings.js') : null);
+  }
+
+  /**
+   * Returns the ordered, enabled source list: the primary data source first,
+   * followed by the additional named sources.
+   */
+  function getConfiguredSources(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return [];
+    }
+
+    const primary = {
+      id: PRIMARY_SOURCE_ID,
+      name: 'Primary',
+      type: settings.dataSource || 'gui',
+      enabled: true,
+      jsonData: settings.directJsonData || '',
+      url: settings.endpointUrl || '',
+      fileName: ''
+    };
+
+    const additionalSources = getSettingsApi()?.normalizeUserSources(settings.userSources) || [];
+    return [primary, ...additionalSources]
+      .filter((source) => source.enabled);
+  }
+
+  function hasEndpointSource(settings) {
+    return getConfiguredSources(settings).some((source) => source.type === 'endpoint' && source.url);
+  }
+
+  function parseSourceUsers(source) {
+    if (!source?.jsonData) {
+      return { users: [], error: null };
+    }
+
+    try {
+      const data = JSON.parse(source.jsonData);
+      if (!Array.isArray(data)) {
+        return { users: [], error: 'JSON must be an array' };
+      }
+
+      return {
+        users: getSettingsApi()?.normalizeUsersForCache(data) || [],
+        error: null
+      };
+    } catch (error) {
+      return { users: [], error: `Invalid JSON: ${error.message}` };
+    }
+  }
+
+  function hasOwnName(user) {
+    return Boolean(user.name) && user.name !== user.username;
+  }
+
+  function mergeUserField(target, incoming, field, hasValue, precedence) {
+    if (!hasValue(incoming)) {
+      return;
+    }
+
+    if (precedence === 'last' || !hasValue(target)) {
+      target[field] = incoming[field];
+    }
+  }
+
+  function mergeGroupMembers(target, incoming) {
+    const knownMembers = new Set(target.members.map((member) => member.toLowerCase()));
+    incoming.members.forEach((member) => {
+      if (!knownMembers.has(member.toLowerCase())) {
+        knownMembers.add(member.toLowerCase());
+        target.members.push(member);
+      }
+    });
+  }
+
+  /**
+   * Merges per-source user lists into one directory, deduplicating usernames
+   * case-insensitively. With "first" precedence earlier sources win conflicting
+   * name/avatar values, with "last" later sources override them; empty values
+   * never replace provided ones. Groups with the same name combine their members.
+   * @param {{source: Object, users: Object[], error?: string}[]} sourceResults
+   * @param {string} precedence - "first" or "last"
+   * @returns {{users: Object[], stats: Object[]}}
+   */
+  function mergeSourceUsers(sourceResults, precedence = 'first') {
+    const mergedByUsername = new Map();
+    const stats = [];
+
+    (Array.isArray(sourceResults) ? sourceResults : []).forEach(({ source, users, error }) => {
+      let uniqueCount = 0;
+      const validUsers = Array.isArray(users) ? users : [];
+
+      validUsers.forEach((user) => {
+        const key = `${user.isGroup ? 'group:' : ''}${user.username.toLowerCase()}`;
+        const existing = mergedByUsername.get(key);
+        if (!existing) {
+          mergedByUsername.set(key, user.isGroup ? { ...user, members: user.members.slice() } : { ...user });
+          uniqueCount += 1;
+          return;
+        }
+
+        mergeUserField(existing, user, 'name', hasOwnName, precedence);
+        if (user.isGroup) {
+          mergeGroupMembers(existing, user);
+          return;
+        }
+        mergeUserField(existing, user, 'avatar', (entry) => Boolean(entry.avatar), precedence);
+      });
+
+      stats.push({
+        id: source.id,
+        name: source.name,
+        type: source.type,
+        count: validUsers.length,
+        uniqueCount,
+        error: error || null
+      });
+    });
+
+    return {
+      users: Array.from(mergedByUsername.values()),
+      stats
+    };
+  }
+
+  function describeSourceStat(stat) {
+    const label = `${stat.name} (${SOURCE_TYPE_LABELS[stat.type] || stat.type})`;
+    if (stat.error) {
+      return `${label}: ${stat.count} users, ${stat.error}`;
+    }
+
+    const duplicates = stat.count - stat.uniqueCount;
+    return duplicates > 0
+      ? `${label}: ${stat.count} users (${duplicates} merged)`
+      : `${label}: ${stat.count} users`;
+  }
+
+  root.GitHubMentionsUserSources = {
+    SOURCE_TYPE_LABELS,
+    PRIMARY_SOURCE_ID,
+    getConfiguredSources,
+    hasEndpointSource,
+    parseSourceUsers,
+    mergeSourceUsers,
+    describeSourceStat
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = root.GitHubMentionsUserSources;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);